@@ -0,0 +1,179 @@
+import { useContext, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { AppContext } from '../App';
+import { notificationAPI, userAPI } from '../utils/api';
+
+const PAGE_SIZE = 10;
+
+const CHANNELS = [
+  { key: 'inApp', label: 'In-app notifications', description: 'Show updates in this notification center' },
+  { key: 'email', label: 'Email notifications', description: 'Send updates to your email address' }
+];
+
+// Notification list with read tracking and per-channel preferences
+export default function NotificationCenter() {
+  const { user, setUser } = useContext(AppContext);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [savingChannel, setSavingChannel] = useState(null);
+
+  const preferences = { inApp: true, email: true, ...user?.notificationPreferences };
+
+  const fetchNotifications = async (page = 1) => {
+    setLoading(true);
+    const params = { page, limit: PAGE_SIZE };
+    if (unreadOnly) params.unread = true;
+
+    const response = await notificationAPI.getNotifications(params);
+
+    if (response.success) {
+      setNotifications(response.data?.notifications || []);
+      setUnreadCount(response.data?.unreadCount || 0);
+      setPagination(response.data?.pagination || { page: 1, pages: 1, total: 0 });
+    } else {
+      toast.error(response.error?.message || 'Failed to load notifications');
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchNotifications(1);
+  }, [unreadOnly]);
+
+  const handleMarkRead = async (notification) => {
+    if (notification.readAt) return;
+
+    const response = await notificationAPI.markRead(notification.id);
+    if (response.success) {
+      setNotifications(notifications.map(item =>
+        item.id === notification.id ? response.data.notification : item
+      ));
+      setUnreadCount(Math.max(unreadCount - 1, 0));
+    } else {
+      toast.error(response.error?.message || 'Failed to update notification');
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    const response = await notificationAPI.markAllRead();
+    if (response.success) {
+      fetchNotifications(1);
+    } else {
+      toast.error(response.error?.message || 'Failed to update notifications');
+    }
+  };
+
+  const handleTogglePreference = async (channel) => {
+    setSavingChannel(channel);
+    const response = await userAPI.updateProfile({
+      notificationPreferences: { [channel]: !preferences[channel] }
+    });
+    setSavingChannel(null);
+
+    if (response.success && response.data?.user) {
+      setUser(response.data.user);
+      toast.success('Notification preferences updated');
+    } else {
+      toast.error(response.error?.message || 'Failed to update preferences');
+    }
+  };
+
+  return (
+    <div className="py-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-6">
+        <h2 className="text-2xl font-bold text-gray-800">
+          Notifications {unreadCount > 0 && (
+            <span className="ml-1 px-2 py-0.5 text-sm bg-[#E41E2B] text-white rounded-full align-middle">{unreadCount}</span>
+          )}
+        </h2>
+        <div className="flex items-center gap-4 text-sm">
+          <label className="flex items-center gap-1 text-gray-600">
+            <input
+              type="checkbox"
+              checked={unreadOnly}
+              onChange={(e) => setUnreadOnly(e.target.checked)}
+            />
+            Unread only
+          </label>
+          <button
+            onClick={handleMarkAllRead}
+            disabled={unreadCount === 0}
+            className="text-blue-600 hover:underline disabled:opacity-50"
+          >
+            Mark all as read
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading notifications...</p>
+      ) : notifications.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {unreadOnly ? 'No unread notifications.' : 'No notifications yet.'}
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {notifications.map(notification => (
+            <div
+              key={notification.id}
+              onClick={() => handleMarkRead(notification)}
+              className={`p-3 rounded-lg text-sm border cursor-pointer ${
+                notification.readAt ? 'bg-white border-gray-100' : 'bg-[#F5EDD6] border-[#C09E77]/40'
+              }`}
+            >
+              <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+                <span className="font-medium text-gray-800 text-sm">{notification.title}</span>
+                <span>{new Date(notification.createdAt).toLocaleString()}</span>
+              </div>
+              <p className="text-gray-700 whitespace-pre-line">{notification.message}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination.pages > 1 && (
+        <div className="flex justify-between items-center mt-3 text-xs text-gray-500">
+          <button
+            onClick={() => fetchNotifications(pagination.page - 1)}
+            disabled={pagination.page <= 1}
+            className="hover:underline disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {pagination.page} of {pagination.pages}</span>
+          <button
+            onClick={() => fetchNotifications(pagination.page + 1)}
+            disabled={pagination.page >= pagination.pages}
+            className="hover:underline disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      <div className="mt-8 border-t border-gray-100 pt-4">
+        <h3 className="text-lg font-semibold text-gray-800 mb-3">Preferences</h3>
+        <div className="space-y-3">
+          {CHANNELS.map(channel => (
+            <label key={channel.key} className="flex items-start gap-3">
+              <input
+                type="checkbox"
+                className="mt-1"
+                checked={preferences[channel.key]}
+                disabled={savingChannel !== null}
+                onChange={() => handleTogglePreference(channel.key)}
+              />
+              <span>
+                <span className="block text-sm font-medium text-gray-700">{channel.label}</span>
+                <span className="block text-xs text-gray-500">{channel.description}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+} 
\ No newline at end of file
@@ -0,0 +1,264 @@
+import { useContext, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { AppContext } from '../App';
+import { reportAPI } from '../utils/api';
+
+const PAGE_SIZE = 10;
+const STAFF_ROLES = ['admin', 'manager', 'field_worker'];
+const MODERATOR_ROLES = ['admin', 'manager'];
+
+// Conversation about a report: public comments, replies and staff-only notes
+export default function ReportComments({ reportId }) {
+  const { user } = useContext(AppContext);
+  const [comments, setComments] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [body, setBody] = useState('');
+  const [isInternal, setIsInternal] = useState(false);
+  const [attachments, setAttachments] = useState([]);
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [editBody, setEditBody] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const isStaff = STAFF_ROLES.includes(user?.role);
+  const isModerator = MODERATOR_ROLES.includes(user?.role);
+  const userId = user?.id || user?._id;
+
+  const fetchComments = async (page = 1) => {
+    if (!reportId) return;
+    setLoading(true);
+    const response = await reportAPI.getComments(reportId, { page, limit: PAGE_SIZE });
+
+    if (response.success) {
+      setComments(response.data?.comments || []);
+      setPagination(response.data?.pagination || { page: 1, pages: 1, total: 0 });
+    } else {
+      toast.error(response.error?.message || 'Failed to load comments');
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchComments(1);
+    setReplyTo(null);
+    setEditing(null);
+  }, [reportId]);
+
+  const handleSubmit = async () => {
+    if (!body.trim()) return;
+
+    // Replies to internal notes are internal too
+    const visibility = isInternal || replyTo?.visibility === 'internal' ? 'internal' : 'public';
+
+    let commentData = { body: body.trim(), visibility, parentId: replyTo?.id || null };
+    if (attachments.length > 0) {
+      commentData = new FormData();
+      commentData.append('body', body.trim());
+      commentData.append('visibility', visibility);
+      if (replyTo) commentData.append('parentId', replyTo.id);
+      attachments.forEach(file => commentData.append('attachments', file));
+    }
+
+    setSubmitting(true);
+    const response = await reportAPI.addComment(reportId, commentData);
+    setSubmitting(false);
+
+    if (response.success) {
+      setBody('');
+      setAttachments([]);
+      setReplyTo(null);
+      setIsInternal(false);
+      // New threads are added at the end
+      fetchComments(replyTo ? pagination.page : Math.ceil((pagination.total + 1) / PAGE_SIZE));
+    } else {
+      toast.error(response.error?.message || 'Failed to post comment');
+    }
+  };
+
+  const handleEdit = async (comment) => {
+    if (!editBody.trim()) return;
+
+    const response = await reportAPI.editComment(reportId, comment.id, editBody.trim());
+    if (response.success) {
+      setEditing(null);
+      fetchComments(pagination.page);
+    } else {
+      toast.error(response.error?.message || 'Failed to edit comment');
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    const response = await reportAPI.deleteComment(reportId, comment.id);
+    if (response.success) {
+      fetchComments(pagination.page);
+    } else {
+      toast.error(response.error?.message || 'Failed to delete comment');
+    }
+  };
+
+  const renderComment = (comment, isReply = false) => {
+    const isOwn = comment.authorId === userId;
+    const authorName = comment.author
+      ? `${comment.author.firstName} ${comment.author.lastName}`
+      : 'Unknown user';
+    const authorIsStaff = STAFF_ROLES.includes(comment.author?.role);
+
+    return (
+      <div
+        key={comment.id}
+        className={`${isReply ? 'ml-6 mt-2' : 'mt-3'} p-3 rounded-lg text-sm ${
+          comment.visibility === 'internal' ? 'bg-yellow-50 border border-yellow-200' : 'bg-gray-50'
+        }`}
+      >
+        <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+          <span>
+            <span className="font-medium text-gray-700">{authorName}</span>
+            {authorIsStaff && <span className="ml-1 px-1.5 py-0.5 bg-blue-100 text-blue-700 rounded">Staff</span>}
+            {comment.visibility === 'internal' && <span className="ml-1 px-1.5 py-0.5 bg-yellow-100 text-yellow-800 rounded">Internal</span>}
+          </span>
+          <span>
+            {new Date(comment.createdAt).toLocaleString()}
+            {comment.editedAt && !comment.deletedAt && ' (edited)'}
+          </span>
+        </div>
+
+        {comment.deletedAt ? (
+          <p className="italic text-gray-400">This comment was deleted.</p>
+        ) : editing === comment.id ? (
+          <div>
+            <textarea
+              value={editBody}
+              onChange={(e) => setEditBody(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              rows={2}
+              maxLength={2000}
+            />
+            <div className="flex gap-2 mt-1">
+              <button onClick={() => handleEdit(comment)} className="text-xs text-blue-600 hover:underline">Save</button>
+              <button onClick={() => setEditing(null)} className="text-xs text-gray-500 hover:underline">Cancel</button>
+            </div>
+          </div>
+        ) : (
+          <>
+            <p className="text-gray-700 whitespace-pre-line">{comment.body}</p>
+            {comment.attachments?.length > 0 && (
+              <div className="flex gap-2 mt-2 overflow-x-auto">
+                {comment.attachments.map((attachment, index) => (
+                  <img
+                    key={index}
+                    src={attachment.url}
+                    alt={`Attachment ${index + 1}`}
+                    className="h-20 w-20 object-cover rounded"
+                  />
+                ))}
+              </div>
+            )}
+            <div className="flex gap-3 mt-1 text-xs">
+              {!isReply && (
+                <button onClick={() => setReplyTo(comment)} className="text-blue-600 hover:underline">Reply</button>
+              )}
+              {isOwn && (
+                <button
+                  onClick={() => { setEditing(comment.id); setEditBody(comment.body); }}
+                  className="text-gray-500 hover:underline"
+                >
+                  Edit
+                </button>
+              )}
+              {(isOwn || isModerator) && (
+                <button onClick={() => handleDelete(comment)} className="text-red-600 hover:underline">Delete</button>
+              )}
+            </div>
+          </>
+        )}
+
+        {comment.replies?.map(reply => renderComment(reply, true))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="mt-6 border-t border-gray-100 pt-4">
+      <h4 className="text-sm font-medium text-gray-700 mb-2">
+        Comments {pagination.total > 0 && `(${pagination.total})`}
+      </h4>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading comments...</p>
+      ) : comments.length === 0 ? (
+        <p className="text-sm text-gray-500">No comments yet.</p>
+      ) : (
+        comments.map(comment => renderComment(comment))
+      )}
+
+      {pagination.pages > 1 && (
+        <div className="flex justify-between items-center mt-3 text-xs text-gray-500">
+          <button
+            onClick={() => fetchComments(pagination.page - 1)}
+            disabled={pagination.page <= 1}
+            className="hover:underline disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {pagination.page} of {pagination.pages}</span>
+          <button
+            onClick={() => fetchComments(pagination.page + 1)}
+            disabled={pagination.page >= pagination.pages}
+            className="hover:underline disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      <div className="mt-4">
+        {replyTo && (
+          <div className="flex justify-between text-xs text-gray-500 mb-1">
+            <span>Replying to {replyTo.author?.firstName || 'comment'}</span>
+            <button onClick={() => setReplyTo(null)} className="hover:underline">Cancel</button>
+          </div>
+        )}
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          placeholder={isStaff ? 'Write an update or note...' : 'Ask a question or add details...'}
+          rows={2}
+          maxLength={2000}
+        />
+        <div className="flex flex-wrap items-center justify-between gap-2 mt-2">
+          <div className="flex items-center gap-3">
+            <input
+              type="file"
+              accept="image/*"
+              multiple
+              onChange={(e) => setAttachments(Array.from(e.target.files).slice(0, 3))}
+              className="text-xs"
+            />
+            {isStaff && (
+              <label className="flex items-center gap-1 text-xs text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={isInternal || replyTo?.visibility === 'internal'}
+                  disabled={replyTo?.visibility === 'internal'}
+                  onChange={(e) => setIsInternal(e.target.checked)}
+                />
+                Internal note (staff only)
+              </label>
+            )}
+          </div>
+          <button
+            onClick={handleSubmit}
+            disabled={submitting || !body.trim()}
+            className="px-4 py-2 bg-[#E41E2B] text-white rounded-lg text-sm hover:bg-red-700 transition-all disabled:opacity-50"
+          >
+            {submitting ? 'Posting...' : 'Post'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+} 
\ No newline at end of file
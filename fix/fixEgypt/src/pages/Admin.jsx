@@ -1,11 +1,12 @@
 import "leaflet/dist/leaflet.css";
-import { useMemo, useState, useContext, useEffect } from "react";
+import { useMemo, useState, useContext, useEffect, useRef } from "react";
 import DataTable from "react-data-table-component";
 import { AppContext } from "../App";
 import { toast } from "react-toastify";
 import { useNavigate } from "react-router-dom";
 import { adminAPI } from "../utils/api";
-import { reportAPI } from "../utils/api";
+import { reportAPI, eventsAPI } from "../utils/api";
+import ReportComments from "../components/ReportComments";
 
 // Import Leaflet for map markers
 import L from 'leaflet';
@@ -270,6 +271,7 @@ export default function Admin() {
   
   // State for active tab
   const [activeTab, setActiveTab] = useState("dashboard");
+  const activeTabRef = useRef(activeTab);
   
   // States for data
   const [userList, setUserList] = useState([]);
@@ -409,6 +411,9 @@ export default function Admin() {
             className="block w-full pl-3 pr-9 py-1.5 text-sm border border-gray-300 rounded-md bg-white shadow-sm focus:ring-[#E41E2B] focus:border-[#E41E2B] appearance-none"
           >
             <option value="citizen">Citizen</option>
+            <option value="field_worker">Field Worker</option>
+            <option value="analyst">Analyst</option>
+            <option value="manager">Manager</option>
             <option value="admin">Admin</option>
           </select>
           <div className="absolute inset-y-0 right-0 flex items-center px-2 pointer-events-none">
@@ -755,8 +760,55 @@ export default function Admin() {
     }
   };
 
+  useEffect(() => {
+    activeTabRef.current = activeTab;
+  }, [activeTab]);
+  
+  // Live updates: new reports are refetched, status and AI changes are applied in place
+  useEffect(() => {
+    if (!isAdmin) return;
+    
+    const refreshDashboard = () => {
+      if (activeTabRef.current === "dashboard") {
+        fetchDashboardStats();
+      }
+    };
+    
+    const applyReportUpdate = (update) => {
+      const merge = (report) => report.id === update.id
+        ? { ...report, status: update.status, urgency: update.urgency, aiAnalysis: update.aiAnalysis, updatedAt: update.updatedAt }
+        : report;
+      
+      setReportList(reports => reports.map(merge));
+      setSelectedReport(report => (report ? merge(report) : report));
+    };
+    
+    return eventsAPI.subscribe(["reports", "redemptions"], {
+      "report.created": (report) => {
+        toast.info(`New report: ${report.title}`);
+        fetchReports();
+        refreshDashboard();
+      },
+      "report.status_changed": (update) => {
+        applyReportUpdate(update);
+        refreshDashboard();
+      },
+      "report.analyzed": applyReportUpdate,
+      "redemption.created": () => {
+        if (activeTabRef.current === "redemptions") {
+          fetchRedemptions();
+        }
+      },
+      "redemption.updated": (update) => {
+        setRedemptionList(redemptions => redemptions.map(redemption =>
+          (redemption.id || redemption._id) === update.id ? { ...redemption, status: update.status } : redemption
+        ));
+      }
+    });
+  }, [isAdmin]);
+
   // Handle report status update
-  const handleStatusUpdate = async (reportId, newStatus, note = "") => {
+  const handleStatusUpdate = async (reportId, newStatus, note = "", images = []) => {
     try {
       // Ensure reportId is valid
       if (!reportId) {
@@ -776,8 +828,17 @@ export default function Admin() {
       
       console.log(`Updating report ${normalizedId} status to ${newStatus}`);
       
+      // "After" photos are sent as multipart form data
+      let statusData = { status: newStatus, note };
+      if (images.length > 0) {
+        statusData = new FormData();
+        statusData.append("status", newStatus);
+        statusData.append("note", note);
+        images.forEach(image => statusData.append("images", image));
+      }
+      
       // Call the admin API to update report status
-      const response = await adminAPI.updateReportStatus(normalizedId, { status: newStatus, note });
+      const response = await adminAPI.updateReportStatus(normalizedId, statusData);
       if (response.success) {
         toast.success(`Report status updated to ${newStatus}`);
         // Update the local report lists
@@ -808,6 +869,7 @@ export default function Admin() {
   const [selectedReport, setSelectedReport] = useState(null);
   const [isViewingReport, setIsViewingReport] = useState(false);
   const [statusNote, setStatusNote] = useState("");
+  const [resolutionImages, setResolutionImages] = useState([]);
 
   // Open report details modal
   const openReportDetails = (report) => {
@@ -884,6 +946,7 @@ export default function Admin() {
     setSelectedReport(null);
     setIsViewingReport(false);
     setStatusNote("");
+    setResolutionImages([]);
   };
 
   // Filter states for reports
@@ -934,6 +997,9 @@ export default function Admin() {
       case "rejected":
         className += "bg-red-100 text-red-800";
         break;
+      case "reopened":
+        className += "bg-orange-100 text-orange-800";
+        break;
       default:
         className += "bg-gray-100 text-gray-800";
     }
@@ -1455,6 +1521,9 @@ export default function Admin() {
               options={[
                 { value: "all", label: "All Roles" },
                 { value: "citizen", label: "Citizen" },
+                { value: "field_worker", label: "Field Worker" },
+                { value: "analyst", label: "Analyst" },
+                { value: "manager", label: "Manager" },
                 { value: "admin", label: "Admin" }
               ]}
               value={userRoleFilter}
@@ -1620,7 +1689,8 @@ export default function Admin() {
                 { value: "pending", label: "Pending" },
                 { value: "in-progress", label: "In Progress" },
                 { value: "resolved", label: "Resolved" },
-                { value: "rejected", label: "Rejected" }
+                { value: "rejected", label: "Rejected" },
+                { value: "reopened", label: "Reopened" }
               ]}
               value={reportStatusFilter}
               onChange={(e) => setReportStatusFilter(e.target.value)}
@@ -1778,6 +1848,16 @@ export default function Admin() {
                 {/* Report details */}
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                   <div>
+                    {selectedReport.summary && (
+                      <div className="mb-4">
+                        <h5 className="font-medium text-gray-700 mb-2">Summary</h5>
+                        <div className="bg-gray-50 p-3 rounded border border-gray-200 text-sm text-gray-700 space-y-1">
+                          {selectedReport.summary.en && <p>{selectedReport.summary.en}</p>}
+                          {selectedReport.summary.ar && <p dir="rtl" lang="ar">{selectedReport.summary.ar}</p>}
+                        </div>
+                      </div>
+                    )}
+
                     <h5 className="font-medium text-gray-700 mb-2">Description</h5>
                     <p className="text-gray-600 whitespace-pre-line">{selectedReport.description}</p>
                     
@@ -1797,6 +1877,20 @@ export default function Admin() {
                             <div>Classification: <span className="font-medium capitalize">{selectedReport.aiAnalysis.classification || 'Not classified'}</span></div>
                             <div>AI Urgency: <span className="font-medium">{selectedReport.aiAnalysis.urgency || 'Not assessed'}</span></div>
                             <div>Confidence: <span className="font-medium">{selectedReport.aiAnalysis.confidence ? `${(parseFloat(selectedReport.aiAnalysis.confidence) * 100).toFixed(1)}%` : 'N/A'}</span></div>
+                            {selectedReport.aiAnalysis.images?.length > 1 && (
+                              <div>Image Agreement: <span className="font-medium">{`${Math.round((selectedReport.aiAnalysis.agreement || 0) * 100)}%`}</span></div>
+                            )}
+                            {selectedReport.aiAnalysis.images?.length > 0 && (
+                              <ul className="mt-1 text-xs text-gray-600 list-disc list-inside">
+                                {selectedReport.aiAnalysis.images.map((result, index) => (
+                                  <li key={result.url || index}>
+                                    Image {index + 1}: {result.error
+                                      ? <span className="text-red-600">not analyzed</span>
+                                      : <span className="capitalize">{result.classification} ({Math.round((result.confidence || 0) * 100)}%)</span>}
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
                             {selectedReport.aiAnalysis.analysisTimestamp && (
                               <div>Analyzed: <span className="font-medium">{new Date(selectedReport.aiAnalysis.analysisTimestamp).toLocaleString()}</span></div>
                             )}
@@ -1909,6 +2003,18 @@ export default function Admin() {
                         placeholder="Add a note about this status update..."
                         rows={2}
                       />
+                      {selectedReport.status === "in-progress" && (
+                        <div className="mt-2">
+                          <label className="block text-sm font-medium text-gray-700 mb-1">"After" Photos (attached when resolving)</label>
+                          <input
+                            type="file"
+                            accept="image/*"
+                            multiple
+                            onChange={(e) => setResolutionImages(Array.from(e.target.files).slice(0, 5))}
+                            className="text-sm"
+                          />
+                        </div>
+                      )}
                     </div>
                     <div className="flex items-end space-x-2">
                       <Button
@@ -1918,35 +2024,42 @@ export default function Admin() {
                         }}
                         variant="secondary"
                         size="sm"
-                        disabled={selectedReport.status === "in-progress"}
+                        disabled={!["pending", "reopened"].includes(selectedReport.status)}
                       >
                         Mark In Progress
                       </Button>
                       <Button
                         onClick={() => {
-                          handleStatusUpdate(selectedReport.id, "resolved", statusNote);
+                          handleStatusUpdate(selectedReport.id, "resolved", statusNote, resolutionImages);
                           closeReportDetails();
                         }}
                         variant="secondary"
                         size="sm"
-                        disabled={selectedReport.status === "resolved"}
+                        disabled={selectedReport.status !== "in-progress"}
                       >
                         Mark Resolved
                       </Button>
                       <Button
                         onClick={() => {
+                          if (!statusNote.trim()) {
+                            toast.error("Please add a note explaining why the report is rejected");
+                            return;
+                          }
                           handleStatusUpdate(selectedReport.id, "rejected", statusNote);
                           closeReportDetails();
                         }}
                         variant="secondary"
                         size="sm"
-                        disabled={selectedReport.status === "rejected"}
+                        disabled={!["pending", "in-progress", "reopened"].includes(selectedReport.status)}
                       >
                         Reject
                       </Button>
                     </div>
                   </div>
                 </div>
+                
+                {/* Conversation with the reporter and internal notes */}
+                <ReportComments reportId={selectedReport.id} />
               </div>
             </div>
           </div>
@@ -1966,6 +2079,7 @@ export default function Admin() {
     pointsCost: '',
     category: 'gift_card',
     stock: '',
+    minTier: 'bronze',
     isActive: true
   });
   
@@ -1987,6 +2101,7 @@ export default function Admin() {
       pointsCost: product.pointsCost,
       category: product.category,
       stock: product.stock || '',
+      minTier: product.minTier || 'bronze',
       isActive: product.isActive
     });
     setIsEditingProduct(true);
@@ -2002,6 +2117,7 @@ export default function Admin() {
       pointsCost: '',
       category: 'gift_card',
       stock: '',
+      minTier: 'bronze',
       isActive: true
     });
     setIsEditingProduct(false);
@@ -2092,6 +2208,16 @@ export default function Admin() {
         </span>
       ),
     },
+    {
+      name: "Tier",
+      selector: row => row.minTier || "bronze",
+      sortable: true,
+      cell: row => (
+        <span className="capitalize text-sm">
+          {!row.minTier || row.minTier === "bronze" ? "All" : `${row.minTier}+`}
+        </span>
+      ),
+    },
     {
       name: "Stock",
       selector: row => row.stock,
@@ -2160,6 +2286,13 @@ export default function Admin() {
     { value: "service", label: "Service" },
     { value: "other", label: "Other" },
   ];
+  
+  // Citizen tiers allowed to redeem a product, lowest first
+  const PRODUCT_TIERS = [
+    { value: "bronze", label: "Everyone (Bronze and above)" },
+    { value: "silver", label: "Silver and above" },
+    { value: "gold", label: "Gold only" },
+  ];
 
   // Render products management tab
   const renderProducts = () => (
@@ -2378,6 +2511,25 @@ export default function Admin() {
                       </label>
                     </div>
                   </div>
+                  
+                  <div>
+                    <label htmlFor="minTier" className="block text-sm font-medium text-gray-700">
+                      Available to
+                    </label>
+                    <select
+                      id="minTier"
+                      name="minTier"
+                      value={productForm.minTier}
+                      onChange={handleProductFormChange}
+                      className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-[#E41E2B] focus:border-[#E41E2B]"
+                    >
+                      {PRODUCT_TIERS.map(tier => (
+                        <option key={tier.value} value={tier.value}>
+                          {tier.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
                 </div>
                 
                 <div className="mt-6 flex justify-end space-x-3">
@@ -1565,6 +1565,34 @@ export default function Home() {
                       </span>
                     </div>
                   )}
+                  <div className="text-sm text-gray-600">
+                    <span className="font-semibold">{marker.endorsementCount || 0}</span> {marker.endorsementCount === 1 ? 'person is' : 'people are'} affected by this too
+                  </div>
+                  {isLoggedIn && user && marker.userId !== user.id && ['pending', 'in-progress', 'reopened'].includes(marker.status) && (
+                    <button
+                      onClick={() => {
+                        const request = marker.endorsedByCurrentUser
+                          ? reportAPI.withdrawEndorsement(marker.id)
+                          : reportAPI.endorseReport(marker.id);
+                        request.then(response => {
+                          if (response.success) {
+                            setMarkers(prev => prev.map(m => m.id === marker.id
+                              ? { ...m, endorsementCount: response.data.endorsementCount, endorsedByCurrentUser: response.data.endorsedByCurrentUser }
+                              : m));
+                          } else {
+                            toast.error(response.error?.message || "Failed to update endorsement");
+                          }
+                        });
+                      }}
+                      className={`mt-1 px-2 py-1 rounded text-sm transition-colors ${
+                        marker.endorsedByCurrentUser
+                          ? 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                          : 'bg-[#E41E2B] text-white hover:bg-[#c41925]'
+                      }`}
+                    >
+                      {marker.endorsedByCurrentUser ? 'Undo "Me too"' : 'Me too'}
+                    </button>
+                  )}
                   {isLoggedIn && user && marker.userId === user.id && (
                     <button
                       onClick={() => {
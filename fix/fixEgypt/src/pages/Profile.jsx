@@ -1,9 +1,11 @@
-import { useContext, useState, useEffect } from "react";
+import { useContext, useState, useEffect, useRef } from "react";
 import { useNavigate } from "react-router-dom";
 import { LogOut, Home, MapPin, CalendarDays, Clock, Award, CheckCircle, AlertTriangle, Eye, X, ChevronLeft } from "lucide-react";
 import { AppContext } from "../App";
 import VerificationBanner from "../components/VerificationBanner";
-import { reportAPI } from "../utils/api";
+import ReportComments from "../components/ReportComments";
+import NotificationCenter from "../components/NotificationCenter";
+import { reportAPI, eventsAPI, pointsAPI } from "../utils/api";
 import { toast } from "react-toastify";
 
 // Egyptian-themed colors
@@ -17,6 +19,13 @@ const EGYPT_COLORS = {
   desert: "#E9D8A6"
 };
 
+// Badge colors for citizen tiers
+const TIER_STYLES = {
+  bronze: "bg-amber-100 text-amber-800",
+  silver: "bg-gray-200 text-gray-800",
+  gold: "bg-yellow-100 text-yellow-800"
+};
+
 // Helpers (could be moved to utils)
 function getCategoryColor(category) {
   const colors = {
@@ -56,7 +65,8 @@ function getStatusClasses(status) {
     "in-progress": "bg-blue-100 text-blue-800",
     "in_progress": "bg-blue-100 text-blue-800",
     resolved: "bg-green-100 text-green-800",
-    rejected: "bg-red-100 text-red-800"
+    rejected: "bg-red-100 text-red-800",
+    reopened: "bg-orange-100 text-orange-800"
   };
   return classes[status] || "bg-gray-100 text-gray-800";
 }
@@ -78,11 +88,58 @@ export default function Profile() {
   const [activeTab, setActiveTab] = useState("reports");
   const [selectedReport, setSelectedReport] = useState(null);
   const [showReportModal, setShowReportModal] = useState(false);
+  const [reopenReason, setReopenReason] = useState("");
+  const [reopening, setReopening] = useState(false);
+  const [resolutionRating, setResolutionRating] = useState("");
+  const [pointsSummary, setPointsSummary] = useState(null);
+  
+  const userReportsRef = useRef([]);
   
   useEffect(() => {
     fetchUserReports();
   }, []);
   
+  useEffect(() => {
+    if (activeTab !== "points" || !user) return;
+    
+    pointsAPI.getSummary().then(response => {
+      if (response.success) {
+        setPointsSummary(response.data);
+      }
+    });
+  }, [activeTab, user?.id]);
+  
+  useEffect(() => {
+    userReportsRef.current = userReports;
+  }, [userReports]);
+  
+  // Keep report statuses and AI results up to date without reloading
+  useEffect(() => {
+    if (!user) return;
+    
+    const applyReportUpdate = (update) => {
+      const merge = (report) => report.id === update.id
+        ? { ...report, status: update.status, urgency: update.urgency, aiAnalysis: update.aiAnalysis, updatedAt: update.updatedAt }
+        : report;
+      
+      setUserReports(reports => reports.map(merge));
+      setSelectedReport(report => (report ? merge(report) : report));
+    };
+    
+    return eventsAPI.subscribe(["reports"], {
+      "report.status_changed": (update) => {
+        const report = userReportsRef.current.find(item => item.id === update.id);
+        if (!report) return;
+        
+        applyReportUpdate(update);
+        if (report.status !== update.status) {
+          toast.info(`"${report.title}" is now ${formatStatusLabel(update.status)}`);
+        }
+      },
+      "report.analyzed": applyReportUpdate
+    });
+  }, [user?.id]);
+  
   const fetchUserReports = async () => {
     if (!user) return;
     
@@ -112,6 +169,70 @@ export default function Profile() {
     }
   };
   
+  const handleReopenReport = async () => {
+    if (!selectedReport || reopenReason.trim().length < 10) {
+      toast.error("Please describe why the issue is not resolved (at least 10 characters)");
+      return;
+    }
+    
+    setReopening(true);
+    try {
+      const response = await reportAPI.reopenReport(selectedReport.id, reopenReason.trim());
+      
+      if (response.success) {
+        toast.success("Report reopened");
+        const updatedReport = response.data.report;
+        setSelectedReport(updatedReport);
+        setUserReports(prevReports =>
+          prevReports.map(report => report.id === updatedReport.id ? { ...report, ...updatedReport } : report)
+        );
+        setReopenReason("");
+      } else {
+        toast.error(response.error?.message || "Could not reopen the report");
+      }
+    } catch (error) {
+      console.error("Error reopening report:", error);
+      toast.error("Could not reopen the report");
+    } finally {
+      setReopening(false);
+    }
+  };
+  
+  const handleVerifyResolution = async (decision) => {
+    if (!selectedReport) return;
+    
+    if (decision === "dispute" && reopenReason.trim().length < 10) {
+      toast.error("Please describe why the issue is not resolved (at least 10 characters)");
+      return;
+    }
+    
+    setReopening(true);
+    try {
+      const verification = decision === "confirm"
+        ? { decision, ...(resolutionRating ? { rating: parseInt(resolutionRating, 10) } : {}) }
+        : { decision, comment: reopenReason.trim() };
+      const response = await reportAPI.verifyResolution(selectedReport.id, verification);
+      
+      if (response.success) {
+        toast.success(decision === "confirm" ? "Thanks for confirming the fix" : "Resolution disputed; the report has been reopened");
+        const updatedReport = response.data.report;
+        setSelectedReport(updatedReport);
+        setUserReports(prevReports =>
+          prevReports.map(report => report.id === updatedReport.id ? { ...report, ...updatedReport } : report)
+        );
+        setReopenReason("");
+        setResolutionRating("");
+      } else {
+        toast.error(response.error?.message || "Could not update the resolution");
+      }
+    } catch (error) {
+      console.error("Error verifying resolution:", error);
+      toast.error("Could not update the resolution");
+    } finally {
+      setReopening(false);
+    }
+  };
+  
   const handleLogout = async () => {
     try {
       // Call logout without checking the response
@@ -134,6 +255,8 @@ export default function Profile() {
   const closeReportModal = () => {
     setShowReportModal(false);
     setSelectedReport(null);
+    setReopenReason("");
+    setResolutionRating("");
   };
   
   // Tabs components
@@ -246,11 +369,39 @@ export default function Profile() {
       <div className="bg-white rounded-xl shadow-md p-6 border border-gray-100">
         <div className="text-center mb-8">
           <div className="w-24 h-24 rounded-full bg-gradient-to-r from-[#E41E2B] to-[#C09E77] flex items-center justify-center mx-auto mb-4">
-            <span className="text-3xl font-bold text-white">{user?.points || 0}</span>
+            <span className="text-3xl font-bold text-white">{pointsSummary?.points ?? user?.points ?? 0}</span>
           </div>
           <h3 className="text-xl font-semibold text-gray-800">Total Points</h3>
+          {pointsSummary && (
+            <div className="mt-3 space-y-1">
+              <span className={`inline-block px-3 py-1 rounded-full text-sm font-semibold capitalize ${TIER_STYLES[pointsSummary.tier] || TIER_STYLES.bronze}`}>
+                {pointsSummary.tier} tier{pointsSummary.multiplier > 1 ? ` · x${pointsSummary.multiplier} rewards` : ""}
+              </span>
+              {pointsSummary.nextTier && (
+                <p className="text-sm text-gray-500">
+                  {pointsSummary.pointsToNextTier} more lifetime points to reach <span className="capitalize">{pointsSummary.nextTier}</span>
+                </p>
+              )}
+            </div>
+          )}
         </div>
         
+        {pointsSummary?.expiring?.length > 0 && (
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-6">
+            <h4 className="font-medium text-amber-800 flex items-center">
+              <Clock className="w-5 h-5 mr-2" />
+              Points expiring soon
+            </h4>
+            <ul className="mt-2 text-sm text-amber-700 space-y-1">
+              {pointsSummary.expiring.map(entry => (
+                <li key={entry.expiresAt}>
+                  <strong>{entry.amount} points</strong> on {new Date(entry.expiresAt).toLocaleDateString()}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        
         <div className="border-2 border-dashed border-[#C09E77] rounded-lg p-8 text-center bg-[#C09E77]/5 mb-6">
           <div className="w-16 h-16 mx-auto bg-[#C09E77]/20 rounded-full flex items-center justify-center mb-4">
             <Award className="w-8 h-8 text-[#C09E77]" />
@@ -431,6 +582,16 @@ export default function Profile() {
             >
               Points
             </button>
+            <button
+              className={`flex-1 py-3 px-4 text-center font-medium rounded-md transition-all ${
+                activeTab === "notifications" 
+                  ? "bg-gradient-to-r from-[#E41E2B] to-[#B71922] text-white" 
+                  : "text-gray-500 hover:text-gray-700 hover:bg-gray-50"
+              }`}
+              onClick={() => setActiveTab("notifications")}
+            >
+              Notifications
+            </button>
             <button
               className={`flex-1 py-3 px-4 text-center font-medium rounded-md transition-all ${
                 activeTab === "account" 
@@ -459,6 +620,7 @@ export default function Profile() {
         <div className="bg-white rounded-xl shadow-md p-6 border border-[#C09E77]/30">
           {activeTab === "reports" && <ReportsTab />}
           {activeTab === "points" && <PointsTab />}
+          {activeTab === "notifications" && <NotificationCenter />}
           {activeTab === "account" && <AccountTab />}
         </div>
       </div>
@@ -548,6 +710,75 @@ export default function Profile() {
                 </div>
               </div>
               
+              {selectedReport.status === "resolved" && (() => {
+                const resolution = selectedReport.resolutions?.[selectedReport.resolutions.length - 1];
+                const awaitingVerification = resolution?.verification?.status === "pending";
+                
+                return (
+                  <div className="mt-6 border-t border-gray-100 pt-4">
+                    {resolution?.images?.length > 0 && (
+                      <div className="mb-4">
+                        <h4 className="text-sm font-medium text-gray-700 mb-2">After the Fix</h4>
+                        <div className="flex gap-2 overflow-x-auto">
+                          {resolution.images.map((image, index) => (
+                            <img
+                              key={index}
+                              src={image.url}
+                              alt={`After photo ${index + 1}`}
+                              className="h-24 w-24 object-cover rounded-lg"
+                            />
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                    
+                    {awaitingVerification && (
+                      <div className="mb-4">
+                        <h4 className="text-sm font-medium text-gray-700 mb-2">Is the issue fixed?</h4>
+                        <div className="flex items-center gap-2">
+                          <select
+                            value={resolutionRating}
+                            onChange={(e) => setResolutionRating(e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                          >
+                            <option value="">Rate the fix (optional)</option>
+                            {[5, 4, 3, 2, 1].map(value => (
+                              <option key={value} value={value}>{value} / 5</option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => handleVerifyResolution("confirm")}
+                            disabled={reopening}
+                            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-all disabled:opacity-50"
+                          >
+                            Yes, it's fixed
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                    
+                    <h4 className="text-sm font-medium text-gray-700 mb-2">Not actually fixed?</h4>
+                    <textarea
+                      value={reopenReason}
+                      onChange={(e) => setReopenReason(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                      placeholder="Tell us what is still wrong..."
+                      rows={2}
+                      maxLength={500}
+                    />
+                    <button
+                      onClick={awaitingVerification ? () => handleVerifyResolution("dispute") : handleReopenReport}
+                      disabled={reopening}
+                      className="mt-2 px-4 py-2 bg-[#E41E2B] text-white rounded-lg hover:bg-red-700 transition-all disabled:opacity-50"
+                    >
+                      {reopening ? "Sending..." : awaitingVerification ? "Dispute Resolution" : "Reopen Report"}
+                    </button>
+                  </div>
+                );
+              })()}
+              
+              <ReportComments reportId={selectedReport.id} />
+              
               <div className="mt-6 flex justify-end">
                 <button 
                   onClick={closeReportModal}
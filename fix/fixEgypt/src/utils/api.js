@@ -248,6 +248,21 @@ export const reportAPI = {
   getUserReports: (params) => sendRequest(() => api.get('/users/reports', { params })),
   getReportStatistics: () => sendRequest(() => api.get('/reports/statistics')),
   getNearbyReports: (params) => sendRequest(() => api.get('/reports/nearby', { params })),
+  getEndorsements: (id) => sendRequest(() => api.get(`/reports/${id}/endorsements`)),
+  endorseReport: (id) => sendRequest(() => api.post(`/reports/${id}/endorsements`)),
+  withdrawEndorsement: (id) => sendRequest(() => api.delete(`/reports/${id}/endorsements`)),
+  reopenReport: (id, reason) => sendRequest(() => api.post(`/reports/${id}/reopen`, { reason })),
+  verifyResolution: (id, verification) => sendRequest(() => api.post(`/reports/${id}/resolution/verify`, verification)),
+  getComments: (id, params) => sendRequest(() => api.get(`/reports/${id}/comments`, { params })),
+  addComment: (id, commentData) => {
+    // Photo attachments are sent as multipart form data
+    const config = commentData instanceof FormData
+      ? { headers: { 'Content-Type': 'multipart/form-data' } }
+      : undefined;
+    return sendRequest(() => api.post(`/reports/${id}/comments`, commentData, config));
+  },
+  editComment: (id, commentId, body) => sendRequest(() => api.patch(`/reports/${id}/comments/${commentId}`, { body })),
+  deleteComment: (id, commentId) => sendRequest(() => api.delete(`/reports/${id}/comments/${commentId}`)),
   updateReportStatus: (id, status, note) => {
     // Validate the ID before sending the request
     if (!id) {
@@ -298,7 +313,11 @@ export const adminAPI = {
     }
     
     console.log(`Sending report status update for ID: ${reportId}`);
-    return sendRequest(() => api.patch(`/admin/reports/${reportId}/status`, statusData));
+    // "After" photos are sent as multipart form data
+    const config = statusData instanceof FormData
+      ? { headers: { 'Content-Type': 'multipart/form-data' } }
+      : undefined;
+    return sendRequest(() => api.patch(`/admin/reports/${reportId}/status`, statusData, config));
   },
   
   // Dashboard
@@ -331,4 +350,61 @@ export const adminAPI = {
   getRedemptionStatistics: () => sendRequest(() => api.get('/redemptions/statistics')),
 };
 
+// Notification API endpoints
+export const notificationAPI = {
+  getNotifications: (params = {}) => sendRequest(() => api.get('/notifications', { params })),
+  getUnreadCount: () => sendRequest(() => api.get('/notifications/unread-count')),
+  markRead: (id) => sendRequest(() => api.patch(`/notifications/${id}/read`)),
+  markAllRead: () => sendRequest(() => api.patch('/notifications/read-all')),
+};
+
+// Points API endpoints
+export const pointsAPI = {
+  getSummary: () => sendRequest(() => api.get('/points/balance')),
+};
+
+// Real-time updates over Server-Sent Events
+export const eventsAPI = {
+  /**
+   * Subscribe to live report and redemption events
+   * @param {Array<string>} topics - Topics to subscribe to, e.g. ['reports']
+   * @param {Object} handlers - Event handlers keyed by event name, e.g. { 'report.created': fn }
+   * @returns {Function} Call to close the stream
+   */
+  subscribe: (topics, handlers) => {
+    let source = null;
+    let retryTimer = null;
+    let closed = false;
+
+    const connect = () => {
+      // EventSource cannot send headers, so the token goes in the query string
+      const params = new URLSearchParams({
+        topics: topics.join(','),
+        token: localStorage.getItem('token') || ''
+      });
+      source = new EventSource(`${api.defaults.baseURL}/events?${params}`);
+
+      Object.entries(handlers).forEach(([event, handler]) => {
+        source.addEventListener(event, (message) => handler(JSON.parse(message.data)));
+      });
+
+      // The browser retries dropped streams itself, but gives up on error responses
+      // such as an expired token, so reconnect with the latest token
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED && !closed) {
+          retryTimer = setTimeout(connect, 10000);
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      source?.close();
+    };
+  },
+};
+
 export default api; 
\ No newline at end of file
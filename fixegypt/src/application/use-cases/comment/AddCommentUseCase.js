@@ -0,0 +1,77 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+/**
+ * Use case for posting a comment or staff-only note on a report
+ */
+class AddCommentUseCase {
+  constructor(commentRepository, reportRepository, reportAccessPolicy, options = {}) {
+    this.commentRepository = commentRepository;
+    this.reportRepository = reportRepository;
+    this.reportAccessPolicy = reportAccessPolicy;
+    this.internalRoles = options.internalRoles || ['admin', 'manager', 'field_worker'];
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - Report ID
+   * @param {Object} user - Authenticated user (id and role)
+   * @param {Object} commentData - Comment details
+   * @param {string} commentData.body - Comment text
+   * @param {string} commentData.visibility - 'public' or 'internal'
+   * @param {string} commentData.parentId - ID of the comment being replied to (optional)
+   * @param {Array<string>} commentData.attachments - Uploaded image paths
+   * @returns {Promise<{comment: Comment, report: Report, parent: Comment|null}>} Created comment with its context
+   */
+  async execute(reportId, user, { body, visibility = 'public', parentId = null, attachments = [] }) {
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    if (report.isMerged()) {
+      throw new ApiError(409, `Report has been merged into report ${report.mergedInto}; comment on that report instead`);
+    }
+
+    if (!await this.reportAccessPolicy.canAccess(report, user)) {
+      throw new ApiError(403, 'You do not have permission to comment on this report');
+    }
+
+    const canSeeInternal = this.internalRoles.includes(user.role);
+
+    if (visibility === 'internal' && !canSeeInternal) {
+      throw new ApiError(403, 'Only staff can post internal notes');
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await this.commentRepository.findById(parentId);
+
+      if (!parent || parent.reportId !== report.id || (parent.isInternal() && !canSeeInternal)) {
+        throw new ApiError(404, 'Comment not found');
+      }
+
+      if (parent.isDeleted()) {
+        throw new ApiError(409, 'Cannot reply to a deleted comment');
+      }
+
+      if (parent.isInternal() && visibility !== 'internal') {
+        throw new ApiError(400, 'Replies to internal notes must be internal');
+      }
+    }
+
+    const comment = await this.commentRepository.create({
+      reportId: report.id,
+      authorId: user.id,
+      // Threads are one level deep: replies to a reply join the same thread
+      parentId: parent ? (parent.parentId || parent.id) : null,
+      body: body.trim(),
+      visibility,
+      attachments
+    });
+
+    return { comment, report, parent };
+  }
+}
+
+export default AddCommentUseCase; 
\ No newline at end of file
@@ -0,0 +1,51 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+/**
+ * Use case for deleting a comment
+ * Authors can delete their comments for a limited time; moderators at any time
+ */
+class DeleteCommentUseCase {
+  constructor(commentRepository, options = {}) {
+    this.commentRepository = commentRepository;
+    this.deleteWindowMinutes = options.deleteWindowMinutes || 60;
+    this.moderatorRoles = options.moderatorRoles || ['admin', 'manager'];
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - Report ID
+   * @param {string} commentId - Comment ID
+   * @param {Object} user - Authenticated user (id and role)
+   * @returns {Promise<Comment>} Deleted comment
+   */
+  async execute(reportId, commentId, user) {
+    const comment = await this.commentRepository.findById(commentId);
+    const isModerator = this.moderatorRoles.includes(user.role);
+
+    // Citizens cannot learn about internal notes, not even that they exist
+    if (!comment || comment.reportId !== reportId.toString() ||
+        (comment.isInternal() && !isModerator && !comment.isByUser(user.id))) {
+      throw new ApiError(404, 'Comment not found');
+    }
+
+    if (!isModerator) {
+      if (!comment.isByUser(user.id)) {
+        throw new ApiError(403, 'You can only delete your own comments');
+      }
+
+      if (!comment.isWithinWindow(this.deleteWindowMinutes)) {
+        throw new ApiError(409, `Comments can only be deleted within ${this.deleteWindowMinutes} minutes of being posted`);
+      }
+    }
+
+    const deleted = await this.commentRepository.softDelete(commentId, user.id);
+
+    if (!deleted) {
+      throw new ApiError(409, 'Comment has already been deleted');
+    }
+
+    return deleted;
+  }
+}
+
+export default DeleteCommentUseCase; 
\ No newline at end of file
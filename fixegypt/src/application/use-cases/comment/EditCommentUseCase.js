@@ -0,0 +1,49 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+/**
+ * Use case for an author correcting their comment shortly after posting it
+ */
+class EditCommentUseCase {
+  constructor(commentRepository, options = {}) {
+    this.commentRepository = commentRepository;
+    this.editWindowMinutes = options.editWindowMinutes || 15;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - Report ID
+   * @param {string} commentId - Comment ID
+   * @param {string} userId - ID of the user editing the comment
+   * @param {string} body - New comment text
+   * @returns {Promise<Comment>} Updated comment
+   */
+  async execute(reportId, commentId, userId, body) {
+    const comment = await this.commentRepository.findById(commentId);
+
+    if (!comment || comment.reportId !== reportId.toString()) {
+      throw new ApiError(404, 'Comment not found');
+    }
+
+    if (!comment.isByUser(userId)) {
+      throw new ApiError(403, 'You can only edit your own comments');
+    }
+
+    if (comment.isDeleted()) {
+      throw new ApiError(409, 'Deleted comments cannot be edited');
+    }
+
+    if (!comment.isWithinWindow(this.editWindowMinutes)) {
+      throw new ApiError(409, `Comments can only be edited within ${this.editWindowMinutes} minutes of being posted`);
+    }
+
+    const updated = await this.commentRepository.updateBody(commentId, body.trim());
+
+    if (!updated) {
+      throw new ApiError(409, 'Deleted comments cannot be edited');
+    }
+
+    return updated;
+  }
+}
+
+export default EditCommentUseCase; 
\ No newline at end of file
@@ -0,0 +1,42 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+/**
+ * Use case for reading the conversation about a report
+ */
+class ListReportCommentsUseCase {
+  constructor(commentRepository, reportRepository, reportAccessPolicy, options = {}) {
+    this.commentRepository = commentRepository;
+    this.reportRepository = reportRepository;
+    this.reportAccessPolicy = reportAccessPolicy;
+    this.internalRoles = options.internalRoles || ['admin', 'manager', 'field_worker'];
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - Report ID
+   * @param {Object} user - Authenticated user (id and role)
+   * @param {Object} options - Pagination options
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Threads per page
+   * @returns {Promise<{comments: Comment[], total: number, page: number, limit: number}>} Paginated threads
+   */
+  async execute(reportId, user, { page = 1, limit = 20 } = {}) {
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    if (!await this.reportAccessPolicy.canAccess(report, user)) {
+      throw new ApiError(403, 'You do not have permission to view comments on this report');
+    }
+
+    return this.commentRepository.findByReportId(report.id, {
+      page,
+      limit,
+      includeInternal: this.internalRoles.includes(user.role)
+    });
+  }
+}
+
+export default ListReportCommentsUseCase; 
\ No newline at end of file
@@ -0,0 +1,48 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+/**
+ * Use case for a citizen endorsing ("me too") an existing report
+ */
+class EndorseReportUseCase {
+  constructor(endorsementRepository, reportRepository) {
+    this.endorsementRepository = endorsementRepository;
+    this.reportRepository = reportRepository;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - ID of the report to endorse
+   * @param {string} userId - ID of the endorsing user
+   * @returns {Promise<{endorsement: Endorsement, endorsementCount: number}>} Created endorsement and new count
+   */
+  async execute(reportId, userId) {
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    if (report.isMerged()) {
+      throw new ApiError(409, `Report has been merged into report ${report.mergedInto}; endorse that report instead`);
+    }
+
+    if (!report.isOpen()) {
+      throw new ApiError(400, 'Only open reports can be endorsed');
+    }
+
+    // Citizens who already reported the issue are counted as reporters, not endorsers
+    if (report.getReporterIds().includes(userId.toString())) {
+      throw new ApiError(400, 'You cannot endorse a report you submitted');
+    }
+
+    const result = await this.endorsementRepository.create(report.id, userId);
+
+    if (!result) {
+      throw new ApiError(409, 'You have already endorsed this report');
+    }
+
+    return result;
+  }
+}
+
+export default EndorseReportUseCase; 
\ No newline at end of file
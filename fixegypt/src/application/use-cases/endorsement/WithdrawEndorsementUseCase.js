@@ -0,0 +1,35 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+/**
+ * Use case for a citizen withdrawing their endorsement of a report
+ */
+class WithdrawEndorsementUseCase {
+  constructor(endorsementRepository, reportRepository) {
+    this.endorsementRepository = endorsementRepository;
+    this.reportRepository = reportRepository;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - ID of the endorsed report
+   * @param {string} userId - ID of the endorsing user
+   * @returns {Promise<{endorsementCount: number}>} New endorsement count
+   */
+  async execute(reportId, userId) {
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    const result = await this.endorsementRepository.delete(report.id, userId);
+
+    if (!result) {
+      throw new ApiError(404, 'You have not endorsed this report');
+    }
+
+    return result;
+  }
+}
+
+export default WithdrawEndorsementUseCase; 
\ No newline at end of file
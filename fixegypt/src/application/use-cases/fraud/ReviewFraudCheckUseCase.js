@@ -0,0 +1,48 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+// Status a held check moves to for each review decision
+const REVIEW_STATUSES = {
+  release: 'released',
+  confirm: 'confirmed'
+};
+
+/**
+ * Use case for an admin's review of a report whose points were withheld
+ * Releasing lets the points through; confirming forfeits them
+ */
+class ReviewFraudCheckUseCase {
+  constructor(fraudCheckRepository) {
+    this.fraudCheckRepository = fraudCheckRepository;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - Report ID
+   * @param {string} decision - release or confirm
+   * @param {string} adminId - ID of the admin
+   * @param {string} note - Reason for the decision
+   * @returns {Promise<FraudCheck>} Reviewed check
+   */
+  async execute(reportId, decision, adminId, note = '') {
+    const check = await this.fraudCheckRepository.findByReportId(reportId);
+
+    if (!check) {
+      throw new ApiError(404, 'Fraud check not found');
+    }
+
+    if (check.status !== 'held') {
+      throw new ApiError(409, `The report's points are not held for review (status: ${check.status})`);
+    }
+
+    const reviewed = await this.fraudCheckRepository.review(reportId, REVIEW_STATUSES[decision], adminId, note);
+
+    // Another admin reviewed the report in the meantime
+    if (!reviewed) {
+      throw new ApiError(409, "The report's points are no longer held for review");
+    }
+
+    return reviewed;
+  }
+}
+
+export default ReviewFraudCheckUseCase; 
\ No newline at end of file
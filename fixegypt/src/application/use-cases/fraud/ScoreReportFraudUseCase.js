@@ -0,0 +1,148 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+import { textSimilarity } from '../../../infrastructure/text/textSimilarity.js';
+import { findGovernorate } from '../../../infrastructure/config/governorates.js';
+
+/**
+ * Use case for scoring a report for points farming
+ * Run when a report is created and again when its text, location or photos change, before any of its points are
+ * queued. A report an admin is reviewing or has reviewed keeps its status; only the score and signals are refreshed
+ */
+class ScoreReportFraudUseCase {
+  constructor(reportRepository, userRepository, fraudCheckRepository, fraudScoringPolicy, imageLocationPolicy) {
+    this.reportRepository = reportRepository;
+    this.userRepository = userRepository;
+    this.fraudCheckRepository = fraudCheckRepository;
+    this.fraudScoringPolicy = fraudScoringPolicy;
+    this.imageLocationPolicy = imageLocationPolicy;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - Report ID
+   * @returns {Promise<FraudCheck>} Saved check
+   */
+  async execute(reportId) {
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    const userId = report.userId.toString();
+    const createdAt = new Date(report.createdAt);
+    const minutesBefore = (minutes) => new Date(createdAt.getTime() - minutes * 60 * 1000);
+
+    const [reportsInBurstWindow, reportsToday, reusedImages, closestText, home, previous] = await Promise.all([
+      this.reportRepository.countByUserBetween(userId, minutesBefore(this.fraudScoringPolicy.burstWindowMinutes), createdAt),
+      this.reportRepository.countByUserBetween(userId, minutesBefore(24 * 60), createdAt),
+      this._findReusedImages(report, userId),
+      this._findClosestText(report, userId, minutesBefore(this.fraudScoringPolicy.textLookbackDays * 24 * 60)),
+      this._getHomeDistance(report, userId),
+      this.fraudCheckRepository.findByReportId(reportId)
+    ]);
+
+    const { score, signals, held } = this.fraudScoringPolicy.evaluate({
+      reportsInBurstWindow,
+      reportsToday,
+      reusedImages,
+      closestText,
+      home,
+      locationCheck: report.locationCheck
+    });
+
+    const keepStatus = previous && previous.status !== 'clear';
+
+    return this.fraudCheckRepository.save(reportId, {
+      userId,
+      score,
+      signals,
+      status: keepStatus ? previous.status : (held ? 'held' : 'clear'),
+      checkedAt: new Date()
+    });
+  }
+
+  /**
+   * Hold the points of a report that could not be scored, so they are not paid out unchecked; an admin releases
+   * them from the review queue. A report an admin is reviewing or has reviewed keeps its check
+   * @param {string} reportId - Report ID
+   * @param {string} userId - Reporter ID
+   * @param {Error} error - Why scoring failed
+   * @returns {Promise<FraudCheck>} Saved check
+   */
+  async holdUnscored(reportId, userId, error) {
+    const previous = await this.fraudCheckRepository.findByReportId(reportId);
+
+    if (previous && previous.status !== 'clear') {
+      return previous;
+    }
+
+    return this.fraudCheckRepository.save(reportId, {
+      userId: userId.toString(),
+      score: 0,
+      signals: [{ type: 'scoring_failed', weight: 0, detail: { error: error.message } }],
+      status: 'held',
+      checkedAt: new Date()
+    });
+  }
+
+  /**
+   * Find photos of the report already attached to other reports
+   * @param {Report} report - Report being scored
+   * @param {string} userId - Reporter ID
+   * @returns {Promise<Array<Object>>} Reused images (hash, reportId, sameUser)
+   * @private
+   */
+  async _findReusedImages(report, userId) {
+    const images = await this.reportRepository.findImageMetadata(report.id);
+    const hashes = [...new Set((images || []).map(image => image.hash).filter(Boolean))];
+    const matches = await this.reportRepository.findByImageHashes(hashes, report.id);
+
+    return matches.map(match => ({
+      hash: match.hash,
+      reportId: match.reportId,
+      sameUser: match.userId === userId
+    }));
+  }
+
+  /**
+   * Find the citizen's recent report whose text is most like this one
+   * @param {Report} report - Report being scored
+   * @param {string} userId - Reporter ID
+   * @param {Date} since - Oldest report to compare with
+   * @returns {Promise<Object|null>} Closest report (reportId, similarity), or null if there is none
+   * @private
+   */
+  async _findClosestText(report, userId, since) {
+    const recent = await this.reportRepository.findRecentTextsByUser(userId, since, { excludeId: report.id });
+    const text = `${report.title} ${report.description}`;
+
+    return recent
+      .map(other => ({ reportId: other.id, similarity: textSimilarity(text, `${other.title} ${other.description}`) }))
+      .reduce((closest, other) => (!closest || other.similarity > closest.similarity ? other : closest), null);
+  }
+
+  /**
+   * Measure how far the report is from the center of the citizen's governorate
+   * @param {Report} report - Report being scored
+   * @param {string} userId - Reporter ID
+   * @returns {Promise<Object|null>} Distance (governorate, distanceKm, radiusKm), or null if the governorate is
+   *   unknown
+   * @private
+   */
+  async _getHomeDistance(report, userId) {
+    const user = await this.userRepository.findById(userId);
+    const governorate = user?.governorate ? findGovernorate(user.governorate) : null;
+
+    if (!governorate) {
+      return null;
+    }
+
+    return {
+      governorate: governorate.name,
+      distanceKm: this.imageLocationPolicy.distanceKm(governorate.center, report.location.coordinates),
+      radiusKm: governorate.radiusKm
+    };
+  }
+}
+
+export default ScoreReportFraudUseCase; 
\ No newline at end of file
@@ -0,0 +1,52 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+/**
+ * Use case for an admin manually adding or removing a user's points
+ * Every adjustment is recorded in the ledger with the admin and the reason, so it can be audited later
+ */
+class AdjustPointsUseCase {
+  constructor(pointsRepository, userRepository, notificationDispatcher) {
+    this.pointsRepository = pointsRepository;
+    this.userRepository = userRepository;
+    this.notificationDispatcher = notificationDispatcher;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} userId - User whose balance is adjusted
+   * @param {number} amount - Points to add (positive) or remove (negative)
+   * @param {string} adminId - Admin making the adjustment
+   * @param {string} reason - Why the balance is being adjusted
+   * @returns {Promise<Object>} Updated user and the adjustment transaction
+   */
+  async execute(userId, amount, adminId, reason) {
+    if (!Number.isInteger(amount) || amount === 0) {
+      throw new ApiError(400, 'Amount must be a non-zero whole number of points');
+    }
+
+    if (!reason?.trim()) {
+      throw new ApiError(400, 'A reason is required to adjust points');
+    }
+
+    const user = await this.userRepository.findById(userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    const result = await this.pointsRepository.adjustPoints(userId, amount, adminId, reason.trim());
+
+    if (!result) {
+      const balance = await this.pointsRepository.getBalance(userId);
+      throw new ApiError(409, `Adjustment would make the balance negative. Current balance: ${balance}`);
+    }
+
+    await this.notificationDispatcher.pointsAdjusted(user, amount, reason.trim(), {
+      transactionId: result.transaction.id
+    });
+
+    return result;
+  }
+}
+
+export default AdjustPointsUseCase; 
\ No newline at end of file
@@ -0,0 +1,74 @@
+/**
+ * Use case for awarding points to a citizen who endorsed a report
+ */
+class AwardPointsForEndorsementUseCase {
+  constructor(pointsRepository, endorsementRepository, reportRepository, notificationDispatcher, calculateReportPointsUseCase) {
+    this.pointsRepository = pointsRepository;
+    this.endorsementRepository = endorsementRepository;
+    this.reportRepository = reportRepository;
+    this.notificationDispatcher = notificationDispatcher;
+    this.calculateReportPointsUseCase = calculateReportPointsUseCase;
+  }
+
+  /**
+   * Execute the use case
+   * Endorsements earn nothing until a points rule is set up for them. Each citizen is awarded once per report,
+   * so withdrawing and endorsing again earns nothing more
+   * @param {string} reportId - Endorsed report ID
+   * @param {string} userId - Endorsing user ID
+   * @returns {Promise<Object>} Result with user, points, transaction and whether points were already awarded
+   */
+  async execute(reportId, userId) {
+    const report = await this.reportRepository.findById(reportId);
+    const endorsement = report ? await this.endorsementRepository.findByReportAndUser(report.id, userId) : null;
+
+    // The endorsement was withdrawn before the award ran
+    if (!endorsement) {
+      return { user: null, pointsAwarded: 0, transaction: null, alreadyAwarded: false };
+    }
+
+    const calculation = await this.calculateReportPointsUseCase.execute(report, 'report_endorsed', userId);
+
+    if (calculation.points === 0) {
+      return { user: null, pointsAwarded: 0, transaction: null, alreadyAwarded: false };
+    }
+
+    const description = this.calculateReportPointsUseCase.describe(
+      `Points awarded for endorsing report: ${report.title}`,
+      calculation
+    );
+
+    const result = await this.pointsRepository.addPoints(
+      userId,
+      calculation.points,
+      'report_endorsed',
+      report.id,
+      description,
+      {
+        idempotencyKey: `report_endorsed:${report.id}:${userId}`,
+        dailyCap: calculation.dailyCap !== null ? { limit: calculation.dailyCap, since: calculation.dayStart } : null
+      }
+    );
+
+    const pointsAwarded = result.duplicate || !result.transaction ? 0 : result.transaction.amount;
+
+    if (pointsAwarded > 0) {
+      await this.notificationDispatcher.pointsAwarded(
+        userId,
+        pointsAwarded,
+        result.transaction.description,
+        { reportId: report.id }
+      );
+    }
+
+    return {
+      user: result.user,
+      pointsAwarded,
+      capped: result.capped,
+      transaction: result.transaction,
+      alreadyAwarded: result.duplicate
+    };
+  }
+}
+
+export default AwardPointsForEndorsementUseCase; 
\ No newline at end of file
@@ -2,40 +2,76 @@
  * Use case for awarding points when a report is submitted
  */
 class AwardPointsForReportSubmissionUseCase {
-  constructor(pointsRepository, userRepository, reportRepository) {
+  constructor(pointsRepository, userRepository, reportRepository, notificationDispatcher, calculateReportPointsUseCase) {
     this.pointsRepository = pointsRepository;
     this.userRepository = userRepository;
     this.reportRepository = reportRepository;
+    this.notificationDispatcher = notificationDispatcher;
+    this.calculateReportPointsUseCase = calculateReportPointsUseCase;
   }
 
   /**
    * Execute the use case
    * @param {string} reportId - Report ID
-   * @returns {Promise<Object>} Result with user, points, and transaction
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.releasedAfterReview - Passed on to CalculateReportPointsUseCase.prepareAward
+   * @returns {Promise<Object>} Result with user, points, transaction and whether points were already awarded or
+   *   withheld for a fraud review
    */
-  async execute(reportId) {
+  async execute(reportId, { releasedAfterReview = false } = {}) {
     // Find the report
     const report = await this.reportRepository.findById(reportId);
     
+    // Reports held by moderation earn their points when a moderator approves them
+    if (report.isHidden()) {
+      return { user: null, pointsAwarded: 0, transaction: null, alreadyAwarded: false };
+    }
+    
     // Find the report owner
     const user = await this.userRepository.findById(report.userId);
     
-    // Add points to user - fixed amount for submission
-    const pointsAmount = 25;
+    // Calculate points from the rules in effect, unless they are withheld for a fraud review
+    const award = await this.calculateReportPointsUseCase.prepareAward(report, 'report_submission', user.id, {
+      releasedAfterReview
+    });
+    
+    if (!award) {
+      return { user: null, pointsAwarded: 0, transaction: null, alreadyAwarded: false, withheld: true };
+    }
+    
+    const { calculation } = award;
+    const description = this.calculateReportPointsUseCase.describe(
+      `Points awarded for submitting report: ${report.title}`,
+      calculation
+    );
     
-    // Add points to user
+    // Add points to user, within the daily cap
     const result = await this.pointsRepository.addPoints(
       user.id,
-      pointsAmount,
+      calculation.points,
       'report_submission',
       reportId,
-      `Points awarded for submitting report: ${report.title}`
+      description,
+      award.options
     );
     
+    const pointsAwarded = result.duplicate || !result.transaction ? 0 : result.transaction.amount;
+    
+    if (pointsAwarded > 0) {
+      await this.notificationDispatcher.pointsAwarded(
+        user.id,
+        pointsAwarded,
+        result.transaction.description,
+        { reportId }
+      );
+    }
+    
     return {
       user: result.user,
-      pointsAwarded: pointsAmount,
-      transaction: result.transaction
+      pointsAwarded,
+      capped: result.capped,
+      transaction: result.transaction,
+      alreadyAwarded: result.duplicate
     };
   }
 }
@@ -2,19 +2,26 @@
  * Use case for awarding points when a report is resolved
  */
 class AwardPointsForReportUseCase {
-  constructor(pointsRepository, userRepository, reportRepository) {
+  constructor(pointsRepository, userRepository, reportRepository, notificationDispatcher, calculateReportPointsUseCase) {
     this.pointsRepository = pointsRepository;
     this.userRepository = userRepository;
     this.reportRepository = reportRepository;
+    this.notificationDispatcher = notificationDispatcher;
+    this.calculateReportPointsUseCase = calculateReportPointsUseCase;
   }
 
   /**
    * Execute the use case
+   * Points are awarded once per report, even if it is reopened and resolved again. The amount comes from the
+   * points rules and is multiplied by the reporter's citizen tier
    * @param {string} reportId - Report ID
    * @param {string} adminId - Admin ID who resolved the report
-   * @returns {Promise<Object>} Result with user, points, and transaction
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.releasedAfterReview - Passed on to CalculateReportPointsUseCase.prepareAward
+   * @returns {Promise<Object>} Result with user, points, transaction and whether points were already awarded or
+   *   withheld for a fraud review
    */
-  async execute(reportId, adminId) {
+  async execute(reportId, adminId, { releasedAfterReview = false } = {}) {
     // Find the report
     const report = await this.reportRepository.findById(reportId);
     
@@ -26,29 +33,65 @@ class AwardPointsForReportUseCase {
     // Find the report owner
     const user = await this.userRepository.findById(report.userId);
     
-    // Calculate points based on report urgency
-    const pointsMap = {
-      'low': 50,
-      'medium': 100,
-      'high': 150,
-      'critical': 200
-    };
+    // Transactions recorded before idempotency keys existed have no key
+    const existingTransaction = await this.pointsRepository.findEarningTransaction(
+      user.id,
+      'report_resolved',
+      reportId
+    );
     
-    const pointsAmount = pointsMap[report.urgency] || 100;
+    if (existingTransaction) {
+      return {
+        user,
+        pointsAwarded: 0,
+        transaction: existingTransaction,
+        alreadyAwarded: true
+      };
+    }
+    
+    // Calculate points from the rules in effect, by urgency when no rule matches, unless they are withheld for a
+    // fraud review
+    const award = await this.calculateReportPointsUseCase.prepareAward(report, 'report_resolved', user.id, {
+      releasedAfterReview
+    });
     
-    // Add points to user
+    if (!award) {
+      return { user: null, pointsAwarded: 0, transaction: null, alreadyAwarded: false, withheld: true };
+    }
+    
+    const { calculation } = award;
+    const description = this.calculateReportPointsUseCase.describe(
+      `Points awarded for resolved report: ${report.title}`,
+      calculation
+    );
+    
+    // Add points to user, within the daily cap
     const result = await this.pointsRepository.addPoints(
       user.id,
-      pointsAmount,
+      calculation.points,
       'report_resolved',
       reportId,
-      `Points awarded for resolved report: ${report.title}`
+      description,
+      award.options
     );
     
+    const pointsAwarded = result.duplicate || !result.transaction ? 0 : result.transaction.amount;
+    
+    if (pointsAwarded > 0) {
+      await this.notificationDispatcher.pointsAwarded(
+        user.id,
+        pointsAwarded,
+        result.transaction.description,
+        { reportId, tier: calculation.tier }
+      );
+    }
+    
     return {
       user: result.user,
-      pointsAwarded: pointsAmount,
-      transaction: result.transaction
+      pointsAwarded,
+      capped: result.capped,
+      transaction: result.transaction,
+      alreadyAwarded: result.duplicate
     };
   }
 }
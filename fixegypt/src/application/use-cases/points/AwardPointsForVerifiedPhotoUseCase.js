@@ -0,0 +1,79 @@
+/**
+ * Use case for awarding points when a report's photos were taken where the issue was reported
+ */
+class AwardPointsForVerifiedPhotoUseCase {
+  constructor(pointsRepository, reportRepository, notificationDispatcher, calculateReportPointsUseCase) {
+    this.pointsRepository = pointsRepository;
+    this.reportRepository = reportRepository;
+    this.notificationDispatcher = notificationDispatcher;
+    this.calculateReportPointsUseCase = calculateReportPointsUseCase;
+  }
+
+  /**
+   * Execute the use case
+   * Verified photos earn nothing until a points rule is set up for them, and at most once per report
+   * @param {string} reportId - Report ID
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.releasedAfterReview - Passed on to CalculateReportPointsUseCase.prepareAward
+   * @returns {Promise<Object>} Result with user, points, transaction and whether points were already awarded or
+   *   withheld for a fraud review
+   */
+  async execute(reportId, { releasedAfterReview = false } = {}) {
+    const report = await this.reportRepository.findById(reportId);
+
+    // Reports held by moderation earn their points when a moderator approves them; the photos may also have
+    // been replaced since the check that queued the award
+    if (!report || report.isHidden() || report.locationCheck?.status !== 'consistent') {
+      return { user: null, pointsAwarded: 0, transaction: null, alreadyAwarded: false };
+    }
+
+    const award = await this.calculateReportPointsUseCase.prepareAward(report, 'photo_verified', report.userId, {
+      releasedAfterReview
+    });
+
+    if (!award) {
+      return { user: null, pointsAwarded: 0, transaction: null, alreadyAwarded: false, withheld: true };
+    }
+
+    const { calculation } = award;
+
+    if (calculation.points === 0) {
+      return { user: null, pointsAwarded: 0, transaction: null, alreadyAwarded: false };
+    }
+
+    const description = this.calculateReportPointsUseCase.describe(
+      `Points awarded for a verified photo on report: ${report.title}`,
+      calculation
+    );
+
+    const result = await this.pointsRepository.addPoints(
+      report.userId,
+      calculation.points,
+      'photo_verified',
+      report.id,
+      description,
+      award.options
+    );
+
+    const pointsAwarded = result.duplicate || !result.transaction ? 0 : result.transaction.amount;
+
+    if (pointsAwarded > 0) {
+      await this.notificationDispatcher.pointsAwarded(
+        report.userId,
+        pointsAwarded,
+        result.transaction.description,
+        { reportId: report.id }
+      );
+    }
+
+    return {
+      user: result.user,
+      pointsAwarded,
+      capped: result.capped,
+      transaction: result.transaction,
+      alreadyAwarded: result.duplicate
+    };
+  }
+}
+
+export default AwardPointsForVerifiedPhotoUseCase; 
\ No newline at end of file
@@ -0,0 +1,114 @@
+/**
+ * Use case for working out what a points event about a report earns a citizen
+ * Used by every award and by the admin dry run, so both always agree. The fraud check repository is only needed
+ * by prepareAward
+ */
+class CalculateReportPointsUseCase {
+  constructor(pointsRuleRepository, pointsRepository, pointsRulesEngine, tierPolicy, fraudCheckRepository = null) {
+    this.pointsRuleRepository = pointsRuleRepository;
+    this.pointsRepository = pointsRepository;
+    this.pointsRulesEngine = pointsRulesEngine;
+    this.tierPolicy = tierPolicy;
+    this.fraudCheckRepository = fraudCheckRepository;
+  }
+
+  /**
+   * Execute the use case
+   * Only resolved reports are multiplied by the citizen's tier
+   * @param {Report} report - Report the event is about
+   * @param {string} event - Points event
+   * @param {string} userId - Citizen who would earn the points
+   * @param {Object} options - Calculation options
+   * @param {Date} options.at - Time of the event, e.g. to try a campaign that has not started yet
+   * @returns {Promise<Object>} Rule breakdown with points, the daily cap, points already earned today and the
+   *   points that would be awarded (awardable)
+   */
+  async execute(report, event, userId, { at = new Date() } = {}) {
+    const rules = await this.pointsRuleRepository.findInEffect(event, at);
+
+    let tier = null;
+    let tierMultiplier = 1;
+    if (event === 'report_resolved') {
+      tier = this.tierPolicy.getTier(await this.pointsRepository.getLifetimeEarned(userId));
+      tierMultiplier = this.tierPolicy.getMultiplier(tier);
+    }
+
+    const evaluation = this.pointsRulesEngine.evaluate(rules, event, {
+      category: report.category,
+      urgency: report.urgency,
+      governorate: report.location?.governorate
+    }, { at, tierMultiplier });
+
+    const dayStart = this.pointsRulesEngine.getDayStart(at);
+    const earnedToday = evaluation.dailyCap !== null
+      ? await this.pointsRepository.getEarnedSince(userId, event, dayStart)
+      : null;
+
+    return {
+      event,
+      userId: userId.toString(),
+      tier,
+      ...evaluation,
+      dayStart,
+      earnedToday,
+      awardable: evaluation.dailyCap !== null
+        ? Math.min(evaluation.points, Math.max(0, evaluation.dailyCap - earnedToday))
+        : evaluation.points
+    };
+  }
+
+  /**
+   * Work out the award of a points event about a report, with the options to record it under
+   * Reports flagged for points farming earn nothing until an admin releases them. Released points were earned on
+   * earlier days, so they are not held to the daily cap of the release day
+   * @param {Report} report - Report the event is about
+   * @param {string} event - Points event, also the source of the award
+   * @param {string} userId - Citizen who earns the points
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.releasedAfterReview - The points were withheld for a fraud review and an admin
+   *   released them
+   * @returns {Promise<Object|null>} { calculation, options } where options are the addPoints options
+   *   (idempotencyKey, dailyCap), or null if the report's points are withheld for a fraud review
+   */
+  async prepareAward(report, event, userId, { releasedAfterReview = false } = {}) {
+    const fraudCheck = await this.fraudCheckRepository.findByReportId(report.id);
+
+    if (fraudCheck?.isWithholdingPoints()) {
+      return null;
+    }
+
+    const calculation = await this.execute(report, event, userId);
+
+    return {
+      calculation,
+      options: {
+        idempotencyKey: `${event}:${report.id}`,
+        dailyCap: calculation.dailyCap !== null && !releasedAfterReview
+          ? { limit: calculation.dailyCap, since: calculation.dayStart }
+          : null
+      }
+    };
+  }
+
+  /**
+   * Add the campaign and tier that changed an award to its description
+   * @param {string} description - Description of the award
+   * @param {Object} calculation - Result of execute
+   * @returns {string} Description for the points transaction
+   */
+  describe(description, calculation) {
+    const notes = [];
+
+    if (calculation.multiplierRule && calculation.multiplier !== 1) {
+      notes.push(`${calculation.multiplierRule.name} x${calculation.multiplier}`);
+    }
+
+    if (calculation.tier && calculation.tierMultiplier !== 1) {
+      notes.push(`${calculation.tier} tier x${calculation.tierMultiplier}`);
+    }
+
+    return notes.length > 0 ? `${description} (${notes.join(', ')})` : description;
+  }
+}
+
+export default CalculateReportPointsUseCase; 
\ No newline at end of file
@@ -0,0 +1,61 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+import { POINTS_EVENTS } from '../../../domain/entities/PointsRule.js';
+
+/**
+ * Use case for showing what a report would earn under the current points rules, without awarding anything
+ */
+class DryRunPointsRulesUseCase {
+  constructor(reportRepository, pointsRepository, calculateReportPointsUseCase) {
+    this.reportRepository = reportRepository;
+    this.pointsRepository = pointsRepository;
+    this.calculateReportPointsUseCase = calculateReportPointsUseCase;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - Report ID
+   * @param {Object} options - Dry run options
+   * @param {Array<string>} options.events - Events to evaluate; every event by default
+   * @param {string} options.userId - Citizen whose tier and daily caps are used; the reporter by default. Only
+   *   endorsements are earned by someone other than the reporter
+   * @param {Date} options.at - Time to evaluate the rules at, e.g. to try a campaign before it starts
+   * @returns {Promise<Object>} { report, userId, at, events, total } where total adds up the points each event
+   *   that has not been awarded yet would earn
+   */
+  async execute(reportId, { events = POINTS_EVENTS, userId = null, at = new Date() } = {}) {
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    const citizenId = userId || report.userId;
+    const results = [];
+
+    for (const event of events) {
+      const calculation = await this.calculateReportPointsUseCase.execute(report, event, citizenId, { at });
+      const existing = await this.pointsRepository.findEarningTransaction(citizenId, event, report.id);
+
+      results.push({ ...calculation, alreadyAwarded: !!existing });
+    }
+
+    return {
+      report: {
+        id: report.id,
+        title: report.title,
+        status: report.status,
+        category: report.category,
+        urgency: report.urgency,
+        governorate: report.location?.governorate || ''
+      },
+      userId: citizenId.toString(),
+      at,
+      events: results,
+      total: results
+        .filter(result => !result.alreadyAwarded)
+        .reduce((sum, result) => sum + result.awardable, 0)
+    };
+  }
+}
+
+export default DryRunPointsRulesUseCase; 
\ No newline at end of file
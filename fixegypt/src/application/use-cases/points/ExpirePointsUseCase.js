@@ -0,0 +1,61 @@
+/**
+ * Use case for expiring points that reached the end of their lifetime and warning citizens beforehand
+ */
+class ExpirePointsUseCase {
+  constructor(pointsRepository, notificationDispatcher, pointsExpiryPolicy) {
+    this.pointsRepository = pointsRepository;
+    this.notificationDispatcher = notificationDispatcher;
+    this.pointsExpiryPolicy = pointsExpiryPolicy;
+  }
+
+  /**
+   * Execute the use case
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Summary with users checked, users whose points expired, points expired and warnings sent
+   */
+  async execute(now = new Date()) {
+    const summary = { checked: 0, expiredUsers: 0, pointsExpired: 0, warned: 0 };
+
+    if (!this.pointsExpiryPolicy.isEnabled()) {
+      return summary;
+    }
+
+    const candidates = await this.pointsRepository.findExpiryCandidates(
+      this.pointsExpiryPolicy.getCandidateCutoff(now)
+    );
+    const runDate = now.toISOString().slice(0, 10);
+
+    for (const user of candidates) {
+      summary.checked++;
+
+      const ledger = await this.pointsRepository.getLedger(user.id);
+      const { expired, expiring } = this.pointsExpiryPolicy.evaluate(ledger, now);
+
+      if (expired > 0) {
+        const result = await this.pointsRepository.expirePoints(user.id, expired, `points_expiry:${user.id}:${runDate}`);
+
+        if (result) {
+          summary.expiredUsers++;
+          summary.pointsExpired += result.expired;
+          await this.notificationDispatcher.pointsExpired(user.id, result.expired, result.user.points);
+        }
+      }
+
+      // Warn once about each batch of points, not on every run until they expire
+      const warnedUntil = user.pointsExpiryWarnedUntil ? new Date(user.pointsExpiryWarnedUntil) : null;
+      const unwarned = expiring.filter(entry => !warnedUntil || entry.expiresAt > warnedUntil);
+
+      if (unwarned.length > 0) {
+        const amount = unwarned.reduce((total, entry) => total + entry.amount, 0);
+
+        await this.notificationDispatcher.pointsExpiring(user.id, amount, unwarned[0].expiresAt);
+        await this.pointsRepository.markExpiryWarned(user.id, unwarned[unwarned.length - 1].expiresAt);
+        summary.warned++;
+      }
+    }
+
+    return summary;
+  }
+}
+
+export default ExpirePointsUseCase; 
\ No newline at end of file
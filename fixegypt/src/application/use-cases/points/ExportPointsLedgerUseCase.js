@@ -0,0 +1,65 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+import PointsTransaction from '../../../domain/entities/PointsTransaction.js';
+
+/**
+ * Use case for exporting a user's full points ledger
+ * Each entry carries the running balance recomputed from the ledger next to the balance snapshot stored
+ * with the transaction, so an auditor can see where the two part ways
+ */
+class ExportPointsLedgerUseCase {
+  constructor(pointsRepository, userRepository) {
+    this.pointsRepository = pointsRepository;
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { user, entries, ledgerBalance, drift }
+   */
+  async execute(userId) {
+    const user = await this.userRepository.findById(userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    const transactions = await this.pointsRepository.getLedger(userId);
+    let runningBalance = 0;
+
+    const entries = transactions.map(transaction => {
+      const change = PointsTransaction.signedAmount(transaction);
+      runningBalance += change;
+
+      return {
+        id: transaction._id.toString(),
+        createdAt: transaction.createdAt,
+        type: transaction.type,
+        source: transaction.source,
+        change,
+        runningBalance,
+        snapshotBalance: transaction.balance,
+        description: transaction.description,
+        referenceId: transaction.referenceId ? transaction.referenceId.toString() : null,
+        adminId: transaction.adminId ? (transaction.adminId._id || transaction.adminId).toString() : null,
+        adminName: transaction.adminId?.firstName
+          ? `${transaction.adminId.firstName} ${transaction.adminId.lastName}`
+          : null
+      };
+    });
+
+    return {
+      user: {
+        id: user.id,
+        name: `${user.firstName} ${user.lastName}`,
+        email: user.email,
+        points: user.points
+      },
+      entries,
+      ledgerBalance: runningBalance,
+      drift: user.points - runningBalance
+    };
+  }
+}
+
+export default ExportPointsLedgerUseCase; 
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * Use case for a citizen's points overview: balance, tier and points about to expire
+ */
+class GetPointsSummaryUseCase {
+  constructor(pointsRepository, tierPolicy, pointsExpiryPolicy) {
+    this.pointsRepository = pointsRepository;
+    this.tierPolicy = tierPolicy;
+    this.pointsExpiryPolicy = pointsExpiryPolicy;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { points, lifetimePoints, tier, multiplier, nextTier, pointsToNextTier, expiring }
+   */
+  async execute(userId) {
+    const [points, lifetimePoints, ledger] = await Promise.all([
+      this.pointsRepository.getBalance(userId),
+      this.pointsRepository.getLifetimeEarned(userId),
+      this.pointsRepository.getLedger(userId)
+    ]);
+
+    return {
+      points,
+      lifetimePoints,
+      ...this.tierPolicy.getStatus(lifetimePoints),
+      expiring: this.pointsExpiryPolicy.evaluate(ledger).expiring
+    };
+  }
+}
+
+export default GetPointsSummaryUseCase; 
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * Use case for checking stored points balances against the ledger
+ * The ledger of points transactions is the source of truth: a user's balance should equal the sum of their
+ * transactions. Drifted balances are reported and, when repair is requested, reset to the ledger sum
+ */
+class ReconcilePointsLedgerUseCase {
+  constructor(pointsRepository, options = {}) {
+    this.pointsRepository = pointsRepository;
+    // Most drifted users listed in the summary; the counts always cover all of them
+    this.reportLimit = options.reportLimit || 100;
+  }
+
+  /**
+   * Execute the use case
+   * @param {Object} options - Run options
+   * @param {boolean} options.repair - Reset drifted balances to the ledger sum
+   * @param {string} options.userId - Only reconcile this user
+   * @returns {Promise<Object>} Summary with checked, drifted, repaired, skipped and unrepairable counts,
+   *   the total drift and the drifted users
+   */
+  async execute({ repair = false, userId = null } = {}) {
+    const { checked, drifted } = await this.pointsRepository.findBalanceDrift({ userId });
+    const summary = {
+      checked,
+      drifted: drifted.length,
+      totalDrift: drifted.reduce((total, entry) => total + entry.drift, 0),
+      repaired: 0,
+      skipped: 0,
+      unrepairable: 0,
+      repair,
+      users: []
+    };
+
+    for (const entry of drifted) {
+      let action = 'reported';
+
+      if (repair) {
+        if (entry.ledgerBalance < 0) {
+          // A negative ledger cannot become a balance; it needs an admin adjustment instead
+          action = 'unrepairable';
+          summary.unrepairable++;
+        } else if (await this.pointsRepository.setBalance(entry.userId, entry.points, entry.ledgerBalance)) {
+          action = 'repaired';
+          summary.repaired++;
+        } else {
+          // The balance changed while we were checking; the next run will look at it again
+          action = 'skipped';
+          summary.skipped++;
+        }
+      }
+
+      if (summary.users.length < this.reportLimit) {
+        summary.users.push({
+          userId: entry.userId.toString(),
+          points: entry.points,
+          ledgerBalance: entry.ledgerBalance,
+          lastSnapshot: entry.lastSnapshot,
+          transactions: entry.transactions,
+          drift: entry.drift,
+          action
+        });
+      }
+    }
+
+    return summary;
+  }
+}
+
+export default ReconcilePointsLedgerUseCase; 
\ No newline at end of file
@@ -0,0 +1,71 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+// Fields an admin may set on a points rule
+const RULE_FIELDS = [
+  'name', 'description', 'event', 'kind', 'points', 'multiplier', 'conditions',
+  'startsAt', 'endsAt', 'dailyCap', 'priority', 'isActive'
+];
+
+/**
+ * Use case for creating or updating a points rule
+ */
+class SavePointsRuleUseCase {
+  constructor(pointsRuleRepository) {
+    this.pointsRuleRepository = pointsRuleRepository;
+  }
+
+  /**
+   * Execute the use case
+   * An update is checked together with the fields it leaves unchanged, e.g. a new end date against the
+   * rule's existing start date
+   * @param {string|null} ruleId - Rule to update, or null to create one
+   * @param {Object} ruleData - Rule fields; unknown fields are ignored
+   * @param {string} adminId - Admin saving the rule
+   * @returns {Promise<PointsRule>} Saved rule
+   */
+  async execute(ruleId, ruleData, adminId) {
+    const changes = Object.fromEntries(
+      RULE_FIELDS.filter(field => ruleData[field] !== undefined).map(field => [field, ruleData[field]])
+    );
+
+    let existing = null;
+    if (ruleId) {
+      existing = await this.pointsRuleRepository.findById(ruleId);
+
+      if (!existing) {
+        throw new ApiError(404, 'Points rule not found');
+      }
+    }
+
+    this._validate({ ...existing, ...changes });
+
+    if (!existing) {
+      return this.pointsRuleRepository.create({ ...changes, createdBy: adminId, updatedBy: adminId });
+    }
+
+    return this.pointsRuleRepository.update(ruleId, { ...changes, updatedBy: adminId });
+  }
+
+  /**
+   * Check a rule as it will be saved
+   * @param {Object} rule - Rule fields
+   * @private
+   */
+  _validate(rule) {
+    const kind = rule.kind || 'award';
+
+    if (rule.startsAt && rule.endsAt && new Date(rule.endsAt) <= new Date(rule.startsAt)) {
+      throw new ApiError(400, 'The end date must be after the start date');
+    }
+
+    if (kind === 'multiplier' && (rule.multiplier === undefined || rule.multiplier === 1)) {
+      throw new ApiError(400, 'A multiplier rule needs a multiplier other than 1');
+    }
+
+    if (kind === 'bonus' && !rule.points) {
+      throw new ApiError(400, 'A bonus rule needs a number of points');
+    }
+  }
+}
+
+export default SavePointsRuleUseCase; 
\ No newline at end of file
@@ -1,3 +1,5 @@
+import { CITIZEN_TIERS } from '../../../domain/services/TierPolicy.js';
+
 /**
  * Use case for creating a new product
  */
@@ -15,6 +17,7 @@ class CreateProductUseCase {
    * @param {string} productData.category - Product category
    * @param {string} productData.image - Product image URL (optional)
    * @param {number} productData.stock - Product stock (optional, null for unlimited)
+   * @param {string} productData.minTier - Lowest citizen tier that may redeem it (optional, bronze for everyone)
    * @returns {Promise<Object>} Created product
    */
   async execute(productData) {
@@ -29,6 +32,7 @@ class CreateProductUseCase {
       category: productData.category,
       image: productData.image || null,
       stock: productData.stock !== undefined ? productData.stock : null,
+      minTier: productData.minTier || 'bronze',
       isActive: true
     });
     
@@ -68,6 +72,10 @@ class CreateProductUseCase {
         (typeof productData.stock !== 'number' || productData.stock < 0)) {
       throw new Error('Product stock must be a non-negative number or null for unlimited');
     }
+    
+    if (productData.minTier && !CITIZEN_TIERS.includes(productData.minTier)) {
+      throw new Error(`Invalid product tier. Valid tiers are: ${CITIZEN_TIERS.join(', ')}`);
+    }
   }
 }
 
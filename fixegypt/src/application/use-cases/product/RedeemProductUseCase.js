@@ -1,61 +1,73 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
 /**
  * Use case for redeeming a product with points
  */
 class RedeemProductUseCase {
-  constructor(pointsRepository, productRepository, redemptionRepository, userRepository) {
+  constructor(pointsRepository, productRepository, redemptionRepository, userRepository, tierPolicy) {
     this.pointsRepository = pointsRepository;
     this.productRepository = productRepository;
     this.redemptionRepository = redemptionRepository;
     this.userRepository = userRepository;
+    this.tierPolicy = tierPolicy;
   }
 
   /**
    * Execute the use case
+   * Stock, points and the redemption are written in a single transaction, so a request either redeems the
+   * product completely or changes nothing. Tier-only products need the user's tier or a higher one
    * @param {string} userId - User ID
    * @param {string} productId - Product ID
-   * @returns {Promise<Object>} Redemption result
+   * @param {Object} options - Optional settings
+   * @param {string} options.idempotencyKey - Client key for the request; retries with the same key return the
+   *   original redemption instead of redeeming again
+   * @returns {Promise<Object>} Redemption result, with replayed set when the key had already been used
    */
-  async execute(userId, productId) {
-    // Find user
-    const user = await this.userRepository.findById(userId);
-    
-    // Find product
-    const product = await this.productRepository.findById(productId);
-    
-    // Check if product is available
-    if (!await this.productRepository.isAvailable(productId)) {
-      throw new Error('Product is not available for redemption');
-    }
+  async execute(userId, productId, options = {}) {
+    const { idempotencyKey = null } = options;
     
-    // Check if user has enough points
-    if (user.points < product.pointsCost) {
-      throw new Error(`Insufficient points. Required: ${product.pointsCost}, Available: ${user.points}`);
-    }
+    // Lifetime points only grow, so a tier read before the transaction cannot be out of date in the user's favour
+    const tier = this.tierPolicy.getTier(await this.pointsRepository.getLifetimeEarned(userId));
     
-    // Create redemption request
-    const redemption = await this.redemptionRepository.create({
-      userId,
-      productId,
-      pointsCost: product.pointsCost,
-      status: 'pending'
+    const result = await this.redemptionRepository.redeem(userId, productId, {
+      idempotencyKey,
+      accessibleTiers: this.tierPolicy.getAccessibleTiers(tier)
     });
     
-    // Deduct points from user
-    await this.pointsRepository.deductPoints(
-      userId, 
-      product.pointsCost, 
-      productId,
-      `Points redeemed for product: ${product.name}`
-    );
-    
-    // Update product stock
-    await this.productRepository.reduceStock(productId);
-    
-    return {
-      redemption,
-      pointsDeducted: product.pointsCost,
-      remainingPoints: user.points - product.pointsCost
-    };
+    switch (result.outcome) {
+      case 'product_not_found':
+        throw new ApiError(404, 'Product not found');
+      case 'unavailable':
+        throw new ApiError(409, 'Product is not available for redemption');
+      case 'tier_required': {
+        const product = await this.productRepository.findById(productId);
+        throw new ApiError(403, `This product is only available to ${product.minTier} tier citizens and above. Your tier: ${tier}`);
+      }
+      case 'insufficient_points': {
+        const product = await this.productRepository.findById(productId);
+        const balance = await this.pointsRepository.getBalance(userId);
+        throw new ApiError(400, `Insufficient points. Required: ${product.pointsCost}, Available: ${balance}`);
+      }
+      case 'duplicate': {
+        if (result.redemption.productId.toString() !== productId.toString()) {
+          throw new ApiError(422, 'Idempotency key was already used to redeem a different product');
+        }
+        
+        return {
+          redemption: result.redemption,
+          pointsDeducted: result.redemption.pointsCost,
+          remainingPoints: await this.pointsRepository.getBalance(userId),
+          replayed: true
+        };
+      }
+      default:
+        return {
+          redemption: result.redemption,
+          pointsDeducted: result.redemption.pointsCost,
+          remainingPoints: result.user.points,
+          replayed: false
+        };
+    }
   }
 }
 
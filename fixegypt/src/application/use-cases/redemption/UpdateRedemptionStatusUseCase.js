@@ -1,3 +1,5 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
 /**
  * Use case for updating redemption status
  */
@@ -8,6 +10,7 @@ class UpdateRedemptionStatusUseCase {
 
   /**
    * Execute the use case
+   * Rejecting a redemption returns its points to the user and its unit of stock to the product
    * @param {string} redemptionId - Redemption ID
    * @param {string} status - New status (processing, completed, rejected)
    * @param {string} adminId - Admin ID
@@ -20,6 +23,27 @@ class UpdateRedemptionStatusUseCase {
       throw new Error('Invalid status. Valid statuses are: processing, completed, rejected');
     }
     
+    const current = await this.redemptionRepository.findById(redemptionId);
+    
+    if (!current) {
+      throw new ApiError(404, 'Redemption not found');
+    }
+    
+    // The points and stock of a rejected redemption have been given back, so it cannot be reopened
+    if (current.status === 'rejected') {
+      throw new ApiError(409, 'Redemption has been rejected and refunded; its status can no longer change');
+    }
+    
+    if (status === 'rejected') {
+      const { redemption, refunded } = await this.redemptionRepository.reject(redemptionId, adminId, notes);
+      
+      if (!refunded) {
+        throw new ApiError(409, 'Redemption has already been rejected');
+      }
+      
+      return redemption;
+    }
+    
     // Update redemption status
     const redemption = await this.redemptionRepository.updateStatus(
       redemptionId,
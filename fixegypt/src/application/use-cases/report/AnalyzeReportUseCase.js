@@ -0,0 +1,229 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+import { REPORT_CATEGORIES } from '../../../domain/entities/Report.js';
+import { detectLanguage } from '../../../infrastructure/text/languageDetection.js';
+
+// Urgency levels in increasing order of severity
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Use case for classifying a report's images and detecting its urgency with AI
+ * Each image is classified on its own and the results are combined into a report-level consensus.
+ * A confident consensus that disagrees with the reporter's category is flagged for admin review.
+ * Every provider attempt is added to the report's AI audit log, including those of a failed analysis
+ */
+class AnalyzeReportUseCase {
+  constructor(reportRepository, aiService, options = {}) {
+    this.reportRepository = reportRepository;
+    this.aiService = aiService;
+    // Minimum confidence for the AI to raise the urgency of a report
+    this.urgencyConfidenceThreshold = options.urgencyConfidenceThreshold || 0.7;
+    // Minimum confidence for the AI to suggest a different category
+    this.categoryMismatchThreshold = options.categoryMismatchThreshold || 0.75;
+    // Provider attempts kept in the report's AI audit log
+    this.auditLogLimit = options.auditLogLimit || 50;
+  }
+
+  /**
+   * Execute the use case
+   * Images that already have a result are not analyzed again, so re-running after new images
+   * are added only analyzes the new ones before recomputing the consensus
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Report>} Report with its AI analysis
+   */
+  async execute(reportId) {
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    // The report's images are base64 data URLs; the AI providers read the stored files
+    const imagePaths = await this.reportRepository.findImagePaths(reportId);
+
+    if (!imagePaths || imagePaths.length === 0) {
+      throw new ApiError(422, 'Report has no images to analyze');
+    }
+
+    await this.reportRepository.update(reportId, { 'aiAnalysis.status': 'running' });
+
+    const audit = [];
+    try {
+      return await this._analyze(report, imagePaths, audit);
+    } finally {
+      if (audit.length > 0) {
+        await this.reportRepository.appendAIAudit(reportId, audit, this.auditLogLimit);
+      }
+    }
+  }
+
+  /**
+   * Classify the report's images, detect its urgency and store the analysis
+   * @param {Report} report - The report
+   * @param {Array<string>} imagePaths - Stored image paths
+   * @param {Array<Object>} audit - Collects the provider attempts
+   * @returns {Promise<Report>} Report with its AI analysis
+   * @private
+   */
+  async _analyze(report, imagePaths, audit) {
+    const previousResults = new Map(
+      (report.aiAnalysis?.images || [])
+        .filter(result => !result.error)
+        .map(result => [result.url, result])
+    );
+
+    const imageResults = [];
+    for (const imagePath of imagePaths) {
+      imageResults.push(previousResults.get(imagePath) || await this._analyzeImage(report, imagePath, audit));
+    }
+
+    const analyzed = imageResults.filter(result => !result.error);
+    if (analyzed.length === 0) {
+      throw new ApiError(422, `None of the ${imageResults.length} report image(s) could be analyzed`);
+    }
+
+    const consensus = this._getConsensus(analyzed);
+    const urgencyAnalysis = await this.aiService.detectUrgency(report.description, imagePaths[0], {
+      language: this._getLanguage(report)
+    }, { audit });
+
+    const aiAnalysis = {
+      status: 'done',
+      classification: consensus.classification,
+      urgency: urgencyAnalysis.urgency,
+      confidence: consensus.confidence,
+      agreement: consensus.agreement,
+      provider: consensus.provider,
+      images: imageResults,
+      analysisTimestamp: new Date()
+    };
+
+    const categorySuggestion = this._getCategorySuggestion(report, consensus);
+
+    return this.reportRepository.update(report.id, {
+      aiAnalysis,
+      ...(categorySuggestion !== undefined ? { categorySuggestion } : {}),
+      ...(this._shouldRaiseUrgency(report.urgency, urgencyAnalysis.urgency, urgencyAnalysis.confidence)
+        ? { urgency: urgencyAnalysis.urgency }
+        : {})
+    });
+  }
+
+  /**
+   * Classify one image
+   * @param {Report} report - The report, whose text helps the classification
+   * @param {string} imagePath - Stored image path
+   * @param {Array<Object>} audit - Collects the provider attempts
+   * @returns {Promise<Object>} Per-image result; results the AI service fell back on carry an error
+   * @private
+   */
+  async _analyzeImage(report, imagePath, audit) {
+    const result = await this.aiService.analyzeImage(imagePath, {
+      title: report.title,
+      description: report.description,
+      language: this._getLanguage(report)
+    }, { audit });
+
+    return {
+      url: imagePath,
+      classification: result.classification,
+      confidence: result.confidence,
+      provider: result.provider || null,
+      error: result.error || null,
+      analyzedAt: new Date()
+    };
+  }
+
+  /**
+   * Get the language the report is written in; reports created before detection was added have none stored
+   * @param {Report} report - The report
+   * @returns {string|null} Language code
+   * @private
+   */
+  _getLanguage(report) {
+    return report.language || detectLanguage(`${report.title} ${report.description}`);
+  }
+
+  /**
+   * Combine per-image classifications with a confidence-weighted vote
+   * The report confidence is the winning images' average confidence scaled by their share of the vote,
+   * so images that disagree lower it
+   * @param {Array<Object>} results - Per-image results without errors
+   * @returns {Object} { classification, confidence, agreement, provider }
+   * @private
+   */
+  _getConsensus(results) {
+    const votes = new Map();
+
+    for (const result of results) {
+      const vote = votes.get(result.classification) || { weight: 0, results: [] };
+      vote.weight += result.confidence || 0;
+      vote.results.push(result);
+      votes.set(result.classification, vote);
+    }
+
+    const [classification, winner] = [...votes.entries()]
+      .sort(([, a], [, b]) => b.weight - a.weight || b.results.length - a.results.length)[0];
+
+    const totalWeight = results.reduce((sum, result) => sum + (result.confidence || 0), 0);
+    const agreement = totalWeight > 0 ? winner.weight / totalWeight : winner.results.length / results.length;
+    const averageConfidence = winner.weight / winner.results.length;
+
+    return {
+      classification,
+      confidence: Math.round(averageConfidence * agreement * 100) / 100,
+      agreement: Math.round(agreement * 100) / 100,
+      provider: winner.results[0].provider
+    };
+  }
+
+  /**
+   * Decide the category suggestion after an analysis
+   * A rejected suggestion is not raised again for the same category
+   * @param {Report} report - The report before the analysis
+   * @param {Object} consensus - Report-level classification
+   * @returns {Object|null|undefined} New suggestion, null to withdraw a pending one, or undefined to leave it as is
+   * @private
+   */
+  _getCategorySuggestion(report, consensus) {
+    const current = report.categorySuggestion;
+    const disagrees = consensus.classification !== report.category &&
+      consensus.classification !== 'other' &&
+      REPORT_CATEGORIES.includes(consensus.classification) &&
+      consensus.confidence >= this.categoryMismatchThreshold;
+
+    if (!disagrees) {
+      return report.hasPendingCategorySuggestion() ? null : undefined;
+    }
+
+    if (current && current.category === consensus.classification && current.status === 'rejected') {
+      return undefined;
+    }
+
+    return {
+      category: consensus.classification,
+      confidence: consensus.confidence,
+      originalCategory: report.category,
+      status: 'pending',
+      suggestedAt: report.hasPendingCategorySuggestion() && current.category === consensus.classification
+        ? current.suggestedAt
+        : new Date()
+    };
+  }
+
+  /**
+   * Only raise urgency, never lower it, and only when the AI is confident
+   * @param {string} currentUrgency - Current urgency level
+   * @param {string} aiUrgency - AI detected urgency level
+   * @param {number} confidence - AI confidence level (0-1)
+   * @returns {boolean} Whether urgency should be updated
+   * @private
+   */
+  _shouldRaiseUrgency(currentUrgency, aiUrgency, confidence) {
+    // Unknown levels count as medium
+    const level = (urgency) => URGENCY_LEVELS.indexOf(URGENCY_LEVELS.includes(urgency) ? urgency : 'medium');
+
+    return level(aiUrgency) > level(currentUrgency) && confidence > this.urgencyConfidenceThreshold;
+  }
+}
+
+export default AnalyzeReportUseCase; 
\ No newline at end of file
@@ -0,0 +1,92 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+/**
+ * Use case for assigning a report to a staff member and/or team
+ */
+class AssignReportUseCase {
+  constructor(reportRepository, userRepository, options = {}) {
+    this.reportRepository = reportRepository;
+    this.userRepository = userRepository;
+    this.assignableRoles = options.assignableRoles || ['admin', 'manager', 'field_worker'];
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - ID of the report to assign
+   * @param {Object} assignment - Assignment details
+   * @param {string} assignment.assigneeId - Staff member ID (optional if team is given)
+   * @param {string} assignment.team - Team name (optional if assigneeId is given)
+   * @param {string} assignment.note - Optional note about the assignment
+   * @param {string} assignedBy - ID of the admin making the assignment
+   * @returns {Promise<{report: Report, assignee: User|null, previousAssignment: Object|null}>} Assignment result
+   */
+  async execute(reportId, { assigneeId = null, team = null, note = '' }, assignedBy) {
+    if (!assigneeId && !team) {
+      throw new ApiError(400, 'An assignee or a team is required');
+    }
+
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    if (report.isMerged()) {
+      throw new ApiError(409, `Report has been merged into report ${report.mergedInto}; assign that report instead`);
+    }
+
+    if (!report.isOpen()) {
+      throw new ApiError(400, 'Only open reports can be assigned');
+    }
+
+    let assignee = null;
+    if (assigneeId) {
+      assignee = await this.userRepository.findById(assigneeId);
+
+      if (!assignee) {
+        throw new ApiError(404, 'Assignee not found');
+      }
+
+      if (!this.assignableRoles.includes(assignee.role)) {
+        throw new ApiError(400, `Reports can only be assigned to users with one of these roles: ${this.assignableRoles.join(', ')}`);
+      }
+    }
+
+    const previousAssignment = report.assignment;
+    if (previousAssignment &&
+        (previousAssignment.assignedTo || null) === (assignee ? assignee.id : null) &&
+        (previousAssignment.team || null) === (team || null)) {
+      throw new ApiError(409, 'Report is already assigned to this assignee');
+    }
+
+    // Describe the (re)assignment in the status history
+    const describe = (name, teamName) => [name, teamName && `team ${teamName}`].filter(Boolean).join(' / ');
+    const target = describe(assignee && assignee.getFullName(), team);
+    let historyNote = `Assigned to ${target}`;
+    if (previousAssignment) {
+      const previousAssignee = previousAssignment.assignedTo
+        ? await this.userRepository.findById(previousAssignment.assignedTo)
+        : null;
+      const previousName = previousAssignee ? previousAssignee.getFullName() : previousAssignment.assignedTo;
+      historyNote = `Reassigned from ${describe(previousName, previousAssignment.team)} to ${target}`;
+    }
+    if (note) {
+      historyNote += `: ${note}`;
+    }
+
+    const updatedReport = await this.reportRepository.assign(report.id, {
+      assigneeId: assignee ? assignee.id : null,
+      team: team || null,
+      assignedBy,
+      note: historyNote
+    });
+
+    return {
+      report: updatedReport,
+      assignee,
+      previousAssignment
+    };
+  }
+}
+
+export default AssignReportUseCase; 
\ No newline at end of file
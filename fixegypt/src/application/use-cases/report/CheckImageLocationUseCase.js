@@ -0,0 +1,32 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+/**
+ * Use case for comparing the GPS positions of a report's photos with its reported location
+ * Run after images are added or the location changes; a mismatch is recorded for admins, the report is not held
+ */
+class CheckImageLocationUseCase {
+  constructor(reportRepository, imageLocationPolicy) {
+    this.reportRepository = reportRepository;
+    this.imageLocationPolicy = imageLocationPolicy;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Report>} Report with its location check
+   */
+  async execute(reportId) {
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    const images = await this.reportRepository.findImageMetadata(reportId);
+    const locationCheck = this.imageLocationPolicy.check(report.location.coordinates, images || []);
+
+    return this.reportRepository.update(reportId, { locationCheck });
+  }
+}
+
+export default CheckImageLocationUseCase; 
\ No newline at end of file
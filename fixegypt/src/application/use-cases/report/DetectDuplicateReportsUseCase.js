@@ -0,0 +1,50 @@
+import { OPEN_STATUSES } from '../../../domain/entities/Report.js';
+
+/**
+ * Use case for finding open reports that likely describe the same issue
+ * as a report that is about to be submitted
+ */
+class DetectDuplicateReportsUseCase {
+  constructor(reportRepository, options = {}) {
+    this.reportRepository = reportRepository;
+    this.radiusKm = options.radiusKm || 0.1;
+    this.timeWindowDays = options.timeWindowDays || 30;
+    this.maxCandidates = options.maxCandidates || 5;
+  }
+
+  /**
+   * Execute the use case
+   * @param {Object} reportData - Data of the new report
+   * @param {string} reportData.category - Report category
+   * @param {Object} reportData.coordinates - Report coordinates (lat, lng)
+   * @param {string} reportData.excludeId - Report ID to leave out of the results (optional)
+   * @returns {Promise<Array<Report>>} Likely duplicates, most recent first
+   */
+  async execute({ category, coordinates, excludeId = null }) {
+    if (!category || !coordinates) {
+      return [];
+    }
+
+    const createdAfter = new Date(Date.now() - this.timeWindowDays * 24 * 60 * 60 * 1000);
+
+    // Only open reports of the same category can be duplicates
+    const result = await this.reportRepository.findByLocation(
+      coordinates,
+      this.radiusKm,
+      {
+        page: 1,
+        limit: this.maxCandidates,
+        filter: {
+          category,
+          status: OPEN_STATUSES,
+          createdAfter,
+          excludeId
+        }
+      }
+    );
+
+    return result.reports;
+  }
+}
+
+export default DetectDuplicateReportsUseCase; 
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * Use case for escalating open reports that missed their SLA target
+ * The first breach raises the report's urgency (or goes straight to supervisors
+ * for critical reports); later breaches are escalated to supervisors every
+ * repeatHours until the maximum escalation level is reached
+ */
+class EscalateOverdueReportsUseCase {
+  constructor(reportRepository, userRepository, emailService, slaPolicy, options = {}) {
+    this.reportRepository = reportRepository;
+    this.userRepository = userRepository;
+    this.emailService = emailService;
+    this.slaPolicy = slaPolicy;
+    this.repeatHours = options.repeatHours || 24;
+    this.maxLevel = options.maxLevel || 3;
+    this.supervisorRoles = options.supervisorRoles || ['admin', 'manager'];
+    this.batchSize = options.batchSize || 100;
+  }
+
+  /**
+   * Execute the use case
+   * @param {Date} now - Reference time (defaults to the current time)
+   * @returns {Promise<{checked: number, escalated: number, urgencyRaised: number, notified: number}>} Run summary
+   */
+  async execute(now = new Date()) {
+    const summary = { checked: 0, escalated: 0, urgencyRaised: 0, notified: 0 };
+
+    const overdueReports = await this.reportRepository.findSlaBreaches(
+      this.slaPolicy.getBreachCutoffs(now),
+      {
+        repeatBefore: new Date(now.getTime() - this.repeatHours * 60 * 60 * 1000),
+        maxLevel: this.maxLevel,
+        limit: this.batchSize
+      }
+    );
+
+    summary.checked = overdueReports.length;
+
+    if (overdueReports.length === 0) {
+      return summary;
+    }
+
+    // Supervisors are loaded once per run, only if there is something to escalate
+    const supervisors = await this.userRepository.findByRoles(this.supervisorRoles);
+
+    for (const report of overdueReports) {
+      // The query is approximate (e.g. urgency may have changed); re-check against the policy
+      if (!this.slaPolicy.isBreached(report, now)) {
+        continue;
+      }
+
+      const targetHours = this.slaPolicy.getTargetHours(report.category, report.urgency);
+      const overdueHours = Math.floor((now - this.slaPolicy.getDueDate(report)) / (60 * 60 * 1000));
+      const level = report.sla.escalationLevel;
+      const nextUrgency = level === 0 ? this.slaPolicy.getNextUrgency(report.urgency) : null;
+
+      const action = nextUrgency
+        ? `Urgency raised from ${report.urgency} to ${nextUrgency}`
+        : `Escalated to supervisors (level ${level + 1})`;
+
+      const escalatedReport = await this.reportRepository.recordEscalation(report.id, level, {
+        urgency: nextUrgency,
+        note: `SLA breached: ${targetHours}h target exceeded by ${overdueHours}h. ${action}`,
+        escalatedAt: now
+      });
+
+      // Another run or a status change got there first
+      if (!escalatedReport) {
+        continue;
+      }
+
+      summary.escalated++;
+      if (nextUrgency) {
+        summary.urgencyRaised++;
+      }
+
+      const recipients = await this._getRecipients(escalatedReport, supervisors, !nextUrgency);
+
+      for (const recipient of recipients) {
+        const sent = await this.emailService.sendSlaEscalationEmail(recipient, escalatedReport, {
+          targetHours,
+          overdueHours,
+          action
+        });
+
+        if (sent) {
+          summary.notified++;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Get the users to notify about an escalation
+   * The assignee is always notified; supervisors only when the report is escalated to them
+   * @param {Report} report - The escalated report
+   * @param {Array<User>} supervisors - Supervisor users
+   * @param {boolean} includeSupervisors - Whether to notify supervisors
+   * @returns {Promise<Array<User>>} Unique recipients
+   * @private
+   */
+  async _getRecipients(report, supervisors, includeSupervisors) {
+    const recipients = new Map();
+
+    if (report.assignment?.assignedTo) {
+      const assignee = await this.userRepository.findById(report.assignment.assignedTo);
+      if (assignee) {
+        recipients.set(assignee.id.toString(), assignee);
+      }
+    }
+
+    if (includeSupervisors) {
+      supervisors.forEach(supervisor => recipients.set(supervisor.id.toString(), supervisor));
+    }
+
+    return [...recipients.values()];
+  }
+}
+
+export default EscalateOverdueReportsUseCase; 
\ No newline at end of file
@@ -0,0 +1,70 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+/**
+ * Use case for merging duplicate reports into a canonical report
+ */
+class MergeDuplicateReportsUseCase {
+  constructor(reportRepository) {
+    this.reportRepository = reportRepository;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} canonicalId - ID of the report to keep
+   * @param {Array<string>} duplicateIds - IDs of the duplicate reports
+   * @param {string} adminId - Admin performing the merge
+   * @param {string} note - Optional note about the merge
+   * @returns {Promise<{report: Report, mergedReports: Report[]}>} Canonical and merged reports
+   */
+  async execute(canonicalId, duplicateIds, adminId, note = '') {
+    const uniqueDuplicateIds = [...new Set(duplicateIds.map(id => id.toString()))];
+
+    if (uniqueDuplicateIds.length === 0) {
+      throw new ApiError(400, 'At least one duplicate report is required');
+    }
+
+    if (uniqueDuplicateIds.includes(canonicalId.toString())) {
+      throw new ApiError(400, 'A report cannot be merged into itself');
+    }
+
+    // Verify canonical report
+    const canonical = await this.reportRepository.findById(canonicalId);
+    if (!canonical) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    if (canonical.isMerged()) {
+      throw new ApiError(409, `Report has already been merged into report ${canonical.mergedInto}`);
+    }
+
+    // Only open reports of the same issue are merged, as duplicate detection only suggests those
+    if (!canonical.isOpen()) {
+      throw new ApiError(409, `Report is ${canonical.status}; only open reports can be merged`);
+    }
+
+    // Verify each duplicate
+    for (const duplicateId of uniqueDuplicateIds) {
+      const duplicate = await this.reportRepository.findById(duplicateId);
+
+      if (!duplicate) {
+        throw new ApiError(404, `Duplicate report not found: ${duplicateId}`);
+      }
+
+      if (duplicate.isMerged()) {
+        throw new ApiError(409, `Report ${duplicateId} has already been merged`);
+      }
+
+      if (!duplicate.isOpen()) {
+        throw new ApiError(409, `Report ${duplicateId} is ${duplicate.status}; only open reports can be merged`);
+      }
+
+      if (duplicate.category !== canonical.category) {
+        throw new ApiError(400, `Report ${duplicateId} is in category ${duplicate.category}, not ${canonical.category}`);
+      }
+    }
+
+    return this.reportRepository.mergeDuplicates(canonicalId, uniqueDuplicateIds, adminId, note);
+  }
+}
+
+export default MergeDuplicateReportsUseCase; 
\ No newline at end of file
@@ -0,0 +1,57 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+// Moderation status recorded for each decision
+const DECISION_STATUSES = {
+  approve: 'approved',
+  remove: 'removed'
+};
+
+/**
+ * Use case for an admin deciding on a report held for moderation review
+ * Approving publishes the report as pending; removing hides it for good
+ */
+class ModerateReportUseCase {
+  constructor(reportRepository) {
+    this.reportRepository = reportRepository;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - Report ID
+   * @param {string} decision - approve or remove
+   * @param {string} adminId - ID of the admin reviewing the report
+   * @param {string} note - Note explaining the decision (required when removing)
+   * @returns {Promise<Report>} Updated report
+   */
+  async execute(reportId, decision, adminId, note = '') {
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    if (!report.isAwaitingModeration()) {
+      throw new ApiError(409, 'Report is not awaiting moderation review');
+    }
+
+    // The reporter is told why their report was taken down
+    if (decision === 'remove' && !note?.trim()) {
+      throw new ApiError(400, 'A reason is required to remove a report');
+    }
+
+    const updatedReport = await this.reportRepository.recordModerationDecision(reportId, {
+      decision: DECISION_STATUSES[decision],
+      reviewedBy: adminId,
+      note
+    });
+
+    // Another admin decided on the report in the meantime
+    if (!updatedReport) {
+      throw new ApiError(409, 'Report has already been moderated');
+    }
+
+    return updatedReport;
+  }
+}
+
+export default ModerateReportUseCase; 
\ No newline at end of file
@@ -0,0 +1,51 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+/**
+ * Use case for a citizen reopening a resolved report that was not actually fixed
+ */
+class ReopenReportUseCase {
+  constructor(reportRepository, options = {}) {
+    this.reportRepository = reportRepository;
+    this.windowDays = options.windowDays || 14;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - Report ID
+   * @param {string} userId - ID of the citizen reopening the report
+   * @param {string} reason - Why the issue is not resolved
+   * @returns {Promise<Report>} Reopened report
+   */
+  async execute(reportId, userId, reason) {
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    if (report.isMerged()) {
+      throw new ApiError(409, `Report has been merged into report ${report.mergedInto}; reopen that report instead`);
+    }
+
+    // The owner and citizens whose duplicate reports were merged in count as reporters
+    if (!report.getReporterIds().includes(userId.toString())) {
+      throw new ApiError(403, 'Only the reporter can reopen this report');
+    }
+
+    if (!report.canTransitionTo('reopened')) {
+      throw new ApiError(409, `Cannot change report status from ${report.status} to reopened`);
+    }
+
+    if (!reason?.trim()) {
+      throw new ApiError(400, 'A reason is required to reopen a report');
+    }
+
+    if (!report.isWithinReopenWindow(this.windowDays)) {
+      throw new ApiError(409, `Reports can only be reopened within ${this.windowDays} days of being resolved`);
+    }
+
+    return this.reportRepository.updateStatus(reportId, 'reopened', userId, reason);
+  }
+}
+
+export default ReopenReportUseCase; 
\ No newline at end of file
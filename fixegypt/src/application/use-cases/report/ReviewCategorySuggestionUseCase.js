@@ -0,0 +1,62 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+// Suggestion status recorded for each review decision
+const DECISION_STATUSES = {
+  accept: 'accepted',
+  reject: 'rejected'
+};
+
+/**
+ * Use case for an admin accepting or rejecting the category the AI suggested for a report
+ * Every decision is logged in the report's status history and kept on the suggestion for accuracy tracking
+ */
+class ReviewCategorySuggestionUseCase {
+  constructor(reportRepository) {
+    this.reportRepository = reportRepository;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - Report ID
+   * @param {string} decision - accept or reject
+   * @param {string} adminId - ID of the admin reviewing the suggestion
+   * @param {string} note - Optional note explaining the decision
+   * @returns {Promise<Report>} Updated report
+   */
+  async execute(reportId, decision, adminId, note = '') {
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    if (report.isMerged()) {
+      throw new ApiError(409, `Report has been merged into report ${report.mergedInto}; review that report instead`);
+    }
+
+    if (!report.hasPendingCategorySuggestion()) {
+      throw new ApiError(409, 'Report has no pending category suggestion');
+    }
+
+    const { category, confidence } = report.categorySuggestion;
+    const historyNote = decision === 'accept'
+      ? `Category changed from ${report.category} to ${category} (AI suggestion accepted)`
+      : `AI suggestion to change category from ${report.category} to ${category} rejected`;
+
+    const updatedReport = await this.reportRepository.reviewCategorySuggestion(reportId, {
+      decision: DECISION_STATUSES[decision],
+      reviewedBy: adminId,
+      historyNote: `${historyNote}, confidence ${Math.round(confidence * 100)}%${note ? `: ${note}` : ''}`,
+      note
+    });
+
+    // Another admin reviewed the suggestion or a new analysis replaced it in the meantime
+    if (!updatedReport) {
+      throw new ApiError(409, 'Category suggestion has changed since it was loaded; reload and try again');
+    }
+
+    return updatedReport;
+  }
+}
+
+export default ReviewCategorySuggestionUseCase; 
\ No newline at end of file
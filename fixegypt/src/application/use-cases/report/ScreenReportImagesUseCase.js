@@ -0,0 +1,67 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+/**
+ * Use case for screening a report's images for inappropriate or irrelevant content
+ * Only reports that have not been taken up yet are screened; a flagged image holds the report for moderation review
+ */
+class ScreenReportImagesUseCase {
+  constructor(reportRepository, contentModerator, options = {}) {
+    this.reportRepository = reportRepository;
+    this.contentModerator = contentModerator;
+    // Provider attempts kept in the report's AI audit log
+    this.auditLogLimit = options.auditLogLimit || 50;
+  }
+
+  /**
+   * Execute the use case
+   * Images screened before are skipped, so re-running after new images are added only screens the new ones
+   * @param {string} reportId - Report ID
+   * @returns {Promise<{report: Report, screened: number, flags: Array<Object>}>} Report after screening, with the new flags
+   */
+  async execute(reportId) {
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    // Staff add images to reports they are working on, and those are not screened
+    if (!['pending', 'under_review'].includes(report.status)) {
+      return { report, screened: 0, flags: [] };
+    }
+
+    // The report's images are base64 data URLs; the AI providers read the stored files
+    const imagePaths = await this.reportRepository.findImagePaths(reportId);
+    const unscreened = imagePaths.filter(imagePath => !report.moderation.screenedImages.includes(imagePath));
+
+    if (unscreened.length === 0) {
+      return { report, screened: 0, flags: [] };
+    }
+
+    const audit = [];
+    const flags = await this.contentModerator.screenImages(unscreened, { audit });
+
+    if (audit.length > 0) {
+      await this.reportRepository.appendAIAudit(reportId, audit, this.auditLogLimit);
+    }
+
+    if (flags.length === 0) {
+      await this.reportRepository.markImagesScreened(reportId, unscreened);
+      return { report, screened: unscreened.length, flags };
+    }
+
+    const heldReport = await this.reportRepository.holdForModeration(reportId, flags, {
+      historyNote: this.contentModerator.describe(flags),
+      screenedImages: unscreened
+    });
+
+    // The report was taken up while its images were being screened
+    if (!heldReport) {
+      return { report, screened: unscreened.length, flags: [] };
+    }
+
+    return { report: heldReport, screened: unscreened.length, flags };
+  }
+}
+
+export default ScreenReportImagesUseCase; 
\ No newline at end of file
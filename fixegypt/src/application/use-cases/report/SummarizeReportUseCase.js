@@ -0,0 +1,62 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+import { detectLanguage } from '../../../infrastructure/text/languageDetection.js';
+
+/**
+ * Use case for writing a short Arabic and English summary of a report for admin triage
+ * The report's language is detected again, since the summary is rewritten whenever the text changes
+ */
+class SummarizeReportUseCase {
+  constructor(reportRepository, aiService, options = {}) {
+    this.reportRepository = reportRepository;
+    this.aiService = aiService;
+    // Provider attempts kept in the report's AI audit log
+    this.auditLogLimit = options.auditLogLimit || 50;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Report>} Report with its summary
+   */
+  async execute(reportId) {
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    const language = detectLanguage(`${report.title} ${report.description}`);
+    const audit = [];
+    const result = await this.aiService.summarizeReport({
+      title: report.title,
+      description: report.description,
+      category: report.category,
+      language
+    }, { audit });
+
+    if (audit.length > 0) {
+      await this.reportRepository.appendAIAudit(reportId, audit, this.auditLogLimit);
+    }
+
+    if (!result) {
+      throw new ApiError(503, 'No AI provider could summarize the report');
+    }
+
+    // A provider that could write neither language leaves the previous summary in place
+    if (!result.ar && !result.en) {
+      return this.reportRepository.update(reportId, { language });
+    }
+
+    return this.reportRepository.update(reportId, {
+      language,
+      summary: {
+        ar: result.ar || null,
+        en: result.en || null,
+        provider: result.provider || null,
+        generatedAt: new Date()
+      }
+    });
+  }
+}
+
+export default SummarizeReportUseCase; 
\ No newline at end of file
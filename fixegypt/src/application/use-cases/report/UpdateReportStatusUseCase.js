@@ -0,0 +1,65 @@
+import Report from '../../../domain/entities/Report.js';
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+/**
+ * Use case for moving a report through its status workflow
+ * (pending → in-progress → resolved, or rejected with a reason)
+ */
+class UpdateReportStatusUseCase {
+  constructor(reportRepository, options = {}) {
+    this.reportRepository = reportRepository;
+    this.requireResolutionPhotos = !!options.requireResolutionPhotos;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - Report ID
+   * @param {string} status - New status
+   * @param {string} adminId - ID of the staff member making the change
+   * @param {string} note - Note about the change (required when rejecting)
+   * @param {Array<string>} resolutionImages - Paths of "after" photos (only when resolving)
+   * @returns {Promise<{report: Report, previousStatus: string}>} Updated report and its previous status
+   */
+  async execute(reportId, status, adminId, note = '', resolutionImages = []) {
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    // Merged reports are handled through their canonical report
+    if (report.isMerged()) {
+      throw new ApiError(409, `Report has been merged into report ${report.mergedInto}; update that report instead`);
+    }
+
+    // Only the original reporter can reopen a report
+    if (status === 'reopened') {
+      throw new ApiError(400, 'Reports can only be reopened by their reporter');
+    }
+
+    if (!report.canTransitionTo(status)) {
+      throw new ApiError(409, `Cannot change report status from ${report.status} to ${status}`);
+    }
+
+    if (Report.requiresReason(status) && !note?.trim()) {
+      throw new ApiError(400, `A reason is required to mark a report as ${status}`);
+    }
+
+    if (resolutionImages.length > 0 && status !== 'resolved') {
+      throw new ApiError(400, 'Photos can only be attached when resolving a report');
+    }
+
+    if (status === 'resolved' && this.requireResolutionPhotos && resolutionImages.length === 0) {
+      throw new ApiError(400, 'At least one photo of the fix is required to resolve a report');
+    }
+
+    const previousStatus = report.status;
+    const updatedReport = await this.reportRepository.updateStatus(reportId, status, adminId, note, {
+      resolutionImages
+    });
+
+    return { report: updatedReport, previousStatus };
+  }
+}
+
+export default UpdateReportStatusUseCase; 
\ No newline at end of file
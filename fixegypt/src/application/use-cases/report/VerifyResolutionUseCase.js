@@ -0,0 +1,69 @@
+import { ApiError } from '../../../infrastructure/web/middlewares/errorHandler.js';
+
+/**
+ * Use case for the reporter confirming or disputing the resolution of their report
+ * Disputed resolutions reopen the report and send it back to the admin queue
+ */
+class VerifyResolutionUseCase {
+  constructor(reportRepository, options = {}) {
+    this.reportRepository = reportRepository;
+    this.windowDays = options.windowDays || 14;
+  }
+
+  /**
+   * Execute the use case
+   * @param {string} reportId - Report ID
+   * @param {string} userId - ID of the reporter
+   * @param {Object} verification - Verification details
+   * @param {string} verification.decision - 'confirm' or 'dispute'
+   * @param {string} verification.comment - Comment (required when disputing)
+   * @param {number} verification.rating - Optional satisfaction rating (1-5)
+   * @returns {Promise<Report>} Updated report
+   */
+  async execute(reportId, userId, { decision, comment = '', rating = null }) {
+    if (!['confirm', 'dispute'].includes(decision)) {
+      throw new ApiError(400, 'Decision must be either confirm or dispute');
+    }
+
+    const report = await this.reportRepository.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    if (report.isMerged()) {
+      throw new ApiError(409, `Report has been merged into report ${report.mergedInto}; verify that report instead`);
+    }
+
+    // The owner and citizens whose duplicate reports were merged in count as reporters
+    if (!report.getReporterIds().includes(userId.toString())) {
+      throw new ApiError(403, 'Only the reporter can verify the resolution of this report');
+    }
+
+    if (!report.isAwaitingVerification()) {
+      const resolution = report.getCurrentResolution();
+      throw new ApiError(409, report.isResolved() && resolution
+        ? `This resolution has already been ${resolution.verification.status}`
+        : 'Report has no resolution awaiting verification');
+    }
+
+    if (decision === 'dispute') {
+      if (!comment?.trim()) {
+        throw new ApiError(400, 'Please explain why the issue is not resolved');
+      }
+
+      if (!report.isWithinReopenWindow(this.windowDays)) {
+        throw new ApiError(409, `Resolutions can only be disputed within ${this.windowDays} days`);
+      }
+    }
+
+    return this.reportRepository.recordResolutionVerification(reportId, {
+      decision: decision === 'confirm' ? 'confirmed' : 'disputed',
+      userId,
+      comment: comment?.trim() || '',
+      rating
+    });
+  }
+}
+
+export default VerifyResolutionUseCase; 
\ No newline at end of file
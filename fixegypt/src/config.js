@@ -31,29 +31,49 @@ const config = {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE || '5242880', 10), // 5MB
     allowedFileTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif']
   },
+  images: {
+    // Widths of the resized copies made of every upload, in pixels
+    thumbnailWidth: parseInt(process.env.IMAGE_THUMBNAIL_WIDTH || '200', 10),
+    mediumWidth: parseInt(process.env.IMAGE_MEDIUM_WIDTH || '800', 10),
+    // WebP quality of the resized copies (1-100)
+    quality: parseInt(process.env.IMAGE_QUALITY || '80', 10),
+    // Flag reports whose photos were taken further than this from the reported location, in kilometers
+    gpsMismatchKm: parseFloat(process.env.IMAGE_GPS_MISMATCH_KM || '1')
+  },
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW || '15', 10) * 60 * 1000, // 15 minutes in milliseconds
     max: parseInt(process.env.RATE_LIMIT_MAX || '100', 10) // 100 requests per windowMs
   },
   ai: {
-    provider: process.env.AI_PROVIDER || 'gemini', // 'gemini', 'openrouter', or 'huggingface'
+    provider: process.env.AI_PROVIDER || 'gemini', // 'gemini', 'openrouter', 'huggingface', or 'local' (offline, no API key)
     apiKey: process.env.AI_API_KEY || 'DEMO_API_KEY', // Default key for testing
+    // Providers tried in order, e.g. 'gemini,openrouter,local'; defaults to the provider above
+    providerChain: (process.env.AI_PROVIDER_CHAIN || '').split(',').map(name => name.trim()).filter(Boolean),
     
-    // Gemini API configuration
+    // Gemini API configuration; the provider keys fall back to AI_API_KEY
+    geminiApiKey: process.env.GEMINI_API_KEY,
     geminiVisionModel: process.env.GEMINI_VISION_MODEL || 'gemini-1.5-flash',
     geminiTextModel: process.env.GEMINI_TEXT_MODEL || 'gemini-1.5-flash',
     
     // OpenRouter configuration
+    openRouterApiKey: process.env.OPENROUTER_API_KEY,
     openRouterModel: process.env.OPENROUTER_MODEL || 'anthropic/claude-3-opus:beta',
     httpReferrer: process.env.OPENROUTER_REFERRER || 'https://fixegypt.org',
     
     // Hugging Face configuration
+    huggingfaceApiKey: process.env.HUGGINGFACE_API_KEY,
     huggingfaceEndpoint: process.env.HUGGINGFACE_ENDPOINT || 'https://api-inference.huggingface.co/models/facebook/detr-resnet-50-panoptic',
     huggingfaceTextEndpoint: process.env.HUGGINGFACE_TEXT_ENDPOINT || 'https://api-inference.huggingface.co/models/facebook/bart-large-mnli',
+    // Zero-shot model used for Arabic and mixed-language descriptions
+    huggingfaceMultilingualTextEndpoint: process.env.HUGGINGFACE_MULTILINGUAL_TEXT_ENDPOINT || 'https://api-inference.huggingface.co/models/joeddav/xlm-roberta-large-xnli',
     
     // Caching configuration
     cacheResults: process.env.AI_CACHE_RESULTS === 'true',
     cacheTTL: parseInt(process.env.AI_CACHE_TTL || '3600', 10), // 1 hour in seconds
+    // Most results held in memory
+    cacheMaxItems: parseInt(process.env.AI_CACHE_MAX_ITEMS || '1000', 10),
+    // Also keep results in MongoDB, so they survive restarts and are shared between instances
+    cachePersistent: process.env.AI_CACHE_PERSISTENT === 'true',
     
     // Request timeout in milliseconds
     timeout: parseInt(process.env.AI_TIMEOUT || '30000', 10), // 30 seconds
@@ -64,11 +84,137 @@ const config = {
     
     // Error handling options
     maxRetries: parseInt(process.env.AI_MAX_RETRIES || '3', 10),
-    fallbackToLocal: process.env.AI_FALLBACK_TO_LOCAL === 'true' || true,
+    retryBaseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS || '500', 10),
+    maxRetryDelayMs: parseInt(process.env.AI_MAX_RETRY_DELAY_MS || '8000', 10),
+    // Flag reports for review when the AI disagrees with the reporter's category at this confidence or more
+    categoryMismatchThreshold: parseFloat(process.env.AI_CATEGORY_MISMATCH_THRESHOLD || '0.75'),
+    // Skip a provider for a cooldown after this many consecutive failures
+    circuitFailureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+    circuitCooldownSeconds: parseInt(process.env.AI_CIRCUIT_COOLDOWN_SECONDS || '60', 10),
+    // Provider attempts kept in each report's AI audit log
+    auditLogLimit: parseInt(process.env.AI_AUDIT_LOG_LIMIT || '50', 10),
+    // Prices in USD per 1,000 tokens, for spend estimates
+    pricing: {
+      gemini: {
+        input: parseFloat(process.env.AI_GEMINI_INPUT_PRICE || '0.000075'),
+        output: parseFloat(process.env.AI_GEMINI_OUTPUT_PRICE || '0.0003')
+      },
+      openrouter: {
+        input: parseFloat(process.env.AI_OPENROUTER_INPUT_PRICE || '0.015'),
+        output: parseFloat(process.env.AI_OPENROUTER_OUTPUT_PRICE || '0.075')
+      }
+    },
+    // Use the offline local provider when every provider in the chain has no API key or fails
+    fallbackToLocal: process.env.AI_FALLBACK_TO_LOCAL !== 'false',
     
     // Enable debug mode for AI services
     debug: process.env.AI_DEBUG === 'true' || true
   },
+  reports: {
+    // Duplicate detection: open reports of the same category within this radius and time window
+    duplicateRadiusKm: parseFloat(process.env.DUPLICATE_RADIUS_KM || '0.1'), // 100 meters
+    duplicateTimeWindowDays: parseInt(process.env.DUPLICATE_TIME_WINDOW_DAYS || '30', 10),
+    duplicateMaxCandidates: parseInt(process.env.DUPLICATE_MAX_CANDIDATES || '5', 10),
+    // Days after resolution during which the reporter can reopen a report
+    reopenWindowDays: parseInt(process.env.REPORT_REOPEN_WINDOW_DAYS || '14', 10),
+    // Require "after" photos when a report is marked resolved
+    requireResolutionPhotos: process.env.REQUIRE_RESOLUTION_PHOTOS === 'true'
+  },
+  moderation: {
+    // Screen report text and images and hold flagged reports for review
+    enabled: process.env.MODERATION_ENABLED !== 'false',
+    // Minimum AI confidence for an image to be flagged as inappropriate or irrelevant
+    imageConfidenceThreshold: parseFloat(process.env.MODERATION_IMAGE_CONFIDENCE_THRESHOLD || '0.7')
+  },
+  comments: {
+    // Minutes after posting during which authors can edit or delete their comments
+    editWindowMinutes: parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES || '15', 10),
+    deleteWindowMinutes: parseInt(process.env.COMMENT_DELETE_WINDOW_MINUTES || '60', 10)
+  },
+  notifications: {
+    // Days in-app notifications are kept before they are removed
+    retentionDays: parseInt(process.env.NOTIFICATION_RETENTION_DAYS || '90', 10)
+  },
+  jobs: {
+    // Background worker for AI analysis and points awarding
+    workerEnabled: process.env.JOB_WORKER_ENABLED !== 'false',
+    pollIntervalSeconds: parseInt(process.env.JOB_POLL_INTERVAL_SECONDS || '5', 10),
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10),
+    // Delay before the first retry, doubled after every further failed attempt
+    backoffBaseSeconds: parseInt(process.env.JOB_BACKOFF_BASE_SECONDS || '30', 10),
+    maxBackoffMinutes: parseInt(process.env.JOB_MAX_BACKOFF_MINUTES || '60', 10),
+    // Running jobs locked for longer than this are picked up again, e.g. after a crash
+    lockTimeoutMinutes: parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES || '10', 10),
+    completedRetentionDays: parseInt(process.env.JOB_COMPLETED_RETENTION_DAYS || '7', 10)
+  },
+  realtime: {
+    // Seconds between keep-alive comments on idle event streams, so proxies do not close them
+    heartbeatSeconds: parseInt(process.env.REALTIME_HEARTBEAT_SECONDS || '25', 10),
+    maxConnectionsPerUser: parseInt(process.env.REALTIME_MAX_CONNECTIONS_PER_USER || '5', 10)
+  },
+  sla: {
+    // Background check for reports that missed their resolution target
+    schedulerEnabled: process.env.SLA_SCHEDULER_ENABLED !== 'false',
+    checkIntervalMinutes: parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES || '15', 10),
+    // Hours between repeated escalations of a report that stays overdue
+    escalationRepeatHours: parseInt(process.env.SLA_ESCALATION_REPEAT_HOURS || '24', 10),
+    maxEscalationLevel: parseInt(process.env.SLA_MAX_ESCALATION_LEVEL || '3', 10),
+    // Resolution targets in hours per urgency, with per-category overrides
+    targets: {
+      default: { low: 336, medium: 168, high: 72, critical: 24 },
+      water_issue: { high: 48, critical: 12 },
+      electricity_issue: { high: 48, critical: 12 },
+      sewage_problem: { high: 48, critical: 12 },
+      road_damage: { critical: 48 }
+    }
+  },
+  points: {
+    // Earned points expire this many months after they were earned, oldest first; 0 keeps them forever
+    expiryMonths: parseInt(process.env.POINTS_EXPIRY_MONTHS || '12', 10),
+    // Days before expiry that citizens are warned
+    expiryWarningDays: parseInt(process.env.POINTS_EXPIRY_WARNING_DAYS || '30', 10),
+    expirySchedulerEnabled: process.env.POINTS_EXPIRY_SCHEDULER_ENABLED !== 'false',
+    expiryCheckIntervalHours: parseInt(process.env.POINTS_EXPIRY_CHECK_INTERVAL_HOURS || '24', 10),
+    // Citizen tiers by lifetime earned points, lowest first, with the multiplier for resolved-report rewards
+    tiers: [
+      { name: 'bronze', minLifetimePoints: 0, multiplier: 1 },
+      {
+        name: 'silver',
+        minLifetimePoints: parseInt(process.env.POINTS_TIER_SILVER_MIN || '1000', 10),
+        multiplier: parseFloat(process.env.POINTS_TIER_SILVER_MULTIPLIER || '1.25')
+      },
+      {
+        name: 'gold',
+        minLifetimePoints: parseInt(process.env.POINTS_TIER_GOLD_MIN || '5000', 10),
+        multiplier: parseFloat(process.env.POINTS_TIER_GOLD_MULTIPLIER || '1.5')
+      }
+    ],
+    // Daily caps set on points rules reset at midnight in this time zone
+    timeZone: process.env.POINTS_TIME_ZONE || 'Africa/Cairo'
+  },
+  fraud: {
+    enabled: process.env.FRAUD_CHECK_ENABLED !== 'false',
+    // Reports scoring this much or more (0-100) earn no points until an admin reviews them
+    holdThreshold: parseInt(process.env.FRAUD_HOLD_THRESHOLD || '50', 10),
+    // More reports than this from one citizen within the burst window is a burst
+    burstWindowMinutes: parseInt(process.env.FRAUD_BURST_WINDOW_MINUTES || '60', 10),
+    burstMaxReports: parseInt(process.env.FRAUD_BURST_MAX_REPORTS || '3', 10),
+    dailyMaxReports: parseInt(process.env.FRAUD_DAILY_MAX_REPORTS || '10', 10),
+    // Share of words a report may have in common with one of the citizen's recent reports (0-1)
+    textSimilarityThreshold: parseFloat(process.env.FRAUD_TEXT_SIMILARITY_THRESHOLD || '0.8'),
+    textLookbackDays: parseInt(process.env.FRAUD_TEXT_LOOKBACK_DAYS || '30', 10),
+    // Reports further than this outside the citizen's home governorate, in kilometers
+    homeDistanceKm: parseFloat(process.env.FRAUD_HOME_DISTANCE_KM || '100'),
+    // Score added by each signal
+    weights: {
+      submission_burst: 30,
+      daily_volume: 20,
+      image_reuse: 40,
+      text_similarity: 25,
+      far_from_home: 15,
+      photo_location_mismatch: 15
+    }
+  },
   cache: {
     enabled: process.env.CACHE_ENABLED === 'true',
     ttl: parseInt(process.env.CACHE_TTL || '3600', 10), // 1 hour in seconds
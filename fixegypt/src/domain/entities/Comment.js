@@ -0,0 +1,82 @@
+/**
+ * Comment Entity in the domain layer
+ * This represents a message in the conversation about a report
+ */
+class Comment {
+  constructor({
+    id = null,
+    reportId,
+    authorId,
+    author = null, // { firstName, lastName, role } when available
+    parentId = null,
+    body,
+    visibility = 'public', // public, internal
+    attachments = [],
+    editedAt = null,
+    deletedAt = null,
+    deletedBy = null,
+    replies = [],
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.reportId = reportId;
+    this.authorId = authorId;
+    this.author = author;
+    this.parentId = parentId;
+    this.body = body;
+    this.visibility = visibility;
+    this.attachments = attachments;
+    this.editedAt = editedAt;
+    this.deletedAt = deletedAt;
+    this.deletedBy = deletedBy;
+    this.replies = replies;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Check if the comment was written by a user
+   * @param {string} userId - User ID
+   * @returns {boolean} Whether the user is the author
+   */
+  isByUser(userId) {
+    return !!userId && this.authorId?.toString() === userId.toString();
+  }
+
+  /**
+   * Check if the comment is a staff-only note
+   * @returns {boolean} Whether the comment is internal
+   */
+  isInternal() {
+    return this.visibility === 'internal';
+  }
+
+  /**
+   * Check if the comment has been deleted
+   * @returns {boolean} Whether the comment is deleted
+   */
+  isDeleted() {
+    return !!this.deletedAt;
+  }
+
+  /**
+   * Check if the comment is a reply to another comment
+   * @returns {boolean} Whether the comment is a reply
+   */
+  isReply() {
+    return !!this.parentId;
+  }
+
+  /**
+   * Check if the comment was posted less than a number of minutes ago
+   * @param {number} minutes - Window length in minutes
+   * @param {Date} now - Reference time
+   * @returns {boolean} Whether the window is still open
+   */
+  isWithinWindow(minutes, now = new Date()) {
+    return now.getTime() - new Date(this.createdAt).getTime() <= minutes * 60 * 1000;
+  }
+}
+
+export default Comment; 
\ No newline at end of file
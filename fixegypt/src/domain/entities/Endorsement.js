@@ -0,0 +1,28 @@
+/**
+ * Endorsement Entity in the domain layer
+ * This represents a citizen saying "me too" on an existing report
+ */
+class Endorsement {
+  constructor({
+    id = null,
+    reportId,
+    userId,
+    createdAt = new Date()
+  }) {
+    this.id = id;
+    this.reportId = reportId;
+    this.userId = userId;
+    this.createdAt = createdAt;
+  }
+
+  /**
+   * Check if the endorsement belongs to a user
+   * @param {string} userId - User ID
+   * @returns {boolean} Whether the user made this endorsement
+   */
+  isByUser(userId) {
+    return !!userId && this.userId?.toString() === userId.toString();
+  }
+}
+
+export default Endorsement; 
\ No newline at end of file
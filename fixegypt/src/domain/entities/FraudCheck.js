@@ -0,0 +1,75 @@
+/**
+ * Fraud check statuses
+ * clear: scored below the threshold; held: points withheld until an admin reviews the report; released: an
+ * admin found nothing wrong and the points were awarded; confirmed: an admin confirmed farming and the points
+ * are forfeited
+ */
+const FRAUD_CHECK_STATUSES = ['clear', 'held', 'released', 'confirmed'];
+
+/**
+ * Signals that add to a report's fraud score
+ * scoring_failed carries no weight: it holds a report that could not be scored until an admin reviews it
+ */
+const FRAUD_SIGNALS = [
+  'submission_burst',
+  'daily_volume',
+  'image_reuse',
+  'text_similarity',
+  'far_from_home',
+  'photo_location_mismatch',
+  'scoring_failed'
+];
+
+/**
+ * FraudCheck Entity in the domain layer
+ * This represents the points-farming score of a report and the signals that fired. It is kept apart from the
+ * report so citizens never see it
+ */
+class FraudCheck {
+  constructor({
+    id = null,
+    reportId,
+    userId,
+    score = 0,
+    signals = [], // [{ type, weight, detail }]
+    status = 'clear',
+    checkedAt = new Date(),
+    reviewedBy = null,
+    reviewedAt = null,
+    reviewNote = '',
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.reportId = reportId;
+    this.userId = userId;
+    this.score = score;
+    this.signals = signals;
+    this.status = FRAUD_CHECK_STATUSES.includes(status) ? status : 'clear';
+    this.checkedAt = checkedAt;
+    this.reviewedBy = reviewedBy;
+    this.reviewedAt = reviewedAt;
+    this.reviewNote = reviewNote;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Check if the report's points are withheld
+   * @returns {boolean} True while held and once farming is confirmed
+   */
+  isWithholdingPoints() {
+    return this.status === 'held' || this.status === 'confirmed';
+  }
+
+  /**
+   * Check if an admin has decided on the report
+   * @returns {boolean} True once released or confirmed
+   */
+  isReviewed() {
+    return this.status === 'released' || this.status === 'confirmed';
+  }
+}
+
+export { FRAUD_CHECK_STATUSES, FRAUD_SIGNALS };
+export default FraudCheck; 
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * Job statuses
+ * Failed attempts go back to queued until maxAttempts is reached, then the job is dead-lettered
+ */
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+/**
+ * Job types
+ */
+const JOB_TYPES = [
+  'report.analyze',
+  'report.moderate_images',
+  'report.summarize',
+  'points.report_submission',
+  'points.report_resolved',
+  'points.report_endorsed',
+  'points.photo_verified',
+  'points.reconcile'
+];
+
+/**
+ * Job Entity in the domain layer
+ * This represents a unit of background work persisted so it survives restarts
+ */
+class Job {
+  constructor({
+    id = null,
+    type,
+    payload = {},
+    status = 'queued',
+    attempts = 0,
+    maxAttempts = 5,
+    runAt = new Date(), // Earliest time the job may run; pushed back after a failed attempt
+    lockedAt = null,
+    lockedBy = null,
+    lastError = null,
+    result = null,
+    completedAt = null,
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.type = type;
+    this.payload = payload;
+    this.status = JOB_STATUSES.includes(status) ? status : 'queued';
+    this.attempts = attempts;
+    this.maxAttempts = maxAttempts;
+    this.runAt = runAt;
+    this.lockedAt = lockedAt;
+    this.lockedBy = lockedBy;
+    this.lastError = lastError;
+    this.result = result;
+    this.completedAt = completedAt;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Check if another attempt is allowed after the current one fails
+   * @returns {boolean} Whether the job can be retried
+   */
+  canRetry() {
+    return this.attempts < this.maxAttempts;
+  }
+
+  /**
+   * Check if the job has been dead-lettered
+   * @returns {boolean} Whether the job is dead
+   */
+  isDead() {
+    return this.status === 'dead';
+  }
+}
+
+export { JOB_STATUSES, JOB_TYPES };
+export default Job; 
\ No newline at end of file
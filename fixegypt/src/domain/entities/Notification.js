@@ -0,0 +1,50 @@
+/**
+ * Notification types
+ */
+const NOTIFICATION_TYPES = [
+  'report_status',
+  'report_assigned',
+  'report_comment',
+  'points_awarded',
+  'points_adjusted',
+  'points_expiring',
+  'points_expired',
+  'redemption_status'
+];
+
+/**
+ * Notification Entity in the domain layer
+ * This represents a message in a user's in-app notification center
+ */
+class Notification {
+  constructor({
+    id = null,
+    userId,
+    type,
+    title,
+    message,
+    data = {}, // Related resources, e.g. { reportId }
+    readAt = null,
+    createdAt = new Date()
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.type = type;
+    this.title = title;
+    this.message = message;
+    this.data = data;
+    this.readAt = readAt;
+    this.createdAt = createdAt;
+  }
+
+  /**
+   * Check if the notification has been read
+   * @returns {boolean} Whether the notification is read
+   */
+  isRead() {
+    return !!this.readAt;
+  }
+}
+
+export { NOTIFICATION_TYPES };
+export default Notification; 
\ No newline at end of file
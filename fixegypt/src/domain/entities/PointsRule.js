@@ -0,0 +1,112 @@
+/**
+ * Events that earn points; each is also the source recorded on the points transaction
+ */
+const POINTS_EVENTS = ['report_submission', 'report_resolved', 'report_endorsed', 'photo_verified'];
+
+/**
+ * What a rule does when it matches
+ * award sets the base points of the event, bonus adds points on top, multiplier scales the total
+ */
+const POINTS_RULE_KINDS = ['award', 'bonus', 'multiplier'];
+
+/**
+ * Points Rule Entity in the domain layer
+ * This represents an admin-managed rule deciding how many points an event earns. A rule with a start or end
+ * date is a campaign and only applies inside its window
+ */
+class PointsRule {
+  constructor({
+    id = null,
+    name,
+    description = '',
+    event,
+    kind = 'award',
+    points = 0, // Base points of an award rule, extra points of a bonus rule
+    multiplier = 1, // Factor of a multiplier rule
+    conditions = {}, // { categories, urgencies, governorates }; an empty list matches every report
+    startsAt = null,
+    endsAt = null,
+    dailyCap = null, // Most points a citizen can earn from the event per day while the rule applies
+    priority = 0, // Breaks ties between award rules that match equally well
+    isActive = true,
+    createdBy = null,
+    updatedBy = null,
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+    this.event = event;
+    this.kind = kind;
+    this.points = points;
+    this.multiplier = multiplier;
+    this.conditions = {
+      categories: conditions.categories || [],
+      urgencies: conditions.urgencies || [],
+      governorates: conditions.governorates || []
+    };
+    this.startsAt = startsAt;
+    this.endsAt = endsAt;
+    this.dailyCap = dailyCap;
+    this.priority = priority;
+    this.isActive = isActive;
+    this.createdBy = createdBy;
+    this.updatedBy = updatedBy;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Check if the rule is a time-limited campaign
+   * @returns {boolean} True if the rule has a start or end date
+   */
+  isCampaign() {
+    return !!(this.startsAt || this.endsAt);
+  }
+
+  /**
+   * Check if the rule applies at a point in time
+   * @param {Date} at - Time of the event
+   * @returns {boolean} True if the rule is active and inside its window
+   */
+  isInEffect(at = new Date()) {
+    if (!this.isActive) {
+      return false;
+    }
+
+    if (this.startsAt && new Date(this.startsAt) > at) {
+      return false;
+    }
+
+    return !(this.endsAt && new Date(this.endsAt) <= at);
+  }
+
+  /**
+   * Check if the rule matches an event about a report
+   * Governorates are free text on reports, so they are compared without case or surrounding spaces
+   * @param {string} event - Points event
+   * @param {Object} context - Report details (category, urgency, governorate)
+   * @returns {boolean} True if the event and every condition match
+   */
+  matches(event, { category, urgency, governorate } = {}) {
+    const normalize = value => (value || '').toString().trim().toLowerCase();
+    const { categories, urgencies, governorates } = this.conditions;
+
+    return this.event === event &&
+      (categories.length === 0 || categories.includes(category)) &&
+      (urgencies.length === 0 || urgencies.includes(urgency)) &&
+      (governorates.length === 0 || governorates.map(normalize).includes(normalize(governorate)));
+  }
+
+  /**
+   * Count the conditions that narrow the rule down
+   * @returns {number} Number of non-empty conditions
+   */
+  getSpecificity() {
+    return Object.values(this.conditions).filter(values => values.length > 0).length;
+  }
+}
+
+export { POINTS_EVENTS, POINTS_RULE_KINDS };
+export default PointsRule; 
\ No newline at end of file
@@ -1,3 +1,6 @@
+// Transaction types whose positive amount is taken off the balance
+const DEBIT_TYPES = ['redeem', 'expire'];
+
 /**
  * PointsTransaction Entity in the domain layer
  * This represents a transaction in the points system
@@ -7,11 +10,12 @@ class PointsTransaction {
     id = null,
     userId,
     amount,
-    type, // 'earn', 'redeem'
-    source, // 'report_submission', 'report_resolved', 'product_redemption'
+    type, // 'earn', 'redeem', 'refund', 'adjustment', 'expire'
+    source, // 'report_submission', 'report_resolved', 'report_endorsed', 'photo_verified', 'product_redemption', 'admin_adjustment', 'points_expiry'
     referenceId = null, // ID of report or product
     description = '',
     balance = 0, // Points balance after transaction
+    adminId = null, // Admin who made a manual adjustment
     createdAt = new Date()
   }) {
     this.id = id;
@@ -22,6 +26,7 @@ class PointsTransaction {
     this.referenceId = referenceId;
     this.description = description;
     this.balance = balance;
+    this.adminId = adminId;
     this.createdAt = createdAt;
   }
 
@@ -39,6 +44,37 @@ class PointsTransaction {
     return this.type === 'redeem';
   }
 
+  /**
+   * Check if transaction removed points that reached their expiry date
+   */
+  isExpiry() {
+    return this.type === 'expire';
+  }
+
+  /**
+   * Check if transaction returns points from a rejected redemption
+   */
+  isRefund() {
+    return this.type === 'refund';
+  }
+
+  /**
+   * Check if transaction is a manual adjustment by an admin
+   */
+  isAdjustment() {
+    return this.type === 'adjustment';
+  }
+
+  /**
+   * Get the change the transaction made to the balance
+   * Amounts are stored as positive numbers except for adjustments, which carry their own sign
+   * @param {Object} transaction - Transaction or plain transaction data with type and amount
+   * @returns {number} Points added (positive) or removed (negative)
+   */
+  static signedAmount({ type, amount }) {
+    return DEBIT_TYPES.includes(type) ? -amount : amount;
+  }
+
   /**
    * Create an earning transaction
    * @param {string} userId - User ID
@@ -12,6 +12,7 @@ class Product {
     image = null,
     isActive = true,
     stock = null, // null means unlimited
+    minTier = 'bronze', // Lowest citizen tier that may redeem the product
     createdAt = new Date(),
     updatedAt = new Date()
   }) {
@@ -23,6 +24,7 @@ class Product {
     this.image = image;
     this.isActive = isActive;
     this.stock = stock;
+    this.minTier = minTier;
     this.createdAt = createdAt;
     this.updatedAt = updatedAt;
   }
@@ -13,6 +13,10 @@ class Redemption {
     adminId = null,
     processingDate = null,
     completionDate = null,
+    idempotencyKey = null,
+    stockReserved = false,
+    soldOut = false,
+    refundedAt = null,
     createdAt = new Date(),
     updatedAt = new Date()
   }) {
@@ -25,6 +29,10 @@ class Redemption {
     this.adminId = adminId;
     this.processingDate = processingDate;
     this.completionDate = completionDate;
+    this.idempotencyKey = idempotencyKey;
+    this.stockReserved = stockReserved;
+    this.soldOut = soldOut;
+    this.refundedAt = refundedAt;
     this.createdAt = createdAt;
     this.updatedAt = updatedAt;
   }
@@ -67,6 +75,13 @@ class Redemption {
     return this.status === 'rejected';
   }
 
+  /**
+   * Check if the redemption's points and stock were returned
+   */
+  isRefunded() {
+    return this.refundedAt !== null;
+  }
+
   /**
    * Check if redemption is pending
    */
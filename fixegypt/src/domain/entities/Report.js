@@ -1,3 +1,55 @@
+/**
+ * All report statuses
+ */
+const REPORT_STATUSES = ['under_review', 'pending', 'in-progress', 'resolved', 'rejected', 'reopened', 'merged', 'removed'];
+
+/**
+ * All report categories
+ */
+const REPORT_CATEGORIES = [
+  'road_damage',
+  'water_issue',
+  'electricity_issue',
+  'waste_management',
+  'public_property_damage',
+  'street_lighting',
+  'sewage_problem',
+  'public_transportation',
+  'environmental_issue',
+  'other'
+];
+
+/**
+ * Languages report text is detected as: Arabic, Franco-Arabic (Arabic in Latin letters), English or a mix
+ */
+const REPORT_LANGUAGES = ['ar', 'ar-Latn', 'en', 'mixed'];
+
+/**
+ * Statuses of reports that still need work
+ */
+const OPEN_STATUSES = ['pending', 'in-progress', 'reopened'];
+
+/**
+ * Statuses of reports held back from other citizens by content moderation
+ */
+const HIDDEN_STATUSES = ['under_review', 'removed'];
+
+/**
+ * Allowed status transitions
+ * Merging and holding a report for moderation are not status transitions;
+ * they are handled by the merge and moderation workflows
+ */
+const STATUS_TRANSITIONS = {
+  'pending': ['in-progress', 'rejected'],
+  'in-progress': ['resolved', 'rejected'],
+  'resolved': ['reopened'],
+  'reopened': ['in-progress', 'rejected'],
+  'rejected': [],
+  'merged': [],
+  'under_review': ['pending', 'removed'],
+  'removed': []
+};
+
 /**
  * Report Entity in the domain layer
  * This represents a citizen's city report
@@ -15,16 +67,32 @@ class Report {
       coordinates: { lat: 0, lng: 0 }
     },
     images = [],
-    status = 'pending', // pending, in-progress, resolved, rejected
+    status = 'pending', // under_review, pending, in-progress, resolved, rejected, reopened, merged, removed
     urgency = 'medium', // low, medium, high, critical
     userId = null,  // Allow null userId for more robustness
     adminId = null,
     aiAnalysis = {
+      status: null, // queued, running, done, failed
       classification: null,
       urgency: null,
-      confidence: null
+      confidence: null,
+      agreement: null,
+      provider: null,
+      images: []
     },
+    categorySuggestion = null, // AI category that disagrees with the reporter's, awaiting admin review
+    moderation = null, // Content flagged by moderation and the admin's decision (clear, pending, approved, removed)
+    locationCheck = null, // Photo GPS positions compared with the reported location (consistent, mismatch, unverified)
+    language = null, // Detected language of the title and description
+    summary = null, // Short AI summary in Arabic and English
     statusHistory = [],
+    mergedInto = null,
+    possibleDuplicates = [],
+    reporters = [],
+    endorsementCount = 0,
+    assignment = null,
+    sla = null,
+    resolutions = [],
     createdAt = new Date(),
     updatedAt = new Date()
   }) {
@@ -49,15 +117,39 @@ class Report {
     this.images = Array.isArray(images) ? images : [];
     
     // Validate status and urgency fields
-    this.status = ['pending', 'in-progress', 'resolved', 'rejected'].includes(status) ? status : 'pending';
+    this.status = REPORT_STATUSES.includes(status) ? status : 'pending';
     this.urgency = ['low', 'medium', 'high', 'critical'].includes(urgency) ? urgency : 'medium';
     
     this.userId = userId;
     this.adminId = adminId;
     this.aiAnalysis = aiAnalysis || {};
+    this.categorySuggestion = categorySuggestion && categorySuggestion.category ? categorySuggestion : null;
+    this.moderation = {
+      status: moderation?.status || 'clear',
+      flags: Array.isArray(moderation?.flags) ? moderation.flags : [],
+      screenedImages: Array.isArray(moderation?.screenedImages) ? moderation.screenedImages : [],
+      flaggedAt: moderation?.flaggedAt || null,
+      reviewedBy: moderation?.reviewedBy || null,
+      reviewedAt: moderation?.reviewedAt || null,
+      note: moderation?.note || ''
+    };
+    this.locationCheck = locationCheck && locationCheck.status ? locationCheck : null;
+    this.language = REPORT_LANGUAGES.includes(language) ? language : null;
+    this.summary = summary && (summary.ar || summary.en) ? summary : null;
     this.statusHistory = statusHistory.length > 0 
       ? statusHistory 
       : [{ status: this.status, timestamp: new Date(), note: 'Report created' }];
+    this.mergedInto = mergedInto;
+    this.possibleDuplicates = Array.isArray(possibleDuplicates) ? possibleDuplicates : [];
+    this.reporters = Array.isArray(reporters) ? reporters : [];
+    this.endorsementCount = parseInt(endorsementCount, 10) || 0;
+    this.assignment = assignment && assignment.assignedAt ? assignment : null;
+    this.resolutions = Array.isArray(resolutions) ? resolutions : [];
+    this.sla = {
+      escalationLevel: parseInt(sla?.escalationLevel || 0, 10),
+      breachedAt: sla?.breachedAt || null,
+      lastEscalatedAt: sla?.lastEscalatedAt || null
+    };
     this.createdAt = createdAt instanceof Date ? createdAt : new Date(createdAt || Date.now());
     this.updatedAt = updatedAt instanceof Date ? updatedAt : new Date(updatedAt || Date.now());
   }
@@ -69,10 +161,18 @@ class Report {
    * @param {string} note - Optional note about the status change
    */
   updateStatus(newStatus, adminId, note = '') {
-    if (!['pending', 'in-progress', 'resolved', 'rejected'].includes(newStatus)) {
+    if (!REPORT_STATUSES.includes(newStatus)) {
       throw new Error('Invalid status value');
     }
 
+    if (!this.canTransitionTo(newStatus)) {
+      throw new Error(`Cannot change report status from ${this.status} to ${newStatus}`);
+    }
+
+    if (Report.requiresReason(newStatus) && !note?.trim()) {
+      throw new Error(`A reason is required to mark a report as ${newStatus}`);
+    }
+
     this.status = newStatus;
     this.adminId = adminId;
     this.updatedAt = new Date();
@@ -86,6 +186,72 @@ class Report {
     });
   }
 
+  /**
+   * Get the most recent resolution, with its "after" photos and verification
+   * @returns {Object|null} Current resolution
+   */
+  getCurrentResolution() {
+    return this.resolutions.length > 0 ? this.resolutions[this.resolutions.length - 1] : null;
+  }
+
+  /**
+   * Check if the current resolution is still waiting for the reporter's verdict
+   * @returns {boolean} Whether the resolution can be confirmed or disputed
+   */
+  isAwaitingVerification() {
+    const resolution = this.getCurrentResolution();
+    return this.isResolved() && !!resolution && resolution.verification?.status === 'pending';
+  }
+
+  /**
+   * Check if the report can move to a new status
+   * @param {string} newStatus - Target status
+   * @returns {boolean} Whether the transition is allowed
+   */
+  canTransitionTo(newStatus) {
+    return Report.isValidTransition(this.status, newStatus);
+  }
+
+  /**
+   * Get the date the report was last marked resolved
+   * @returns {Date|null} Resolution date
+   */
+  getResolvedAt() {
+    const entry = [...this.statusHistory].reverse().find(item => item.status === 'resolved');
+    const timestamp = entry && (entry.timestamp || entry.changedAt);
+    return timestamp ? new Date(timestamp) : null;
+  }
+
+  /**
+   * Check if a resolved report is still within its reopen window
+   * @param {number} windowDays - Days after resolution during which the report can be reopened
+   * @param {Date} now - Reference time
+   * @returns {boolean} Whether the report can still be reopened
+   */
+  isWithinReopenWindow(windowDays, now = new Date()) {
+    const resolvedAt = this.getResolvedAt() || this.updatedAt;
+    return now - resolvedAt <= windowDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Check if a status transition is allowed
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Target status
+   * @returns {boolean} Whether the transition is allowed
+   */
+  static isValidTransition(fromStatus, toStatus) {
+    return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Check if moving to a status requires a reason
+   * @param {string} status - Target status
+   * @returns {boolean} Whether a reason is required
+   */
+  static requiresReason(status) {
+    return ['rejected', 'reopened'].includes(status);
+  }
+
   /**
    * Update the urgency of the report
    * @param {string} newUrgency - New urgency value
@@ -134,6 +300,7 @@ class Report {
         city: this.location.city,
         governorate: this.location.governorate
       },
+      endorsementCount: this.endorsementCount,
       createdAt: this.createdAt
     };
   }
@@ -145,6 +312,80 @@ class Report {
     return this.status === 'resolved';
   }
 
+  /**
+   * Check if the report has been merged into another report
+   */
+  isMerged() {
+    return this.status === 'merged';
+  }
+
+  /**
+   * Check if the report is held back from other citizens by moderation
+   */
+  isHidden() {
+    return HIDDEN_STATUSES.includes(this.status);
+  }
+
+  /**
+   * Check if flagged content is waiting for a moderator's decision
+   */
+  isAwaitingModeration() {
+    return this.status === 'under_review' && this.moderation.status === 'pending';
+  }
+
+  /**
+   * Check if the report is still open (not resolved, rejected or merged)
+   */
+  isOpen() {
+    return OPEN_STATUSES.includes(this.status);
+  }
+
+  /**
+   * Check if an AI category suggestion is waiting for admin review
+   */
+  hasPendingCategorySuggestion() {
+    return this.categorySuggestion?.status === 'pending';
+  }
+
+  /**
+   * Check if the report is assigned to a staff member or team
+   */
+  isAssigned() {
+    return !!this.assignment;
+  }
+
+  /**
+   * Check if a staff member is responsible for the report,
+   * either directly or through their team
+   * @param {string} userId - Staff member ID
+   * @param {string} team - Staff member's team (optional)
+   * @returns {boolean} Whether the report is in the staff member's queue
+   */
+  isAssignedTo(userId, team = null) {
+    if (!this.assignment) {
+      return false;
+    }
+
+    if (userId && this.assignment.assignedTo?.toString() === userId.toString()) {
+      return true;
+    }
+
+    return !!team && this.assignment.team === team;
+  }
+
+  /**
+   * Get IDs of every citizen who reported this issue
+   * Includes the owner and the reporters of merged duplicates
+   * @returns {Array<string>} Unique user IDs
+   */
+  getReporterIds() {
+    const ids = [this.userId, ...this.reporters.map(reporter => reporter.userId)]
+      .filter(Boolean)
+      .map(id => id.toString());
+
+    return [...new Set(ids)];
+  }
+
   /**
    * Get days since report creation
    */
@@ -154,4 +395,5 @@ class Report {
   }
 }
 
+export { REPORT_STATUSES, REPORT_CATEGORIES, REPORT_LANGUAGES, OPEN_STATUSES, HIDDEN_STATUSES, STATUS_TRANSITIONS };
 export default Report; 
\ No newline at end of file
@@ -15,8 +15,10 @@ class User {
     city,
     governorate,
     role = 'citizen',
+    team = null,
     isVerified = false,
     points = 0,
+    notificationPreferences = {}, // Enabled channels: inApp, email
     createdAt = new Date(),
     updatedAt = new Date()
   }) {
@@ -31,8 +33,10 @@ class User {
     this.city = city;
     this.governorate = governorate;
     this.role = role;
+    this.team = team;
     this.isVerified = isVerified;
     this.points = points;
+    this.notificationPreferences = { inApp: true, email: true, ...notificationPreferences };
     this.createdAt = createdAt;
     this.updatedAt = updatedAt;
   }
@@ -51,6 +55,13 @@ class User {
     return this.role === 'admin';
   }
 
+  /**
+   * Check if user is a field worker
+   */
+  isFieldWorker() {
+    return this.role === 'field_worker';
+  }
+
   /**
    * Check if user is a citizen
    */
@@ -58,6 +69,15 @@ class User {
     return this.role === 'citizen';
   }
 
+  /**
+   * Check if the user wants to be notified through a channel
+   * @param {string} channel - 'inApp' or 'email'
+   * @returns {boolean} Whether the channel is enabled
+   */
+  wantsNotificationsBy(channel) {
+    return this.notificationPreferences[channel] !== false;
+  }
+
   /**
    * Add points to user
    * @param {number} amount - Amount of points to add
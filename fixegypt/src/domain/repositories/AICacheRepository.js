@@ -0,0 +1,34 @@
+/**
+ * AI Cache Repository Interface
+ * Defines methods for the persistent tier of the AI result cache
+ */
+class AICacheRepository {
+  /**
+   * Find an unexpired cached result
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { result, expiresAt }, or null if there is none
+   */
+  async find(key) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Store a result, replacing any result under the same key
+   * @param {string} key - Cache key
+   * @param {Object} entry - Operation, result and expiresAt
+   * @returns {Promise<void>}
+   */
+  async save(key, entry) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Count unexpired cached results
+   * @returns {Promise<number>} Number of entries
+   */
+  async count() {
+    throw new Error('Method not implemented');
+  }
+}
+
+export default AICacheRepository; 
\ No newline at end of file
@@ -0,0 +1,27 @@
+/**
+ * AI Usage Repository Interface
+ * Defines methods for daily usage and spend of the AI providers
+ */
+class AIUsageRepository {
+  /**
+   * Add a provider call to the totals of its day
+   * @param {Object} usage - Call data (date, provider, operation, success, failure, latencyMs, inputTokens, outputTokens, cost);
+   *   failure is parse for answers that could not be read and transport for failed requests
+   * @returns {Promise<void>}
+   */
+  async record(usage) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Get the totals per day, provider and operation since a date, newest day first
+   * @param {string} fromDate - First day to include (YYYY-MM-DD, UTC)
+   * @returns {Promise<Array<Object>>} Daily totals (date, provider, operation, calls, failures, parseFailures,
+   *   transportFailures, avgLatencyMs, inputTokens, outputTokens, cost)
+   */
+  async findDailySince(fromDate) {
+    throw new Error('Method not implemented');
+  }
+}
+
+export default AIUsageRepository; 
\ No newline at end of file
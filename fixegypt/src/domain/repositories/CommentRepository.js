@@ -0,0 +1,59 @@
+/**
+ * Comment Repository Interface
+ * Defines methods for interacting with report comments
+ */
+class CommentRepository {
+  /**
+   * Create a comment
+   * @param {Object} commentData - Comment data
+   * @returns {Promise<Comment>} Created comment
+   */
+  async create(commentData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find a comment by ID
+   * @param {string} id - Comment ID
+   * @returns {Promise<Comment|null>} Comment or null
+   */
+  async findById(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List the threads of a report, oldest first
+   * Top-level comments are paginated and each carries all of its replies
+   * @param {string} reportId - Report ID
+   * @param {Object} options - Pagination and visibility options
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Threads per page
+   * @param {boolean} options.includeInternal - Whether to include staff-only notes
+   * @returns {Promise<{comments: Comment[], total: number, page: number, limit: number}>} Paginated threads
+   */
+  async findByReportId(reportId, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Replace the body of a comment
+   * @param {string} id - Comment ID
+   * @param {string} body - New body
+   * @returns {Promise<Comment|null>} Updated comment or null if not found or deleted
+   */
+  async updateBody(id, body) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Soft delete a comment, keeping its place in the thread
+   * @param {string} id - Comment ID
+   * @param {string} deletedBy - ID of the user deleting the comment
+   * @returns {Promise<Comment|null>} Deleted comment or null if not found or already deleted
+   */
+  async softDelete(id, deletedBy) {
+    throw new Error('Method not implemented');
+  }
+}
+
+export default CommentRepository; 
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * Endorsement Repository Interface
+ * Defines methods for interacting with report endorsements
+ */
+class EndorsementRepository {
+  /**
+   * Endorse a report and increment its endorsement count
+   * @param {string} reportId - Report ID
+   * @param {string} userId - ID of the endorsing user
+   * @returns {Promise<{endorsement: Endorsement, endorsementCount: number}|null>} Created endorsement and new count, or null if already endorsed
+   */
+  async create(reportId, userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Remove a user's endorsement and decrement the report's endorsement count
+   * @param {string} reportId - Report ID
+   * @param {string} userId - ID of the endorsing user
+   * @returns {Promise<{endorsementCount: number}|null>} New count, or null if there was no endorsement
+   */
+  async delete(reportId, userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find a user's endorsement of a report
+   * @param {string} reportId - Report ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Endorsement|null>} Endorsement or null
+   */
+  async findByReportAndUser(reportId, userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List endorsements of a report
+   * @param {string} reportId - Report ID
+   * @param {Object} options - Pagination options
+   * @returns {Promise<{endorsements: Endorsement[], total: number, page: number, limit: number}>} Paginated endorsements
+   */
+  async findByReportId(reportId, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find which of the given reports a user has endorsed
+   * @param {string} userId - User ID
+   * @param {Array<string>} reportIds - Report IDs to check
+   * @returns {Promise<Array<string>>} IDs of the endorsed reports
+   */
+  async findEndorsedReportIds(userId, reportIds) {
+    throw new Error('Method not implemented');
+  }
+}
+
+export default EndorsementRepository; 
\ No newline at end of file
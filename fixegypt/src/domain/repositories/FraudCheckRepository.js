@@ -0,0 +1,57 @@
+/**
+ * Fraud Check Repository Interface
+ * Defines methods for interacting with the points-farming scores of reports
+ */
+class FraudCheckRepository {
+  /**
+   * Create or replace the check of a report
+   * @param {string} reportId - Report ID
+   * @param {Object} checkData - Check data (userId, score, signals, status, checkedAt)
+   * @returns {Promise<FraudCheck>} Saved check
+   */
+  async save(reportId, checkData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find the check of a report
+   * @param {string} reportId - Report ID
+   * @returns {Promise<FraudCheck|null>} Check, or null if the report was not scored
+   */
+  async findByReportId(reportId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find the checks of a citizen's reports, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - Filter (status) and pagination options
+   * @returns {Promise<Object>} Checks and pagination info
+   */
+  async findByUser(userId, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find the citizens with flagged reports, with the signals that fired across them
+   * @param {Object} options - Filter (status) and pagination options
+   * @returns {Promise<Object>} Accounts and pagination info
+   */
+  async findFlaggedAccounts(options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Record an admin's decision on a held check
+   * @param {string} reportId - Report ID
+   * @param {string} status - released or confirmed
+   * @param {string} reviewerId - ID of the admin
+   * @param {string} note - Reason for the decision
+   * @returns {Promise<FraudCheck|null>} Reviewed check, or null if the check is not held
+   */
+  async review(reportId, status, reviewerId, note) {
+    throw new Error('Method not implemented');
+  }
+}
+
+export default FraudCheckRepository; 
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * Job Repository Interface
+ * Defines methods for the persisted background job queue
+ */
+class JobRepository {
+  /**
+   * Add a job to the queue
+   * @param {Object} jobData - Job data (type, payload, maxAttempts, runAt)
+   * @returns {Promise<Job>} Queued job
+   */
+  async enqueue(jobData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find a job by ID
+   * @param {string} id - Job ID
+   * @returns {Promise<Job|null>} Job or null
+   */
+  async findById(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filters - Filters (status, type)
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<{jobs: Job[], total: number, page: number, limit: number}>} Paginated jobs
+   */
+  async find(filters, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atomically lock the next due job for a worker
+   * Running jobs whose lock is older than lockTimeoutMs are reclaimed, e.g. after a crash
+   * @param {Array<string>} types - Job types the worker can handle
+   * @param {string} workerId - ID of the worker claiming the job
+   * @param {number} lockTimeoutMs - Age after which a lock is considered abandoned
+   * @returns {Promise<Job|null>} Claimed job, with attempts incremented, or null if none is due
+   */
+  async claimNext(types, workerId, lockTimeoutMs) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Mark a job as completed
+   * @param {string} id - Job ID
+   * @param {Object} result - Result summary
+   * @returns {Promise<Job|null>} Updated job
+   */
+  async complete(id, result) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Record a failed attempt, either scheduling a retry or dead-lettering the job
+   * @param {string} id - Job ID
+   * @param {string} error - Error message
+   * @param {Date|null} retryAt - When to retry, or null to dead-letter the job
+   * @returns {Promise<Job|null>} Updated job
+   */
+  async fail(id, error, retryAt) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Put a dead job back in the queue with a fresh set of attempts
+   * @param {string} id - Job ID
+   * @returns {Promise<Job|null>} Requeued job, or null if not found or not dead
+   */
+  async requeue(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Count jobs per status
+   * @returns {Promise<Object>} Counts keyed by status
+   */
+  async countByStatus() {
+    throw new Error('Method not implemented');
+  }
+}
+
+export default JobRepository; 
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * Notification Repository Interface
+ * Defines methods for interacting with in-app notifications
+ */
+class NotificationRepository {
+  /**
+   * Create a notification
+   * @param {Object} notificationData - Notification data
+   * @returns {Promise<Notification>} Created notification
+   */
+  async create(notificationData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - Pagination options
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Notifications per page
+   * @param {boolean} options.unreadOnly - Only return unread notifications
+   * @returns {Promise<{notifications: Notification[], total: number, page: number, limit: number}>} Paginated notifications
+   */
+  async findByUserId(userId, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Count a user's unread notifications
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Unread count
+   */
+  async countUnread(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Mark one of a user's notifications as read
+   * @param {string} id - Notification ID
+   * @param {string} userId - ID of the notification's owner
+   * @returns {Promise<Notification|null>} Notification or null if the user has no such notification
+   */
+  async markRead(id, userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of notifications marked read
+   */
+  async markAllRead(userId) {
+    throw new Error('Method not implemented');
+  }
+}
+
+export default NotificationRepository; 
\ No newline at end of file
@@ -10,9 +10,22 @@ class PointsRepository {
    * @param {string} source - Source of points
    * @param {string} referenceId - ID of reference object
    * @param {string} description - Transaction description
-   * @returns {Promise<Object>} Transaction and updated user
+   * @param {Object} options - Optional settings (idempotencyKey, dailyCap: { limit, since })
+   * @returns {Promise<Object>} Transaction, updated user, whether the key was already used (duplicate) and whether
+   *   the daily cap reduced the award (capped); when the cap is used up nothing is recorded and the transaction is null
+   */
+  async addPoints(userId, amount, source, referenceId, description, options = {}) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find an earning transaction for a reference object
+   * @param {string} userId - User ID
+   * @param {string} source - Source of points
+   * @param {string} referenceId - ID of reference object
+   * @returns {Promise<Object|null>} Transaction or null
    */
-  async addPoints(userId, amount, source, referenceId, description) {
+  async findEarningTransaction(userId, source, referenceId) {
     throw new Error('Method not implemented');
   }
 
@@ -28,6 +41,106 @@ class PointsRepository {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Add or remove points on behalf of an admin
+   * @param {string} userId - User ID
+   * @param {number} amount - Points to add (positive) or remove (negative)
+   * @param {string} adminId - Admin making the adjustment
+   * @param {string} reason - Why the balance is being adjusted
+   * @returns {Promise<Object|null>} Transaction and updated user, or null if the balance would go negative
+   */
+  async adjustPoints(userId, amount, adminId, reason) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Get every transaction of a user, oldest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Transactions
+   */
+  async getLedger(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Compare each user's stored balance with the sum of their ledger
+   * @param {Object} filter - Filter criteria (userId)
+   * @returns {Promise<Object>} { checked, drifted } where drifted lists users whose balance differs
+   */
+  async findBalanceDrift(filter) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Set a user's stored balance, only if it still has the expected value
+   * @param {string} userId - User ID
+   * @param {number} expected - Balance the caller last read
+   * @param {number} balance - New balance
+   * @returns {Promise<boolean>} Whether the balance was updated
+   */
+  async setBalance(userId, expected, balance) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find manual adjustments across all users, newest first
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} Transactions and pagination info
+   */
+  async findAdjustments(options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Get the total points a user has earned over their lifetime
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Sum of earning transactions
+   */
+  async getLifetimeEarned(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Get the points a user has earned from a source since a point in time
+   * @param {string} userId - User ID
+   * @param {string} source - Source of points
+   * @param {Date} since - Start of the period
+   * @returns {Promise<number>} Sum of earning transactions
+   */
+  async getEarnedSince(userId, source, since) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Remove expired points from a user, never taking the balance below zero
+   * @param {string} userId - User ID
+   * @param {number} amount - Points that expired
+   * @param {string} idempotencyKey - Key identifying the expiry run for the user
+   * @returns {Promise<Object|null>} Transaction, updated user and points removed, or null if nothing was removed
+   */
+  async expirePoints(userId, amount, idempotencyKey) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find users with a balance and credits recorded on or before a date
+   * @param {Date} creditedBefore - Latest credit date to consider
+   * @returns {Promise<Array<Object>>} Users with id, points and pointsExpiryWarnedUntil
+   */
+  async findExpiryCandidates(creditedBefore) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Remember the latest expiry date a user has been warned about
+   * @param {string} userId - User ID
+   * @param {Date} until - Latest expiry date covered by the warning
+   * @returns {Promise<void>}
+   */
+  async markExpiryWarned(userId, until) {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Get user's points balance
    * @param {string} userId - User ID
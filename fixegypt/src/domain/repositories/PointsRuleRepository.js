@@ -0,0 +1,64 @@
+/**
+ * Points Rule Repository Interface
+ * Defines methods for interacting with the rules that decide how many points an event earns
+ */
+class PointsRuleRepository {
+  /**
+   * Create a rule
+   * @param {Object} ruleData - Rule data
+   * @returns {Promise<PointsRule>} Created rule
+   */
+  async create(ruleData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Update a rule
+   * @param {string} ruleId - Rule ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<PointsRule|null>} Updated rule, or null if there is none
+   */
+  async update(ruleId, updateData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<boolean>} Whether a rule was deleted
+   */
+  async delete(ruleId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find a rule by ID
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<PointsRule|null>} Rule, or null if there is none
+   */
+  async findById(ruleId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find rules with filtering and pagination
+   * @param {Object} filter - Filter criteria (event, kind, isActive)
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} Rules and pagination info
+   */
+  async findAll(filter, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find the active rules of an event whose window includes a point in time
+   * @param {string} event - Points event
+   * @param {Date} at - Time of the event
+   * @returns {Promise<Array<PointsRule>>} Rules in effect
+   */
+  async findInEffect(event, at) {
+    throw new Error('Method not implemented');
+  }
+}
+
+export default PointsRuleRepository; 
\ No newline at end of file
@@ -12,6 +12,29 @@ class RedemptionRepository {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Redeem a product atomically: reserve stock, deduct points and record the redemption together
+   * @param {string} userId - User ID
+   * @param {string} productId - Product ID
+   * @param {Object} options - Optional settings (idempotencyKey, accessibleTiers)
+   * @returns {Promise<Object>} { outcome, redemption, product, user } where outcome is redeemed, duplicate,
+   *   product_not_found, unavailable, tier_required or insufficient_points
+   */
+  async redeem(userId, productId, options = {}) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Reject a redemption and return its points and stock atomically, at most once
+   * @param {string} redemptionId - Redemption ID
+   * @param {string} adminId - Admin ID
+   * @param {string} notes - Notes about the rejection
+   * @returns {Promise<Object>} { redemption, refunded }
+   */
+  async reject(redemptionId, adminId, notes) {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Update redemption status
    * @param {string} redemptionId - Redemption ID
@@ -27,7 +50,7 @@ class RedemptionRepository {
   /**
    * Find redemption by ID
    * @param {string} redemptionId - Redemption ID
-   * @returns {Promise<Object>} Redemption
+   * @returns {Promise<Object|null>} Redemption, or null if there is none
    */
   async findById(redemptionId) {
     throw new Error('Method not implemented');
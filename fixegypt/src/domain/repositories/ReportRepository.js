@@ -66,33 +66,254 @@ class ReportRepository {
    * @param {string} status - New status
    * @param {string} adminId - Admin ID
    * @param {string} note - Optional note
+   * @param {Object} options - Optional settings (resolutionImages)
    * @returns {Promise<Report>} Updated report
    */
-  async updateStatus(id, status, adminId, note = '') {
+  async updateStatus(id, status, adminId, note = '', options = {}) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Record the reporter's verdict on the current resolution of a report
+   * @param {string} id - Report ID
+   * @param {Object} verification - Decision ('confirmed' or 'disputed'), userId, comment and rating
+   * @returns {Promise<Report>} Updated report
+   */
+  async recordResolutionVerification(id, verification) {
     throw new Error('Method not implemented');
   }
 
   /**
    * Add images to a report
    * @param {string} id - Report ID
-   * @param {Array<string>} imageUrls - Image URLs to add
+   * @param {Array<string|Object>} images - Stored image paths, or processed images (url, hash, width, height,
+   *   size, format, capturedAt, gps, variants)
    * @returns {Promise<Report>} Updated report
    */
-  async addImages(id, imageUrls) {
+  async addImages(id, images) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Get the stored paths of a report's images
+   * Reports returned by the other methods carry the images as base64 data URLs
+   * @param {string} id - Report ID
+   * @returns {Promise<Array<string>|null>} Image paths, or null if the report does not exist
+   */
+  async findImagePaths(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Get the stored metadata of a report's images, including their EXIF GPS position
+   * @param {string} id - Report ID
+   * @returns {Promise<Array<Object>|null>} Images (url, hash, width, height, capturedAt, gps), or null if the report does not exist
+   */
+  async findImageMetadata(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List reports whose photos were taken away from the reported location, furthest first
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<{reports: Report[], total: number, page: number, limit: number}>} Paginated reports
+   */
+  async findLocationMismatches(options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Count the reports a citizen submitted within a period
+   * @param {string} userId - User ID
+   * @param {Date} from - Start of the period
+   * @param {Date} to - End of the period, included
+   * @returns {Promise<number>} Number of reports
+   */
+  async countByUserBetween(userId, from, to) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find the images of other reports with the same content hash
+   * @param {Array<string>} hashes - Image hashes
+   * @param {string} excludeId - Report whose own images are left out
+   * @returns {Promise<Array<Object>>} Matches (hash, reportId, userId)
+   */
+  async findByImageHashes(hashes, excludeId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Get the title and description of a citizen's recent reports, newest first
+   * @param {string} userId - User ID
+   * @param {Date} since - Start of the period
+   * @param {Object} options - Most reports to return (limit) and a report to leave out (excludeId)
+   * @returns {Promise<Array<Object>>} Reports (id, title, description)
+   */
+  async findRecentTextsByUser(userId, since, options) {
     throw new Error('Method not implemented');
   }
 
   /**
    * Get reports by location
-   * @param {Object} coordinates - Location coordinates
+   * @param {Object} coordinates - Location coordinates (lat, lng)
    * @param {number} radius - Search radius in kilometers
-   * @param {Object} options - Pagination options
+   * @param {Object} options - Pagination options and optional filter (category, status, createdAfter, excludeId);
+   *   reports of every status are returned when no status is given
    * @returns {Promise<{reports: Report[], total: number}>} Found reports
    */
   async findByLocation(coordinates, radius, options = { page: 1, limit: 10 }) {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Merge duplicate reports into a canonical report
+   * @param {string} canonicalId - ID of the report to keep
+   * @param {Array<string>} duplicateIds - IDs of the reports to merge
+   * @param {string} adminId - Admin performing the merge
+   * @param {string} note - Optional note
+   * @returns {Promise<{report: Report, mergedReports: Report[]}>} Canonical and merged reports
+   */
+  async mergeDuplicates(canonicalId, duplicateIds, adminId, note = '') {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Assign a report to a staff member and/or team
+   * The assignment is recorded in the report's status history
+   * @param {string} id - Report ID
+   * @param {Object} assignment - Assignment details
+   * @param {string} assignment.assigneeId - Staff member ID (optional)
+   * @param {string} assignment.team - Team name (optional)
+   * @param {string} assignment.assignedBy - ID of the admin making the assignment
+   * @param {string} assignment.note - History note describing the assignment
+   * @returns {Promise<Report>} Updated report
+   */
+  async assign(id, assignment) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find reports assigned to a staff member directly or through their team
+   * @param {Object} assignee - Staff member ID (userId) and team
+   * @param {Object} options - Pagination options and optional status filter
+   * @returns {Promise<{reports: Report[], total: number, page: number, limit: number}>} Assigned reports
+   */
+  async findByAssignee(assignee, options = { page: 1, limit: 10 }) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find open reports that missed their SLA target and are due for escalation
+   * @param {Array<Object>} cutoffs - Creation cutoffs per category and urgency
+   * @param {Object} options - Escalation options (repeatBefore, maxLevel, limit)
+   * @returns {Promise<Array<Report>>} Overdue reports, oldest first
+   */
+  async findSlaBreaches(cutoffs, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Record an SLA escalation on a report
+   * @param {string} id - Report ID
+   * @param {number} expectedLevel - Escalation level the report is expected to be at
+   * @param {Object} escalation - New urgency (optional), history note and escalation time
+   * @returns {Promise<Report|null>} Updated report, or null if it changed in the meantime
+   */
+  async recordEscalation(id, expectedLevel, escalation) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List reports with an AI category suggestion, pending ones by confidence and reviewed ones newest first
+   * @param {string} status - Suggestion status (pending, accepted, rejected)
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<{reports: Report[], total: number, page: number, limit: number}>} Paginated reports
+   */
+  async findCategorySuggestions(status, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Accept or reject a pending AI category suggestion, changing the category on accept and logging the decision
+   * @param {string} id - Report ID
+   * @param {Object} review - Decision (accepted or rejected), reviewer ID (reviewedBy), history note and optional reviewer note
+   * @returns {Promise<Report|null>} Updated report, or null if the suggestion is no longer pending
+   */
+  async reviewCategorySuggestion(id, review) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Get the share of AI category suggestions accepted by admins, per period and per suggested category
+   * @param {Object} options - Review date range (startDate, endDate) and period length (timeUnit: day, week, month)
+   * @returns {Promise<Object>} Overall, per-period and per-category accuracy plus the pending count
+   */
+  async getCategorySuggestionAccuracy(options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Hold a pending report for moderation review, adding the flags raised on its content
+   * @param {string} id - Report ID
+   * @param {Array<Object>} flags - Moderation flags
+   * @param {Object} options - Status history note (historyNote) and image paths screened along the way (screenedImages)
+   * @returns {Promise<Report|null>} Updated report, or null if it is no longer pending or under review
+   */
+  async holdForModeration(id, flags, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Remember which images were screened without raising any flags
+   * @param {string} id - Report ID
+   * @param {Array<string>} imagePaths - Screened image paths
+   * @returns {Promise<void>}
+   */
+  async markImagesScreened(id, imagePaths) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List reports by moderation status, pending ones oldest flag first and reviewed ones newest first
+   * @param {string} status - Moderation status (pending, approved, removed)
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<{reports: Report[], total: number, page: number, limit: number}>} Paginated reports
+   */
+  async findModerationQueue(status, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Approve or remove a report held for moderation review
+   * @param {string} id - Report ID
+   * @param {Object} decision - Decision (approved or removed), reviewer ID (reviewedBy) and note
+   * @returns {Promise<Report|null>} Updated report, or null if it is no longer awaiting review
+   */
+  async recordModerationDecision(id, decision) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Add AI provider attempts to a report's audit log, keeping only the newest entries
+   * @param {string} id - Report ID
+   * @param {Array<Object>} entries - Attempts (operation, provider, image, attempt, outcome, error, rawResponse, latencyMs, at)
+   * @param {number} limit - Most entries to keep
+   * @returns {Promise<void>}
+   */
+  async appendAIAudit(id, entries, limit) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Get a report's AI audit log, newest entry first
+   * @param {string} id - Report ID
+   * @returns {Promise<Array<Object>|null>} Audit entries, or null if the report does not exist
+   */
+  async findAIAudit(id) {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Get reports statistics
    * @param {Object} filter - Filter criteria
@@ -68,6 +68,15 @@ class UserRepository {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Find all users with one of the given roles
+   * @param {Array<string>} roles - Roles to match
+   * @returns {Promise<Array<User>>} Matching users
+   */
+  async findByRoles(roles) {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Verify a user
    * @param {string} id - User ID
@@ -0,0 +1,93 @@
+import config from '../../config.js';
+import { FRAUD_SIGNALS } from '../entities/FraudCheck.js';
+
+/**
+ * Fraud Scoring Policy Domain Service
+ * Turns what is known about a new report and its reporter into a points-farming score from 0 to 100. Each
+ * signal that fires adds its weight; a score at or above the threshold withholds the report's points
+ */
+class FraudScoringPolicy {
+  constructor(fraudConfig = config.fraud) {
+    this.enabled = fraudConfig.enabled !== false;
+    this.holdThreshold = fraudConfig.holdThreshold;
+    this.burstWindowMinutes = fraudConfig.burstWindowMinutes;
+    this.burstMaxReports = fraudConfig.burstMaxReports;
+    this.dailyMaxReports = fraudConfig.dailyMaxReports;
+    this.textSimilarityThreshold = fraudConfig.textSimilarityThreshold;
+    this.textLookbackDays = fraudConfig.textLookbackDays;
+    this.homeDistanceKm = fraudConfig.homeDistanceKm;
+    this.weights = Object.fromEntries(FRAUD_SIGNALS.map(signal => [signal, fraudConfig.weights?.[signal] || 0]));
+  }
+
+  /**
+   * Score a report
+   * @param {Object} facts - What is known about the report
+   * @param {number} facts.reportsInBurstWindow - Reports by the citizen within the burst window, this one included
+   * @param {number} facts.reportsToday - Reports by the citizen over the last 24 hours, this one included
+   * @param {Array<Object>} facts.reusedImages - Photos already attached to other reports ({ hash, reportId, sameUser })
+   * @param {Object|null} facts.closestText - Most similar recent report of the citizen ({ reportId, similarity })
+   * @param {Object|null} facts.home - Distance from the citizen's home governorate ({ governorate, distanceKm, radiusKm })
+   * @param {Object|null} facts.locationCheck - Photo GPS check of the report
+   * @returns {{score: number, signals: Array<Object>, held: boolean}} Score, signals that fired and whether the
+   *   points are withheld
+   */
+  evaluate({
+    reportsInBurstWindow = 0,
+    reportsToday = 0,
+    reusedImages = [],
+    closestText = null,
+    home = null,
+    locationCheck = null
+  }) {
+    const signals = [];
+    const fire = (type, detail) => signals.push({ type, weight: this.weights[type], detail });
+
+    if (reportsInBurstWindow > this.burstMaxReports) {
+      fire('submission_burst', {
+        reports: reportsInBurstWindow,
+        windowMinutes: this.burstWindowMinutes,
+        limit: this.burstMaxReports
+      });
+    }
+
+    if (reportsToday > this.dailyMaxReports) {
+      fire('daily_volume', { reports: reportsToday, limit: this.dailyMaxReports });
+    }
+
+    if (reusedImages.length > 0) {
+      fire('image_reuse', {
+        reportIds: [...new Set(reusedImages.map(image => image.reportId))],
+        fromOtherUsers: reusedImages.some(image => !image.sameUser)
+      });
+    }
+
+    if (closestText && closestText.similarity >= this.textSimilarityThreshold) {
+      fire('text_similarity', {
+        reportId: closestText.reportId,
+        similarity: Math.round(closestText.similarity * 100) / 100
+      });
+    }
+
+    if (home && home.distanceKm > home.radiusKm + this.homeDistanceKm) {
+      fire('far_from_home', {
+        governorate: home.governorate,
+        distanceKm: Math.round(home.distanceKm)
+      });
+    }
+
+    if (locationCheck?.status === 'mismatch') {
+      fire('photo_location_mismatch', { distanceKm: locationCheck.distanceKm });
+    }
+
+    const score = Math.min(100, signals.reduce((sum, signal) => sum + signal.weight, 0));
+
+    return {
+      score,
+      signals,
+      held: this.enabled && score >= this.holdThreshold
+    };
+  }
+}
+
+export { FraudScoringPolicy };
+export default new FraudScoringPolicy(); 
\ No newline at end of file
@@ -0,0 +1,60 @@
+import config from '../../config.js';
+
+// Mean radius of the Earth in kilometers
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Image Location Policy Domain Service
+ * Compares where a report's photos were taken, from their EXIF GPS, with the location the citizen reported
+ */
+class ImageLocationPolicy {
+  constructor(imageConfig = config.images) {
+    this.mismatchKm = imageConfig.gpsMismatchKm || 1;
+  }
+
+  /**
+   * Check a report's photos against its location
+   * @param {Object} coordinates - Reported location (lat, lng)
+   * @param {Array<Object>} images - Report images with their EXIF position (gps: { lat, lng })
+   * @returns {Object} { status, distanceKm, imagesWithGps, thresholdKm, checkedAt }; status is consistent,
+   *   mismatch when any photo is further than the threshold, or unverified when no photo has a position
+   */
+  check(coordinates, images) {
+    const distances = images
+      .filter(image => image.gps && Number.isFinite(image.gps.lat) && Number.isFinite(image.gps.lng))
+      .map(image => this.distanceKm(coordinates, image.gps));
+
+    if (distances.length === 0) {
+      return { status: 'unverified', distanceKm: null, imagesWithGps: 0, thresholdKm: this.mismatchKm, checkedAt: new Date() };
+    }
+
+    const distanceKm = Math.round(Math.max(...distances) * 1000) / 1000;
+
+    return {
+      status: distanceKm > this.mismatchKm ? 'mismatch' : 'consistent',
+      distanceKm,
+      imagesWithGps: distances.length,
+      thresholdKm: this.mismatchKm,
+      checkedAt: new Date()
+    };
+  }
+
+  /**
+   * Get the great-circle distance between two points
+   * @param {Object} from - Point (lat, lng)
+   * @param {Object} to - Point (lat, lng)
+   * @returns {number} Distance in kilometers
+   */
+  distanceKm(from, to) {
+    const radians = (degrees) => degrees * Math.PI / 180;
+    const dLat = radians(to.lat - from.lat);
+    const dLng = radians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+}
+
+export { ImageLocationPolicy };
+export default new ImageLocationPolicy(); 
\ No newline at end of file
@@ -0,0 +1,146 @@
+import config from '../../config.js';
+import PointsTransaction from '../entities/PointsTransaction.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REDEEM_KEY_PREFIX = 'product_redemption:';
+const REFUND_KEY_PREFIX = 'product_redemption_refund:';
+
+/**
+ * Points Expiry Policy Domain Service
+ * Works out which points have expired by replaying a citizen's ledger first in, first out: every credit
+ * (earned or added by an admin) is a lot that expires a fixed number of months after it was recorded, and
+ * every debit (redemption, expiry or deduction) uses up the oldest lots first. The refund of a rejected
+ * redemption puts its points back into the lots the redemption drew from, so they keep their expiry date
+ */
+class PointsExpiryPolicy {
+  constructor(pointsConfig = config.points) {
+    this.expiryMonths = pointsConfig.expiryMonths;
+    this.warningDays = pointsConfig.expiryWarningDays;
+  }
+
+  /**
+   * Check if points expire at all
+   * @returns {boolean} Whether expiry is enabled
+   */
+  isEnabled() {
+    return this.expiryMonths > 0;
+  }
+
+  /**
+   * Get the date points recorded at a time expire
+   * @param {Date} earnedAt - When the points were credited
+   * @returns {Date} Expiry date
+   */
+  getExpiryDate(earnedAt) {
+    const expiresAt = new Date(earnedAt);
+    expiresAt.setMonth(expiresAt.getMonth() + this.expiryMonths);
+    return expiresAt;
+  }
+
+  /**
+   * Get the latest credit date whose points expire or need a warning by a time
+   * @param {Date} now - Reference time
+   * @returns {Date} Credits recorded on or before this date are candidates
+   */
+  getCandidateCutoff(now = new Date()) {
+    const cutoff = new Date(now.getTime() + this.warningDays * DAY_MS);
+    cutoff.setMonth(cutoff.getMonth() - this.expiryMonths);
+    return cutoff;
+  }
+
+  /**
+   * Replay a ledger and get the lots that still hold points
+   * @param {Array<Object>} transactions - Ledger, oldest first
+   * @returns {Array<{transactionId: string, earnedAt: Date, expiresAt: Date, remaining: number}>} Open lots, oldest first
+   */
+  getOpenLots(transactions) {
+    const lots = [];
+    const drawnByRedemption = new Map();
+
+    transactions.forEach(transaction => {
+      const change = PointsTransaction.signedAmount(transaction);
+      const key = transaction.idempotencyKey || '';
+
+      if (change > 0) {
+        let credit = change;
+
+        // A refund gives back what its redemption drew from each lot; only points the redemption took from
+        // balances that predate the ledger become a new lot
+        if (key.startsWith(REFUND_KEY_PREFIX)) {
+          const redemptionId = key.slice(REFUND_KEY_PREFIX.length);
+          (drawnByRedemption.get(redemptionId) || []).forEach(({ lot, amount }) => {
+            const restored = Math.min(amount, credit);
+            lot.remaining += restored;
+            credit -= restored;
+          });
+          drawnByRedemption.delete(redemptionId);
+        }
+
+        if (credit > 0) {
+          lots.push({
+            transactionId: (transaction._id || transaction.id).toString(),
+            earnedAt: new Date(transaction.createdAt),
+            expiresAt: this.getExpiryDate(transaction.createdAt),
+            remaining: credit
+          });
+        }
+        return;
+      }
+
+      // Debits beyond the open lots come from balances that predate the ledger and are ignored
+      let debit = -change;
+      const drawn = [];
+      for (const lot of lots) {
+        if (debit === 0) {
+          break;
+        }
+
+        const used = Math.min(lot.remaining, debit);
+        if (used > 0) {
+          lot.remaining -= used;
+          debit -= used;
+          drawn.push({ lot, amount: used });
+        }
+      }
+
+      if (key.startsWith(REDEEM_KEY_PREFIX)) {
+        drawnByRedemption.set(key.slice(REDEEM_KEY_PREFIX.length), drawn);
+      }
+    });
+
+    return lots.filter(lot => lot.remaining > 0);
+  }
+
+  /**
+   * Split a ledger's unspent points into expired and soon-to-expire amounts
+   * @param {Array<Object>} transactions - Ledger, oldest first
+   * @param {Date} now - Reference time
+   * @returns {{expired: number, expiring: Array<{expiresAt: Date, amount: number}>}} Points expired by now, and
+   *   points expiring within the warning window grouped by expiry date
+   */
+  evaluate(transactions, now = new Date()) {
+    if (!this.isEnabled()) {
+      return { expired: 0, expiring: [] };
+    }
+
+    const warnUntil = new Date(now.getTime() + this.warningDays * DAY_MS);
+    const expiring = new Map();
+    let expired = 0;
+
+    this.getOpenLots(transactions).forEach(lot => {
+      if (lot.expiresAt <= now) {
+        expired += lot.remaining;
+      } else if (lot.expiresAt <= warnUntil) {
+        const key = lot.expiresAt.toISOString().slice(0, 10);
+        const entry = expiring.get(key) || { expiresAt: lot.expiresAt, amount: 0 };
+        entry.amount += lot.remaining;
+        expiring.set(key, entry);
+      }
+    });
+
+    return { expired, expiring: [...expiring.values()] };
+  }
+}
+
+export { PointsExpiryPolicy };
+export default new PointsExpiryPolicy(); 
\ No newline at end of file
@@ -0,0 +1,128 @@
+import config from '../../config.js';
+
+/**
+ * Points an event earns when no award rule matches, so the platform keeps rewarding citizens before any rule
+ * is set up. Resolved reports earn by urgency
+ */
+const DEFAULT_EVENT_POINTS = {
+  report_submission: 25,
+  report_resolved: { low: 50, medium: 100, high: 150, critical: 200 },
+  report_endorsed: 0,
+  photo_verified: 0
+};
+
+/**
+ * Points Rules Engine Domain Service
+ * Works out what an event earns from the rules in effect: the best matching award rule sets the base points,
+ * every matching bonus rule adds to them and the highest matching multiplier scales the total. Campaigns do
+ * not stack, so two overlapping double-points campaigns still double the points once
+ */
+class PointsRulesEngine {
+  constructor(pointsConfig = config.points) {
+    // Daily caps reset at midnight in this time zone
+    this.timeZone = pointsConfig.timeZone || 'UTC';
+  }
+
+  /**
+   * Get the points an event earns when no award rule matches
+   * @param {string} event - Points event
+   * @param {Object} context - Report details (urgency)
+   * @returns {number} Default points
+   */
+  getDefaultPoints(event, { urgency } = {}) {
+    const points = DEFAULT_EVENT_POINTS[event];
+
+    if (points && typeof points === 'object') {
+      return points[urgency] ?? points.medium;
+    }
+
+    return points || 0;
+  }
+
+  /**
+   * Work out what an event earns
+   * @param {Array<PointsRule>} rules - Rules of the event
+   * @param {string} event - Points event
+   * @param {Object} context - Report details (category, urgency, governorate)
+   * @param {Object} options - Evaluation options
+   * @param {Date} options.at - Time of the event; rules outside their window are ignored
+   * @param {number} options.tierMultiplier - Citizen tier multiplier applied after the rules
+   * @returns {Object} { basePoints, baseRule, bonuses, multiplier, multiplierRule, tierMultiplier, points,
+   *   dailyCap, appliedRules }
+   */
+  evaluate(rules, event, context, { at = new Date(), tierMultiplier = 1 } = {}) {
+    const applicable = rules.filter(rule => rule.isInEffect(at) && rule.matches(event, context));
+
+    // The most specific award rule wins; priority, then the latest change, break ties
+    const [baseRule] = applicable
+      .filter(rule => rule.kind === 'award')
+      .sort((a, b) => b.getSpecificity() - a.getSpecificity() ||
+        b.priority - a.priority ||
+        new Date(b.updatedAt) - new Date(a.updatedAt));
+
+    const bonuses = applicable.filter(rule => rule.kind === 'bonus');
+
+    const [multiplierRule] = applicable
+      .filter(rule => rule.kind === 'multiplier')
+      .sort((a, b) => b.multiplier - a.multiplier);
+
+    const basePoints = baseRule ? baseRule.points : this.getDefaultPoints(event, context);
+    const bonusPoints = bonuses.reduce((sum, rule) => sum + rule.points, 0);
+    const multiplier = multiplierRule ? multiplierRule.multiplier : 1;
+
+    const caps = applicable.map(rule => rule.dailyCap).filter(cap => cap !== null && cap !== undefined);
+
+    return {
+      basePoints,
+      baseRule: baseRule ? this._describe(baseRule) : null,
+      bonuses: bonuses.map(rule => this._describe(rule)),
+      multiplier,
+      multiplierRule: multiplierRule ? this._describe(multiplierRule) : null,
+      tierMultiplier,
+      points: Math.max(0, Math.round((basePoints + bonusPoints) * multiplier * tierMultiplier)),
+      dailyCap: caps.length > 0 ? Math.min(...caps) : null,
+      appliedRules: applicable.map(rule => rule.id)
+    };
+  }
+
+  /**
+   * Get the start of the day, in the configured time zone, that a point in time falls on
+   * On the day clocks change the result can be off by the size of the change
+   * @param {Date} at - Point in time
+   * @returns {Date} Local midnight
+   */
+  getDayStart(at = new Date()) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      hourCycle: 'h23',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(at).map(part => [part.type, part.value]));
+
+    const elapsedMs = ((Number(parts.hour) * 60 + Number(parts.minute)) * 60 + Number(parts.second)) * 1000 +
+      at.getMilliseconds();
+
+    return new Date(at.getTime() - elapsedMs);
+  }
+
+  /**
+   * Describe a rule for an evaluation breakdown
+   * @param {PointsRule} rule - Rule
+   * @returns {Object} { id, name, kind, points, multiplier, isCampaign }
+   * @private
+   */
+  _describe(rule) {
+    return {
+      id: rule.id,
+      name: rule.name,
+      kind: rule.kind,
+      points: rule.points,
+      multiplier: rule.multiplier,
+      isCampaign: rule.isCampaign()
+    };
+  }
+}
+
+export { PointsRulesEngine, DEFAULT_EVENT_POINTS };
+export default new PointsRulesEngine(); 
\ No newline at end of file
@@ -0,0 +1,39 @@
+/**
+ * Report Access Policy Domain Service
+ * Decides who takes part in the conversation about a report: staff who can
+ * see every report, its reporters, and the staff member or team it is assigned to
+ */
+class ReportAccessPolicy {
+  constructor(userRepository, options = {}) {
+    this.userRepository = userRepository;
+    this.viewAllRoles = options.viewAllRoles || ['admin', 'manager'];
+    this.assigneeRoles = options.assigneeRoles || ['admin', 'manager', 'field_worker'];
+  }
+
+  /**
+   * Check if a user can take part in the conversation about a report
+   * @param {Report} report - The report
+   * @param {Object} user - Authenticated user (id and role)
+   * @returns {Promise<boolean>} Whether the user has access
+   */
+  async canAccess(report, user) {
+    if (this.viewAllRoles.includes(user.role)) {
+      return true;
+    }
+
+    // The owner and citizens whose duplicate reports were merged in count as reporters
+    if (report.getReporterIds().includes(user.id.toString())) {
+      return true;
+    }
+
+    if (!report.isAssigned() || !this.assigneeRoles.includes(user.role)) {
+      return false;
+    }
+
+    // The team is not part of the token, so look it up
+    const staffMember = await this.userRepository.findById(user.id);
+    return report.isAssignedTo(user.id, staffMember ? staffMember.team : null);
+  }
+}
+
+export default ReportAccessPolicy; 
\ No newline at end of file
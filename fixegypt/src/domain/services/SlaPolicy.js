@@ -0,0 +1,91 @@
+import config from '../../config.js';
+
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * SLA Policy Domain Service
+ * Resolves resolution targets per category and urgency and decides
+ * when an open report has breached its target
+ */
+class SlaPolicy {
+  constructor(slaConfig = config.sla) {
+    this.targets = slaConfig.targets || { default: {} };
+  }
+
+  /**
+   * Get the resolution target for a category and urgency
+   * @param {string} category - Report category
+   * @param {string} urgency - Report urgency
+   * @returns {number} Target in hours
+   */
+  getTargetHours(category, urgency) {
+    const override = this.targets[category] && this.targets[category][urgency];
+    return override || this.targets.default[urgency] || this.targets.default.medium;
+  }
+
+  /**
+   * Get the date an open report must be resolved by
+   * @param {Report} report - The report
+   * @returns {Date} Due date
+   */
+  getDueDate(report) {
+    const targetMs = this.getTargetHours(report.category, report.urgency) * 3600000;
+    return new Date(new Date(report.createdAt).getTime() + targetMs);
+  }
+
+  /**
+   * Check if an open report has missed its resolution target
+   * @param {Report} report - The report
+   * @param {Date} now - Reference time
+   * @returns {boolean} Whether the SLA is breached
+   */
+  isBreached(report, now = new Date()) {
+    return report.isOpen() && this.getDueDate(report) < now;
+  }
+
+  /**
+   * Get the next urgency level, or null if already at the highest level
+   * @param {string} urgency - Current urgency
+   * @returns {string|null} Next urgency level
+   */
+  getNextUrgency(urgency) {
+    const index = URGENCY_LEVELS.indexOf(urgency);
+    return index >= 0 && index < URGENCY_LEVELS.length - 1 ? URGENCY_LEVELS[index + 1] : null;
+  }
+
+  /**
+   * Get creation cutoffs past which reports are overdue, one per category override
+   * and urgency plus a default for all other categories
+   * @param {Date} now - Reference time
+   * @returns {Array<{category: string|null, excludeCategories: Array<string>, urgency: string, createdBefore: Date}>} Cutoffs
+   */
+  getBreachCutoffs(now = new Date()) {
+    const overriddenCategories = Object.keys(this.targets).filter(key => key !== 'default');
+    const cutoffs = [];
+
+    URGENCY_LEVELS.forEach(urgency => {
+      overriddenCategories.forEach(category => {
+        if (this.targets[category][urgency]) {
+          cutoffs.push({
+            category,
+            excludeCategories: [],
+            urgency,
+            createdBefore: new Date(now.getTime() - this.getTargetHours(category, urgency) * 3600000)
+          });
+        }
+      });
+
+      cutoffs.push({
+        category: null,
+        excludeCategories: overriddenCategories.filter(category => this.targets[category][urgency]),
+        urgency,
+        createdBefore: new Date(now.getTime() - this.getTargetHours(null, urgency) * 3600000)
+      });
+    });
+
+    return cutoffs;
+  }
+}
+
+export { SlaPolicy, URGENCY_LEVELS };
+export default new SlaPolicy(); 
\ No newline at end of file
@@ -0,0 +1,91 @@
+import config from '../../config.js';
+
+const CITIZEN_TIERS = ['bronze', 'silver', 'gold'];
+
+/**
+ * Tier Policy Domain Service
+ * Places citizens in a tier by the points they have earned over their lifetime. Lifetime points only grow,
+ * so a citizen never drops a tier, even when points are spent or expire
+ */
+class TierPolicy {
+  constructor(pointsConfig = config.points) {
+    // Thresholds for the known tiers, lowest first
+    this.tiers = CITIZEN_TIERS.map(name => {
+      const tier = (pointsConfig.tiers || []).find(entry => entry.name === name);
+      return {
+        name,
+        minLifetimePoints: tier ? tier.minLifetimePoints : 0,
+        multiplier: tier ? tier.multiplier : 1
+      };
+    });
+  }
+
+  /**
+   * Get the tier for a lifetime points total
+   * @param {number} lifetimePoints - Points earned over the citizen's lifetime
+   * @returns {string} Tier name
+   */
+  getTier(lifetimePoints) {
+    let current = this.tiers[0];
+
+    this.tiers.forEach(tier => {
+      if (lifetimePoints >= tier.minLifetimePoints) {
+        current = tier;
+      }
+    });
+
+    return current.name;
+  }
+
+  /**
+   * Get the reward multiplier of a tier
+   * @param {string} tier - Tier name
+   * @returns {number} Multiplier applied to resolved-report rewards
+   */
+  getMultiplier(tier) {
+    return this.tiers.find(entry => entry.name === tier)?.multiplier || 1;
+  }
+
+  /**
+   * Check if a tier is at or above a required tier
+   * @param {string} tier - Citizen's tier
+   * @param {string} requiredTier - Lowest tier allowed; missing means everyone
+   * @returns {boolean} Whether the tier qualifies
+   */
+  meetsTier(tier, requiredTier) {
+    if (!requiredTier) {
+      return true;
+    }
+
+    return CITIZEN_TIERS.indexOf(tier) >= CITIZEN_TIERS.indexOf(requiredTier);
+  }
+
+  /**
+   * Get the tiers a citizen of a tier can access, lowest first
+   * @param {string} tier - Citizen's tier
+   * @returns {Array<string>} Tier names up to and including the tier
+   */
+  getAccessibleTiers(tier) {
+    return CITIZEN_TIERS.slice(0, CITIZEN_TIERS.indexOf(tier) + 1);
+  }
+
+  /**
+   * Describe a citizen's tier and how far they are from the next one
+   * @param {number} lifetimePoints - Points earned over the citizen's lifetime
+   * @returns {{tier: string, multiplier: number, nextTier: string|null, pointsToNextTier: number|null}} Tier status
+   */
+  getStatus(lifetimePoints) {
+    const tier = this.getTier(lifetimePoints);
+    const next = this.tiers[CITIZEN_TIERS.indexOf(tier) + 1] || null;
+
+    return {
+      tier,
+      multiplier: this.getMultiplier(tier),
+      nextTier: next ? next.name : null,
+      pointsToNextTier: next ? next.minLifetimePoints - lifetimePoints : null
+    };
+  }
+}
+
+export { TierPolicy, CITIZEN_TIERS };
+export default new TierPolicy(); 
\ No newline at end of file
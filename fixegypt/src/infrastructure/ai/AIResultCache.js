@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import NodeCache from 'node-cache';
+import logger from '../web/middlewares/logger.js';
+
+/**
+ * Cache of AI results keyed by a hash of what was analyzed
+ * Results are kept in memory and, optionally, in a persistent tier that survives restarts and is shared
+ * between instances. The persistent tier is best effort: when it fails the cache behaves as a miss
+ */
+class AIResultCache {
+  /**
+   * @param {AICacheRepository|null} repository - Persistent tier, or null to cache in memory only
+   * @param {Object} options - Cache options
+   * @param {number} options.ttlSeconds - How long a result is reused
+   * @param {number} options.maxItems - Most results held in memory
+   */
+  constructor(repository, { ttlSeconds, maxItems }) {
+    this.repository = repository;
+    this.ttlSeconds = ttlSeconds;
+    this.memory = new NodeCache({ stdTTL: ttlSeconds, checkperiod: Math.min(ttlSeconds, 600), maxKeys: maxItems });
+    // Hits and misses per operation since the process started
+    this.stats = new Map();
+  }
+
+  /**
+   * Hash an image's bytes, so the same photo gets the same key whatever its file name
+   * @param {string} imagePath - Path to the image file
+   * @returns {Promise<string>} SHA-256 hex digest
+   */
+  async hashFile(imagePath) {
+    return crypto.createHash('sha256').update(await fs.promises.readFile(imagePath)).digest('hex');
+  }
+
+  /**
+   * Hash text and other inputs of a call
+   * @param {...string} parts - Inputs; missing ones are hashed as empty
+   * @returns {string} SHA-256 hex digest
+   */
+  hashText(...parts) {
+    const hash = crypto.createHash('sha256');
+    parts.forEach(part => hash.update(`${part ?? ''}\u0000`));
+    return hash.digest('hex');
+  }
+
+  /**
+   * Get a cached result, looking in memory first and then in the persistent tier
+   * @param {string} operation - classification or urgency
+   * @param {string} hash - Content hash
+   * @returns {Promise<Object|null>} Cached result, or null on a miss
+   */
+  async get(operation, hash) {
+    const key = `${operation}:${hash}`;
+    const cached = this.memory.get(key);
+
+    if (cached) {
+      this._count(operation, 'memoryHits');
+      return cached;
+    }
+
+    if (this.repository) {
+      try {
+        const entry = await this.repository.find(key);
+
+        if (entry) {
+          this._remember(key, entry.result, Math.ceil((new Date(entry.expiresAt) - Date.now()) / 1000));
+          this._count(operation, 'persistentHits');
+          return entry.result;
+        }
+      } catch (error) {
+        logger.warn(`AI cache lookup failed for ${key}: ${error.message}`);
+      }
+    }
+
+    this._count(operation, 'misses');
+    return null;
+  }
+
+  /**
+   * Cache a result in every tier
+   * @param {string} operation - classification or urgency
+   * @param {string} hash - Content hash
+   * @param {Object} result - Provider result
+   * @returns {Promise<void>}
+   */
+  async set(operation, hash, result) {
+    const key = `${operation}:${hash}`;
+    this._remember(key, result, this.ttlSeconds);
+
+    if (this.repository) {
+      try {
+        await this.repository.save(key, {
+          operation,
+          result,
+          expiresAt: new Date(Date.now() + this.ttlSeconds * 1000)
+        });
+      } catch (error) {
+        logger.warn(`AI cache write failed for ${key}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Get hit and miss counts per operation and the size of each tier
+   * @returns {Promise<Object>} { ttlSeconds, persistent, memoryEntries, persistentEntries, operations }
+   */
+  async getStats() {
+    let persistentEntries = null;
+
+    if (this.repository) {
+      try {
+        persistentEntries = await this.repository.count();
+      } catch (error) {
+        logger.warn(`AI cache count failed: ${error.message}`);
+      }
+    }
+
+    return {
+      ttlSeconds: this.ttlSeconds,
+      persistent: !!this.repository,
+      memoryEntries: this.memory.keys().length,
+      persistentEntries,
+      operations: [...this.stats.entries()].map(([operation, counts]) => {
+        const hits = counts.memoryHits + counts.persistentHits;
+        const lookups = hits + counts.misses;
+
+        return {
+          operation,
+          ...counts,
+          hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : 0
+        };
+      })
+    };
+  }
+
+  /**
+   * Keep a result in memory; a full memory tier only means the result is not held there
+   * @param {string} key - Cache key
+   * @param {Object} result - Provider result
+   * @param {number} ttlSeconds - Seconds to keep it
+   * @private
+   */
+  _remember(key, result, ttlSeconds) {
+    if (ttlSeconds <= 0) {
+      return;
+    }
+
+    try {
+      this.memory.set(key, result, ttlSeconds);
+    } catch (error) {
+      logger.debug(`AI result not cached in memory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add to an operation's counters
+   * @param {string} operation - classification or urgency
+   * @param {string} counter - memoryHits, persistentHits or misses
+   * @private
+   */
+  _count(operation, counter) {
+    const counts = this.stats.get(operation) || { memoryHits: 0, persistentHits: 0, misses: 0 };
+    counts[counter]++;
+    this.stats.set(operation, counts);
+  }
+}
+
+export default AIResultCache; 
\ No newline at end of file
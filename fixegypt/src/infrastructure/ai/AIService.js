@@ -1,75 +1,115 @@
-import axios from 'axios';
 import fs from 'fs';
-import path from 'path';
 import config from '../../config.js';
 import logger from '../web/middlewares/logger.js';
+import MongoAIUsageRepository from '../persistence/repositories/MongoAIUsageRepository.js';
+import CircuitBreaker from './CircuitBreaker.js';
+import AIResultCache from './AIResultCache.js';
+import MongoAICacheRepository from '../persistence/repositories/MongoAICacheRepository.js';
+import { validateResult } from './responseSchemas.js';
+import { AIResponseError } from './providers/AIProvider.js';
+import GeminiProvider from './providers/GeminiProvider.js';
+import OpenRouterProvider from './providers/OpenRouterProvider.js';
+import HuggingFaceProvider from './providers/HuggingFaceProvider.js';
+import LocalProvider from './providers/LocalProvider.js';
+
+// Log labels per operation
+const OPERATION_LABELS = {
+  classification: 'AI analysis',
+  urgency: 'Urgency detection',
+  moderation: 'Image moderation',
+  summary: 'Report summary'
+};
+
+// Longest raw response kept in an audit entry, in characters
+const RAW_RESPONSE_LIMIT = 2000;
 
 /**
- * AI Service for image analysis and urgency detection
+ * AI Service for image analysis, urgency detection, image moderation and report summaries
+ * Calls go through an ordered chain of provider adapters. Each provider is retried with exponential
+ * backoff and skipped while its circuit breaker is open; latency, errors, tokens and spend are recorded per day.
+ * Every result is validated against the operation's schema, and answers that fail it are counted as parsing
+ * failures apart from failed requests. Callers may pass an audit array to collect each attempt with its raw response.
+ * Classification and urgency results are cached by a hash of the image bytes and text, so a resubmitted photo is not
+ * sent to a provider again
  */
 class AIService {
+  /**
+   * @param {AIUsageRepository} usageRepository - Repository for daily usage totals
+   * @param {Object} options - Service options
+   * @param {Array<string>} options.chain - Provider names in the order they are tried
+   * @param {boolean} options.fallbackToLocal - Add the local provider to the end of the chain
+   * @param {number} options.maxRetries - Attempts per provider before moving to the next one
+   * @param {number} options.retryBaseDelayMs - Delay before the second attempt, doubled after each failure
+   * @param {number} options.maxRetryDelayMs - Longest delay between attempts
+   * @param {Object} options.circuitBreaker - Failure threshold and cooldown seconds for each provider
+   * @param {Object} options.pricing - USD per 1,000 input and output tokens, per provider
+   * @param {AIResultCache|null} options.cache - Result cache, or null to call a provider every time
+   * @param {boolean} options.debug - Log every attempt
+   */
+  constructor(usageRepository, { chain, fallbackToLocal, maxRetries, retryBaseDelayMs, maxRetryDelayMs, circuitBreaker, pricing, cache, debug }) {
+    this.usageRepository = usageRepository;
+    this.chain = fallbackToLocal && !chain.includes('local') ? [...chain, 'local'] : chain;
+    this.maxRetries = maxRetries || 3;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+    this.circuitBreakerOptions = circuitBreaker;
+    this.pricing = pricing || {};
+    this.cache = cache || null;
+    this.debug = debug;
+    this.providers = new Map();
+    this.breakers = new Map();
+    // Last outcome per provider since the process started
+    this.lastCalls = new Map();
+  }
+
+  /**
+   * Register a provider adapter under its name, replacing any provider of the same name
+   * @param {AIProvider} provider - Provider adapter
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+    this.breakers.set(provider.name, new CircuitBreaker(this.circuitBreakerOptions));
+  }
+
+  /**
+   * Get a registered provider
+   * @param {string} name - Provider name
+   * @returns {AIProvider|undefined} Provider adapter
+   */
+  getProvider(name) {
+    return this.providers.get(name);
+  }
+
   /**
    * Analyze an image to classify the reported issue
    * @param {string} imagePath - Path to the image file
+   * @param {Object} context - Report text that may help the classification
+   * @param {string} context.title - Report title
+   * @param {string} context.description - Report description
+   * @param {Object} options - Call options
+   * @param {Array<Object>} options.audit - Collects an entry for every provider attempt
    * @returns {Promise<Object>} Analysis result
    */
-  async analyzeImage(imagePath) {
+  async analyzeImage(imagePath, context = {}, { audit } = {}) {
     try {
-      // Check configuration
-      if (!config.ai.apiKey || config.ai.apiKey === 'DEMO_API_KEY') {
-        logger.warn('AI API key not properly configured, using fallback classification');
-        return this._getFallbackClassification();
-      }
-
       // Check if file exists
-      try {
-        if (!fs.existsSync(imagePath)) {
-          logger.error(`Image file not found at path: ${imagePath}`);
-          return this._getFallbackClassification();
-        }
-      } catch (fsError) {
-        logger.error(`Error checking if image exists: ${fsError.message}`);
+      if (!fs.existsSync(imagePath)) {
+        logger.error(`Image file not found at path: ${imagePath}`);
         return this._getFallbackClassification();
       }
 
-      // Debug log
-      if (config.ai.debug) {
+      if (this.debug) {
         logger.info(`Processing image with AI: ${imagePath}`);
       }
 
-      const imageBase64 = await this._encodeImageToBase64(imagePath);
-      
-      // Try the configured AI provider with retries
-      let retryCount = 0;
-      let lastError = null;
-      
-      while (retryCount < (config.ai.maxRetries || 3)) {
-        try {
-          if (config.ai.provider === 'gemini') {
-            return await this._analyzeWithGemini(imageBase64);
-          } else if (config.ai.provider === 'openrouter') {
-            return await this._analyzeWithOpenRouter(imageBase64);
-          } else if (config.ai.provider === 'huggingface') {
-            return await this._analyzeWithHuggingFace(imagePath);
-          } else {
-            throw new Error(`Unsupported AI provider: ${config.ai.provider}`);
-          }
-        } catch (error) {
-          lastError = error;
-          retryCount++;
-          
-          if (config.ai.debug) {
-            logger.warn(`AI analysis attempt ${retryCount} failed: ${error.message}`);
-          }
-          
-          // Wait before retrying
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      }
-      
-      // All retries failed
-      logger.error(`All AI analysis attempts failed after ${retryCount} tries: ${lastError.message}`);
-      return this._getFallbackClassification();
+      // The same photo is classified the same way whatever report it is attached to
+      const result = await this._runCached(
+        'classification',
+        () => this.cache.hashFile(imagePath),
+        provider => provider.analyzeImage(imagePath, context),
+        { audit, image: imagePath }
+      );
+      return result || this._getFallbackClassification();
     } catch (error) {
       logger.error(`Error analyzing image: ${error.message}`);
       return this._getFallbackClassification();
@@ -94,74 +134,41 @@ class AIService {
    * Detect urgency from report description and image
    * @param {string} description - Report description
    * @param {string} imagePath - Path to the image file (optional)
+   * @param {Object} context - Report context
+   * @param {string} context.language - Detected language of the description
+   * @param {Object} options - Call options
+   * @param {Array<Object>} options.audit - Collects an entry for every provider attempt
    * @returns {Promise<Object>} Urgency analysis result
    */
-  async detectUrgency(description, imagePath = null) {
+  async detectUrgency(description, imagePath = null, context = {}, { audit } = {}) {
     try {
-      // Check configuration
-      if (!config.ai.apiKey || config.ai.apiKey === 'DEMO_API_KEY') {
-        logger.warn('AI API key not properly configured, using fallback urgency');
-        return this._getFallbackUrgency();
-      }
-
       // Check description
       if (!description || description.trim().length < 10) {
         logger.warn('Description too short for urgency analysis');
         return this._getFallbackUrgency();
       }
 
-      // Process image if provided
-      let imageBase64 = null;
-      if (imagePath) {
-        try {
-          if (!fs.existsSync(imagePath)) {
-            logger.error(`Image file not found at path: ${imagePath}`);
-            // Continue without image
-          } else {
-            imageBase64 = await this._encodeImageToBase64(imagePath);
-          }
-        } catch (fsError) {
-          logger.error(`Error checking if image exists: ${fsError.message}`);
-          // Continue without image
-        }
+      // Continue without the image if it is missing
+      if (imagePath && !fs.existsSync(imagePath)) {
+        logger.error(`Image file not found at path: ${imagePath}`);
+        imagePath = null;
       }
 
-      // Debug log
-      if (config.ai.debug) {
+      if (this.debug) {
         logger.info(`Detecting urgency for description: "${description.substring(0, 50)}..."`);
       }
 
-      // Try the configured AI provider with retries
-      let retryCount = 0;
-      let lastError = null;
-      
-      while (retryCount < (config.ai.maxRetries || 3)) {
-        try {
-          if (config.ai.provider === 'gemini') {
-            return await this._detectUrgencyWithGemini(description, imageBase64);
-          } else if (config.ai.provider === 'openrouter') {
-            return await this._detectUrgencyWithOpenRouter(description, imageBase64);
-          } else if (config.ai.provider === 'huggingface') {
-            return await this._detectUrgencyWithHuggingFace(description, imagePath);
-          } else {
-            throw new Error(`Unsupported AI provider: ${config.ai.provider}`);
-          }
-        } catch (error) {
-          lastError = error;
-          retryCount++;
-          
-          if (config.ai.debug) {
-            logger.warn(`Urgency detection attempt ${retryCount} failed: ${error.message}`);
-          }
-          
-          // Wait before retrying
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      }
-      
-      // All retries failed
-      logger.error(`All urgency detection attempts failed after ${retryCount} tries: ${lastError.message}`);
-      return this._getFallbackUrgency();
+      const result = await this._runCached(
+        'urgency',
+        async () => this.cache.hashText(
+          description.trim(),
+          context.language,
+          imagePath ? await this.cache.hashFile(imagePath) : null
+        ),
+        provider => provider.detectUrgency(description, imagePath, context),
+        { audit, image: imagePath }
+      );
+      return result || this._getFallbackUrgency();
     } catch (error) {
       logger.error(`Error detecting urgency: ${error.message}`);
       return this._getFallbackUrgency();
@@ -182,425 +189,333 @@ class AIService {
     };
   }
 
-  async _encodeImageToBase64(imagePath) {
-    return fs.promises.readFile(imagePath, { encoding: 'base64' });
+  /**
+   * Write a short summary of a report in Arabic and English
+   * @param {Object} report - Report text (title, description, category, language)
+   * @param {Object} options - Call options
+   * @param {Array<Object>} options.audit - Collects an entry for every provider attempt
+   * @returns {Promise<Object|null>} { ar, en, provider }, or null if no provider could summarize the report
+   */
+  async summarizeReport(report, { audit } = {}) {
+    try {
+      return await this._run('summary', provider => provider.summarizeReport(report), { audit });
+    } catch (error) {
+      logger.error(`Error summarizing report: ${error.message}`);
+      return null;
+    }
   }
 
-  async _analyzeWithGemini(imageBase64) {
-    // Updated endpoint for Gemini 1.5 Flash
-    const endpoint = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
-    
-    const mimeType = 'image/jpeg'; // Adjust based on image type
-    
-    const requestData = {
-      contents: [
-        {
-          parts: [
-            {
-              text: "Analyze this image of an urban infrastructure issue. Classify it into one of these categories: road_damage, water_issue, electricity_issue, waste_management, public_property_damage, street_lighting, sewage_problem, public_transportation, environmental_issue, other. Provide the classification, confidence level (0-1), and a list of possible alternative categories."
-            },
-            {
-              inline_data: {
-                mime_type: mimeType,
-                data: imageBase64
-              }
-            }
-          ]
-        }
-      ],
-      generationConfig: {
-        temperature: 0.2,
-        topK: 32,
-        topP: 0.95,
-        maxOutputTokens: 1024,
-        responseMimeType: "application/json"
-      }
-    };
-
-    const response = await axios.post(endpoint, requestData, {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-goog-api-key': config.ai.apiKey
-      }
-    });
-
+  /**
+   * Screen an image for inappropriate or irrelevant content
+   * @param {string} imagePath - Path to the image file
+   * @param {Object} options - Call options
+   * @param {Array<Object>} options.audit - Collects an entry for every provider attempt
+   * @returns {Promise<Object|null>} Moderation result, or null if no provider could screen the image
+   */
+  async moderateImage(imagePath, { audit } = {}) {
     try {
-      // Extract the JSON response from Gemini's text output
-      const textResponse = response.data.candidates[0].content.parts[0].text;
-      const jsonStart = textResponse.indexOf('{');
-      const jsonEnd = textResponse.lastIndexOf('}') + 1;
-      
-      if (jsonStart !== -1 && jsonEnd !== -1) {
-        const jsonStr = textResponse.substring(jsonStart, jsonEnd);
-        const parsedResult = JSON.parse(jsonStr);
-        
-        return {
-          classification: parsedResult.classification || 'other',
-          confidence: parsedResult.confidence || 0.7,
-          possibleCategories: parsedResult.possibleCategories || ['other']
-        };
-      } else {
-        // Fallback parse from text if JSON extraction fails
-        const lines = textResponse.split('\n');
-        const classification = lines.find(l => l.includes('classification'))?.split(':')[1]?.trim().replace(/"|,/g, '') || 'other';
-        const confidence = parseFloat(lines.find(l => l.includes('confidence'))?.split(':')[1]?.trim().replace(/"|,/g, '') || '0.7');
-        
-        return {
-          classification,
-          confidence,
-          possibleCategories: [classification, 'other']
-        };
+      if (!fs.existsSync(imagePath)) {
+        logger.error(`Image file not found at path: ${imagePath}`);
+        return null;
       }
+
+      return await this._run('moderation', provider => provider.moderateImage(imagePath), { audit, image: imagePath });
     } catch (error) {
-      logger.error('Error parsing Gemini response:', error);
-      return {
-        classification: 'other',
-        confidence: 0.5,
-        possibleCategories: ['other']
-      };
+      logger.error(`Error moderating image: ${error.message}`);
+      return null;
     }
   }
 
-  async _detectUrgencyWithGemini(description, imageBase64 = null) {
-    // Updated endpoint for Gemini 1.5 Flash
-    const endpoint = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
-    
-    const parts = [
-      {
-        text: `Analyze the urgency of this urban infrastructure issue report. Description: "${description}". 
-        Classify the urgency as "low", "medium", "high", or "critical". 
-        Provide confidence level (0-1), and list the factors that influenced this decision. 
-        Format the response as JSON.`
-      }
-    ];
+  /**
+   * Get provider health and estimated spend per day
+   * @param {number} days - Number of days of usage to include, today included
+   * @returns {Promise<Object>} { chain, providers, cache, days }, where cache is null when caching is off
+   */
+  async getHealth(days) {
+    const fromDate = this._day(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+    const usage = await this.usageRepository.findDailySince(fromDate);
+
+    const totalsByDay = new Map();
+    for (const row of usage) {
+      const day = totalsByDay.get(row.date) || { date: row.date, calls: 0, failures: 0, parseFailures: 0, cost: 0, usage: [] };
+      day.calls += row.calls;
+      day.failures += row.failures;
+      day.parseFailures += row.parseFailures;
+      day.cost += row.cost;
+      day.usage.push(row);
+      totalsByDay.set(row.date, day);
+    }
 
-    if (imageBase64) {
-      parts.push({
-        inline_data: {
-          mime_type: 'image/jpeg',
-          data: imageBase64
-        }
+    return {
+      chain: this.chain,
+      cache: this.cache ? await this.cache.getStats() : null,
+      providers: [...this.providers.values()].map(provider => ({
+        name: provider.name,
+        configured: provider.isConfigured(),
+        inChain: this.chain.includes(provider.name),
+        circuit: this.breakers.get(provider.name).getStatus(),
+        lastCall: this.lastCalls.get(provider.name) || null
+      })),
+      days: [...totalsByDay.values()].map(day => ({ ...day, cost: Math.round(day.cost * 1e6) / 1e6 }))
+    };
+  }
+
+  /**
+   * Reuse a cached result for the same input, or run the call and cache its result
+   * Fallback results are not cached, as no provider produced them
+   * @param {string} operation - classification or urgency
+   * @param {Function} hash - Hashes the call's input: async () => string
+   * @param {Function} call - Calls the provider: async (provider) => result
+   * @param {Object} details - Audit details (audit, image)
+   * @returns {Promise<Object|null>} Result tagged with the provider name and whether it was cached, or null
+   * @private
+   */
+  async _runCached(operation, hash, call, details = {}) {
+    if (!this.cache) {
+      return this._run(operation, call, details);
+    }
+
+    const key = await hash();
+    const cached = await this.cache.get(operation, key);
+
+    if (cached) {
+      this._audit(details.audit, {
+        operation,
+        provider: cached.provider,
+        image: details.image,
+        attempt: 0,
+        outcome: 'cache_hit',
+        latencyMs: 0
       });
+      return { ...cached, cached: true };
     }
 
-    const requestData = {
-      contents: [
-        {
-          parts
-        }
-      ],
-      generationConfig: {
-        temperature: 0.2,
-        topK: 32,
-        topP: 0.95,
-        maxOutputTokens: 1024,
-        responseMimeType: "application/json"
-      }
-    };
+    const result = await this._run(operation, call, details);
 
-    const response = await axios.post(endpoint, requestData, {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-goog-api-key': config.ai.apiKey
-      }
-    });
+    if (result) {
+      await this.cache.set(operation, key, result);
+    }
 
-    try {
-      // Extract the JSON response from Gemini's text output
-      const textResponse = response.data.candidates[0].content.parts[0].text;
-      const jsonStart = textResponse.indexOf('{');
-      const jsonEnd = textResponse.lastIndexOf('}') + 1;
-      
-      if (jsonStart !== -1 && jsonEnd !== -1) {
-        const jsonStr = textResponse.substring(jsonStart, jsonEnd);
-        const parsedResult = JSON.parse(jsonStr);
-        
-        return {
-          urgency: parsedResult.urgency || 'medium',
-          confidence: parsedResult.confidence || 0.7,
-          factors: parsedResult.factors || ['based on text analysis']
-        };
+    return result;
+  }
+
+  /**
+   * Run a call on each provider of the chain in turn until one succeeds
+   * @param {string} operation - classification, urgency, moderation or summary
+   * @param {Function} call - Calls the provider: async (provider) => result
+   * @param {Object} details - Audit details
+   * @param {Array<Object>} details.audit - Collects an entry for every provider attempt
+   * @param {string} details.image - Image the call is about, for the audit entries
+   * @returns {Promise<Object|null>} Result tagged with the provider name, or null if every provider failed
+   * @private
+   */
+  async _run(operation, call, details = {}) {
+    const label = OPERATION_LABELS[operation];
+
+    for (const name of this.chain) {
+      const provider = this.providers.get(name);
+
+      if (!provider) {
+        logger.error(`Unsupported AI provider: ${name}`);
+      } else if (!provider.supports(operation)) {
+        // Not every provider implements every operation
+        continue;
+      } else if (!provider.isConfigured()) {
+        logger.warn(`AI provider ${name} is not properly configured`);
+      } else if (!this.breakers.get(name).canRequest()) {
+        logger.warn(`${label} skipping ${name}: circuit open after repeated failures`);
       } else {
-        // Fallback parse from text if JSON extraction fails
-        const lines = textResponse.split('\n');
-        const urgency = lines.find(l => l.includes('urgency'))?.split(':')[1]?.trim().replace(/"|,/g, '') || 'medium';
-        const confidence = parseFloat(lines.find(l => l.includes('confidence'))?.split(':')[1]?.trim().replace(/"|,/g, '') || '0.7');
-        
-        return {
-          urgency,
-          confidence,
-          factors: ['based on text analysis']
-        };
+        const result = await this._withRetries(operation, provider, call, details);
+        if (result) {
+          return result;
+        }
       }
-    } catch (error) {
-      logger.error('Error parsing Gemini response:', error);
-      return {
-        urgency: 'medium',
-        confidence: 0.5,
-        factors: ['based on text analysis']
-      };
     }
+
+    return null;
   }
 
-  async _analyzeWithOpenRouter(imageBase64) {
-    const endpoint = 'https://openrouter.ai/api/v1/chat/completions';
-    
-    const requestData = {
-      model: "anthropic/claude-3-opus:beta",
-      messages: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "text",
-              text: "Analyze this image of an urban infrastructure issue. Classify it into one of these categories: road_damage, water_issue, electricity_issue, waste_management, public_property_damage, street_lighting, sewage_problem, public_transportation, environmental_issue, other. Provide only a JSON object with these fields: classification (string), confidence (number between 0-1), possibleCategories (array of strings)."
-            },
-            {
-              type: "image_url",
-              image_url: {
-                url: `data:image/jpeg;base64,${imageBase64}`
-              }
-            }
-          ]
-        }
-      ],
-      temperature: 0.2,
-      response_format: { type: "json_object" }
-    };
+  /**
+   * Call a provider until it succeeds, its retries run out or its circuit opens
+   * @param {string} operation - classification, urgency, moderation or summary
+   * @param {AIProvider} provider - Provider adapter
+   * @param {Function} call - Calls the provider: async (provider) => result
+   * @param {Object} details - Audit details (audit, image)
+   * @returns {Promise<Object|null>} Validated result tagged with the provider name, or null if all attempts failed
+   * @private
+   */
+  async _withRetries(operation, provider, call, { audit, image } = {}) {
+    const label = OPERATION_LABELS[operation];
+    const breaker = this.breakers.get(provider.name);
+    let attempts = 0;
+    let lastError = null;
 
-    const response = await axios.post(endpoint, requestData, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${config.ai.apiKey}`,
-        'HTTP-Referer': config.ai.httpReferrer || 'https://fixegypt.org',
-        'X-Title': 'FixEgypt Classification'
-      }
-    });
+    while (attempts < this.maxRetries && breaker.canRequest()) {
+      const startedAt = Date.now();
+      attempts++;
 
-    try {
-      const jsonResponse = JSON.parse(response.data.choices[0].message.content);
-      return {
-        classification: jsonResponse.classification || 'other',
-        confidence: jsonResponse.confidence || 0.7,
-        possibleCategories: jsonResponse.possibleCategories || ['other']
-      };
-    } catch (error) {
-      logger.error('Error parsing OpenRouter response:', error);
-      return {
-        classification: 'other',
-        confidence: 0.5,
-        possibleCategories: ['other']
-      };
-    }
-  }
+      try {
+        const { usage, raw = null, ...output } = await call(provider);
+        const { value, error: validationError } = validateResult(operation, output);
 
-  async _detectUrgencyWithOpenRouter(description, imageBase64 = null) {
-    const endpoint = 'https://openrouter.ai/api/v1/chat/completions';
-    
-    const content = [
-      {
-        type: "text",
-        text: `Analyze the urgency of this urban infrastructure issue report. Description: "${description}". 
-        Classify the urgency as "low", "medium", "high", or "critical". 
-        Provide only a JSON object with these fields: urgency (string), confidence (number between 0-1), factors (array of strings that influenced this decision).`
-      }
-    ];
+        if (validationError) {
+          throw new AIResponseError(`Invalid ${operation} response from ${provider.name}: ${validationError.message}`, { raw, usage });
+        }
 
-    if (imageBase64) {
-      content.push({
-        type: "image_url",
-        image_url: {
-          url: `data:image/jpeg;base64,${imageBase64}`
+        const latencyMs = Date.now() - startedAt;
+        breaker.recordSuccess();
+        this._recordCall(provider.name, operation, { success: true, latencyMs, usage });
+        this._audit(audit, { operation, provider: provider.name, image, attempt: attempts, outcome: 'success', latencyMs, raw });
+
+        return { ...value, provider: provider.name };
+      } catch (error) {
+        const latencyMs = Date.now() - startedAt;
+        const failure = error instanceof AIResponseError ? 'parse' : 'transport';
+        lastError = error;
+
+        this._recordCall(provider.name, operation, { success: false, failure, latencyMs, usage: error.usage || undefined, error });
+        this._audit(audit, {
+          operation,
+          provider: provider.name,
+          image,
+          attempt: attempts,
+          outcome: `${failure}_error`,
+          error: error.message,
+          latencyMs,
+          raw: failure === 'parse' ? error.raw : error.response?.data
+        });
+
+        // A provider that answers in the wrong shape is still up, so only failed requests count toward opening its circuit
+        if (failure === 'transport' && breaker.recordFailure()) {
+          logger.warn(`Circuit opened for AI provider ${provider.name} after ${breaker.failures} failures`);
         }
-      });
-    }
 
-    const requestData = {
-      model: "anthropic/claude-3-opus:beta",
-      messages: [
-        {
-          role: "user",
-          content
+        if (this.debug) {
+          logger.warn(`${label} attempt ${attempts} with ${provider.name} failed: ${error.message}`);
         }
-      ],
-      temperature: 0.2,
-      response_format: { type: "json_object" }
-    };
 
-    const response = await axios.post(endpoint, requestData, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${config.ai.apiKey}`,
-        'HTTP-Referer': config.ai.httpReferrer || 'https://fixegypt.org',
-        'X-Title': 'FixEgypt Urgency Detection'
+        // Wait before retrying
+        if (attempts < this.maxRetries) {
+          await new Promise(resolve => setTimeout(resolve, this._backoff(attempts)));
+        }
       }
-    });
-
-    try {
-      const jsonResponse = JSON.parse(response.data.choices[0].message.content);
-      return {
-        urgency: jsonResponse.urgency || 'medium',
-        confidence: jsonResponse.confidence || 0.7,
-        factors: jsonResponse.factors || ['based on text analysis']
-      };
-    } catch (error) {
-      logger.error('Error parsing OpenRouter response:', error);
-      return {
-        urgency: 'medium',
-        confidence: 0.5,
-        factors: ['based on text analysis']
-      };
     }
-  }
 
-  async _analyzeWithHuggingFace(imagePath) {
-    try {
-      const formData = new FormData();
-      formData.append('file', fs.createReadStream(imagePath));
-
-      const response = await axios.post(
-        config.ai.huggingfaceEndpoint || 'https://api-inference.huggingface.co/models/facebook/detr-resnet-50-panoptic',
-        formData,
-        {
-          headers: {
-            'Authorization': `Bearer ${config.ai.apiKey}`,
-            'Content-Type': 'multipart/form-data'
-          }
-        }
-      );
+    logger.error(`${label} with ${provider.name} failed after ${attempts} tries: ${lastError?.message || 'circuit open'}`);
+    return null;
+  }
 
-      // Map Hugging Face object detection results to our categories
-      const objects = response.data;
-      
-      // Mapping of detected objects to our categories
-      const categoryMapping = {
-        'road': 'road_damage',
-        'pothole': 'road_damage',
-        'traffic light': 'street_lighting',
-        'street light': 'street_lighting',
-        'water': 'water_issue',
-        'pipe': 'water_issue',
-        'leak': 'water_issue',
-        'trash': 'waste_management',
-        'garbage': 'waste_management',
-        'waste': 'waste_management',
-        'electricity': 'electricity_issue',
-        'power line': 'electricity_issue',
-        'sewer': 'sewage_problem',
-        'drain': 'sewage_problem',
-        'bus': 'public_transportation',
-        'train': 'public_transportation',
-        'bench': 'public_property_damage',
-        'tree': 'environmental_issue'
-      };
-
-      // Count occurrences of categories
-      const categoryCounts = {};
-      
-      objects.forEach(obj => {
-        const label = obj.label.toLowerCase();
-        let category = 'other';
-        
-        // Find matching category
-        for (const [key, value] of Object.entries(categoryMapping)) {
-          if (label.includes(key)) {
-            category = value;
-            break;
-          }
-        }
-        
-        categoryCounts[category] = (categoryCounts[category] || 0) + (obj.score || 0);
-      });
-      
-      // Find the category with highest confidence
-      let topCategory = 'other';
-      let topConfidence = 0;
-      const possibleCategories = [];
-      
-      for (const [category, score] of Object.entries(categoryCounts)) {
-        possibleCategories.push(category);
-        if (score > topConfidence) {
-          topConfidence = score;
-          topCategory = category;
-        }
-      }
-      
-      // Normalize confidence to 0-1
-      topConfidence = Math.min(topConfidence, 1);
-      
-      return {
-        classification: topCategory,
-        confidence: topConfidence || 0.7,
-        possibleCategories: possibleCategories.length > 0 ? possibleCategories : ['other']
-      };
-    } catch (error) {
-      logger.error(`Error with Hugging Face analysis: ${error.message}`);
-      return {
-        classification: 'other',
-        confidence: 0.5,
-        possibleCategories: ['other']
-      };
+  /**
+   * Add an attempt to the caller's audit log, keeping the start of the raw response
+   * @param {Array<Object>|undefined} audit - Caller's audit log, if any
+   * @param {Object} attempt - { operation, provider, image, attempt, outcome, error, latencyMs, raw }
+   * @private
+   */
+  _audit(audit, { raw = null, image = null, error = null, ...attempt }) {
+    if (!audit) {
+      return;
     }
+
+    const rawResponse = raw === null || raw === undefined || typeof raw === 'string' ? raw : JSON.stringify(raw);
+
+    audit.push({
+      ...attempt,
+      image,
+      error,
+      rawResponse: rawResponse ? rawResponse.slice(0, RAW_RESPONSE_LIMIT) : null,
+      at: new Date()
+    });
   }
 
-  async _detectUrgencyWithHuggingFace(description, imagePath = null) {
-    try {
-      // For text-based urgency detection
-      const textPayload = {
-        inputs: description,
-        parameters: {
-          candidate_labels: ["low urgency", "medium urgency", "high urgency", "critical urgency"]
-        }
-      };
-
-      const textResponse = await axios.post(
-        config.ai.huggingfaceTextEndpoint || 'https://api-inference.huggingface.co/models/facebook/bart-large-mnli',
-        textPayload,
-        {
-          headers: {
-            'Authorization': `Bearer ${config.ai.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+  /**
+   * Delay before the next attempt, doubling after every failure
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   * @private
+   */
+  _backoff(attempts) {
+    return Math.min(this.retryBaseDelayMs * 2 ** (attempts - 1), this.maxRetryDelayMs);
+  }
 
-      // Process text classification results
-      const labels = textResponse.data.labels;
-      const scores = textResponse.data.scores;
-      
-      // Find index of highest score
-      let maxIndex = 0;
-      for (let i = 1; i < scores.length; i++) {
-        if (scores[i] > scores[maxIndex]) {
-          maxIndex = i;
-        }
-      }
-      
-      // Map label to urgency level
-      const urgencyMap = {
-        'low urgency': 'low',
-        'medium urgency': 'medium',
-        'high urgency': 'high',
-        'critical urgency': 'critical'
-      };
-      
-      const urgency = urgencyMap[labels[maxIndex]] || 'medium';
-      const confidence = scores[maxIndex];
-      
-      return {
-        urgency,
-        confidence,
-        factors: ['text analysis']
-      };
-    } catch (error) {
-      logger.error(`Error with Hugging Face urgency detection: ${error.message}`);
-      return {
-        urgency: 'medium',
-        confidence: 0.5,
-        factors: ['default due to service error']
-      };
-    }
+  /**
+   * Keep the outcome of a call for health reporting and add it to today's usage totals
+   * @param {string} providerName - Provider name
+   * @param {string} operation - classification, urgency, moderation or summary
+   * @param {Object} outcome - { success, failure, latencyMs, usage, error }, where failure is parse or transport
+   * @private
+   */
+  _recordCall(providerName, operation, { success, failure = null, latencyMs, usage = {}, error = null }) {
+    const { inputTokens = 0, outputTokens = 0 } = usage;
+    const price = this.pricing[providerName] || {};
+    const cost = (inputTokens / 1000) * (price.input || 0) + (outputTokens / 1000) * (price.output || 0);
+    const now = new Date();
+
+    this.lastCalls.set(providerName, {
+      ...this.lastCalls.get(providerName),
+      ...(success ? { lastSuccessAt: now } : { lastFailureAt: now, lastError: error.message, lastFailureType: failure }),
+      lastLatencyMs: latencyMs
+    });
+
+    // Usage totals are best effort and must not hold up or fail the analysis
+    this.usageRepository.record({
+      date: this._day(now),
+      provider: providerName,
+      operation,
+      success,
+      failure,
+      latencyMs,
+      inputTokens,
+      outputTokens,
+      cost
+    }).catch(recordError => {
+      logger.warn(`Failed to record AI usage for ${providerName}: ${recordError.message}`);
+    });
+  }
+
+  /**
+   * Format a date as a UTC day
+   * @param {Date} date - Date
+   * @returns {string} YYYY-MM-DD
+   * @private
+   */
+  _day(date) {
+    return date.toISOString().slice(0, 10);
   }
 }
 
-export default new AIService(); 
\ No newline at end of file
+const aiService = new AIService(new MongoAIUsageRepository(), {
+  chain: config.ai.providerChain.length > 0 ? config.ai.providerChain : [config.ai.provider],
+  fallbackToLocal: config.ai.fallbackToLocal,
+  maxRetries: config.ai.maxRetries,
+  retryBaseDelayMs: config.ai.retryBaseDelayMs,
+  maxRetryDelayMs: config.ai.maxRetryDelayMs,
+  circuitBreaker: {
+    failureThreshold: config.ai.circuitFailureThreshold,
+    cooldownSeconds: config.ai.circuitCooldownSeconds
+  },
+  pricing: config.ai.pricing,
+  cache: config.ai.cacheResults
+    ? new AIResultCache(config.ai.cachePersistent ? new MongoAICacheRepository() : null, {
+      ttlSeconds: config.ai.cacheTTL,
+      maxItems: config.ai.cacheMaxItems
+    })
+    : null,
+  debug: config.ai.debug
+});
+
+aiService.registerProvider(new GeminiProvider({ apiKey: config.ai.geminiApiKey || config.ai.apiKey }));
+aiService.registerProvider(new OpenRouterProvider({
+  apiKey: config.ai.openRouterApiKey || config.ai.apiKey,
+  model: config.ai.openRouterModel,
+  httpReferrer: config.ai.httpReferrer
+}));
+aiService.registerProvider(new HuggingFaceProvider({
+  apiKey: config.ai.huggingfaceApiKey || config.ai.apiKey,
+  imageEndpoint: config.ai.huggingfaceEndpoint,
+  textEndpoint: config.ai.huggingfaceTextEndpoint,
+  multilingualTextEndpoint: config.ai.huggingfaceMultilingualTextEndpoint
+}));
+aiService.registerProvider(new LocalProvider());
+
+export { AIService };
+export default aiService; 
\ No newline at end of file
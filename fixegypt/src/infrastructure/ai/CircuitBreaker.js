@@ -0,0 +1,74 @@
+/**
+ * Circuit breaker for a remote provider
+ * After repeated failures the circuit opens and calls are skipped until a cooldown passes;
+ * then a single trial call decides whether it closes again
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.cooldownSeconds - Seconds the circuit stays open before a trial call
+   */
+  constructor({ failureThreshold, cooldownSeconds }) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownSeconds * 1000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Check if a call may go through; moves an open circuit to half-open once the cooldown has passed
+   * @returns {boolean} Whether the call is allowed
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+    }
+
+    return this.state !== 'open';
+  }
+
+  /**
+   * Record a successful call, closing the circuit
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Record a failed call, opening the circuit after too many in a row or when a trial call fails
+   * @returns {boolean} Whether this failure opened the circuit
+   */
+  recordFailure() {
+    this.failures++;
+
+    if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get the current state for health reporting
+   * @returns {Object} { state, failures, openedAt, retryAt }
+   */
+  getStatus() {
+    // Let an expired cooldown show as half-open
+    this.canRequest();
+
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs) : null
+    };
+  }
+}
+
+export default CircuitBreaker; 
\ No newline at end of file
@@ -0,0 +1,210 @@
+import fs from 'fs';
+import path from 'path';
+import { REPORT_CATEGORIES } from '../../../domain/entities/Report.js';
+
+// Image MIME types by file extension; providers send JPEG when the extension is unknown
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+// Categories a provider may classify an issue into
+const ISSUE_CATEGORIES = REPORT_CATEGORIES;
+
+// Provider method behind each operation of the AI service
+const OPERATION_METHODS = {
+  classification: 'analyzeImage',
+  urgency: 'detectUrgency',
+  moderation: 'moderateImage',
+  summary: 'summarizeReport'
+};
+
+// How each detected language is described to the model, so Egyptian Arabic is read as written rather than guessed at
+const LANGUAGE_NOTES = {
+  'ar': 'The report is written in Arabic, most likely Egyptian colloquial Arabic.',
+  'ar-Latn': 'The report is written in Egyptian Arabic with Latin letters and digits (Franco-Arabic, e.g. 3 for ع, 7 for ح, 2 for ء).',
+  'mixed': 'The report mixes Arabic (most likely Egyptian colloquial Arabic) and English.',
+  'en': 'The report is written in English.'
+};
+
+// Instructions for screening report images; providers ask for a JSON answer in these fields
+const MODERATION_PROMPT = 'This image was attached to a citizen report about an urban infrastructure issue (roads, water, electricity, waste, lighting, sewage, transport or public property). ' +
+  'Decide if it contains inappropriate content (nudity, sexual content, gore, violence against people, hate symbols or offensive gestures) ' +
+  'and if it is irrelevant (it does not show a street, building, utility or public space at all, e.g. a selfie, meme, screenshot or advertisement). ' +
+  'Provide only a JSON object with these fields: inappropriate (boolean), irrelevant (boolean), reason (short string), confidence (number between 0-1).';
+
+/**
+ * Error for a provider answer that arrived but could not be read, as opposed to a failed request
+ */
+class AIResponseError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failed answer
+   * @param {string} details.raw - Raw model output
+   * @param {Object} details.usage - Tokens used by the call
+   */
+  constructor(message, { raw = null, usage = null } = {}) {
+    super(message);
+    this.name = 'AIResponseError';
+    this.raw = raw;
+    this.usage = usage;
+  }
+}
+
+/**
+ * Base class for AI provider adapters
+ * Adapters are registered with the AI service by name and only implement the calls to their backend.
+ * Errors are thrown so the service can retry or move to the next provider; results of token-billed
+ * backends include usage: { inputTokens, outputTokens }. Model-backed adapters ask for structured output,
+ * return the model's raw text as raw and throw AIResponseError when it is not JSON; the service validates
+ * every result against the operation's schema
+ */
+class AIProvider {
+  /**
+   * @param {string} name - Provider name used in configuration, e.g. 'gemini'
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Check if the provider has what it needs to run, e.g. an API key
+   * @returns {boolean} Whether the provider can be used
+   */
+  isConfigured() {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Classify the issue shown in an image
+   * @param {string} imagePath - Path to the image file
+   * @param {Object} context - Report text that may help the classification
+   * @param {string} context.title - Report title
+   * @param {string} context.description - Report description
+   * @param {string} context.language - Detected language of the report text (ar, ar-Latn, en, mixed)
+   * @returns {Promise<Object>} { classification, confidence, possibleCategories, usage?, raw? }
+   */
+  async analyzeImage(imagePath, context) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Detect the urgency of an issue from its description and optional image
+   * @param {string} description - Report description
+   * @param {string|null} imagePath - Path to the image file
+   * @param {Object} context - Report context
+   * @param {string} context.language - Detected language of the description (ar, ar-Latn, en, mixed)
+   * @returns {Promise<Object>} { urgency, confidence, factors, usage?, raw? }
+   */
+  async detectUrgency(description, imagePath, context) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Write a short summary of a report in Arabic and English for staff triage
+   * @param {Object} report - Report text
+   * @param {string} report.title - Report title
+   * @param {string} report.description - Report description
+   * @param {string} report.category - Category chosen by the reporter
+   * @param {string} report.language - Detected language of the report text (ar, ar-Latn, en, mixed)
+   * @returns {Promise<Object>} { ar, en, usage?, raw? }, with null for a language the provider cannot write
+   */
+  async summarizeReport(report) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Screen an image for content that is inappropriate or has nothing to do with an urban issue
+   * @param {string} imagePath - Path to the image file
+   * @returns {Promise<Object>} { inappropriate, irrelevant, reason, confidence, usage?, raw? }
+   */
+  async moderateImage(imagePath) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Check if the provider implements an operation; providers need not implement every one
+   * @param {string} operation - classification, urgency, moderation or summary
+   * @returns {boolean} Whether the provider can run the operation
+   */
+  supports(operation) {
+    const method = OPERATION_METHODS[operation];
+    return !!method && this[method] !== AIProvider.prototype[method];
+  }
+
+  /**
+   * Read an image as base64
+   * @param {string} imagePath - Path to the image file
+   * @returns {Promise<string>} Base64 encoded image
+   * @protected
+   */
+  async _encodeImageToBase64(imagePath) {
+    return fs.promises.readFile(imagePath, { encoding: 'base64' });
+  }
+
+  /**
+   * Get the MIME type of an image from its extension
+   * @param {string} imagePath - Path to the image file
+   * @returns {string} MIME type
+   * @protected
+   */
+  _getMimeType(imagePath) {
+    return MIME_TYPES[path.extname(imagePath).toLowerCase()] || 'image/jpeg';
+  }
+
+  /**
+   * Describe the report's language and how to answer, for prompts that include report text
+   * @param {string} language - Detected language (ar, ar-Latn, en, mixed)
+   * @returns {string} Prompt sentences
+   * @protected
+   */
+  _languageNote(language) {
+    const note = LANGUAGE_NOTES[language] || 'The report may be written in Arabic (most likely Egyptian colloquial Arabic) or English.';
+    return `${note} Read it in its original language without translating it first, and write the JSON field values in English.`;
+  }
+
+  /**
+   * Build the prompt asking for a bilingual report summary
+   * @param {Object} report - Report text (title, description, category, language)
+   * @returns {string} Prompt
+   * @protected
+   */
+  _summaryPrompt({ title, description, category, language }) {
+    return `Summarize this citizen report about an urban infrastructure issue in Egypt for the municipal staff who triage it. ` +
+      `${LANGUAGE_NOTES[language] || 'The report may be written in Arabic or English.'} ` +
+      `Title: "${title}". Category chosen by the reporter: ${category}. Description: "${description}". ` +
+      'Write one short sentence (at most 30 words) saying what the problem is, where, and any danger to people, ' +
+      'once in Modern Standard Arabic and once in English. ' +
+      'Provide only a JSON object with these fields: ar (string), en (string).';
+  }
+
+  /**
+   * Parse a model's structured output
+   * @param {string} text - Model output, a JSON object when the provider asked for structured output
+   * @param {Object} usage - Tokens used, kept on the error so a failed parse is still billed
+   * @returns {Object} Parsed object
+   * @throws {AIResponseError} If the output is not a JSON object
+   * @protected
+   */
+  _parseJson(text, usage) {
+    let parsed;
+
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new AIResponseError(`Response from ${this.name} is not valid JSON: ${error.message}`, { raw: text, usage });
+    }
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new AIResponseError(`Response from ${this.name} is not a JSON object`, { raw: text, usage });
+    }
+
+    return parsed;
+  }
+}
+
+export { AIProvider, AIResponseError, ISSUE_CATEGORIES, MODERATION_PROMPT };
+export default AIProvider; 
\ No newline at end of file
@@ -0,0 +1,168 @@
+import axios from 'axios';
+import { AIProvider, ISSUE_CATEGORIES, MODERATION_PROMPT } from './AIProvider.js';
+import { OUTPUT_SCHEMAS } from '../responseSchemas.js';
+
+const ENDPOINT = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
+
+const GENERATION_CONFIG = {
+  temperature: 0.2,
+  topK: 32,
+  topP: 0.95,
+  maxOutputTokens: 1024,
+  responseMimeType: 'application/json'
+};
+
+/**
+ * Google Gemini provider
+ */
+class GeminiProvider extends AIProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Gemini API key
+   */
+  constructor({ apiKey }) {
+    super('gemini');
+    this.apiKey = apiKey;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey) && this.apiKey !== 'DEMO_API_KEY';
+  }
+
+  async analyzeImage(imagePath, { title = '', description = '', language = null } = {}) {
+    const imageBase64 = await this._encodeImageToBase64(imagePath);
+
+    const { text, usage } = await this._generate([
+      {
+        text: `Analyze this image of an urban infrastructure issue. Classify it into one of these categories: ${ISSUE_CATEGORIES.join(', ')}. ` +
+          `The reporter's own words may help: title "${title}", description "${description}". ${this._languageNote(language)} ` +
+          'Provide the classification, confidence level (0-1), and a list of possible alternative categories.'
+      },
+      {
+        inline_data: {
+          mime_type: this._getMimeType(imagePath),
+          data: imageBase64
+        }
+      }
+    ], 'classification');
+
+    return { ...this._parseJson(text, usage), usage, raw: text };
+  }
+
+  async detectUrgency(description, imagePath = null, { language = null } = {}) {
+    const parts = [
+      {
+        text: `Analyze the urgency of this urban infrastructure issue report. Description: "${description}".
+        ${this._languageNote(language)}
+        Classify the urgency as "low", "medium", "high", or "critical".
+        Provide confidence level (0-1), and list the factors that influenced this decision.`
+      }
+    ];
+
+    if (imagePath) {
+      parts.push({
+        inline_data: {
+          mime_type: this._getMimeType(imagePath),
+          data: await this._encodeImageToBase64(imagePath)
+        }
+      });
+    }
+
+    const { text, usage } = await this._generate(parts, 'urgency');
+    return { ...this._parseJson(text, usage), usage, raw: text };
+  }
+
+  async summarizeReport(report) {
+    const { text, usage } = await this._generate([{ text: this._summaryPrompt(report) }], 'summary');
+    return { ...this._parseJson(text, usage), usage, raw: text };
+  }
+
+  async moderateImage(imagePath) {
+    try {
+      const { text, usage } = await this._generate([
+        { text: MODERATION_PROMPT },
+        {
+          inline_data: {
+            mime_type: this._getMimeType(imagePath),
+            data: await this._encodeImageToBase64(imagePath)
+          }
+        }
+      ], 'moderation');
+
+      return { ...this._parseJson(text, usage), usage, raw: text };
+    } catch (error) {
+      // Gemini's own safety filters refusing the image is a verdict in itself
+      if (error.blockReason) {
+        return {
+          inappropriate: true,
+          irrelevant: false,
+          reason: `blocked by Gemini safety filters (${error.blockReason})`,
+          confidence: 0.9,
+          raw: error.message
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a prompt to Gemini, constraining the answer to the operation's JSON schema
+   * @param {Array<Object>} parts - Prompt parts
+   * @param {string} operation - classification, urgency, moderation or summary
+   * @returns {Promise<Object>} { text, usage } with the text output of the first candidate and the tokens used
+   * @throws {Error} With a blockReason when Gemini's safety filters refuse the prompt or the answer
+   * @private
+   */
+  async _generate(parts, operation) {
+    const response = await axios.post(ENDPOINT, {
+      contents: [{ parts }],
+      generationConfig: {
+        ...GENERATION_CONFIG,
+        responseSchema: this._toGeminiSchema(OUTPUT_SCHEMAS[operation])
+      }
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': this.apiKey
+      }
+    });
+
+    const usageMetadata = response.data.usageMetadata || {};
+    const blockReason = response.data.promptFeedback?.blockReason ||
+      (response.data.candidates?.[0]?.finishReason === 'SAFETY' ? 'SAFETY' : null);
+
+    if (blockReason) {
+      throw Object.assign(new Error(`Gemini blocked the prompt: ${blockReason}`), { blockReason });
+    }
+
+    return {
+      text: response.data.candidates[0].content.parts[0].text,
+      usage: {
+        inputTokens: usageMetadata.promptTokenCount || 0,
+        outputTokens: usageMetadata.candidatesTokenCount || 0
+      }
+    };
+  }
+
+  /**
+   * Convert a JSON Schema to the OpenAPI subset Gemini accepts, which has upper-case types
+   * and no additionalProperties
+   * @param {Object} schema - JSON Schema
+   * @returns {Object} Gemini response schema
+   * @private
+   */
+  _toGeminiSchema({ type, properties, items, additionalProperties, ...rest }) {
+    return {
+      ...rest,
+      type: type.toUpperCase(),
+      ...(properties ? {
+        properties: Object.fromEntries(
+          Object.entries(properties).map(([name, property]) => [name, this._toGeminiSchema(property)])
+        )
+      } : {}),
+      ...(items ? { items: this._toGeminiSchema(items) } : {})
+    };
+  }
+}
+
+export default GeminiProvider; 
\ No newline at end of file
@@ -0,0 +1,141 @@
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import AIProvider from './AIProvider.js';
+
+// Mapping of detected objects to our categories
+const CATEGORY_MAPPING = {
+  'road': 'road_damage',
+  'pothole': 'road_damage',
+  'traffic light': 'street_lighting',
+  'street light': 'street_lighting',
+  'water': 'water_issue',
+  'pipe': 'water_issue',
+  'leak': 'water_issue',
+  'trash': 'waste_management',
+  'garbage': 'waste_management',
+  'waste': 'waste_management',
+  'electricity': 'electricity_issue',
+  'power line': 'electricity_issue',
+  'sewer': 'sewage_problem',
+  'drain': 'sewage_problem',
+  'bus': 'public_transportation',
+  'train': 'public_transportation',
+  'bench': 'public_property_damage',
+  'tree': 'environmental_issue'
+};
+
+// Map zero-shot labels to urgency levels
+const URGENCY_MAP = {
+  'low urgency': 'low',
+  'medium urgency': 'medium',
+  'high urgency': 'high',
+  'critical urgency': 'critical'
+};
+
+/**
+ * Hugging Face Inference API provider: object detection for images, zero-shot classification for text
+ */
+class HuggingFaceProvider extends AIProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Hugging Face API token
+   * @param {string} options.imageEndpoint - Object detection model endpoint
+   * @param {string} options.textEndpoint - Zero-shot classification model endpoint
+   * @param {string} options.multilingualTextEndpoint - Zero-shot model endpoint for text that is not English
+   */
+  constructor({ apiKey, imageEndpoint, textEndpoint, multilingualTextEndpoint }) {
+    super('huggingface');
+    this.apiKey = apiKey;
+    this.imageEndpoint = imageEndpoint;
+    this.textEndpoint = textEndpoint;
+    this.multilingualTextEndpoint = multilingualTextEndpoint;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey) && this.apiKey !== 'DEMO_API_KEY';
+  }
+
+  async analyzeImage(imagePath) {
+    const formData = new FormData();
+    const image = await fs.promises.readFile(imagePath);
+    formData.append('file', new Blob([image], { type: this._getMimeType(imagePath) }), path.basename(imagePath));
+
+    const response = await axios.post(this.imageEndpoint, formData, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+
+    // Sum detection scores per category
+    const categoryCounts = {};
+
+    response.data.forEach(obj => {
+      const label = obj.label.toLowerCase();
+      const match = Object.keys(CATEGORY_MAPPING).find(key => label.includes(key));
+      const category = match ? CATEGORY_MAPPING[match] : 'other';
+
+      categoryCounts[category] = (categoryCounts[category] || 0) + (obj.score || 0);
+    });
+
+    // Find the category with highest confidence
+    let topCategory = 'other';
+    let topConfidence = 0;
+
+    for (const [category, score] of Object.entries(categoryCounts)) {
+      if (score > topConfidence) {
+        topConfidence = score;
+        topCategory = category;
+      }
+    }
+
+    const possibleCategories = Object.keys(categoryCounts);
+
+    return {
+      classification: topCategory,
+      // Normalize confidence to 0-1
+      confidence: Math.min(topConfidence, 1) || 0.7,
+      possibleCategories: possibleCategories.length > 0 ? possibleCategories : ['other'],
+      raw: JSON.stringify(response.data)
+    };
+  }
+
+  async detectUrgency(description, imagePath = null, { language = null } = {}) {
+    // English-only NLI models cannot read Arabic, so other languages go to the multilingual model
+    const endpoint = language && language !== 'en' && this.multilingualTextEndpoint
+      ? this.multilingualTextEndpoint
+      : this.textEndpoint;
+
+    const response = await axios.post(endpoint, {
+      inputs: description,
+      parameters: {
+        candidate_labels: Object.keys(URGENCY_MAP)
+      }
+    }, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const { labels, scores } = response.data;
+
+    // Find index of highest score
+    let maxIndex = 0;
+    for (let i = 1; i < scores.length; i++) {
+      if (scores[i] > scores[maxIndex]) {
+        maxIndex = i;
+      }
+    }
+
+    return {
+      urgency: URGENCY_MAP[labels[maxIndex]] || 'medium',
+      confidence: scores[maxIndex],
+      factors: ['text analysis'],
+      raw: JSON.stringify(response.data)
+    };
+  }
+}
+
+export default HuggingFaceProvider; 
\ No newline at end of file
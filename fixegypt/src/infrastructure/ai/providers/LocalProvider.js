@@ -0,0 +1,308 @@
+import fs from 'fs';
+import AIProvider from './AIProvider.js';
+import { compileKeywords, tokenize, findMatches } from '../../text/keywordMatching.js';
+
+// Keywords per category in English and Arabic (including common Egyptian spellings)
+// A trailing * matches any word starting with the keyword, e.g. 'pothole*' matches 'potholes'
+const CATEGORY_KEYWORDS = {
+  road_damage: [
+    'pothole*', 'road*', 'asphalt', 'pavement*', 'sidewalk*', 'speed bump*', 'crack*',
+    'حفرة', 'حفر', 'طريق', 'طرق', 'شارع', 'أسفلت', 'رصيف', 'مطب', 'مطبات', 'تشقق', 'شرخ'
+  ],
+  water_issue: [
+    'water', 'pipe*', 'leak*', 'burst', 'tap*', 'faucet*',
+    'مياه', 'مية', 'ماسورة', 'مواسير', 'تسريب', 'تسرب', 'حنفية'
+  ],
+  electricity_issue: [
+    'electric*', 'power cut*', 'power outage*', 'outage*', 'blackout*', 'wire*', 'cable*', 'transformer*',
+    'كهرباء', 'كهربا', 'سلك', 'أسلاك', 'كابل', 'كابلات', 'محول', 'محولات'
+  ],
+  waste_management: [
+    'garbage', 'trash', 'rubbish', 'waste', 'litter*', 'dump*',
+    'زبالة', 'قمامة', 'مخلفات', 'نفايات'
+  ],
+  public_property_damage: [
+    'bench*', 'fence*', 'park', 'parks', 'playground*', 'vandal*', 'graffiti', 'railing*', 'sign', 'signs',
+    'مقعد', 'مقاعد', 'سور', 'حديقة', 'حدائق', 'لافتة', 'تخريب', 'كوبري'
+  ],
+  street_lighting: [
+    'street light*', 'streetlight*', 'lamp*', 'lighting', 'light pole*', 'dark',
+    'عمود نور', 'إنارة', 'إضاءة', 'لمبة', 'كشاف', 'ضلمة', 'مظلم'
+  ],
+  sewage_problem: [
+    'sewage', 'sewer*', 'drain*', 'manhole*', 'overflow*',
+    'صرف', 'مجاري', 'بالوعة', 'بلاعة', 'طفح', 'غرفة تفتيش'
+  ],
+  public_transportation: [
+    'bus', 'buses', 'bus stop*', 'metro', 'train*', 'tram*', 'station*', 'microbus*',
+    'أتوبيس', 'مترو', 'قطار', 'محطة', 'ميكروباص', 'موقف'
+  ],
+  environmental_issue: [
+    'tree*', 'pollution', 'polluted', 'smoke', 'burning', 'dust', 'noise', 'dead animal*', 'stray*',
+    'شجرة', 'أشجار', 'تلوث', 'دخان', 'حرق', 'تراب', 'ضوضاء', 'نافق', 'كلاب ضالة'
+  ]
+};
+
+// Keywords per urgency level; the most severe level with a match wins
+const URGENCY_KEYWORDS = {
+  critical: [
+    'fire', 'fires', 'gas leak*', 'gas smell', 'smell of gas', 'electrocut*', 'exposed wire*', 'live wire*',
+    'collaps*', 'explosion*', 'death*', 'died', 'killed', 'injur*', 'drown*', 'trapped',
+    'حريق', 'حرائق', 'تسريب غاز', 'ريحة غاز', 'رائحة غاز', 'صعق', 'ماس كهربائي', 'سلك مكشوف',
+    'أسلاك مكشوفة', 'انهيار', 'انفجار', 'وفاة', 'مصاب', 'مصابين', 'إصابة', 'غرق', 'محتجز'
+  ],
+  high: [
+    'danger*', 'accident*', 'hazard*', 'unsafe', 'child', 'children', 'school*', 'hospital*',
+    'blocked', 'flood*', 'urgent*', 'emergency',
+    'خطر', 'خطير', 'خطيرة', 'حادث', 'حوادث', 'أطفال', 'مدرسة', 'مستشفى', 'مسدود', 'عاجل',
+    'طوارئ', 'فيضان'
+  ],
+  low: [
+    'minor', 'small', 'slight*', 'cosmetic', 'faded',
+    'بسيط', 'بسيطة', 'صغير', 'صغيرة', 'خفيف'
+  ]
+};
+
+// Images below these sizes are too small to show much, so classifications from them are trusted less
+const MIN_IMAGE_DIMENSION = 320;
+const MIN_IMAGE_BYTES = 10 * 1024;
+
+// Images this small or this stretched are icons, stickers or banners rather than photos of an issue
+const MIN_PHOTO_DIMENSION = 64;
+const MAX_PHOTO_ASPECT_RATIO = 4;
+
+// Longest extractive summary, in words
+const MAX_SUMMARY_WORDS = 30;
+
+// Enough of the file to reach the frame header of a JPEG after its metadata segments
+const HEADER_BYTES = 128 * 1024;
+
+const COMPILED_CATEGORY_KEYWORDS = compileKeywords(CATEGORY_KEYWORDS);
+const COMPILED_URGENCY_KEYWORDS = compileKeywords(URGENCY_KEYWORDS);
+
+/**
+ * Offline provider using keyword rules in English and Arabic and image file heuristics
+ * Needs no network access or API key, so it is the fallback for the remote providers and the provider for tests
+ */
+class LocalProvider extends AIProvider {
+  constructor() {
+    super('local');
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Classify the issue from the report text, trusting the result less for small or unreadable images
+   * @param {string} imagePath - Path to the image file
+   * @param {Object} context - Report text
+   * @param {string} context.title - Report title
+   * @param {string} context.description - Report description
+   * @returns {Promise<Object>} { classification, confidence, possibleCategories, factors }
+   */
+  async analyzeImage(imagePath, { title = '', description = '' } = {}) {
+    const image = await this._readImageMetadata(imagePath);
+
+    if (!image) {
+      return {
+        classification: 'other',
+        confidence: 0.1,
+        possibleCategories: ['other'],
+        factors: ['file is not a recognized image format']
+      };
+    }
+
+    const tokens = tokenize(`${title} ${description}`);
+    const scores = Object.entries(COMPILED_CATEGORY_KEYWORDS)
+      .map(([category, keywords]) => ({ category, matches: findMatches(tokens, keywords) }))
+      .filter(({ matches }) => matches.length > 0)
+      .sort((a, b) => b.matches.length - a.matches.length);
+
+    const factors = [`${image.format} image, ${image.width}x${image.height}`];
+
+    if (scores.length === 0) {
+      return {
+        classification: 'other',
+        confidence: 0.3,
+        possibleCategories: ['other'],
+        factors: [...factors, 'no category keywords found']
+      };
+    }
+
+    const [top, runnerUp] = scores;
+    let confidence = Math.min(0.4 + 0.15 * top.matches.length, 0.85);
+
+    // A tie with another category makes the pick a guess
+    if (runnerUp && runnerUp.matches.length === top.matches.length) {
+      confidence -= 0.1;
+      factors.push(`equally matches ${runnerUp.category}`);
+    }
+
+    if (Math.min(image.width, image.height) < MIN_IMAGE_DIMENSION || image.size < MIN_IMAGE_BYTES) {
+      confidence *= 0.8;
+      factors.push('low resolution image');
+    }
+
+    return {
+      classification: top.category,
+      confidence: Math.round(confidence * 100) / 100,
+      possibleCategories: [...scores.map(({ category }) => category), 'other'],
+      factors: [...factors, ...top.matches.map(keyword => `mentions "${keyword}"`)]
+    };
+  }
+
+  /**
+   * Detect urgency from keywords in the description
+   * @param {string} description - Report description
+   * @returns {Promise<Object>} { urgency, confidence, factors }
+   */
+  async detectUrgency(description) {
+    const tokens = tokenize(description);
+
+    for (const [urgency, keywords] of Object.entries(COMPILED_URGENCY_KEYWORDS)) {
+      const matches = findMatches(tokens, keywords);
+
+      if (matches.length > 0) {
+        return {
+          urgency,
+          confidence: Math.round(Math.min(0.55 + 0.1 * matches.length, 0.85) * 100) / 100,
+          factors: matches.map(keyword => `mentions "${keyword}"`)
+        };
+      }
+    }
+
+    return {
+      urgency: 'medium',
+      confidence: 0.4,
+      factors: ['no urgency keywords found']
+    };
+  }
+
+  /**
+   * Summarize a report by extracting its first sentence; it cannot translate, so only the language
+   * the report is written in is filled in, and Franco-Arabic reports get no summary
+   * @param {Object} report - Report text
+   * @param {string} report.title - Report title
+   * @param {string} report.description - Report description
+   * @param {string} report.language - Detected language of the report text
+   * @returns {Promise<Object>} { ar, en }
+   */
+  async summarizeReport({ title = '', description = '', language = null }) {
+    const firstSentence = description.split(/[.!?؟\n]/).map(sentence => sentence.trim()).find(Boolean) || '';
+    const words = `${title.trim()}: ${firstSentence}`.split(/\s+/);
+    const summary = words.length > MAX_SUMMARY_WORDS
+      ? `${words.slice(0, MAX_SUMMARY_WORDS).join(' ')}…`
+      : words.join(' ');
+
+    // Mixed text is summarized in whichever script most of it is written in
+    const arabicLetters = (summary.match(/\p{Script=Arabic}/gu) || []).length;
+    const latinLetters = (summary.match(/\p{Script=Latin}/gu) || []).length;
+    const isArabic = language === 'ar' || (language === 'mixed' && arabicLetters >= latinLetters);
+    const isEnglish = language === 'en' || (language === 'mixed' && latinLetters > arabicLetters);
+
+    return { ar: isArabic ? summary : null, en: isEnglish ? summary : null };
+  }
+
+  /**
+   * Screen an image from its header alone: files that are not images, and images too small or
+   * stretched to be a photo, are irrelevant. The content itself cannot be judged, so nothing is inappropriate
+   * @param {string} imagePath - Path to the image file
+   * @returns {Promise<Object>} { inappropriate, irrelevant, reason, confidence }
+   */
+  async moderateImage(imagePath) {
+    const image = await this._readImageMetadata(imagePath);
+
+    if (!image) {
+      return { inappropriate: false, irrelevant: true, reason: 'file is not a recognized image format', confidence: 0.9 };
+    }
+
+    const shortSide = Math.min(image.width, image.height);
+    const aspectRatio = Math.max(image.width, image.height) / Math.max(shortSide, 1);
+
+    if (shortSide < MIN_PHOTO_DIMENSION || aspectRatio > MAX_PHOTO_ASPECT_RATIO) {
+      return {
+        inappropriate: false,
+        irrelevant: true,
+        reason: `${image.width}x${image.height} ${image.format} image is too small or narrow to be a photo`,
+        confidence: 0.75
+      };
+    }
+
+    return { inappropriate: false, irrelevant: false, reason: null, confidence: 0.3 };
+  }
+
+  /**
+   * Read the format and dimensions of an image from its header
+   * @param {string} imagePath - Path to the image file
+   * @returns {Promise<Object|null>} { format, width, height, size }, or null if not a supported image
+   * @private
+   */
+  async _readImageMetadata(imagePath) {
+    const file = await fs.promises.open(imagePath, 'r');
+
+    try {
+      const { size } = await file.stat();
+      const buffer = Buffer.alloc(Math.min(size, HEADER_BYTES));
+      await file.read(buffer, 0, buffer.length, 0);
+
+      const dimensions = this._readDimensions(buffer);
+      return dimensions ? { ...dimensions, size } : null;
+    } finally {
+      await file.close();
+    }
+  }
+
+  /**
+   * Parse image dimensions from JPEG, PNG, GIF or WebP headers
+   * @param {Buffer} buffer - Start of the file
+   * @returns {Object|null} { format, width, height }
+   * @private
+   */
+  _readDimensions(buffer) {
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+      return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+      return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+
+    if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+      const chunk = buffer.toString('ascii', 12, 16);
+
+      if (chunk === 'VP8X') {
+        return { format: 'webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+      }
+      if (chunk === 'VP8 ') {
+        return { format: 'webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+      }
+      if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      return null;
+    }
+
+    if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+      // Walk the segments to the start-of-frame marker, which holds the dimensions
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) {
+          return null;
+        }
+
+        const marker = buffer[offset + 1];
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { format: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+    }
+
+    return null;
+  }
+}
+
+export default LocalProvider; 
\ No newline at end of file
@@ -0,0 +1,143 @@
+import axios from 'axios';
+import { AIProvider, ISSUE_CATEGORIES, MODERATION_PROMPT } from './AIProvider.js';
+import { OUTPUT_SCHEMAS } from '../responseSchemas.js';
+
+const ENDPOINT = 'https://openrouter.ai/api/v1/chat/completions';
+
+/**
+ * OpenRouter provider for chat models with image input
+ */
+class OpenRouterProvider extends AIProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - OpenRouter API key
+   * @param {string} options.model - Model to route requests to
+   * @param {string} options.httpReferrer - Site sent as the HTTP referrer
+   */
+  constructor({ apiKey, model, httpReferrer }) {
+    super('openrouter');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.httpReferrer = httpReferrer;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey) && this.apiKey !== 'DEMO_API_KEY';
+  }
+
+  async analyzeImage(imagePath, { title = '', description = '', language = null } = {}) {
+    const imageBase64 = await this._encodeImageToBase64(imagePath);
+
+    const { content, usage } = await this._complete([
+      {
+        type: 'text',
+        text: `Analyze this image of an urban infrastructure issue. Classify it into one of these categories: ${ISSUE_CATEGORIES.join(', ')}. ` +
+          `The reporter's own words may help: title "${title}", description "${description}". ${this._languageNote(language)} ` +
+          'Provide only a JSON object with these fields: classification (string), confidence (number between 0-1), possibleCategories (array of strings).'
+      },
+      {
+        type: 'image_url',
+        image_url: {
+          url: `data:${this._getMimeType(imagePath)};base64,${imageBase64}`
+        }
+      }
+    ], 'FixEgypt Classification', 'classification');
+
+    return { ...this._parseJson(content, usage), usage, raw: content };
+  }
+
+  async detectUrgency(description, imagePath = null, { language = null } = {}) {
+    const parts = [
+      {
+        type: 'text',
+        text: `Analyze the urgency of this urban infrastructure issue report. Description: "${description}".
+        ${this._languageNote(language)}
+        Classify the urgency as "low", "medium", "high", or "critical".
+        Provide only a JSON object with these fields: urgency (string), confidence (number between 0-1), factors (array of strings that influenced this decision).`
+      }
+    ];
+
+    if (imagePath) {
+      parts.push({
+        type: 'image_url',
+        image_url: {
+          url: `data:${this._getMimeType(imagePath)};base64,${await this._encodeImageToBase64(imagePath)}`
+        }
+      });
+    }
+
+    const { content, usage } = await this._complete(parts, 'FixEgypt Urgency Detection', 'urgency');
+    return { ...this._parseJson(content, usage), usage, raw: content };
+  }
+
+  async summarizeReport(report) {
+    const { content, usage } = await this._complete([
+      {
+        type: 'text',
+        text: this._summaryPrompt(report)
+      }
+    ], 'FixEgypt Report Summary', 'summary');
+
+    return { ...this._parseJson(content, usage), usage, raw: content };
+  }
+
+  async moderateImage(imagePath) {
+    const { content, usage } = await this._complete([
+      {
+        type: 'text',
+        text: MODERATION_PROMPT
+      },
+      {
+        type: 'image_url',
+        image_url: {
+          url: `data:${this._getMimeType(imagePath)};base64,${await this._encodeImageToBase64(imagePath)}`
+        }
+      }
+    ], 'FixEgypt Image Moderation', 'moderation');
+
+    return { ...this._parseJson(content, usage), usage, raw: content };
+  }
+
+  /**
+   * Send a single user message to the model, constraining the answer to the operation's JSON schema
+   * @param {Array<Object>} content - Message content parts
+   * @param {string} title - Request title shown in the OpenRouter dashboard
+   * @param {string} operation - classification, urgency, moderation or summary
+   * @returns {Promise<Object>} { content, usage } with the message content of the first choice and the tokens used
+   * @private
+   */
+  async _complete(content, title, operation) {
+    const response = await axios.post(ENDPOINT, {
+      model: this.model,
+      messages: [{ role: 'user', content }],
+      temperature: 0.2,
+      response_format: {
+        type: 'json_schema',
+        json_schema: {
+          name: operation,
+          strict: true,
+          schema: OUTPUT_SCHEMAS[operation]
+        }
+      }
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`,
+        'HTTP-Referer': this.httpReferrer,
+        'X-Title': title
+      }
+    });
+
+    const usage = response.data.usage || {};
+
+    return {
+      content: response.data.choices[0].message.content,
+      usage: {
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0
+      }
+    };
+  }
+}
+
+export default OpenRouterProvider; 
\ No newline at end of file
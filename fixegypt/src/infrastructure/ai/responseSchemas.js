@@ -0,0 +1,96 @@
+import Joi from 'joi';
+import { REPORT_CATEGORIES } from '../../domain/entities/Report.js';
+
+// Urgency levels a provider may answer with
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * JSON Schema of the answer each operation asks the model for
+ * Providers with structured output send these so the model can only answer in this shape.
+ * Only keywords every structured output backend accepts are used; ranges are checked by the result schemas
+ */
+const OUTPUT_SCHEMAS = {
+  classification: {
+    type: 'object',
+    properties: {
+      classification: { type: 'string', enum: REPORT_CATEGORIES },
+      confidence: { type: 'number', description: 'Between 0 and 1' },
+      possibleCategories: { type: 'array', items: { type: 'string', enum: REPORT_CATEGORIES } }
+    },
+    required: ['classification', 'confidence', 'possibleCategories'],
+    additionalProperties: false
+  },
+  urgency: {
+    type: 'object',
+    properties: {
+      urgency: { type: 'string', enum: URGENCY_LEVELS },
+      confidence: { type: 'number', description: 'Between 0 and 1' },
+      factors: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['urgency', 'confidence', 'factors'],
+    additionalProperties: false
+  },
+  moderation: {
+    type: 'object',
+    properties: {
+      inappropriate: { type: 'boolean' },
+      irrelevant: { type: 'boolean' },
+      reason: { type: 'string' },
+      confidence: { type: 'number', description: 'Between 0 and 1' }
+    },
+    required: ['inappropriate', 'irrelevant', 'reason', 'confidence'],
+    additionalProperties: false
+  },
+  summary: {
+    type: 'object',
+    properties: {
+      ar: { type: 'string' },
+      en: { type: 'string' }
+    },
+    required: ['ar', 'en'],
+    additionalProperties: false
+  }
+};
+
+const confidence = Joi.number().min(0).max(1).required();
+
+/**
+ * Joi schema every provider's result is validated against, whatever produced it
+ * Unknown fields are stripped; a result that does not match is a parsing failure
+ */
+const RESULT_SCHEMAS = {
+  classification: Joi.object({
+    classification: Joi.string().valid(...REPORT_CATEGORIES).required(),
+    confidence,
+    possibleCategories: Joi.array().items(Joi.string().valid(...REPORT_CATEGORIES)).default([])
+  }),
+  urgency: Joi.object({
+    urgency: Joi.string().valid(...URGENCY_LEVELS).required(),
+    confidence,
+    factors: Joi.array().items(Joi.string()).default([])
+  }),
+  moderation: Joi.object({
+    inappropriate: Joi.boolean().strict().required(),
+    irrelevant: Joi.boolean().strict().required(),
+    reason: Joi.string().allow('', null).default(null),
+    confidence
+  }),
+  // Providers that cannot write a language return null for it
+  summary: Joi.object({
+    ar: Joi.string().trim().allow(null).required(),
+    en: Joi.string().trim().allow(null).required()
+  })
+};
+
+/**
+ * Validate a provider result
+ * @param {string} operation - classification, urgency, moderation or summary
+ * @param {Object} result - Provider result without usage data
+ * @returns {Object} { value, error } as returned by Joi
+ */
+const validateResult = (operation, result) => RESULT_SCHEMAS[operation].validate(result, {
+  abortEarly: false,
+  stripUnknown: true
+});
+
+export { OUTPUT_SCHEMAS, RESULT_SCHEMAS, URGENCY_LEVELS, validateResult }; 
\ No newline at end of file
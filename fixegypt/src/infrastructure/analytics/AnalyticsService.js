@@ -1,6 +1,8 @@
 import mongoose from 'mongoose';
 import ReportModel from '../persistence/models/ReportModel.js';
 import config from '../../config.js';
+import slaPolicy, { URGENCY_LEVELS } from '../../domain/services/SlaPolicy.js';
+import { OPEN_STATUSES } from '../../domain/entities/Report.js';
 import logger from '../web/middlewares/logger.js';
 
 /**
@@ -271,7 +273,9 @@ class AnalyticsService {
   }
 
   /**
-   * Calculate agency performance metrics (admins handling reports)
+   * Calculate agency performance metrics (staff members and teams handling reports)
+   * Response time runs from submission to the first assignment, and resolution
+   * time from the current assignment to the report being resolved
    * @param {Object} filters - Optional filters
    * @returns {Promise<Array>} Agency performance data
    */
@@ -279,38 +283,62 @@ class AnalyticsService {
     try {
       const match = this._buildBaseMatchQuery(filters);
       
-      // Only include reports with an admin assigned
-      match.adminId = { $exists: true, $ne: null };
+      // Only include reports that have been assigned
+      match['assignment.assignedAt'] = { $ne: null };
+      
+      if (filters.team) {
+        match['assignment.team'] = filters.team;
+      }
       
       const pipeline = [
         { $match: match },
         { $lookup: {
             from: 'users',
-            localField: 'adminId',
+            localField: 'assignment.assignedTo',
             foreignField: '_id',
-            as: 'admin'
+            as: 'assignee'
           }
         },
-        { $unwind: '$admin' },
+        { $unwind: { path: '$assignee', preserveNullAndEmptyArrays: true } },
         {
           $addFields: {
-            // Calculate response time in hours (time from creation to first status change)
+            // Time the report waited before anyone was assigned, in hours
             responseTimeHours: {
               $divide: [
                 { $subtract: [
-                  { $arrayElemAt: ['$statusHistory.timestamp', 0] },
+                  { $ifNull: ['$assignment.firstAssignedAt', '$assignment.assignedAt'] },
                   '$createdAt'
                 ]},
                 3600000 // Convert ms to hours
               ]
             },
-            // Calculate resolution time in hours (for resolved reports)
+            // Most recent time the report was marked resolved
+            resolvedAt: {
+              $max: {
+                $map: {
+                  input: {
+                    $filter: {
+                      input: '$statusHistory',
+                      as: 'entry',
+                      cond: { $eq: ['$$entry.status', 'resolved'] }
+                    }
+                  },
+                  as: 'entry',
+                  in: '$$entry.timestamp'
+                }
+              }
+            }
+          }
+        },
+        {
+          $addFields: {
+            // Time the current assignee took to resolve the report, in hours
             resolutionTimeHours: {
               $cond: {
                 if: { $eq: ['$status', 'resolved'] },
                 then: {
                   $divide: [
-                    { $subtract: ['$updatedAt', '$createdAt'] },
+                    { $subtract: [{ $ifNull: ['$resolvedAt', '$updatedAt'] }, '$assignment.assignedAt'] },
                     3600000 // Convert ms to hours
                   ]
                 },
@@ -321,8 +349,12 @@ class AnalyticsService {
         },
         {
           $group: {
-            _id: '$adminId',
-            adminName: { $first: { $concat: ['$admin.firstName', ' ', '$admin.lastName'] } },
+            _id: {
+              assigneeId: '$assignment.assignedTo',
+              team: '$assignment.team'
+            },
+            assigneeName: { $first: { $concat: ['$assignee.firstName', ' ', '$assignee.lastName'] } },
+            assigneeRole: { $first: '$assignee.role' },
             totalReports: { $sum: 1 },
             resolvedReports: { 
               $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } 
@@ -336,19 +368,25 @@ class AnalyticsService {
             inProgressReports: { 
               $sum: { $cond: [{ $eq: ['$status', 'in-progress'] }, 1, 0] } 
             },
+            reopenedReports: { 
+              $sum: { $cond: [{ $eq: ['$status', 'reopened'] }, 1, 0] } 
+            },
             avgResponseTime: { $avg: '$responseTimeHours' },
             avgResolutionTime: { $avg: '$resolutionTimeHours' }
           }
         },
         {
           $project: {
-            adminId: '$_id',
-            adminName: 1,
+            assigneeId: '$_id.assigneeId',
+            team: '$_id.team',
+            assigneeName: 1,
+            assigneeRole: 1,
             totalReports: 1,
             resolvedReports: 1,
             rejectedReports: 1,
             pendingReports: 1,
             inProgressReports: 1,
+            reopenedReports: 1,
             resolutionRate: { 
               $round: [{ $multiply: [{ $divide: ['$resolvedReports', '$totalReports'] }, 100] }, 2] 
             },
@@ -499,6 +537,353 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Rank open reports by community impact
+   * Impact combines endorsements, merged duplicate reporters and urgency
+   * @param {Object} filters - Optional filters
+   * @param {number} limit - Maximum number of reports to return
+   * @returns {Promise<Array>} Open reports sorted by impact score
+   */
+  async getCommunityImpactRanking(filters = {}, limit = 20) {
+    try {
+      const match = this._buildBaseMatchQuery(filters);
+      
+      // Only open reports still need prioritizing
+      if (!match.status) {
+        match.status = { $in: OPEN_STATUSES };
+      }
+      
+      const pipeline = [
+        { $match: match },
+        {
+          $addFields: {
+            endorsementCount: { $ifNull: ['$endorsementCount', 0] },
+            // The owner plus citizens whose duplicate reports were merged in
+            reporterCount: { $add: [1, { $size: { $ifNull: ['$reporters', []] } }] }
+          }
+        },
+        {
+          $addFields: {
+            impactScore: {
+              $round: [
+                {
+                  $multiply: [
+                    { $add: ['$endorsementCount', '$reporterCount'] },
+                    {
+                      $switch: {
+                        branches: [
+                          { case: { $eq: ['$urgency', 'low'] }, then: 0.5 },
+                          { case: { $eq: ['$urgency', 'medium'] }, then: 1.0 },
+                          { case: { $eq: ['$urgency', 'high'] }, then: 1.5 },
+                          { case: { $eq: ['$urgency', 'critical'] }, then: 2.0 }
+                        ],
+                        default: 1.0
+                      }
+                    }
+                  ]
+                },
+                1
+              ]
+            }
+          }
+        },
+        { $sort: { impactScore: -1, endorsementCount: -1, createdAt: 1 } },
+        { $limit: limit },
+        {
+          $project: {
+            reportId: '$_id',
+            title: 1,
+            category: 1,
+            status: 1,
+            urgency: 1,
+            governorate: '$location.governorate',
+            city: '$location.city',
+            endorsementCount: 1,
+            reporterCount: 1,
+            impactScore: 1,
+            createdAt: 1,
+            _id: 0
+          }
+        }
+      ];
+
+      return await ReportModel.aggregate(pipeline);
+    } catch (error) {
+      logger.error(`Error calculating community impact ranking: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate SLA compliance by category
+   * Resolved reports are compared against their target at resolution time;
+   * open reports are counted as breached once their target has passed
+   * @param {Object} filters - Optional filters
+   * @returns {Promise<Object>} Overall compliance and compliance by category
+   */
+  async getSlaComplianceMetrics(filters = {}) {
+    try {
+      const match = this._buildBaseMatchQuery(filters);
+      
+      // Rejected and merged reports are not held to a resolution target
+      if (!match.status) {
+        match.status = { $in: [...OPEN_STATUSES, 'resolved'] };
+      }
+      
+      const pipeline = [
+        { $match: match },
+        {
+          $addFields: {
+            targetHours: this._buildSlaTargetExpression(),
+            // Most recent time the report was marked resolved
+            resolvedAt: {
+              $max: {
+                $map: {
+                  input: {
+                    $filter: {
+                      input: '$statusHistory',
+                      as: 'entry',
+                      cond: { $eq: ['$$entry.status', 'resolved'] }
+                    }
+                  },
+                  as: 'entry',
+                  in: '$$entry.timestamp'
+                }
+              }
+            }
+          }
+        },
+        {
+          $addFields: {
+            dueAt: { $add: ['$createdAt', { $multiply: ['$targetHours', 3600000] }] }
+          }
+        },
+        {
+          $addFields: {
+            resolvedWithinSla: {
+              $and: [
+                { $eq: ['$status', 'resolved'] },
+                { $lte: [{ $ifNull: ['$resolvedAt', '$updatedAt'] }, '$dueAt'] }
+              ]
+            },
+            resolvedLate: {
+              $and: [
+                { $eq: ['$status', 'resolved'] },
+                { $gt: [{ $ifNull: ['$resolvedAt', '$updatedAt'] }, '$dueAt'] }
+              ]
+            },
+            openBreached: {
+              $and: [
+                { $ne: ['$status', 'resolved'] },
+                { $lt: ['$dueAt', '$$NOW'] }
+              ]
+            }
+          }
+        },
+        {
+          $group: {
+            _id: '$category',
+            totalReports: { $sum: 1 },
+            resolvedWithinSla: { $sum: { $cond: ['$resolvedWithinSla', 1, 0] } },
+            resolvedLate: { $sum: { $cond: ['$resolvedLate', 1, 0] } },
+            openBreached: { $sum: { $cond: ['$openBreached', 1, 0] } },
+            escalatedReports: {
+              $sum: { $cond: [{ $gt: [{ $ifNull: ['$sla.escalationLevel', 0] }, 0] }, 1, 0] }
+            }
+          }
+        },
+        {
+          $project: {
+            category: '$_id',
+            totalReports: 1,
+            resolvedWithinSla: 1,
+            resolvedLate: 1,
+            openBreached: 1,
+            openWithinSla: {
+              $subtract: ['$totalReports', { $add: ['$resolvedWithinSla', '$resolvedLate', '$openBreached'] }]
+            },
+            escalatedReports: 1,
+            _id: 0
+          }
+        },
+        { $sort: { category: 1 } }
+      ];
+
+      const byCategory = (await ReportModel.aggregate(pipeline)).map(row => ({
+        ...row,
+        complianceRate: this._calculateComplianceRate(row)
+      }));
+      
+      const overall = byCategory.reduce((totals, row) => {
+        ['totalReports', 'resolvedWithinSla', 'resolvedLate', 'openBreached', 'openWithinSla', 'escalatedReports']
+          .forEach(key => { totals[key] += row[key]; });
+        return totals;
+      }, {
+        totalReports: 0,
+        resolvedWithinSla: 0,
+        resolvedLate: 0,
+        openBreached: 0,
+        openWithinSla: 0,
+        escalatedReports: 0
+      });
+      
+      overall.complianceRate = this._calculateComplianceRate(overall);
+      
+      return { overall, byCategory };
+    } catch (error) {
+      logger.error(`Error calculating SLA compliance metrics: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate citizen satisfaction with resolutions by category
+   * Every resolution counts, including earlier ones of reports that were reopened
+   * @param {Object} filters - Optional filters
+   * @returns {Promise<Object>} Overall satisfaction and satisfaction by category
+   */
+  async getCitizenSatisfactionMetrics(filters = {}) {
+    try {
+      const match = this._buildBaseMatchQuery(filters);
+      match['resolutions.0'] = { $exists: true };
+      
+      const pipeline = [
+        { $match: match },
+        { $unwind: '$resolutions' },
+        {
+          $group: {
+            _id: '$category',
+            totalResolutions: { $sum: 1 },
+            confirmed: {
+              $sum: { $cond: [{ $eq: ['$resolutions.verification.status', 'confirmed'] }, 1, 0] }
+            },
+            disputed: {
+              $sum: { $cond: [{ $eq: ['$resolutions.verification.status', 'disputed'] }, 1, 0] }
+            },
+            awaitingVerification: {
+              $sum: { $cond: [{ $eq: ['$resolutions.verification.status', 'pending'] }, 1, 0] }
+            },
+            withPhotos: {
+              $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$resolutions.images', []] } }, 0] }, 1, 0] }
+            },
+            // Ratings are optional; the average only covers rated resolutions
+            ratingSum: { $sum: { $ifNull: ['$resolutions.verification.rating', 0] } },
+            ratingCount: {
+              $sum: { $cond: [{ $gt: [{ $ifNull: ['$resolutions.verification.rating', 0] }, 0] }, 1, 0] }
+            }
+          }
+        },
+        {
+          $project: {
+            category: '$_id',
+            totalResolutions: 1,
+            confirmed: 1,
+            disputed: 1,
+            awaitingVerification: 1,
+            withPhotos: 1,
+            ratingSum: 1,
+            ratingCount: 1,
+            _id: 0
+          }
+        },
+        { $sort: { category: 1 } }
+      ];
+
+      const rows = await ReportModel.aggregate(pipeline);
+      
+      const overall = rows.reduce((totals, row) => {
+        ['totalResolutions', 'confirmed', 'disputed', 'awaitingVerification', 'withPhotos', 'ratingSum', 'ratingCount']
+          .forEach(key => { totals[key] += row[key]; });
+        return totals;
+      }, {
+        totalResolutions: 0,
+        confirmed: 0,
+        disputed: 0,
+        awaitingVerification: 0,
+        withPhotos: 0,
+        ratingSum: 0,
+        ratingCount: 0
+      });
+      
+      const summarize = ({ ratingSum, ratingCount, ...counts }) => ({
+        ...counts,
+        averageRating: ratingCount > 0 ? Math.round((ratingSum / ratingCount) * 100) / 100 : null,
+        satisfactionRate: this._calculateSatisfactionRate(counts)
+      });
+      
+      return {
+        overall: summarize(overall),
+        byCategory: rows.map(summarize)
+      };
+    } catch (error) {
+      logger.error(`Error calculating citizen satisfaction metrics: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Build an aggregation expression resolving each report's SLA target in hours
+   * @returns {Object} MongoDB $switch expression
+   * @private
+   */
+  _buildSlaTargetExpression() {
+    const branches = [];
+    
+    slaPolicy.getBreachCutoffs(new Date(0)).forEach(cutoff => {
+      const conditions = [{ $eq: ['$urgency', cutoff.urgency] }];
+      
+      if (cutoff.category) {
+        conditions.push({ $eq: ['$category', cutoff.category] });
+      }
+      
+      // Category overrides come before the defaults, so the first match wins
+      branches[cutoff.category ? 'unshift' : 'push']({
+        case: { $and: conditions },
+        then: slaPolicy.getTargetHours(cutoff.category, cutoff.urgency)
+      });
+    });
+    
+    return {
+      $switch: {
+        branches,
+        default: slaPolicy.getTargetHours(null, URGENCY_LEVELS[1])
+      }
+    };
+  }
+
+  /**
+   * Calculate the share of verified resolutions that reporters confirmed
+   * @param {Object} counts - Verification counts
+   * @returns {number|null} Satisfaction percentage, or null if nothing was verified
+   * @private
+   */
+  _calculateSatisfactionRate({ confirmed, disputed }) {
+    const verified = confirmed + disputed;
+    
+    if (verified === 0) {
+      return null;
+    }
+    
+    return Math.round((confirmed / verified) * 10000) / 100;
+  }
+
+  /**
+   * Calculate the share of reports that have not missed their SLA target
+   * Reports still open within their target are not counted either way
+   * @param {Object} counts - SLA outcome counts
+   * @returns {number|null} Compliance percentage, or null with nothing to measure
+   * @private
+   */
+  _calculateComplianceRate({ resolvedWithinSla, resolvedLate, openBreached }) {
+    const measured = resolvedWithinSla + resolvedLate + openBreached;
+    
+    if (measured === 0) {
+      return null;
+    }
+    
+    return Math.round((resolvedWithinSla / measured) * 10000) / 100;
+  }
+
   /**
    * Build base match query for filtering reports
    * @param {Object} filters - Query filters
@@ -15,7 +15,17 @@ const adminConfig = {
       update: ['admin', 'manager'],
       delete: ['admin'],
       assign: ['admin', 'manager'],
-      dashboard: ['admin', 'manager', 'analyst']
+      queue: ['admin', 'manager', 'field_worker'], // Can be assigned reports and work an assignment queue
+      dashboard: ['admin', 'manager', 'analyst'],
+      escalation: ['admin', 'manager'], // Receive SLA escalations for overdue reports
+      categorize: ['admin', 'manager'], // Accept or reject AI category suggestions
+      moderate: ['admin', 'manager'] // Approve or remove reports held by content moderation
+    },
+    
+    // Report comment permissions
+    comments: {
+      internal: ['admin', 'manager', 'field_worker'], // Post and read staff-only notes
+      moderate: ['admin', 'manager'] // Delete any comment at any time
     },
     
     // User permissions
@@ -34,11 +44,36 @@ const adminConfig = {
       advanced: ['admin', 'analyst']
     },
     
+    // Rewards catalog permissions
+    products: {
+      create: ['admin'],
+      update: ['admin'],
+      delete: ['admin']
+    },
+    
+    // Redemption permissions
+    redemptions: {
+      view: ['admin', 'manager'],
+      update: ['admin', 'manager']
+    },
+    
+    // Points permissions
+    points: {
+      award: ['admin'],
+      adjust: ['admin'], // Manually add or remove a user's points
+      audit: ['admin', 'manager'], // Export ledgers and review adjustments
+      reconcile: ['admin'], // Check balances against the ledger and repair drift
+      rules: ['admin'], // Manage the rules and campaigns that decide how many points events earn
+      fraud: ['admin', 'manager'] // Review accounts flagged for points farming and release or forfeit withheld points
+    },
+    
     // System permissions
     system: {
       settings: ['admin'],
       logs: ['admin'],
-      maintenance: ['admin']
+      maintenance: ['admin'],
+      jobs: ['admin'], // Inspect and retry background jobs
+      ai: ['admin'] // AI provider health and spend
     }
   },
   
@@ -0,0 +1,58 @@
+import { normalize } from '../text/keywordMatching.js';
+
+/**
+ * Egypt's governorates with the approximate center of their populated area and a radius that covers it
+ * Governorates are entered as free text, in Arabic or in one of several English spellings
+ */
+const EGYPT_GOVERNORATES = [
+  { name: 'Cairo', arabicName: 'القاهرة', aliases: ['Al Qahirah', 'Kairo'], center: { lat: 30.0444, lng: 31.2357 }, radiusKm: 30 },
+  { name: 'Giza', arabicName: 'الجيزة', aliases: ['Gizah', 'Al Jizah'], center: { lat: 29.987, lng: 31.2118 }, radiusKm: 60 },
+  { name: 'Alexandria', arabicName: 'الإسكندرية', aliases: ['Alex', 'Iskandariya', 'Al Iskandariyah'], center: { lat: 31.2001, lng: 29.9187 }, radiusKm: 40 },
+  { name: 'Qalyubia', arabicName: 'القليوبية', aliases: ['Qaliubiya', 'Kalyoubia', 'Al Qalyubiyah'], center: { lat: 30.3292, lng: 31.2168 }, radiusKm: 30 },
+  { name: 'Sharqia', arabicName: 'الشرقية', aliases: ['Sharkia', 'Sharqiya', 'Ash Sharqiyah'], center: { lat: 30.7327, lng: 31.7195 }, radiusKm: 60 },
+  { name: 'Dakahlia', arabicName: 'الدقهلية', aliases: ['Daqahlia', 'Ad Daqahliyah'], center: { lat: 31.0409, lng: 31.3785 }, radiusKm: 50 },
+  { name: 'Gharbia', arabicName: 'الغربية', aliases: ['Gharbiya', 'Al Gharbiyah'], center: { lat: 30.8754, lng: 31.0335 }, radiusKm: 35 },
+  { name: 'Monufia', arabicName: 'المنوفية', aliases: ['Menofia', 'Minufiya', 'Al Minufiyah'], center: { lat: 30.5972, lng: 30.9876 }, radiusKm: 35 },
+  { name: 'Kafr El Sheikh', arabicName: 'كفر الشيخ', aliases: ['Kafrelsheikh', 'Kafr ash Shaykh'], center: { lat: 31.1107, lng: 30.9388 }, radiusKm: 50 },
+  { name: 'Beheira', arabicName: 'البحيرة', aliases: ['Buhayrah', 'Al Buhayrah'], center: { lat: 30.8481, lng: 30.3436 }, radiusKm: 80 },
+  { name: 'Damietta', arabicName: 'دمياط', aliases: ['Dumyat'], center: { lat: 31.4165, lng: 31.8133 }, radiusKm: 30 },
+  { name: 'Port Said', arabicName: 'بورسعيد', aliases: ['Bur Said'], center: { lat: 31.2653, lng: 32.3019 }, radiusKm: 30 },
+  { name: 'Ismailia', arabicName: 'الإسماعيلية', aliases: ['Ismailiya', 'Al Ismailiyah'], center: { lat: 30.5965, lng: 32.2715 }, radiusKm: 50 },
+  { name: 'Suez', arabicName: 'السويس', aliases: ['As Suways'], center: { lat: 29.9668, lng: 32.5498 }, radiusKm: 40 },
+  { name: 'Faiyum', arabicName: 'الفيوم', aliases: ['Fayoum', 'Fayyum', 'Al Fayyum'], center: { lat: 29.3084, lng: 30.8428 }, radiusKm: 50 },
+  { name: 'Beni Suef', arabicName: 'بني سويف', aliases: ['Bani Suwayf', 'Beni Sweif'], center: { lat: 29.0661, lng: 31.0994 }, radiusKm: 60 },
+  { name: 'Minya', arabicName: 'المنيا', aliases: ['Menia', 'Al Minya'], center: { lat: 28.1099, lng: 30.7503 }, radiusKm: 80 },
+  { name: 'Asyut', arabicName: 'أسيوط', aliases: ['Assiut', 'Assiout'], center: { lat: 27.1809, lng: 31.1837 }, radiusKm: 70 },
+  { name: 'Sohag', arabicName: 'سوهاج', aliases: ['Suhag', 'Souhag'], center: { lat: 26.5591, lng: 31.6957 }, radiusKm: 60 },
+  { name: 'Qena', arabicName: 'قنا', aliases: ['Qina', 'Kena'], center: { lat: 26.1551, lng: 32.716 }, radiusKm: 70 },
+  { name: 'Luxor', arabicName: 'الأقصر', aliases: ['Al Uqsur'], center: { lat: 25.6872, lng: 32.6396 }, radiusKm: 40 },
+  { name: 'Aswan', arabicName: 'أسوان', aliases: ['Assuan'], center: { lat: 24.0889, lng: 32.8998 }, radiusKm: 150 },
+  { name: 'Red Sea', arabicName: 'البحر الأحمر', aliases: ['Al Bahr al Ahmar'], center: { lat: 26.7292, lng: 33.9366 }, radiusKm: 400 },
+  { name: 'New Valley', arabicName: 'الوادي الجديد', aliases: ['Al Wadi al Jadid'], center: { lat: 25.439, lng: 30.5586 }, radiusKm: 500 },
+  { name: 'Matrouh', arabicName: 'مطروح', aliases: ['Matruh', 'Marsa Matrouh'], center: { lat: 31.3543, lng: 27.2373 }, radiusKm: 400 },
+  { name: 'North Sinai', arabicName: 'شمال سيناء', aliases: ['Shamal Sina'], center: { lat: 31.1316, lng: 33.7984 }, radiusKm: 120 },
+  { name: 'South Sinai', arabicName: 'جنوب سيناء', aliases: ['Janub Sina'], center: { lat: 28.2347, lng: 33.6179 }, radiusKm: 200 }
+];
+
+/**
+ * Reduce a governorate name to a lookup key: no "governorate", no definite article, no spaces or punctuation
+ * @param {string} name - Governorate as entered
+ * @returns {string} Lookup key
+ */
+const toKey = (name) => normalize(name)
+  .replace(/governorate|محافظه/g, ' ')
+  .split(/[^\p{L}\p{N}]+/u)
+  .map(word => word.replace(/^(al|el)$/, '').replace(/^ال(?=..)/, ''))
+  .join('');
+
+const GOVERNORATES_BY_KEY = new Map(EGYPT_GOVERNORATES.flatMap(governorate =>
+  [governorate.name, governorate.arabicName, ...governorate.aliases].map(name => [toKey(name), governorate])));
+
+/**
+ * Find a governorate by any of its names
+ * @param {string} name - Governorate as entered, e.g. "El Sharkia" or "محافظة الشرقية"
+ * @returns {Object|null} Governorate (name, arabicName, center, radiusKm), or null if the name is unknown
+ */
+const findGovernorate = (name) => GOVERNORATES_BY_KEY.get(toKey(name)) || null;
+
+export { EGYPT_GOVERNORATES, findGovernorate }; 
\ No newline at end of file
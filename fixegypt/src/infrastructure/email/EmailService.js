@@ -98,15 +98,21 @@ class EmailService {
     const statusMessages = {
       'pending': 'Your report has been received and is pending review.',
       'in-progress': 'Your report is now being processed by our team.',
-      'resolved': 'Your report has been resolved. Thank you for your contribution!',
-      'rejected': 'Your report has been reviewed and unfortunately has been rejected.'
+      'resolved': 'Your report has been resolved. Thank you for your contribution! Please let us know from the report page whether the issue is actually fixed.',
+      'rejected': 'Your report has been reviewed and unfortunately has been rejected.',
+      'reopened': 'This report has been reopened because the reporter says the issue has not been resolved.',
+      'merged': 'Your report describes an issue that was already reported, so it has been merged with the existing report. You will keep receiving updates as that report progresses.',
+      'removed': 'Your report was removed by a moderator because its text or images break the reporting guidelines.'
     };
 
     const statusColors = {
       'pending': '#f39c12',
       'in-progress': '#3498db',
       'resolved': '#2ecc71',
-      'rejected': '#e74c3c'
+      'rejected': '#e74c3c',
+      'reopened': '#e67e22',
+      'merged': '#8e44ad',
+      'removed': '#7f8c8d'
     };
 
     const options = this._getBaseEmailOptions(
@@ -148,6 +154,175 @@ class EmailService {
     return this.sendEmail(options);
   }
 
+  /**
+   * Send a notification to a staff member when a report is assigned to them
+   * @param {User} user - Assigned staff member
+   * @param {Report} report - The report
+   * @param {string} note - Assignment note
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendReportAssignmentEmail(user, report, note = '') {
+    const reportUrl = `${process.env.FRONTEND_URL || 'http://fixegypt.vercel.app'}/reports/${report.id}`;
+
+    const options = this._getBaseEmailOptions(
+      user.email,
+      `New Report Assigned: ${report.title}`
+    );
+
+    options.html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2c3e50;">New Report Assigned</h2>
+        <p>Hello ${user.firstName},</p>
+        <p>A report has been assigned to you and added to your queue:</p>
+        
+        <div style="border: 1px solid #eee; padding: 15px; margin: 20px 0; border-radius: 5px;">
+          <h3 style="margin-top: 0;">${report.title}</h3>
+          <p style="margin-bottom: 5px;"><strong>Category:</strong> ${report.category.replace('_', ' ')}</p>
+          <p style="margin-bottom: 5px;"><strong>Location:</strong> ${report.location.address}, ${report.location.city}, ${report.location.governorate}</p>
+          <p style="margin-bottom: 5px;"><strong>Urgency:</strong> ${report.urgency.toUpperCase()}</p>
+          <p style="margin-bottom: 5px;"><strong>Submitted:</strong> ${new Date(report.createdAt).toLocaleDateString()}</p>
+        </div>
+        
+        ${note ? `<p><strong>Note:</strong> ${note}</p>` : ''}
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${reportUrl}" style="background-color: #3498db; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">View Report Details</a>
+        </div>
+        
+        <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #777;">
+          <p>Egyptian City Report Platform</p>
+          <p>This is an automated email, please do not reply.</p>
+        </div>
+      </div>
+    `;
+
+    return this.sendEmail(options);
+  }
+
+  /**
+   * Send an escalation notice when a report misses its SLA target
+   * @param {User} user - Staff member or supervisor being notified
+   * @param {Report} report - The overdue report
+   * @param {Object} escalation - Escalation details
+   * @param {number} escalation.targetHours - SLA target in hours
+   * @param {number} escalation.overdueHours - Hours past the target
+   * @param {string} escalation.action - Description of the escalation
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendSlaEscalationEmail(user, report, { targetHours, overdueHours, action }) {
+    const reportUrl = `${process.env.FRONTEND_URL || 'http://fixegypt.vercel.app'}/reports/${report.id}`;
+
+    const options = this._getBaseEmailOptions(
+      user.email,
+      `SLA Breach: ${report.title}`
+    );
+
+    options.html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #e74c3c;">Report Overdue</h2>
+        <p>Hello ${user.firstName},</p>
+        <p>The following report has missed its resolution target of ${targetHours} hours and is now ${overdueHours} hours overdue:</p>
+        
+        <div style="border: 1px solid #eee; padding: 15px; margin: 20px 0; border-radius: 5px;">
+          <h3 style="margin-top: 0;">${report.title}</h3>
+          <p style="margin-bottom: 5px;"><strong>Category:</strong> ${report.category.replace('_', ' ')}</p>
+          <p style="margin-bottom: 5px;"><strong>Location:</strong> ${report.location.address}, ${report.location.city}, ${report.location.governorate}</p>
+          <p style="margin-bottom: 5px;"><strong>Status:</strong> ${report.status}</p>
+          <p style="margin-bottom: 5px;"><strong>Urgency:</strong> ${report.urgency.toUpperCase()}</p>
+          <p style="margin-bottom: 5px;"><strong>Submitted:</strong> ${new Date(report.createdAt).toLocaleDateString()}</p>
+        </div>
+        
+        <p><strong>Action taken:</strong> ${action}</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${reportUrl}" style="background-color: #e74c3c; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">View Report Details</a>
+        </div>
+        
+        <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #777;">
+          <p>Egyptian City Report Platform</p>
+          <p>This is an automated email, please do not reply.</p>
+        </div>
+      </div>
+    `;
+
+    return this.sendEmail(options);
+  }
+
+  /**
+   * Send a notification about a new comment on a report
+   * @param {User} user - Recipient
+   * @param {Report} report - The report
+   * @param {Comment} comment - The new comment
+   * @param {string} authorName - Display name of the comment's author
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendReportCommentEmail(user, report, comment, authorName) {
+    const reportUrl = `${process.env.FRONTEND_URL || 'http://fixegypt.vercel.app'}/reports/${report.id}`;
+    const heading = comment.isInternal() ? 'New Internal Note' : 'New Comment';
+
+    const options = this._getBaseEmailOptions(
+      user.email,
+      `${heading}: ${report.title}`
+    );
+
+    options.html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2c3e50;">${heading}</h2>
+        <p>Hello ${user.firstName},</p>
+        <p>${authorName} ${comment.isReply() ? 'replied' : 'commented'} on the report "${report.title}":</p>
+        
+        <div style="border-left: 4px solid ${comment.isInternal() ? '#f39c12' : '#3498db'}; padding: 10px 15px; margin: 20px 0; background-color: #f9f9f9;">
+          <p style="margin: 0; white-space: pre-line;">${comment.body}</p>
+          ${comment.attachments.length > 0 ? `<p style="margin-bottom: 0; font-size: 13px; color: #777;">${comment.attachments.length} photo(s) attached</p>` : ''}
+        </div>
+        
+        ${comment.isInternal() ? '<p style="font-size: 13px; color: #777;">Internal notes are only visible to staff.</p>' : ''}
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${reportUrl}" style="background-color: #3498db; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">View Conversation</a>
+        </div>
+        
+        <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #777;">
+          <p>Egyptian City Report Platform</p>
+          <p>This is an automated email, please do not reply.</p>
+        </div>
+      </div>
+    `;
+
+    return this.sendEmail(options);
+  }
+
+  /**
+   * Send the email version of an in-app notification that has no dedicated template
+   * @param {User} user - Recipient
+   * @param {Object} notification - Notification details
+   * @param {string} notification.title - Notification title
+   * @param {string} notification.message - Notification message
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendNotificationEmail(user, { title, message }) {
+    const options = this._getBaseEmailOptions(user.email, title);
+
+    options.html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2c3e50;">${title}</h2>
+        <p>Hello ${user.firstName},</p>
+        <p>${message}</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.FRONTEND_URL || 'http://fixegypt.vercel.app'}/profile" style="background-color: #3498db; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">Open Your Profile</a>
+        </div>
+        
+        <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #777;">
+          <p>Egyptian City Report Platform</p>
+          <p>This is an automated email, please do not reply.</p>
+        </div>
+      </div>
+    `;
+
+    return this.sendEmail(options);
+  }
+
   /**
    * Send a password reset email
    * @param {User} user - User requesting password reset
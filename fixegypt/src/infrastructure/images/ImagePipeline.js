@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import exifr from 'exifr';
+import config from '../../config.js';
+import logger from '../web/middlewares/logger.js';
+
+/**
+ * Image Pipeline
+ * Prepares an uploaded image for serving: reads its GPS position and capture time, rewrites the file without
+ * any metadata, and writes thumbnail and medium WebP copies next to it
+ */
+class ImagePipeline {
+  /**
+   * @param {Object} options - Pipeline options
+   * @param {number} options.thumbnailWidth - Width of the thumbnail copy in pixels
+   * @param {number} options.mediumWidth - Width of the medium copy in pixels
+   * @param {number} options.quality - WebP quality of the copies (1-100)
+   */
+  constructor({ thumbnailWidth, mediumWidth, quality }) {
+    this.variants = { thumbnail: thumbnailWidth, medium: mediumWidth };
+    this.quality = quality;
+  }
+
+  /**
+   * Process an uploaded image in place
+   * @param {string} filePath - Path of the uploaded file
+   * @returns {Promise<Object>} { path, hash, width, height, size, format, capturedAt, gps, variants }
+   * @throws {Error} If the file is not an image sharp can read
+   */
+  async process(filePath) {
+    const original = await fs.promises.readFile(filePath);
+    const { gps, capturedAt } = await this._readExif(original);
+
+    // Animated GIFs keep their frames; everything else is turned upright first, since the EXIF orientation
+    // is dropped with the rest of the metadata
+    const animated = path.extname(filePath).toLowerCase() === '.gif';
+    const image = animated ? sharp(original, { animated: true }) : sharp(original).rotate();
+    const { data, info } = await image.toBuffer({ resolveWithObject: true });
+
+    await fs.promises.writeFile(filePath, data);
+
+    const variants = {};
+    for (const [name, width] of Object.entries(this.variants)) {
+      const variantPath = path.join(path.dirname(filePath), `${path.parse(filePath).name}-${name}.webp`);
+      const variant = await sharp(data)
+        .resize({ width, withoutEnlargement: true })
+        .webp({ quality: this.quality })
+        .toFile(variantPath);
+
+      variants[name] = { path: variantPath, width: variant.width, height: variant.height };
+    }
+
+    return {
+      path: filePath,
+      hash: crypto.createHash('sha256').update(data).digest('hex'),
+      width: info.width,
+      height: info.pageHeight || info.height,
+      size: data.length,
+      format: info.format,
+      capturedAt,
+      gps,
+      variants
+    };
+  }
+
+  /**
+   * Remove an image and its copies, e.g. when the upload is rejected
+   * @param {string} filePath - Path of the uploaded file
+   * @returns {Promise<void>}
+   */
+  async remove(filePath) {
+    const paths = [filePath, ...Object.keys(this.variants).map(name =>
+      path.join(path.dirname(filePath), `${path.parse(filePath).name}-${name}.webp`))];
+
+    await Promise.all(paths.map(file => fs.promises.rm(file, { force: true })));
+  }
+
+  /**
+   * Read the GPS position and capture time from an image's EXIF data
+   * @param {Buffer} buffer - Image bytes
+   * @returns {Promise<Object>} { gps: { lat, lng } | null, capturedAt: Date | null }
+   * @private
+   */
+  async _readExif(buffer) {
+    try {
+      const tags = await exifr.parse(buffer, { tiff: true, exif: true, gps: true, xmp: false, icc: false, iptc: false }) || {};
+      const capturedAt = tags.DateTimeOriginal || tags.CreateDate || null;
+
+      // 0,0 is what some cameras write when they had no fix
+      const hasPosition = Number.isFinite(tags.latitude) && Number.isFinite(tags.longitude) &&
+        !(tags.latitude === 0 && tags.longitude === 0);
+
+      return {
+        gps: hasPosition ? { lat: tags.latitude, lng: tags.longitude } : null,
+        capturedAt: capturedAt instanceof Date && !isNaN(capturedAt) ? capturedAt : null
+      };
+    } catch (error) {
+      logger.debug(`No readable EXIF data: ${error.message}`);
+      return { gps: null, capturedAt: null };
+    }
+  }
+}
+
+const imagePipeline = new ImagePipeline(config.images);
+
+export { ImagePipeline };
+export default imagePipeline; 
\ No newline at end of file
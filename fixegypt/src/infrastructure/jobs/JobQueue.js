@@ -0,0 +1,220 @@
+import os from 'os';
+import ApiError from '../../application/errors/ApiError.js';
+import MongoJobRepository from '../persistence/repositories/MongoJobRepository.js';
+import config from '../../config.js';
+import logger from '../web/middlewares/logger.js';
+
+/**
+ * Error for job failures that retrying cannot fix, e.g. a missing image; the job is dead-lettered at once
+ */
+class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+/**
+ * Persisted background job queue with a polling worker, retry with exponential backoff and dead-lettering
+ */
+class JobQueue {
+  /**
+   * @param {JobRepository} jobRepository - Job repository
+   * @param {Object} options - Queue options
+   * @param {number} options.pollIntervalSeconds - Seconds between checks for due jobs
+   * @param {number} options.maxAttempts - Default attempts before a job is dead-lettered
+   * @param {number} options.backoffBaseSeconds - Delay before the first retry
+   * @param {number} options.maxBackoffMinutes - Longest delay between retries
+   * @param {number} options.lockTimeoutMinutes - Age after which a running job is picked up again
+   */
+  constructor(jobRepository, options) {
+    this.jobRepository = jobRepository;
+    this.pollIntervalMs = options.pollIntervalSeconds * 1000;
+    this.maxAttempts = options.maxAttempts;
+    this.backoffBaseMs = options.backoffBaseSeconds * 1000;
+    this.maxBackoffMs = options.maxBackoffMinutes * 60 * 1000;
+    this.lockTimeoutMs = options.lockTimeoutMinutes * 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.handlers = {};
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Object} handler - Job handler
+   * @param {Function} handler.run - Runs the job: async (payload, job) => result summary
+   * @param {Function} handler.onFailure - Optional hook after a failed attempt: async (payload, error, willRetry)
+   */
+  register(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} payload - Input for the job handler
+   * @param {Object} options - Job options
+   * @param {number} options.maxAttempts - Attempts before the job is dead-lettered
+   * @returns {Promise<Job>} Queued job
+   */
+  async enqueue(type, payload, { maxAttempts = this.maxAttempts } = {}) {
+    const job = await this.jobRepository.enqueue({ type, payload, maxAttempts, runAt: new Date() });
+
+    logger.debug(`Job ${job.id} (${type}) queued`);
+
+    // Pick the job up right away instead of waiting for the next poll
+    if (this.timer) {
+      setImmediate(() => this.runOnce());
+    }
+
+    return job;
+  }
+
+  /**
+   * Put a dead job back in the queue
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Job|null>} Requeued job, or null if not found or not dead
+   */
+  async retry(jobId) {
+    const job = await this.jobRepository.requeue(jobId);
+
+    if (job) {
+      logger.info(`Job ${job.id} (${job.type}) requeued`);
+
+      if (this.timer) {
+        setImmediate(() => this.runOnce());
+      }
+    }
+
+    return job;
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.pollIntervalMs);
+    // Do not keep the process alive just for the worker
+    this.timer.unref();
+
+    logger.info(`Job worker ${this.workerId} started for ${Object.keys(this.handlers).join(', ')}`);
+
+    // Jobs left over from before a restart
+    setImmediate(() => this.runOnce());
+  }
+
+  /**
+   * Stop polling; a job already running is left to finish
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info(`Job worker ${this.workerId} stopped`);
+    }
+  }
+
+  /**
+   * Run due jobs one at a time until none is left; skipped if a run is already in progress
+   * @returns {Promise<number>} Number of jobs processed
+   */
+  async runOnce() {
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let processed = 0;
+
+    try {
+      let job;
+      while ((job = await this.jobRepository.claimNext(Object.keys(this.handlers), this.workerId, this.lockTimeoutMs))) {
+        await this._process(job);
+        processed++;
+      }
+    } catch (error) {
+      logger.error(`Job worker ${this.workerId} failed to claim jobs: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {Job} job - Claimed job
+   * @private
+   */
+  async _process(job) {
+    const handler = this.handlers[job.type];
+
+    try {
+      // Attempts also count reclaimed jobs whose worker died mid-run
+      if (job.attempts > job.maxAttempts) {
+        throw new PermanentJobError(`Abandoned after ${job.maxAttempts} attempts`);
+      }
+
+      const result = await handler.run(job.payload, job);
+      await this.jobRepository.complete(job.id, result);
+
+      logger.debug(`Job ${job.id} (${job.type}) completed on attempt ${job.attempts}`);
+    } catch (error) {
+      const willRetry = !this._isPermanent(error) && job.canRetry();
+      const retryAt = willRetry ? new Date(Date.now() + this._backoff(job.attempts)) : null;
+
+      await this.jobRepository.fail(job.id, error.message, retryAt);
+
+      if (willRetry) {
+        logger.warn(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed, retrying at ${retryAt.toISOString()}: ${error.message}`);
+      } else {
+        logger.error(`Job ${job.id} (${job.type}) dead-lettered after ${job.attempts} attempt(s): ${error.message}`);
+      }
+
+      if (handler.onFailure) {
+        try {
+          await handler.onFailure(job.payload, error, willRetry);
+        } catch (hookError) {
+          logger.error(`Failure hook for job ${job.id} (${job.type}) failed: ${hookError.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check if retrying cannot fix a failure
+   * Client errors from use cases, e.g. a report that no longer exists, will not change on retry
+   * @param {Error} error - Error thrown by the handler
+   * @returns {boolean} Whether the job should be dead-lettered at once
+   * @private
+   */
+  _isPermanent(error) {
+    return error instanceof PermanentJobError ||
+      (error instanceof ApiError && error.statusCode >= 400 && error.statusCode < 500);
+  }
+
+  /**
+   * Delay before the next attempt, doubling after every failure
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   * @private
+   */
+  _backoff(attempts) {
+    return Math.min(this.backoffBaseMs * 2 ** (attempts - 1), this.maxBackoffMs);
+  }
+}
+
+export { JobQueue, PermanentJobError };
+export default new JobQueue(new MongoJobRepository(), {
+  pollIntervalSeconds: config.jobs.pollIntervalSeconds,
+  maxAttempts: config.jobs.maxAttempts,
+  backoffBaseSeconds: config.jobs.backoffBaseSeconds,
+  maxBackoffMinutes: config.jobs.maxBackoffMinutes,
+  lockTimeoutMinutes: config.jobs.lockTimeoutMinutes
+}); 
\ No newline at end of file
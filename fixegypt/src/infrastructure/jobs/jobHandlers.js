@@ -0,0 +1,182 @@
+import MongoReportRepository from '../persistence/repositories/MongoReportRepository.js';
+import MongoUserRepository from '../persistence/repositories/MongoUserRepository.js';
+import MongoPointsRepository from '../persistence/repositories/MongoPointsRepository.js';
+import MongoPointsRuleRepository from '../persistence/repositories/MongoPointsRuleRepository.js';
+import MongoEndorsementRepository from '../persistence/repositories/MongoEndorsementRepository.js';
+import MongoFraudCheckRepository from '../persistence/repositories/MongoFraudCheckRepository.js';
+import AnalyzeReportUseCase from '../../application/use-cases/report/AnalyzeReportUseCase.js';
+import ScreenReportImagesUseCase from '../../application/use-cases/report/ScreenReportImagesUseCase.js';
+import SummarizeReportUseCase from '../../application/use-cases/report/SummarizeReportUseCase.js';
+import AwardPointsForReportSubmissionUseCase from '../../application/use-cases/points/AwardPointsForReportSubmissionUseCase.js';
+import AwardPointsForReportUseCase from '../../application/use-cases/points/AwardPointsForReportUseCase.js';
+import AwardPointsForEndorsementUseCase from '../../application/use-cases/points/AwardPointsForEndorsementUseCase.js';
+import AwardPointsForVerifiedPhotoUseCase from '../../application/use-cases/points/AwardPointsForVerifiedPhotoUseCase.js';
+import CalculateReportPointsUseCase from '../../application/use-cases/points/CalculateReportPointsUseCase.js';
+import ReconcilePointsLedgerUseCase from '../../application/use-cases/points/ReconcilePointsLedgerUseCase.js';
+import aiService from '../ai/AIService.js';
+import contentModerator from '../moderation/ContentModerator.js';
+import config from '../../config.js';
+import tierPolicy from '../../domain/services/TierPolicy.js';
+import pointsRulesEngine from '../../domain/services/PointsRulesEngine.js';
+import notificationDispatcher from '../notifications/NotificationDispatcher.js';
+import realtimeHub from '../realtime/RealtimeHub.js';
+import logger from '../web/middlewares/logger.js';
+
+// Initialize repositories
+const reportRepository = new MongoReportRepository();
+const userRepository = new MongoUserRepository();
+const pointsRepository = new MongoPointsRepository();
+const pointsRuleRepository = new MongoPointsRuleRepository();
+const endorsementRepository = new MongoEndorsementRepository();
+const fraudCheckRepository = new MongoFraudCheckRepository();
+
+// Initialize use cases
+const analyzeReportUseCase = new AnalyzeReportUseCase(reportRepository, aiService, {
+  categoryMismatchThreshold: config.ai.categoryMismatchThreshold,
+  auditLogLimit: config.ai.auditLogLimit
+});
+const screenReportImagesUseCase = new ScreenReportImagesUseCase(reportRepository, contentModerator, {
+  auditLogLimit: config.ai.auditLogLimit
+});
+const summarizeReportUseCase = new SummarizeReportUseCase(reportRepository, aiService, {
+  auditLogLimit: config.ai.auditLogLimit
+});
+const calculateReportPointsUseCase = new CalculateReportPointsUseCase(
+  pointsRuleRepository,
+  pointsRepository,
+  pointsRulesEngine,
+  tierPolicy,
+  fraudCheckRepository
+);
+const awardPointsForReportSubmissionUseCase = new AwardPointsForReportSubmissionUseCase(
+  pointsRepository,
+  userRepository,
+  reportRepository,
+  notificationDispatcher,
+  calculateReportPointsUseCase
+);
+const awardPointsForReportUseCase = new AwardPointsForReportUseCase(
+  pointsRepository,
+  userRepository,
+  reportRepository,
+  notificationDispatcher,
+  calculateReportPointsUseCase
+);
+const awardPointsForEndorsementUseCase = new AwardPointsForEndorsementUseCase(
+  pointsRepository,
+  endorsementRepository,
+  reportRepository,
+  notificationDispatcher,
+  calculateReportPointsUseCase
+);
+const awardPointsForVerifiedPhotoUseCase = new AwardPointsForVerifiedPhotoUseCase(
+  pointsRepository,
+  reportRepository,
+  notificationDispatcher,
+  calculateReportPointsUseCase
+);
+const reconcilePointsLedgerUseCase = new ReconcilePointsLedgerUseCase(pointsRepository);
+
+/**
+ * Register the handlers for every job type with a queue
+ * @param {JobQueue} jobQueue - Queue whose worker runs the jobs
+ */
+const registerJobHandlers = (jobQueue) => {
+  jobQueue.register('report.analyze', {
+    run: async ({ reportId }) => {
+      const report = await analyzeReportUseCase.execute(reportId);
+      realtimeHub.reportEvent('report.analyzed', report);
+
+      return {
+        classification: report.aiAnalysis.classification,
+        confidence: report.aiAnalysis.confidence,
+        agreement: report.aiAnalysis.agreement,
+        images: report.aiAnalysis.images.length,
+        urgency: report.urgency
+      };
+    },
+    // Keep aiAnalysis.status in step with the job so clients can show progress
+    onFailure: async ({ reportId }, error, willRetry) => {
+      await reportRepository.update(reportId, {
+        'aiAnalysis.status': willRetry ? 'queued' : 'failed',
+        'aiAnalysis.error': error.message
+      });
+    }
+  });
+
+  jobQueue.register('report.moderate_images', {
+    run: async ({ reportId }) => {
+      const { report, screened, flags } = await screenReportImagesUseCase.execute(reportId);
+
+      if (flags.length > 0) {
+        realtimeHub.reportEvent('report.status_changed', report);
+      }
+
+      return { screened, flags: flags.length, status: report.status };
+    }
+  });
+
+  jobQueue.register('report.summarize', {
+    run: async ({ reportId }) => {
+      const report = await summarizeReportUseCase.execute(reportId);
+      return { language: report.language, provider: report.summary?.provider || null };
+    }
+  });
+
+  jobQueue.register('points.report_submission', {
+    run: async ({ reportId, releasedAfterReview = false }) => {
+      const result = await awardPointsForReportSubmissionUseCase.execute(reportId, { releasedAfterReview });
+      return {
+        pointsAwarded: result.pointsAwarded,
+        alreadyAwarded: !!result.alreadyAwarded,
+        capped: !!result.capped,
+        withheld: !!result.withheld
+      };
+    }
+  });
+
+  jobQueue.register('points.report_resolved', {
+    run: async ({ reportId, adminId, releasedAfterReview = false }) => {
+      const result = await awardPointsForReportUseCase.execute(reportId, adminId, { releasedAfterReview });
+      return {
+        pointsAwarded: result.pointsAwarded,
+        alreadyAwarded: !!result.alreadyAwarded,
+        capped: !!result.capped,
+        withheld: !!result.withheld
+      };
+    }
+  });
+
+  jobQueue.register('points.report_endorsed', {
+    run: async ({ reportId, userId }) => {
+      const result = await awardPointsForEndorsementUseCase.execute(reportId, userId);
+      return { pointsAwarded: result.pointsAwarded, alreadyAwarded: !!result.alreadyAwarded, capped: !!result.capped };
+    }
+  });
+
+  jobQueue.register('points.photo_verified', {
+    run: async ({ reportId, releasedAfterReview = false }) => {
+      const result = await awardPointsForVerifiedPhotoUseCase.execute(reportId, { releasedAfterReview });
+      return {
+        pointsAwarded: result.pointsAwarded,
+        alreadyAwarded: !!result.alreadyAwarded,
+        capped: !!result.capped,
+        withheld: !!result.withheld
+      };
+    }
+  });
+
+  jobQueue.register('points.reconcile', {
+    run: async ({ repair = false, userId = null, requestedBy = null }) => {
+      const summary = await reconcilePointsLedgerUseCase.execute({ repair, userId });
+
+      if (summary.drifted > 0) {
+        logger.warn(`Points reconciliation${requestedBy ? ` requested by ${requestedBy}` : ''} found ${summary.drifted} drifted balance(s) (${summary.repaired} repaired, ${summary.skipped} skipped, ${summary.unrepairable} unrepairable)`);
+      }
+
+      return summary;
+    }
+  });
+};
+
+export { registerJobHandlers }; 
\ No newline at end of file
@@ -0,0 +1,167 @@
+import config from '../../config.js';
+import logger from '../web/middlewares/logger.js';
+import aiService from '../ai/AIService.js';
+import { compileKeywords, tokenize, findMatches } from '../text/keywordMatching.js';
+
+// Words and phrases that get report text held for review, in English and Arabic (including common Egyptian spellings)
+// A trailing * matches any word starting with the term. Arabic abuse is listed with the vocative "يا" so that
+// words with an everyday meaning, such as animals, only match when aimed at someone
+const FLAGGED_TERMS = {
+  profanity: [
+    'fuck*', 'motherfuck*', 'shit', 'shits', 'shitty', 'bullshit', 'bitch*', 'bastard*', 'asshole*',
+    'cunt*', 'whore*', 'slut*', 'wank*', 'dickhead*',
+    'شرموط*', 'متناك*', 'منيوك*', 'معرص*', 'عرص', 'خول', 'كسمك', 'كس امك', 'طيزك', 'زبي',
+    'ابن الوسخه', 'ابن المتناكه', 'ابن الشرموطه', 'يلعن دين*', 'يلعن ابو*'
+  ],
+  abuse: [
+    'idiot*', 'moron*', 'retard*', 'scumbag*', 'kill you', 'kill yourself', 'kill yourselves', 'go die',
+    'هقتلك', 'حقتلك', 'هاقتلك', 'اقتلك', 'هموتك', 'هدبحك', 'يا حمار', 'يا حيوان', 'يا كلب', 'يا غبي',
+    'يا متخلف', 'يا جزمه', 'يا زباله', 'يا حرامي*'
+  ]
+};
+
+const COMPILED_FLAGGED_TERMS = compileKeywords(FLAGGED_TERMS);
+
+// Wording of each flag type in status history notes
+const FLAG_LABELS = {
+  profanity: 'profanity',
+  abuse: 'abusive language',
+  pii: 'personal data',
+  inappropriate: 'inappropriate image',
+  irrelevant: 'irrelevant image'
+};
+
+// Personal data that should not be posted on a public report
+const PII_PATTERNS = {
+  email: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g,
+  // Egyptian mobile numbers, with or without the country code and separators
+  phone: /(?<!\d)(?:\+?20[\s-]?|0)1[0125](?:[\s-]?\d){8}(?!\d)/g,
+  // 14-digit national ID numbers start with the century digit (2 or 3)
+  nationalId: /(?<!\d)[23]\d{13}(?!\d)/g
+};
+
+/**
+ * Write Arabic-Indic and Eastern Arabic-Indic digits as ASCII digits
+ * @param {string} text - Text to convert
+ * @returns {string} Text with ASCII digits
+ */
+const toAsciiDigits = (text) => text
+  .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+  .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+
+/**
+ * Hide all but the first and last two characters of a value
+ * @param {string} value - Personal data
+ * @returns {string} Masked value
+ */
+const mask = (value) => {
+  const compact = value.replace(/[\s-]/g, '');
+  return compact.length <= 4
+    ? '*'.repeat(compact.length)
+    : `${compact.slice(0, 2)}${'*'.repeat(compact.length - 4)}${compact.slice(-2)}`;
+};
+
+/**
+ * Content Moderator
+ * Screens report text against word lists and personal data patterns, and report images with the AI service.
+ * Each problem found is returned as a flag; whether a flagged report is held is up to the caller
+ */
+class ContentModerator {
+  /**
+   * @param {AIService} aiService - AI service used to screen images
+   * @param {Object} options - Moderation options
+   * @param {number} options.imageConfidenceThreshold - Minimum confidence for an image verdict to raise a flag
+   */
+  constructor(aiService, { imageConfidenceThreshold } = {}) {
+    this.aiService = aiService;
+    this.imageConfidenceThreshold = imageConfidenceThreshold || 0.7;
+  }
+
+  /**
+   * Screen report text for profanity, abuse and personal data
+   * @param {Object} text - Report text fields, e.g. { title, description }
+   * @returns {Array<Object>} Flags: { source, type, field, term, flaggedAt }
+   */
+  screenText(text) {
+    const flaggedAt = new Date();
+    const flags = [];
+
+    for (const [field, value] of Object.entries(text)) {
+      if (!value) {
+        continue;
+      }
+
+      const tokens = tokenize(value);
+      for (const [type, terms] of Object.entries(COMPILED_FLAGGED_TERMS)) {
+        for (const term of findMatches(tokens, terms)) {
+          flags.push({ source: 'text', type, field, term, flaggedAt });
+        }
+      }
+
+      const digits = toAsciiDigits(value);
+      for (const [kind, pattern] of Object.entries(PII_PATTERNS)) {
+        for (const [match] of digits.matchAll(pattern)) {
+          flags.push({ source: 'text', type: 'pii', field, term: `${kind}: ${mask(match)}`, flaggedAt });
+        }
+      }
+    }
+
+    return flags;
+  }
+
+  /**
+   * Screen images for inappropriate or irrelevant content
+   * Images no provider could screen are let through and logged, so an AI outage does not hold every report
+   * @param {Array<string>} imagePaths - Stored image paths
+   * @param {Object} options - Screening options
+   * @param {Array<Object>} options.audit - Collects an entry for every AI provider attempt
+   * @returns {Promise<Array<Object>>} Flags: { source, type, image, reason, confidence, provider, flaggedAt }
+   */
+  async screenImages(imagePaths, { audit } = {}) {
+    const flags = [];
+
+    for (const imagePath of imagePaths) {
+      const result = await this.aiService.moderateImage(imagePath, { audit });
+
+      if (!result) {
+        logger.warn(`Image ${imagePath} could not be screened for moderation`);
+        continue;
+      }
+
+      if (result.confidence < this.imageConfidenceThreshold) {
+        continue;
+      }
+
+      for (const type of ['inappropriate', 'irrelevant'].filter(verdict => result[verdict])) {
+        flags.push({
+          source: 'image',
+          type,
+          image: imagePath,
+          reason: result.reason,
+          confidence: result.confidence,
+          provider: result.provider || null,
+          flaggedAt: new Date()
+        });
+      }
+    }
+
+    return flags;
+  }
+
+  /**
+   * Summarize flags for the report's status history
+   * @param {Array<Object>} flags - Moderation flags
+   * @returns {string} e.g. "Held for moderation review: profanity in title, irrelevant image"
+   */
+  describe(flags) {
+    const reasons = flags.map(flag => (flag.field ? `${FLAG_LABELS[flag.type]} in ${flag.field}` : FLAG_LABELS[flag.type]));
+    return `Held for moderation review: ${[...new Set(reasons)].join(', ')}`;
+  }
+}
+
+const contentModerator = new ContentModerator(aiService, {
+  imageConfidenceThreshold: config.moderation.imageConfidenceThreshold
+});
+
+export { ContentModerator };
+export default contentModerator; 
\ No newline at end of file
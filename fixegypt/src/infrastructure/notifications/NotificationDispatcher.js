@@ -0,0 +1,217 @@
+import MongoNotificationRepository from '../persistence/repositories/MongoNotificationRepository.js';
+import MongoUserRepository from '../persistence/repositories/MongoUserRepository.js';
+import emailService from '../email/EmailService.js';
+import logger from '../web/middlewares/logger.js';
+
+const STATUS_MESSAGES = {
+  'pending': 'is pending review',
+  'in-progress': 'is now being worked on',
+  'resolved': 'has been resolved. Please confirm whether the issue is actually fixed',
+  'rejected': 'has been rejected',
+  'reopened': 'has been reopened because the issue is not resolved',
+  'merged': 'was merged into an existing report about the same issue',
+  'removed': 'was removed by a moderator'
+};
+
+const REDEMPTION_MESSAGES = {
+  'processing': 'is being processed',
+  'completed': 'is complete',
+  'rejected': 'has been rejected and its points have been returned to your balance'
+};
+
+/**
+ * Delivers notifications to users over the channels they have enabled:
+ * an in-app notification center and email
+ */
+class NotificationDispatcher {
+  constructor(notificationRepository, userRepository, emailSender) {
+    this.notificationRepository = notificationRepository;
+    this.userRepository = userRepository;
+    this.emailService = emailSender;
+  }
+
+  /**
+   * Deliver a notification to a user
+   * Delivery failures are logged and never thrown, so publishers do not need to guard them
+   * @param {User|string} recipient - User or user ID
+   * @param {Object} notification - Notification details
+   * @param {string} notification.type - Notification type
+   * @param {string} notification.title - Short title
+   * @param {string} notification.message - Message text
+   * @param {Object} notification.data - Related resources, e.g. { reportId }
+   * @param {Function} sendEmail - Sends the email version to the user (optional, defaults to a generic email)
+   * @returns {Promise<{notification: Notification|null, emailed: boolean}>} Delivery result
+   */
+  async dispatch(recipient, { type, title, message, data = {} }, sendEmail = null) {
+    const user = typeof recipient === 'string'
+      ? await this.userRepository.findById(recipient)
+      : recipient;
+
+    if (!user) {
+      logger.warn(`Notification ${type} not delivered: user ${recipient} not found`);
+      return { notification: null, emailed: false };
+    }
+
+    let notification = null;
+    if (user.wantsNotificationsBy('inApp')) {
+      try {
+        notification = await this.notificationRepository.create({ userId: user.id, type, title, message, data });
+      } catch (error) {
+        logger.error(`Error creating ${type} notification for user ${user.id}: ${error.message}`);
+      }
+    }
+
+    let emailed = false;
+    if (user.wantsNotificationsBy('email')) {
+      try {
+        emailed = sendEmail
+          ? await sendEmail(user)
+          : await this.emailService.sendNotificationEmail(user, { title, message });
+      } catch (error) {
+        logger.error(`Error sending ${type} email to user ${user.id}: ${error.message}`);
+      }
+    }
+
+    return { notification, emailed };
+  }
+
+  /**
+   * Notify a user that a report changed status
+   * @param {User|string} recipient - User or user ID
+   * @param {Report} report - The report
+   * @param {string} status - New status
+   * @param {string} note - Note about the change
+   * @returns {Promise<Object>} Delivery result
+   */
+  async reportStatusChanged(recipient, report, status, note = '') {
+    return this.dispatch(recipient, {
+      type: 'report_status',
+      title: `Report ${status.replace('-', ' ')}: ${report.title}`,
+      message: `The report "${report.title}" ${STATUS_MESSAGES[status] || `is now ${status}`}.${note ? ` Note: ${note}` : ''}`,
+      data: { reportId: report.id, status }
+    }, user => this.emailService.sendReportStatusUpdateEmail(user, report, status, note));
+  }
+
+  /**
+   * Notify a staff member that a report was assigned to them
+   * @param {User|string} recipient - User or user ID
+   * @param {Report} report - The report
+   * @param {string} note - Assignment note
+   * @returns {Promise<Object>} Delivery result
+   */
+  async reportAssigned(recipient, report, note = '') {
+    return this.dispatch(recipient, {
+      type: 'report_assigned',
+      title: `New report assigned: ${report.title}`,
+      message: `The report "${report.title}" was added to your queue.${note ? ` Note: ${note}` : ''}`,
+      data: { reportId: report.id }
+    }, user => this.emailService.sendReportAssignmentEmail(user, report, note));
+  }
+
+  /**
+   * Notify a user about a new comment on a report
+   * @param {User|string} recipient - User or user ID
+   * @param {Report} report - The report
+   * @param {Comment} comment - The new comment
+   * @param {string} authorName - Display name of the comment's author
+   * @returns {Promise<Object>} Delivery result
+   */
+  async reportCommented(recipient, report, comment, authorName) {
+    return this.dispatch(recipient, {
+      type: 'report_comment',
+      title: `${comment.isInternal() ? 'New internal note' : 'New comment'}: ${report.title}`,
+      message: `${authorName} ${comment.isReply() ? 'replied' : 'commented'} on "${report.title}".`,
+      data: { reportId: report.id, commentId: comment.id }
+    }, user => this.emailService.sendReportCommentEmail(user, report, comment, authorName));
+  }
+
+  /**
+   * Notify a user that they earned points
+   * @param {User|string} recipient - User or user ID
+   * @param {number} points - Points awarded
+   * @param {string} reason - Why the points were awarded
+   * @param {Object} data - Related resources, e.g. { reportId }
+   * @returns {Promise<Object>} Delivery result
+   */
+  async pointsAwarded(recipient, points, reason, data = {}) {
+    return this.dispatch(recipient, {
+      type: 'points_awarded',
+      title: `You earned ${points} points`,
+      message: `${reason}.`,
+      data: { ...data, points }
+    });
+  }
+
+  /**
+   * Notify a user that an admin adjusted their points
+   * @param {User|string} recipient - User or user ID
+   * @param {number} amount - Points added (positive) or removed (negative)
+   * @param {string} reason - Why the balance was adjusted
+   * @param {Object} data - Related resources, e.g. { transactionId }
+   * @returns {Promise<Object>} Delivery result
+   */
+  async pointsAdjusted(recipient, amount, reason, data = {}) {
+    return this.dispatch(recipient, {
+      type: 'points_adjusted',
+      title: amount > 0 ? `${amount} points added to your balance` : `${-amount} points removed from your balance`,
+      message: `Your points balance was adjusted by an administrator. Reason: ${reason}`,
+      data: { ...data, points: amount }
+    });
+  }
+
+  /**
+   * Warn a user that some of their points are about to expire
+   * @param {User|string} recipient - User or user ID
+   * @param {number} points - Points that will expire
+   * @param {Date} expiresAt - When the first of them expire
+   * @returns {Promise<Object>} Delivery result
+   */
+  async pointsExpiring(recipient, points, expiresAt) {
+    const date = new Date(expiresAt).toISOString().slice(0, 10);
+
+    return this.dispatch(recipient, {
+      type: 'points_expiring',
+      title: `${points} points expire soon`,
+      message: `${points} of your points expire from ${date}. Redeem them for a reward before then.`,
+      data: { points, expiresAt }
+    });
+  }
+
+  /**
+   * Notify a user that some of their points expired
+   * @param {User|string} recipient - User or user ID
+   * @param {number} points - Points that expired
+   * @param {number} balance - Balance left
+   * @returns {Promise<Object>} Delivery result
+   */
+  async pointsExpired(recipient, points, balance) {
+    return this.dispatch(recipient, {
+      type: 'points_expired',
+      title: `${points} points expired`,
+      message: `${points} of your points reached their expiry date and were removed. Your balance is now ${balance} points.`,
+      data: { points, balance }
+    });
+  }
+
+  /**
+   * Notify a user that their redemption changed status
+   * @param {User|string} recipient - User or user ID
+   * @param {Object} redemption - The redemption
+   * @param {string} status - New status
+   * @param {string} notes - Notes about the change
+   * @returns {Promise<Object>} Delivery result
+   */
+  async redemptionStatusChanged(recipient, redemption, status, notes = '') {
+    const productName = redemption.productId?.name || 'your reward';
+
+    return this.dispatch(recipient, {
+      type: 'redemption_status',
+      title: `Redemption ${status}: ${productName}`,
+      message: `Your redemption of ${productName} ${REDEMPTION_MESSAGES[status] || `is now ${status}`}.${notes ? ` Note: ${notes}` : ''}`,
+      data: { redemptionId: redemption.id, status }
+    });
+  }
+}
+
+export { NotificationDispatcher };
+export default new NotificationDispatcher(new MongoNotificationRepository(), new MongoUserRepository(), emailService); 
\ No newline at end of file
@@ -0,0 +1,60 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Convert an uploaded image file path to a base64 data URL
+ * Shared by the repositories that return images to clients
+ * @param {string} imagePath - Path to the image file
+ * @returns {string|null} Base64 encoded image or null if error
+ */
+const convertImageToBase64 = (imagePath) => {
+  try {
+    // Handle both absolute and relative paths
+    let fullPath = imagePath;
+
+    // Check if path is a URL or base64 already
+    if (imagePath.startsWith('data:image') || imagePath.startsWith('http')) {
+      return imagePath;
+    }
+
+    // If path starts with /uploads, construct path relative to project root
+    if (imagePath.startsWith('/uploads')) {
+      const __dirname = path.dirname(fileURLToPath(import.meta.url));
+      const projectRoot = path.resolve(__dirname, '../../../');
+      fullPath = path.join(projectRoot, imagePath);
+    }
+
+    // Read file and convert to base64
+    if (fs.existsSync(fullPath)) {
+      const imageBuffer = fs.readFileSync(fullPath);
+      const base64Image = imageBuffer.toString('base64');
+
+      // Get file extension for proper MIME type
+      const ext = path.extname(fullPath).toLowerCase();
+      let mimeType = 'image/jpeg'; // Default
+
+      if (ext === '.png') mimeType = 'image/png';
+      else if (ext === '.gif') mimeType = 'image/gif';
+      else if (ext === '.webp') mimeType = 'image/webp';
+
+      return `data:${mimeType};base64,${base64Image}`;
+    }
+
+    console.error(`Image file not found: ${fullPath}`);
+    return null;
+  } catch (error) {
+    console.error(`Error converting image to base64: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Get the URL a stored upload is served at
+ * Uploads are stored flat in the upload directory, which is served at /uploads
+ * @param {string} filePath - Stored file path
+ * @returns {string|null} Public URL, or null if there is no file
+ */
+const toPublicUploadUrl = (filePath) => (filePath ? `/uploads/${path.basename(filePath)}` : null);
+
+export { convertImageToBase64, toPublicUploadUrl }; 
\ No newline at end of file
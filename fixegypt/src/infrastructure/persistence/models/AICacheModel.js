@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// One document per cached AI result, removed by MongoDB once it expires
+const aiCacheSchema = new mongoose.Schema({
+  // Operation and content hash, e.g. classification:<sha256 of the image>
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // classification or urgency
+  operation: {
+    type: String,
+    required: true
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+aiCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AICacheModel = mongoose.model('AICache', aiCacheSchema);
+
+export default AICacheModel; 
\ No newline at end of file
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// One document per day, provider and operation, incremented on every call
+const aiUsageSchema = new mongoose.Schema({
+  // UTC day, YYYY-MM-DD
+  date: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // classification, urgency, moderation or summary
+  operation: {
+    type: String,
+    required: true
+  },
+  calls: {
+    type: Number,
+    default: 0
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  // Answers that arrived but did not match the expected schema
+  parseFailures: {
+    type: Number,
+    default: 0
+  },
+  // Requests that failed, timed out or were refused
+  transportFailures: {
+    type: Number,
+    default: 0
+  },
+  totalLatencyMs: {
+    type: Number,
+    default: 0
+  },
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+  // Estimated spend in USD from the configured prices
+  cost: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+aiUsageSchema.index({ date: -1, provider: 1, operation: 1 }, { unique: true });
+
+const AIUsageModel = mongoose.model('AIUsage', aiUsageSchema);
+
+export default AIUsageModel; 
\ No newline at end of file
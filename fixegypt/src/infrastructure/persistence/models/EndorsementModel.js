@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const endorsementSchema = new mongoose.Schema({
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// A citizen can endorse a report only once
+endorsementSchema.index({ reportId: 1, userId: 1 }, { unique: true });
+endorsementSchema.index({ userId: 1 });
+
+const EndorsementModel = mongoose.model('Endorsement', endorsementSchema);
+
+export default EndorsementModel; 
\ No newline at end of file
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import { FRAUD_CHECK_STATUSES, FRAUD_SIGNALS } from '../../../domain/entities/FraudCheck.js';
+
+const fraudSignalSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: FRAUD_SIGNALS,
+    required: true
+  },
+  weight: {
+    type: Number,
+    default: 0
+  },
+  // What made the signal fire, e.g. the reports a photo was already attached to
+  detail: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: false });
+
+const fraudCheckSchema = new mongoose.Schema({
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  score: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  signals: [fraudSignalSchema],
+  status: {
+    type: String,
+    enum: FRAUD_CHECK_STATUSES,
+    default: 'clear'
+  },
+  checkedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// The flagged-accounts view groups the non-clear checks by citizen
+fraudCheckSchema.index({ status: 1, userId: 1 });
+fraudCheckSchema.index({ userId: 1, checkedAt: -1 });
+
+const FraudCheckModel = mongoose.model('FraudCheck', fraudCheckSchema);
+
+export default FraudCheckModel; 
\ No newline at end of file
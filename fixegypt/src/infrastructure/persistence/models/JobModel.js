@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import config from '../../../config.js';
+import { JOB_STATUSES, JOB_TYPES } from '../../../domain/entities/Job.js';
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: JOB_TYPES,
+    required: true
+  },
+  // Input for the job handler, e.g. { reportId }
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, type: 1, createdAt: -1 });
+// Completed jobs are removed automatically; dead jobs are kept until they are retried
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: config.jobs.completedRetentionDays * 24 * 60 * 60 });
+
+const JobModel = mongoose.model('Job', jobSchema);
+
+export default JobModel; 
\ No newline at end of file
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import config from '../../../config.js';
+import { NOTIFICATION_TYPES } from '../../../domain/entities/Notification.js';
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Related resources, e.g. { reportId, status }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+notificationSchema.index({ userId: 1, readAt: 1, createdAt: -1 });
+// Old notifications are removed automatically
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.notifications.retentionDays * 24 * 60 * 60 });
+
+const NotificationModel = mongoose.model('Notification', notificationSchema);
+
+export default NotificationModel; 
\ No newline at end of file
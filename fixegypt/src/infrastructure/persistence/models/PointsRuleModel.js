@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import { POINTS_EVENTS, POINTS_RULE_KINDS } from '../../../domain/entities/PointsRule.js';
+import { REPORT_CATEGORIES } from '../../../domain/entities/Report.js';
+
+const pointsRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  event: {
+    type: String,
+    enum: POINTS_EVENTS,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: POINTS_RULE_KINDS,
+    default: 'award'
+  },
+  // Base points of an award rule, extra points of a bonus rule
+  points: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Factor of a multiplier rule
+  multiplier: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  // An empty list matches every report
+  conditions: {
+    categories: [{
+      type: String,
+      enum: REPORT_CATEGORIES
+    }],
+    urgencies: [{
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical']
+    }],
+    governorates: [{
+      type: String,
+      trim: true
+    }]
+  },
+  // A rule with a start or end date is a campaign and only applies inside its window
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  // Most points a citizen can earn from the event per day while the rule applies
+  dailyCap: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Rules are loaded per event on every award
+pointsRuleSchema.index({ event: 1, isActive: 1 });
+
+const PointsRuleModel = mongoose.model('PointsRule', pointsRuleSchema);
+
+export default PointsRuleModel; 
\ No newline at end of file
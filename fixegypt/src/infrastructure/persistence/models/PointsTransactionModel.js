@@ -6,18 +6,22 @@ const pointsTransactionSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Positive for every type except adjustment, whose sign says whether points were added or removed
   amount: {
     type: Number,
     required: true
   },
   type: {
     type: String,
-    enum: ['earn', 'redeem'],
+    enum: ['earn', 'redeem', 'refund', 'adjustment', 'expire'],
     required: true
   },
   source: {
     type: String,
-    enum: ['report_submission', 'report_resolved', 'product_redemption', 'admin_adjustment', 'other'],
+    enum: [
+      'report_submission', 'report_resolved', 'report_endorsed', 'photo_verified',
+      'product_redemption', 'admin_adjustment', 'points_expiry', 'other'
+    ],
     required: true
   },
   referenceId: {
@@ -38,6 +42,16 @@ const pointsTransactionSchema = new mongoose.Schema({
     type: Number,
     required: true,
     min: 0
+  },
+  // Admin who made a manual adjustment
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Unique key that prevents the same award from being recorded twice
+  idempotencyKey: {
+    type: String
   }
 }, {
   timestamps: true,
@@ -55,6 +69,13 @@ const pointsTransactionSchema = new mongoose.Schema({
 pointsTransactionSchema.index({ userId: 1 });
 pointsTransactionSchema.index({ type: 1 });
 pointsTransactionSchema.index({ createdAt: -1 });
+pointsTransactionSchema.index({ referenceId: 1, source: 1 });
+pointsTransactionSchema.index({ userId: 1, createdAt: 1 });
+pointsTransactionSchema.index({ source: 1, createdAt: -1 });
+pointsTransactionSchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
 
 const PointsTransactionModel = mongoose.model('PointsTransaction', pointsTransactionSchema);
 
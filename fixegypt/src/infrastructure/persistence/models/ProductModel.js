@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { CITIZEN_TIERS } from '../../../domain/services/TierPolicy.js';
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -36,6 +37,12 @@ const productSchema = new mongoose.Schema({
   stock: {
     type: Number,
     default: null // null means unlimited
+  },
+  // Lowest citizen tier that may redeem the product
+  minTier: {
+    type: String,
+    enum: CITIZEN_TIERS,
+    default: 'bronze'
   }
 }, {
   timestamps: true,
@@ -37,6 +37,24 @@ const redemptionSchema = new mongoose.Schema({
   completionDate: {
     type: Date,
     default: null
+  },
+  // Client-supplied key that makes retries of the same redeem request return the original redemption
+  idempotencyKey: {
+    type: String
+  },
+  // Whether a unit of stock was taken for this redemption, and whether it was the last one
+  stockReserved: {
+    type: Boolean,
+    default: false
+  },
+  soldOut: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the points and stock were returned after a rejection
+  refundedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
@@ -54,6 +72,10 @@ const redemptionSchema = new mongoose.Schema({
 redemptionSchema.index({ userId: 1 });
 redemptionSchema.index({ status: 1 });
 redemptionSchema.index({ createdAt: -1 });
+redemptionSchema.index(
+  { userId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
 
 const RedemptionModel = mongoose.model('Redemption', redemptionSchema);
 
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { REPORT_STATUSES, REPORT_CATEGORIES, REPORT_LANGUAGES } from '../../../domain/entities/Report.js';
 
 const reportSchema = new mongoose.Schema({
   title: {
@@ -18,18 +19,7 @@ const reportSchema = new mongoose.Schema({
   category: {
     type: String,
     required: true,
-    enum: [
-      'road_damage', 
-      'water_issue', 
-      'electricity_issue', 
-      'waste_management', 
-      'public_property_damage', 
-      'street_lighting', 
-      'sewage_problem',
-      'public_transportation', 
-      'environmental_issue', 
-      'other'
-    ]
+    enum: REPORT_CATEGORIES
   },
   location: {
     address: {
@@ -58,6 +48,7 @@ const reportSchema = new mongoose.Schema({
   },
   images: [
     {
+      // Stored file path
       url: {
         type: String,
         required: true
@@ -65,12 +56,36 @@ const reportSchema = new mongoose.Schema({
       uploadedAt: {
         type: Date,
         default: Date.now
+      },
+      // SHA-256 of the stored file, which has no metadata
+      hash: String,
+      width: Number,
+      height: Number,
+      size: Number,
+      format: String,
+      // Read from the EXIF data before it was stripped
+      capturedAt: Date,
+      gps: {
+        lat: Number,
+        lng: Number
+      },
+      variants: {
+        thumbnail: {
+          path: String,
+          width: Number,
+          height: Number
+        },
+        medium: {
+          path: String,
+          width: Number,
+          height: Number
+        }
       }
     }
   ],
   status: {
     type: String,
-    enum: ['pending', 'in-progress', 'resolved', 'rejected'],
+    enum: REPORT_STATUSES,
     default: 'pending'
   },
   urgency: {
@@ -89,16 +104,156 @@ const reportSchema = new mongoose.Schema({
     default: null
   },
   aiAnalysis: {
+    // Progress of the background analysis job
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'done', 'failed']
+    },
     classification: String,
     urgency: String,
     confidence: Number,
-    analysisTimestamp: Date
+    // Share of the confidence-weighted image votes that went to the classification
+    agreement: Number,
+    // AI provider that produced the classification
+    provider: String,
+    // Classification of each image, combined into the fields above
+    images: [
+      {
+        _id: false,
+        url: String,
+        classification: String,
+        confidence: Number,
+        provider: String,
+        error: String,
+        analyzedAt: Date
+      }
+    ],
+    analysisTimestamp: Date,
+    error: String
+  },
+  // AI classification that disagrees with the reporter's category, for an admin to accept or reject
+  categorySuggestion: {
+    category: {
+      type: String,
+      enum: REPORT_CATEGORIES
+    },
+    confidence: Number,
+    // Category chosen by the reporter when the suggestion was made
+    originalCategory: String,
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'rejected']
+    },
+    suggestedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    note: String
+  },
+  // Content moderation of the report's text and images
+  moderation: {
+    // clear: nothing flagged, pending: held for review, approved or removed by an admin
+    status: {
+      type: String,
+      enum: ['clear', 'pending', 'approved', 'removed']
+    },
+    flags: [
+      {
+        _id: false,
+        source: {
+          type: String,
+          enum: ['text', 'image']
+        },
+        type: {
+          type: String,
+          enum: ['profanity', 'abuse', 'pii', 'inappropriate', 'irrelevant']
+        },
+        // Text field the flag was raised on
+        field: String,
+        // Matched word list term, or the masked personal data
+        term: String,
+        // Stored path of the flagged image
+        image: String,
+        reason: String,
+        confidence: Number,
+        provider: String,
+        flaggedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
+    // Image paths already screened, so adding images only screens the new ones
+    screenedImages: [String],
+    flaggedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    note: String
+  },
+  // Photo GPS positions compared with the reported location
+  locationCheck: {
+    // consistent: every photo with a position was taken near the location; mismatch: at least one was not;
+    // unverified: no photo has a position
+    status: {
+      type: String,
+      enum: ['consistent', 'mismatch', 'unverified']
+    },
+    // Furthest photo from the reported location
+    distanceKm: Number,
+    imagesWithGps: Number,
+    thresholdKm: Number,
+    checkedAt: Date
+  },
+  // Detected language of the title and description
+  language: {
+    type: String,
+    enum: [...REPORT_LANGUAGES, null],
+    default: null
+  },
+  // Short AI summary for triage; a language the provider could not write is null
+  summary: {
+    ar: String,
+    en: String,
+    provider: String,
+    generatedAt: Date
+  },
+  // Every AI provider attempt on the report with its raw response, newest last and capped, for debugging.
+  // Left out of queries unless selected, as raw responses are large
+  aiAudit: {
+    type: [
+      {
+        _id: false,
+        operation: {
+          type: String,
+          enum: ['classification', 'urgency', 'moderation', 'summary']
+        },
+        provider: String,
+        // Image the call was about
+        image: String,
+        attempt: Number,
+        outcome: {
+          type: String,
+          enum: ['success', 'parse_error', 'transport_error', 'cache_hit']
+        },
+        error: String,
+        // Start of the raw model output or error body
+        rawResponse: String,
+        latencyMs: Number,
+        at: Date
+      }
+    ],
+    select: false
   },
   statusHistory: [
     {
       status: {
         type: String,
-        enum: ['pending', 'in-progress', 'resolved', 'rejected'],
+        enum: REPORT_STATUSES,
         required: true
       },
       timestamp: {
@@ -109,9 +264,143 @@ const reportSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       },
+      // Set on entries that record an assignment or reassignment
+      assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      team: String,
       note: String
     }
-  ]
+  ],
+  // Staff member and/or team currently responsible for the report
+  assignment: {
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    team: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    assignedAt: {
+      type: Date,
+      default: null
+    },
+    // Kept across reassignments to measure time to first response
+    firstAssignedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Each time the report is resolved, with "after" photos and the reporter's verdict
+  resolutions: [
+    {
+      images: [
+        {
+          url: {
+            type: String,
+            required: true
+          },
+          uploadedAt: {
+            type: Date,
+            default: Date.now
+          }
+        }
+      ],
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      resolvedAt: {
+        type: Date,
+        default: Date.now
+      },
+      note: String,
+      verification: {
+        status: {
+          type: String,
+          enum: ['pending', 'confirmed', 'disputed'],
+          default: 'pending'
+        },
+        respondedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          default: null
+        },
+        respondedAt: {
+          type: Date,
+          default: null
+        },
+        comment: String,
+        rating: {
+          type: Number,
+          min: 1,
+          max: 5
+        }
+      }
+    }
+  ],
+  // SLA escalation state, updated by the SLA scheduler
+  sla: {
+    escalationLevel: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    breachedAt: {
+      type: Date,
+      default: null
+    },
+    lastEscalatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Canonical report this one was merged into (set when status is 'merged')
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    default: null
+  },
+  // Open reports flagged at submission time as likely covering the same issue
+  possibleDuplicates: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report'
+    }
+  ],
+  // Citizens whose duplicate reports were merged into this one
+  reporters: [
+    {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      reportId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Report'
+      },
+      reportedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  // Number of citizens who endorsed ("me too") this report
+  endorsementCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
 }, {
   timestamps: true,
   toJSON: {
@@ -133,6 +422,18 @@ reportSchema.index({ 'location.city': 1 });
 reportSchema.index({ 'location.coordinates': '2dsphere' });
 reportSchema.index({ createdAt: -1 });
 reportSchema.index({ urgency: 1 });
+reportSchema.index({ mergedInto: 1 });
+reportSchema.index({ 'reporters.userId': 1 });
+reportSchema.index({ endorsementCount: -1 });
+reportSchema.index({ 'assignment.assignedTo': 1, status: 1 });
+reportSchema.index({ 'assignment.team': 1, status: 1 });
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ 'resolutions.verification.status': 1 });
+reportSchema.index({ 'categorySuggestion.status': 1, 'categorySuggestion.confidence': -1 });
+reportSchema.index({ 'categorySuggestion.reviewedAt': 1 });
+reportSchema.index({ 'moderation.status': 1, 'moderation.flaggedAt': 1 });
+reportSchema.index({ 'locationCheck.status': 1, 'locationCheck.distanceKm': -1 });
+reportSchema.index({ 'images.hash': 1 });
 
 // Pre-save hook to ensure userId and adminId are stored correctly
 reportSchema.pre('save', function(next) {
@@ -59,9 +59,15 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['citizen', 'admin'],
+    enum: ['citizen', 'admin', 'manager', 'analyst', 'field_worker'],
     default: 'citizen'
   },
+  // Field team a staff member belongs to (e.g. "Cairo Roads"), used for team assignments
+  team: {
+    type: String,
+    trim: true,
+    default: null
+  },
   isVerified: {
     type: Boolean,
     default: false
@@ -71,6 +77,22 @@ const userSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Latest points expiry date the user has been warned about
+  pointsExpiryWarnedUntil: {
+    type: Date,
+    default: null
+  },
+  // Channels the user receives notifications on
+  notificationPreferences: {
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+    email: {
+      type: Boolean,
+      default: true
+    }
+  },
   refreshTokens: [{
     token: String,
     expiresAt: Date
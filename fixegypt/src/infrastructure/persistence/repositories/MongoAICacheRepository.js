@@ -0,0 +1,43 @@
+import AICacheRepository from '../../../domain/repositories/AICacheRepository.js';
+import AICacheModel from '../models/AICacheModel.js';
+
+/**
+ * MongoDB implementation of AICacheRepository
+ */
+class MongoAICacheRepository extends AICacheRepository {
+  /**
+   * Find an unexpired cached result
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { result, expiresAt }, or null if there is none
+   */
+  async find(key) {
+    // The TTL monitor only runs every minute, so expired documents can still be there
+    const doc = await AICacheModel.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+
+    return doc ? { result: doc.result, expiresAt: doc.expiresAt } : null;
+  }
+
+  /**
+   * Store a result, replacing any result under the same key
+   * @param {string} key - Cache key
+   * @param {Object} entry - Operation, result and expiresAt
+   * @returns {Promise<void>}
+   */
+  async save(key, { operation, result, expiresAt }) {
+    await AICacheModel.updateOne(
+      { key },
+      { $set: { operation, result, expiresAt } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Count unexpired cached results
+   * @returns {Promise<number>} Number of entries
+   */
+  async count() {
+    return AICacheModel.countDocuments({ expiresAt: { $gt: new Date() } });
+  }
+}
+
+export default MongoAICacheRepository; 
\ No newline at end of file
@@ -0,0 +1,58 @@
+import AIUsageRepository from '../../../domain/repositories/AIUsageRepository.js';
+import AIUsageModel from '../models/AIUsageModel.js';
+
+/**
+ * MongoDB implementation of AIUsageRepository
+ */
+class MongoAIUsageRepository extends AIUsageRepository {
+  /**
+   * Add a provider call to the totals of its day
+   * @param {Object} usage - Call data (date, provider, operation, success, failure, latencyMs, inputTokens, outputTokens, cost)
+   * @returns {Promise<void>}
+   */
+  async record({ date, provider, operation, success, failure = null, latencyMs, inputTokens = 0, outputTokens = 0, cost = 0 }) {
+    await AIUsageModel.updateOne(
+      { date, provider, operation },
+      {
+        $inc: {
+          calls: 1,
+          failures: success ? 0 : 1,
+          parseFailures: failure === 'parse' ? 1 : 0,
+          transportFailures: failure === 'transport' ? 1 : 0,
+          totalLatencyMs: latencyMs,
+          inputTokens,
+          outputTokens,
+          cost
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Get the totals per day, provider and operation since a date, newest day first
+   * @param {string} fromDate - First day to include (YYYY-MM-DD, UTC)
+   * @returns {Promise<Array<Object>>} Daily totals
+   */
+  async findDailySince(fromDate) {
+    const docs = await AIUsageModel.find({ date: { $gte: fromDate } })
+      .sort({ date: -1, provider: 1, operation: 1 })
+      .lean();
+
+    return docs.map(doc => ({
+      date: doc.date,
+      provider: doc.provider,
+      operation: doc.operation,
+      calls: doc.calls,
+      failures: doc.failures,
+      parseFailures: doc.parseFailures || 0,
+      transportFailures: doc.transportFailures || 0,
+      avgLatencyMs: doc.calls > 0 ? Math.round(doc.totalLatencyMs / doc.calls) : 0,
+      inputTokens: doc.inputTokens,
+      outputTokens: doc.outputTokens,
+      cost: doc.cost
+    }));
+  }
+}
+
+export default MongoAIUsageRepository; 
\ No newline at end of file
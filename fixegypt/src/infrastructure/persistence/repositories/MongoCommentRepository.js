@@ -0,0 +1,157 @@
+import CommentRepository from '../../../domain/repositories/CommentRepository.js';
+import CommentModel from '../models/CommentModel.js';
+import Comment from '../../../domain/entities/Comment.js';
+import { convertImageToBase64 } from '../imageEncoding.js';
+
+const AUTHOR_FIELDS = 'firstName lastName role';
+
+/**
+ * MongoDB implementation of CommentRepository
+ */
+class MongoCommentRepository extends CommentRepository {
+  /**
+   * Map database model to domain entity
+   * Deleted comments keep their place in the thread but lose their content
+   * @param {Object} commentDoc - Comment document from database
+   * @param {Array<Comment>} replies - Replies to attach to a top-level comment
+   * @returns {Comment} Comment domain entity
+   * @private
+   */
+  _mapToDomainEntity(commentDoc, replies = []) {
+    const author = commentDoc.authorId && commentDoc.authorId.firstName !== undefined
+      ? {
+          firstName: commentDoc.authorId.firstName,
+          lastName: commentDoc.authorId.lastName,
+          role: commentDoc.authorId.role
+        }
+      : null;
+    const authorId = commentDoc.authorId?._id || commentDoc.authorId;
+    const isDeleted = !!commentDoc.deletedAt;
+
+    return new Comment({
+      id: commentDoc._id.toString(),
+      reportId: commentDoc.reportId.toString(),
+      authorId: authorId ? authorId.toString() : null,
+      author,
+      parentId: commentDoc.parentId ? commentDoc.parentId.toString() : null,
+      body: isDeleted ? '' : commentDoc.body,
+      visibility: commentDoc.visibility,
+      attachments: isDeleted ? [] : (commentDoc.attachments || []).map(attachment => ({
+        url: convertImageToBase64(attachment.url) || attachment.url,
+        uploadedAt: attachment.uploadedAt
+      })),
+      editedAt: commentDoc.editedAt,
+      deletedAt: commentDoc.deletedAt,
+      deletedBy: commentDoc.deletedBy ? commentDoc.deletedBy.toString() : null,
+      replies,
+      createdAt: commentDoc.createdAt,
+      updatedAt: commentDoc.updatedAt
+    });
+  }
+
+  /**
+   * Create a comment
+   * @param {Object} commentData - Comment data
+   * @returns {Promise<Comment>} Created comment
+   */
+  async create(commentData) {
+    const comment = await CommentModel.create({
+      ...commentData,
+      attachments: (commentData.attachments || []).map(url => ({ url }))
+    });
+
+    await comment.populate('authorId', AUTHOR_FIELDS);
+    return this._mapToDomainEntity(comment);
+  }
+
+  /**
+   * Find a comment by ID
+   * @param {string} id - Comment ID
+   * @returns {Promise<Comment|null>} Comment or null
+   */
+  async findById(id) {
+    const comment = await CommentModel.findById(id).populate('authorId', AUTHOR_FIELDS);
+    return comment ? this._mapToDomainEntity(comment) : null;
+  }
+
+  /**
+   * List the threads of a report, oldest first
+   * @param {string} reportId - Report ID
+   * @param {Object} options - Pagination and visibility options
+   * @returns {Promise<{comments: Comment[], total: number, page: number, limit: number}>} Paginated threads
+   */
+  async findByReportId(reportId, options = { page: 1, limit: 20, includeInternal: false }) {
+    const { page, limit, includeInternal } = options;
+    const skip = (page - 1) * limit;
+
+    const filter = { reportId };
+    if (!includeInternal) {
+      filter.visibility = 'public';
+    }
+
+    const [threads, total] = await Promise.all([
+      CommentModel.find({ ...filter, parentId: null })
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('authorId', AUTHOR_FIELDS),
+      CommentModel.countDocuments({ ...filter, parentId: null })
+    ]);
+
+    const replies = threads.length > 0
+      ? await CommentModel.find({ ...filter, parentId: { $in: threads.map(thread => thread._id) } })
+        .sort({ createdAt: 1 })
+        .populate('authorId', AUTHOR_FIELDS)
+      : [];
+
+    const repliesByThread = {};
+    for (const reply of replies) {
+      const threadId = reply.parentId.toString();
+      repliesByThread[threadId] = repliesByThread[threadId] || [];
+      repliesByThread[threadId].push(this._mapToDomainEntity(reply));
+    }
+
+    return {
+      comments: threads.map(thread =>
+        this._mapToDomainEntity(thread, repliesByThread[thread._id.toString()] || [])
+      ),
+      total,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * Replace the body of a comment
+   * @param {string} id - Comment ID
+   * @param {string} body - New body
+   * @returns {Promise<Comment|null>} Updated comment or null if not found or deleted
+   */
+  async updateBody(id, body) {
+    const comment = await CommentModel.findOneAndUpdate(
+      { _id: id, deletedAt: null },
+      { $set: { body, editedAt: new Date() } },
+      { new: true, runValidators: true }
+    ).populate('authorId', AUTHOR_FIELDS);
+
+    return comment ? this._mapToDomainEntity(comment) : null;
+  }
+
+  /**
+   * Soft delete a comment, keeping its place in the thread
+   * @param {string} id - Comment ID
+   * @param {string} deletedBy - ID of the user deleting the comment
+   * @returns {Promise<Comment|null>} Deleted comment or null if not found or already deleted
+   */
+  async softDelete(id, deletedBy) {
+    const comment = await CommentModel.findOneAndUpdate(
+      { _id: id, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy } },
+      { new: true }
+    ).populate('authorId', AUTHOR_FIELDS);
+
+    return comment ? this._mapToDomainEntity(comment) : null;
+  }
+}
+
+export default MongoCommentRepository; 
\ No newline at end of file
@@ -0,0 +1,173 @@
+import EndorsementRepository from '../../../domain/repositories/EndorsementRepository.js';
+import EndorsementModel from '../models/EndorsementModel.js';
+import ReportModel from '../models/ReportModel.js';
+import Endorsement from '../../../domain/entities/Endorsement.js';
+import mongoose from 'mongoose';
+
+/**
+ * MongoDB implementation of EndorsementRepository
+ */
+class MongoEndorsementRepository extends EndorsementRepository {
+  /**
+   * Map database model to domain entity
+   * @param {Object} endorsementDoc - Endorsement document from database
+   * @returns {Endorsement} Endorsement domain entity
+   * @private
+   */
+  _mapToDomainEntity(endorsementDoc) {
+    return new Endorsement({
+      id: endorsementDoc._id.toString(),
+      reportId: endorsementDoc.reportId.toString(),
+      userId: endorsementDoc.userId.toString(),
+      createdAt: endorsementDoc.createdAt
+    });
+  }
+
+  /**
+   * Endorse a report and increment its endorsement count
+   * @param {string} reportId - Report ID
+   * @param {string} userId - ID of the endorsing user
+   * @returns {Promise<{endorsement: Endorsement, endorsementCount: number}|null>} Created endorsement and new count, or null if already endorsed
+   */
+  async create(reportId, userId) {
+    const session = await mongoose.startSession();
+    
+    try {
+      session.startTransaction();
+      
+      const endorsement = await EndorsementModel.create([{
+        reportId,
+        userId
+      }], { session });
+      
+      const report = await ReportModel.findByIdAndUpdate(
+        reportId,
+        { $inc: { endorsementCount: 1 } },
+        { new: true, session }
+      );
+      
+      if (!report) {
+        throw new Error('Report not found');
+      }
+      
+      await session.commitTransaction();
+      
+      return {
+        endorsement: this._mapToDomainEntity(endorsement[0]),
+        endorsementCount: report.endorsementCount
+      };
+    } catch (error) {
+      await session.abortTransaction();
+      
+      // Unique index violation: the user already endorsed this report
+      if (error.code === 11000) {
+        return null;
+      }
+      
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Remove a user's endorsement and decrement the report's endorsement count
+   * @param {string} reportId - Report ID
+   * @param {string} userId - ID of the endorsing user
+   * @returns {Promise<{endorsementCount: number}|null>} New count, or null if there was no endorsement
+   */
+  async delete(reportId, userId) {
+    const session = await mongoose.startSession();
+    
+    try {
+      session.startTransaction();
+      
+      const endorsement = await EndorsementModel.findOneAndDelete(
+        { reportId, userId },
+        { session }
+      );
+      
+      if (!endorsement) {
+        await session.abortTransaction();
+        return null;
+      }
+      
+      const report = await ReportModel.findOneAndUpdate(
+        { _id: reportId, endorsementCount: { $gt: 0 } },
+        { $inc: { endorsementCount: -1 } },
+        { new: true, session }
+      );
+      
+      await session.commitTransaction();
+      
+      return {
+        endorsementCount: report ? report.endorsementCount : 0
+      };
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Find a user's endorsement of a report
+   * @param {string} reportId - Report ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Endorsement|null>} Endorsement or null
+   */
+  async findByReportAndUser(reportId, userId) {
+    const endorsement = await EndorsementModel.findOne({ reportId, userId });
+    return endorsement ? this._mapToDomainEntity(endorsement) : null;
+  }
+
+  /**
+   * List endorsements of a report
+   * @param {string} reportId - Report ID
+   * @param {Object} options - Pagination options
+   * @returns {Promise<{endorsements: Endorsement[], total: number, page: number, limit: number}>} Paginated endorsements
+   */
+  async findByReportId(reportId, options = { page: 1, limit: 10 }) {
+    const { page, limit } = options;
+    const skip = (page - 1) * limit;
+
+    const [endorsements, total] = await Promise.all([
+      EndorsementModel.find({ reportId })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      EndorsementModel.countDocuments({ reportId })
+    ]);
+
+    return {
+      endorsements: endorsements.map(endorsement => this._mapToDomainEntity(endorsement)),
+      total,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * Find which of the given reports a user has endorsed
+   * @param {string} userId - User ID
+   * @param {Array<string>} reportIds - Report IDs to check
+   * @returns {Promise<Array<string>>} IDs of the endorsed reports
+   */
+  async findEndorsedReportIds(userId, reportIds) {
+    if (!userId || reportIds.length === 0) {
+      return [];
+    }
+
+    const endorsements = await EndorsementModel.find({
+      userId,
+      reportId: { $in: reportIds }
+    }).select('reportId');
+
+    return endorsements.map(endorsement => endorsement.reportId.toString());
+  }
+}
+
+export default MongoEndorsementRepository; 
\ No newline at end of file
@@ -0,0 +1,205 @@
+import mongoose from 'mongoose';
+import FraudCheckRepository from '../../../domain/repositories/FraudCheckRepository.js';
+import FraudCheckModel from '../models/FraudCheckModel.js';
+import UserModel from '../models/UserModel.js';
+import FraudCheck from '../../../domain/entities/FraudCheck.js';
+
+// Statuses of reports that were flagged, whatever the review found
+const FLAGGED_STATUSES = ['held', 'released', 'confirmed'];
+
+/**
+ * MongoDB implementation of FraudCheckRepository
+ */
+class MongoFraudCheckRepository extends FraudCheckRepository {
+  /**
+   * Map database model to domain entity
+   * @param {Object} checkDoc - Check document from database
+   * @returns {FraudCheck} Fraud check domain entity
+   * @private
+   */
+  _mapToDomainEntity(checkDoc) {
+    return new FraudCheck({
+      id: checkDoc._id.toString(),
+      reportId: checkDoc.reportId.toString(),
+      userId: checkDoc.userId.toString(),
+      score: checkDoc.score,
+      signals: (checkDoc.signals || []).map(({ type, weight, detail }) => ({ type, weight, detail })),
+      status: checkDoc.status,
+      checkedAt: checkDoc.checkedAt,
+      reviewedBy: checkDoc.reviewedBy ? checkDoc.reviewedBy.toString() : null,
+      reviewedAt: checkDoc.reviewedAt,
+      reviewNote: checkDoc.reviewNote,
+      createdAt: checkDoc.createdAt,
+      updatedAt: checkDoc.updatedAt
+    });
+  }
+
+  /**
+   * Create or replace the check of a report
+   * @param {string} reportId - Report ID
+   * @param {Object} checkData - Check data (userId, score, signals, status, checkedAt)
+   * @returns {Promise<FraudCheck>} Saved check
+   */
+  async save(reportId, checkData) {
+    const check = await FraudCheckModel.findOneAndUpdate(
+      { reportId },
+      { ...checkData, reportId },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    return this._mapToDomainEntity(check);
+  }
+
+  /**
+   * Find the check of a report
+   * @param {string} reportId - Report ID
+   * @returns {Promise<FraudCheck|null>} Check, or null if the report was not scored
+   */
+  async findByReportId(reportId) {
+    const check = await FraudCheckModel.findOne({ reportId });
+    return check ? this._mapToDomainEntity(check) : null;
+  }
+
+  /**
+   * Find the checks of a citizen's reports, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - Filter (status) and pagination options
+   * @returns {Promise<Object>} Checks and pagination info
+   */
+  async findByUser(userId, options = {}) {
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+    const skip = (page - 1) * limit;
+    const query = { userId };
+
+    if (options.status) {
+      query.status = options.status;
+    }
+
+    const [checks, total] = await Promise.all([
+      FraudCheckModel.find(query)
+        .sort({ checkedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      FraudCheckModel.countDocuments(query)
+    ]);
+
+    return {
+      checks: checks.map(check => this._mapToDomainEntity(check)),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Find the citizens with flagged reports, those with reports awaiting review first
+   * @param {Object} options - Filter (status) and pagination options
+   * @returns {Promise<Object>} Accounts (user, report counts per status, highest score, last flagged, how often
+   *   each signal fired) and pagination info
+   */
+  async findFlaggedAccounts(options = {}) {
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+    const match = { status: options.status || { $in: FLAGGED_STATUSES } };
+    const countStatus = (status) => ({ $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } });
+
+    const [result] = await FraudCheckModel.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$userId',
+          flaggedReports: { $sum: 1 },
+          held: countStatus('held'),
+          released: countStatus('released'),
+          confirmed: countStatus('confirmed'),
+          maxScore: { $max: '$score' },
+          lastFlaggedAt: { $max: '$checkedAt' },
+          signalTypes: { $push: '$signals.type' }
+        }
+      },
+      { $sort: { held: -1, lastFlaggedAt: -1 } },
+      {
+        $facet: {
+          accounts: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: UserModel.collection.name,
+                localField: '_id',
+                foreignField: '_id',
+                pipeline: [{ $project: { firstName: 1, lastName: 1, email: 1, governorate: 1, points: 1 } }],
+                as: 'user'
+              }
+            },
+            { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    return {
+      accounts: result.accounts.map(account => ({
+        userId: account._id.toString(),
+        user: account.user
+          ? {
+            id: account.user._id.toString(),
+            firstName: account.user.firstName,
+            lastName: account.user.lastName,
+            email: account.user.email,
+            governorate: account.user.governorate,
+            points: account.user.points
+          }
+          : null,
+        flaggedReports: account.flaggedReports,
+        held: account.held,
+        released: account.released,
+        confirmed: account.confirmed,
+        maxScore: account.maxScore,
+        lastFlaggedAt: account.lastFlaggedAt,
+        signals: account.signalTypes.flat().reduce((counts, type) => {
+          counts[type] = (counts[type] || 0) + 1;
+          return counts;
+        }, {})
+      })),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Record an admin's decision on a held check
+   * @param {string} reportId - Report ID
+   * @param {string} status - released or confirmed
+   * @param {string} reviewerId - ID of the admin
+   * @param {string} note - Reason for the decision
+   * @returns {Promise<FraudCheck|null>} Reviewed check, or null if the check is not held
+   */
+  async review(reportId, status, reviewerId, note = '') {
+    const check = await FraudCheckModel.findOneAndUpdate(
+      { reportId: new mongoose.Types.ObjectId(reportId), status: 'held' },
+      {
+        status,
+        reviewedBy: reviewerId,
+        reviewedAt: new Date(),
+        reviewNote: note
+      },
+      { new: true, runValidators: true }
+    );
+
+    return check ? this._mapToDomainEntity(check) : null;
+  }
+}
+
+export default MongoFraudCheckRepository; 
\ No newline at end of file
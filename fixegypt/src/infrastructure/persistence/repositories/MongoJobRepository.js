@@ -0,0 +1,195 @@
+import JobRepository from '../../../domain/repositories/JobRepository.js';
+import JobModel from '../models/JobModel.js';
+import Job, { JOB_STATUSES } from '../../../domain/entities/Job.js';
+
+/**
+ * MongoDB implementation of JobRepository
+ */
+class MongoJobRepository extends JobRepository {
+  /**
+   * Map database model to domain entity
+   * @param {Object} jobDoc - Job document from database
+   * @returns {Job} Job domain entity
+   * @private
+   */
+  _mapToDomainEntity(jobDoc) {
+    return new Job({
+      id: jobDoc._id.toString(),
+      type: jobDoc.type,
+      payload: jobDoc.payload || {},
+      status: jobDoc.status,
+      attempts: jobDoc.attempts,
+      maxAttempts: jobDoc.maxAttempts,
+      runAt: jobDoc.runAt,
+      lockedAt: jobDoc.lockedAt,
+      lockedBy: jobDoc.lockedBy,
+      lastError: jobDoc.lastError,
+      result: jobDoc.result,
+      completedAt: jobDoc.completedAt,
+      createdAt: jobDoc.createdAt,
+      updatedAt: jobDoc.updatedAt
+    });
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} jobData - Job data (type, payload, maxAttempts, runAt)
+   * @returns {Promise<Job>} Queued job
+   */
+  async enqueue(jobData) {
+    const job = await JobModel.create(jobData);
+    return this._mapToDomainEntity(job);
+  }
+
+  /**
+   * Find a job by ID
+   * @param {string} id - Job ID
+   * @returns {Promise<Job|null>} Job or null
+   */
+  async findById(id) {
+    const job = await JobModel.findById(id);
+    return job ? this._mapToDomainEntity(job) : null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filters - Filters (status, type)
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<{jobs: Job[], total: number, page: number, limit: number}>} Paginated jobs
+   */
+  async find(filters = {}, options = { page: 1, limit: 20 }) {
+    const { page, limit } = options;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.type) query.type = filters.type;
+
+    const [jobs, total] = await Promise.all([
+      JobModel.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      JobModel.countDocuments(query)
+    ]);
+
+    return {
+      jobs: jobs.map(job => this._mapToDomainEntity(job)),
+      total,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * Atomically lock the next due job for a worker
+   * Running jobs whose lock is older than lockTimeoutMs are reclaimed, e.g. after a crash
+   * @param {Array<string>} types - Job types the worker can handle
+   * @param {string} workerId - ID of the worker claiming the job
+   * @param {number} lockTimeoutMs - Age after which a lock is considered abandoned
+   * @returns {Promise<Job|null>} Claimed job, with attempts incremented, or null if none is due
+   */
+  async claimNext(types, workerId, lockTimeoutMs) {
+    const now = new Date();
+
+    const job = await JobModel.findOneAndUpdate(
+      {
+        type: { $in: types },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lt: new Date(now.getTime() - lockTimeoutMs) } }
+        ]
+      },
+      {
+        $set: { status: 'running', lockedAt: now, lockedBy: workerId },
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { runAt: 1 } }
+    );
+
+    return job ? this._mapToDomainEntity(job) : null;
+  }
+
+  /**
+   * Mark a job as completed
+   * @param {string} id - Job ID
+   * @param {Object} result - Result summary
+   * @returns {Promise<Job|null>} Updated job
+   */
+  async complete(id, result) {
+    const job = await JobModel.findByIdAndUpdate(
+      id,
+      {
+        $set: {
+          status: 'completed',
+          result: result || null,
+          completedAt: new Date(),
+          lockedAt: null,
+          lockedBy: null
+        }
+      },
+      { new: true }
+    );
+
+    return job ? this._mapToDomainEntity(job) : null;
+  }
+
+  /**
+   * Record a failed attempt, either scheduling a retry or dead-lettering the job
+   * @param {string} id - Job ID
+   * @param {string} error - Error message
+   * @param {Date|null} retryAt - When to retry, or null to dead-letter the job
+   * @returns {Promise<Job|null>} Updated job
+   */
+  async fail(id, error, retryAt) {
+    const job = await JobModel.findByIdAndUpdate(
+      id,
+      {
+        $set: {
+          status: retryAt ? 'queued' : 'dead',
+          runAt: retryAt || new Date(),
+          lastError: error,
+          lockedAt: null,
+          lockedBy: null
+        }
+      },
+      { new: true }
+    );
+
+    return job ? this._mapToDomainEntity(job) : null;
+  }
+
+  /**
+   * Put a dead job back in the queue with a fresh set of attempts
+   * @param {string} id - Job ID
+   * @returns {Promise<Job|null>} Requeued job, or null if not found or not dead
+   */
+  async requeue(id) {
+    const job = await JobModel.findOneAndUpdate(
+      { _id: id, status: 'dead' },
+      { $set: { status: 'queued', attempts: 0, runAt: new Date() } },
+      { new: true }
+    );
+
+    return job ? this._mapToDomainEntity(job) : null;
+  }
+
+  /**
+   * Count jobs per status
+   * @returns {Promise<Object>} Counts keyed by status
+   */
+  async countByStatus() {
+    const groups = await JobModel.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    for (const group of groups) {
+      counts[group._id] = group.count;
+    }
+
+    return counts;
+  }
+}
+
+export default MongoJobRepository; 
\ No newline at end of file
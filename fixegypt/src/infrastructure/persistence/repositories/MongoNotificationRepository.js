@@ -0,0 +1,110 @@
+import NotificationRepository from '../../../domain/repositories/NotificationRepository.js';
+import NotificationModel from '../models/NotificationModel.js';
+import Notification from '../../../domain/entities/Notification.js';
+
+/**
+ * MongoDB implementation of NotificationRepository
+ */
+class MongoNotificationRepository extends NotificationRepository {
+  /**
+   * Map database model to domain entity
+   * @param {Object} notificationDoc - Notification document from database
+   * @returns {Notification} Notification domain entity
+   * @private
+   */
+  _mapToDomainEntity(notificationDoc) {
+    return new Notification({
+      id: notificationDoc._id.toString(),
+      userId: notificationDoc.userId.toString(),
+      type: notificationDoc.type,
+      title: notificationDoc.title,
+      message: notificationDoc.message,
+      data: notificationDoc.data || {},
+      readAt: notificationDoc.readAt,
+      createdAt: notificationDoc.createdAt
+    });
+  }
+
+  /**
+   * Create a notification
+   * @param {Object} notificationData - Notification data
+   * @returns {Promise<Notification>} Created notification
+   */
+  async create(notificationData) {
+    const notification = await NotificationModel.create(notificationData);
+    return this._mapToDomainEntity(notification);
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - Pagination options
+   * @returns {Promise<{notifications: Notification[], total: number, page: number, limit: number}>} Paginated notifications
+   */
+  async findByUserId(userId, options = { page: 1, limit: 20, unreadOnly: false }) {
+    const { page, limit, unreadOnly } = options;
+    const skip = (page - 1) * limit;
+
+    const filter = { userId };
+    if (unreadOnly) {
+      filter.readAt = null;
+    }
+
+    const [notifications, total] = await Promise.all([
+      NotificationModel.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      NotificationModel.countDocuments(filter)
+    ]);
+
+    return {
+      notifications: notifications.map(notification => this._mapToDomainEntity(notification)),
+      total,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * Count a user's unread notifications
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Unread count
+   */
+  async countUnread(userId) {
+    return NotificationModel.countDocuments({ userId, readAt: null });
+  }
+
+  /**
+   * Mark one of a user's notifications as read
+   * Already read notifications keep their original read date
+   * @param {string} id - Notification ID
+   * @param {string} userId - ID of the notification's owner
+   * @returns {Promise<Notification|null>} Notification or null if the user has no such notification
+   */
+  async markRead(id, userId) {
+    await NotificationModel.updateOne(
+      { _id: id, userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    const notification = await NotificationModel.findOne({ _id: id, userId });
+    return notification ? this._mapToDomainEntity(notification) : null;
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of notifications marked read
+   */
+  async markAllRead(userId) {
+    const result = await NotificationModel.updateMany(
+      { userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+export default MongoNotificationRepository; 
\ No newline at end of file
@@ -15,14 +15,60 @@ class MongoPointsRepository extends PointsRepository {
    * @param {string} source - Source of points
    * @param {string} referenceId - ID of reference object
    * @param {string} description - Transaction description
-   * @returns {Promise<Object>} Transaction and updated user
+   * @param {Object} options - Optional settings
+   * @param {string} options.idempotencyKey - Key identifying the award; a repeated key awards nothing
+   * @param {Object} options.dailyCap - { limit, since }: most points the user may earn from the source since a time
+   * @returns {Promise<Object>} Transaction, updated user, whether the key was already used (duplicate) and whether
+   *   the daily cap reduced the award (capped); when the cap is used up nothing is recorded and the transaction is null
    */
-  async addPoints(userId, amount, source, referenceId, description) {
+  async addPoints(userId, amount, source, referenceId, description, options = {}) {
+    const { idempotencyKey = null, dailyCap = null } = options;
     const session = await mongoose.startSession();
     
     try {
       session.startTransaction();
       
+      // Skip awards that were already recorded under the same key
+      if (idempotencyKey) {
+        const existing = await PointsTransactionModel.findOne({ idempotencyKey }).session(session);
+        
+        if (existing) {
+          await session.abortTransaction();
+          
+          return {
+            user: await UserModel.findById(userId),
+            transaction: existing,
+            duplicate: true,
+            capped: false
+          };
+        }
+      }
+      
+      // Award no more than what is left of the cap; once it is used up nothing is recorded, so the ledger has no
+      // empty rows
+      let capped = false;
+      if (dailyCap) {
+        const earned = await this._sumEarned(userId, source, dailyCap.since, session);
+        const remaining = Math.max(0, dailyCap.limit - earned);
+        
+        if (remaining === 0 && amount > 0) {
+          await session.abortTransaction();
+          
+          return {
+            user: await UserModel.findById(userId),
+            transaction: null,
+            duplicate: false,
+            capped: true
+          };
+        }
+        
+        if (amount > remaining) {
+          amount = remaining;
+          description = `${description} (limited by the daily cap of ${dailyCap.limit} points)`;
+          capped = true;
+        }
+      }
+      
       // Find user and update points
       const user = await UserModel.findByIdAndUpdate(
         userId,
@@ -37,7 +83,7 @@ class MongoPointsRepository extends PointsRepository {
       // Determine reference model
       let referenceModel = null;
       if (referenceId) {
-        if (source === 'report_submission' || source === 'report_resolved') {
+        if (['report_submission', 'report_resolved', 'report_endorsed', 'photo_verified'].includes(source)) {
           referenceModel = 'Report';
         } else if (source === 'product_redemption') {
           referenceModel = 'Product';
@@ -53,17 +99,31 @@ class MongoPointsRepository extends PointsRepository {
         referenceId: referenceId || null,
         referenceModel,
         description,
-        balance: user.points
+        balance: user.points,
+        idempotencyKey: idempotencyKey || undefined
       }], { session });
       
       await session.commitTransaction();
       
       return {
         user,
-        transaction: transaction[0]
+        transaction: transaction[0],
+        duplicate: false,
+        capped
       };
     } catch (error) {
       await session.abortTransaction();
+      
+      // A concurrent request recorded the same award first
+      if (error.code === 11000 && idempotencyKey) {
+        return {
+          user: await UserModel.findById(userId),
+          transaction: await PointsTransactionModel.findOne({ idempotencyKey }),
+          duplicate: true,
+          capped: false
+        };
+      }
+      
       throw error;
     } finally {
       session.endSession();
@@ -128,6 +188,323 @@ class MongoPointsRepository extends PointsRepository {
     }
   }
 
+  /**
+   * Find an earning transaction for a reference object
+   * @param {string} userId - User ID
+   * @param {string} source - Source of points
+   * @param {string} referenceId - ID of reference object
+   * @returns {Promise<Object|null>} Transaction or null
+   */
+  async findEarningTransaction(userId, source, referenceId) {
+    return PointsTransactionModel.findOne({
+      userId,
+      type: 'earn',
+      source,
+      referenceId
+    });
+  }
+
+  /**
+   * Add or remove points on behalf of an admin
+   * The balance and the ledger entry are written in one transaction, and a deduction only applies while
+   * the user still has enough points
+   * @param {string} userId - User ID
+   * @param {number} amount - Points to add (positive) or remove (negative)
+   * @param {string} adminId - Admin making the adjustment
+   * @param {string} reason - Why the balance is being adjusted
+   * @returns {Promise<Object|null>} Transaction and updated user, or null if the balance would go negative
+   */
+  async adjustPoints(userId, amount, adminId, reason) {
+    const session = await mongoose.startSession();
+    
+    try {
+      session.startTransaction();
+      
+      const filter = amount < 0 ? { _id: userId, points: { $gte: -amount } } : { _id: userId };
+      const user = await UserModel.findOneAndUpdate(
+        filter,
+        { $inc: { points: amount } },
+        { new: true, session }
+      );
+      
+      if (!user) {
+        await session.abortTransaction();
+        
+        if (!await UserModel.exists({ _id: userId })) {
+          throw new Error('User not found');
+        }
+        
+        return null;
+      }
+      
+      const transaction = await PointsTransactionModel.create([{
+        userId,
+        amount,
+        type: 'adjustment',
+        source: 'admin_adjustment',
+        description: reason,
+        balance: user.points,
+        adminId
+      }], { session });
+      
+      await session.commitTransaction();
+      
+      return {
+        user,
+        transaction: transaction[0]
+      };
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Get every transaction of a user, oldest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Transactions
+   */
+  async getLedger(userId) {
+    return PointsTransactionModel.find({ userId })
+      .populate('adminId', 'firstName lastName email')
+      .sort({ createdAt: 1, _id: 1 });
+  }
+
+  /**
+   * Compare each user's stored balance with the sum of their ledger
+   * The ledger sum follows PointsTransaction.signedAmount: redemptions and expiries subtract, everything else adds
+   * @param {Object} filter - Filter criteria
+   * @param {string} filter.userId - Only check this user
+   * @returns {Promise<Object>} { checked, drifted } where each drifted entry has userId, points,
+   *   ledgerBalance, lastSnapshot, transactions and drift (stored balance minus ledger balance)
+   */
+  async findBalanceDrift(filter = {}) {
+    const match = filter.userId ? { _id: new mongoose.Types.ObjectId(filter.userId) } : {};
+    
+    const [checked, drifted] = await Promise.all([
+      UserModel.countDocuments(match),
+      UserModel.aggregate([
+        { $match: match },
+        { $project: { points: 1 } },
+        {
+          $lookup: {
+            from: PointsTransactionModel.collection.name,
+            localField: '_id',
+            foreignField: 'userId',
+            pipeline: [
+              { $sort: { createdAt: -1, _id: -1 } },
+              {
+                $group: {
+                  _id: null,
+                  balance: {
+                    $sum: { $cond: [{ $in: ['$type', ['redeem', 'expire']] }, { $multiply: ['$amount', -1] }, '$amount'] }
+                  },
+                  transactions: { $sum: 1 },
+                  lastSnapshot: { $first: '$balance' }
+                }
+              }
+            ],
+            as: 'ledger'
+          }
+        },
+        { $unwind: { path: '$ledger', preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            userId: '$_id',
+            points: 1,
+            ledgerBalance: { $ifNull: ['$ledger.balance', 0] },
+            lastSnapshot: { $ifNull: ['$ledger.lastSnapshot', null] },
+            transactions: { $ifNull: ['$ledger.transactions', 0] }
+          }
+        },
+        { $addFields: { drift: { $subtract: ['$points', '$ledgerBalance'] } } },
+        { $match: { drift: { $ne: 0 } } },
+        { $sort: { drift: -1 } }
+      ])
+    ]);
+    
+    return { checked, drifted };
+  }
+
+  /**
+   * Set a user's stored balance, only if it still has the expected value
+   * @param {string} userId - User ID
+   * @param {number} expected - Balance the caller last read
+   * @param {number} balance - New balance
+   * @returns {Promise<boolean>} Whether the balance was updated
+   */
+  async setBalance(userId, expected, balance) {
+    const result = await UserModel.updateOne(
+      { _id: userId, points: expected },
+      { $set: { points: balance } }
+    );
+    
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Find manual adjustments across all users, newest first
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} Transactions and pagination info
+   */
+  async findAdjustments(options = {}) {
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+    const skip = (page - 1) * limit;
+    const filter = { source: 'admin_adjustment' };
+    
+    const [transactions, total] = await Promise.all([
+      PointsTransactionModel.find(filter)
+        .populate('userId', 'firstName lastName email')
+        .populate('adminId', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      PointsTransactionModel.countDocuments(filter)
+    ]);
+    
+    return {
+      transactions,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get the total points a user has earned over their lifetime
+   * Only earning transactions count; refunds, adjustments and spending leave it unchanged
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Sum of earning transactions
+   */
+  async getLifetimeEarned(userId) {
+    const [result] = await PointsTransactionModel.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId), type: 'earn' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    
+    return result ? result.total : 0;
+  }
+
+  /**
+   * Get the points a user has earned from a source since a point in time
+   * @param {string} userId - User ID
+   * @param {string} source - Source of points
+   * @param {Date} since - Start of the period
+   * @returns {Promise<number>} Sum of earning transactions
+   */
+  async getEarnedSince(userId, source, since) {
+    return this._sumEarned(userId, source, since);
+  }
+
+  /**
+   * Remove expired points from a user, never taking the balance below zero
+   * @param {string} userId - User ID
+   * @param {number} amount - Points that expired
+   * @param {string} idempotencyKey - Key identifying the expiry run for the user
+   * @returns {Promise<Object|null>} Transaction, updated user and points removed, or null if nothing was removed
+   */
+  async expirePoints(userId, amount, idempotencyKey) {
+    const session = await mongoose.startSession();
+    
+    try {
+      session.startTransaction();
+      
+      const current = await UserModel.findById(userId).select('points').session(session);
+      const expired = current ? Math.min(amount, current.points) : 0;
+      
+      if (expired <= 0 || await PointsTransactionModel.exists({ idempotencyKey }).session(session)) {
+        await session.abortTransaction();
+        return null;
+      }
+      
+      // Only apply if the balance did not change since it was read
+      const user = await UserModel.findOneAndUpdate(
+        { _id: userId, points: current.points },
+        { $inc: { points: -expired } },
+        { new: true, session }
+      );
+      
+      if (!user) {
+        await session.abortTransaction();
+        return null;
+      }
+      
+      const transaction = await PointsTransactionModel.create([{
+        userId,
+        amount: expired,
+        type: 'expire',
+        source: 'points_expiry',
+        description: `${expired} points expired`,
+        balance: user.points,
+        idempotencyKey
+      }], { session });
+      
+      await session.commitTransaction();
+      
+      return {
+        user,
+        transaction: transaction[0],
+        expired
+      };
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      
+      // Another instance expired the same points first
+      if (error.code === 11000) {
+        return null;
+      }
+      
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Find users with a balance and credits recorded on or before a date
+   * @param {Date} creditedBefore - Latest credit date to consider
+   * @returns {Promise<Array<Object>>} Users with id, points and pointsExpiryWarnedUntil
+   */
+  async findExpiryCandidates(creditedBefore) {
+    const userIds = await PointsTransactionModel.distinct('userId', {
+      createdAt: { $lte: creditedBefore },
+      $or: [
+        { type: { $in: ['earn', 'refund'] } },
+        { type: 'adjustment', amount: { $gt: 0 } }
+      ]
+    });
+    
+    const users = await UserModel.find({ _id: { $in: userIds }, points: { $gt: 0 } })
+      .select('points pointsExpiryWarnedUntil');
+    
+    return users.map(user => ({
+      id: user._id.toString(),
+      points: user.points,
+      pointsExpiryWarnedUntil: user.pointsExpiryWarnedUntil
+    }));
+  }
+
+  /**
+   * Remember the latest expiry date a user has been warned about
+   * @param {string} userId - User ID
+   * @param {Date} until - Latest expiry date covered by the warning
+   * @returns {Promise<void>}
+   */
+  async markExpiryWarned(userId, until) {
+    await UserModel.updateOne({ _id: userId }, { $set: { pointsExpiryWarnedUntil: until } });
+  }
+
   /**
    * Get user's points balance
    * @param {string} userId - User ID
@@ -184,6 +561,31 @@ class MongoPointsRepository extends PointsRepository {
       }
     };
   }
+
+  /**
+   * Sum a user's earning transactions from a source since a point in time
+   * @param {string} userId - User ID
+   * @param {string} source - Source of points
+   * @param {Date} since - Start of the period
+   * @param {ClientSession} session - Session of the surrounding transaction, if any
+   * @returns {Promise<number>} Points earned
+   * @private
+   */
+  async _sumEarned(userId, source, since, session = null) {
+    const [result] = await PointsTransactionModel.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          type: 'earn',
+          source,
+          createdAt: { $gte: since }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).session(session);
+    
+    return result ? result.total : 0;
+  }
 }
 
 export default MongoPointsRepository; 
\ No newline at end of file
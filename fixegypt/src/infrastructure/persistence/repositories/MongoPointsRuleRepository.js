@@ -0,0 +1,150 @@
+import PointsRuleRepository from '../../../domain/repositories/PointsRuleRepository.js';
+import PointsRuleModel from '../models/PointsRuleModel.js';
+import PointsRule from '../../../domain/entities/PointsRule.js';
+
+/**
+ * MongoDB implementation of PointsRuleRepository
+ */
+class MongoPointsRuleRepository extends PointsRuleRepository {
+  /**
+   * Map database model to domain entity
+   * @param {Object} ruleDoc - Rule document from database
+   * @returns {PointsRule} Points rule domain entity
+   * @private
+   */
+  _mapToDomainEntity(ruleDoc) {
+    return new PointsRule({
+      id: ruleDoc._id.toString(),
+      name: ruleDoc.name,
+      description: ruleDoc.description,
+      event: ruleDoc.event,
+      kind: ruleDoc.kind,
+      points: ruleDoc.points,
+      multiplier: ruleDoc.multiplier,
+      conditions: {
+        categories: [...(ruleDoc.conditions?.categories || [])],
+        urgencies: [...(ruleDoc.conditions?.urgencies || [])],
+        governorates: [...(ruleDoc.conditions?.governorates || [])]
+      },
+      startsAt: ruleDoc.startsAt,
+      endsAt: ruleDoc.endsAt,
+      dailyCap: ruleDoc.dailyCap,
+      priority: ruleDoc.priority,
+      isActive: ruleDoc.isActive,
+      createdBy: ruleDoc.createdBy ? ruleDoc.createdBy.toString() : null,
+      updatedBy: ruleDoc.updatedBy ? ruleDoc.updatedBy.toString() : null,
+      createdAt: ruleDoc.createdAt,
+      updatedAt: ruleDoc.updatedAt
+    });
+  }
+
+  /**
+   * Create a rule
+   * @param {Object} ruleData - Rule data
+   * @returns {Promise<PointsRule>} Created rule
+   */
+  async create(ruleData) {
+    const rule = await PointsRuleModel.create(ruleData);
+    return this._mapToDomainEntity(rule);
+  }
+
+  /**
+   * Update a rule
+   * @param {string} ruleId - Rule ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<PointsRule|null>} Updated rule, or null if there is none
+   */
+  async update(ruleId, updateData) {
+    const rule = await PointsRuleModel.findByIdAndUpdate(
+      ruleId,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    return rule ? this._mapToDomainEntity(rule) : null;
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<boolean>} Whether a rule was deleted
+   */
+  async delete(ruleId) {
+    const result = await PointsRuleModel.findByIdAndDelete(ruleId);
+    return !!result;
+  }
+
+  /**
+   * Find a rule by ID
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<PointsRule|null>} Rule, or null if there is none
+   */
+  async findById(ruleId) {
+    const rule = await PointsRuleModel.findById(ruleId);
+    return rule ? this._mapToDomainEntity(rule) : null;
+  }
+
+  /**
+   * Find rules with filtering and pagination, grouped by event and highest priority first
+   * @param {Object} filter - Filter criteria (event, kind, isActive)
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} Rules and pagination info
+   */
+  async findAll(filter = {}, options = {}) {
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+    const skip = (page - 1) * limit;
+    const queryFilter = {};
+
+    if (filter.event) {
+      queryFilter.event = filter.event;
+    }
+
+    if (filter.kind) {
+      queryFilter.kind = filter.kind;
+    }
+
+    if (filter.isActive !== undefined) {
+      queryFilter.isActive = filter.isActive;
+    }
+
+    const [rules, total] = await Promise.all([
+      PointsRuleModel.find(queryFilter)
+        .sort({ event: 1, priority: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      PointsRuleModel.countDocuments(queryFilter)
+    ]);
+
+    return {
+      rules: rules.map(rule => this._mapToDomainEntity(rule)),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Find the active rules of an event whose window includes a point in time
+   * @param {string} event - Points event
+   * @param {Date} at - Time of the event
+   * @returns {Promise<Array<PointsRule>>} Rules in effect
+   */
+  async findInEffect(event, at = new Date()) {
+    const rules = await PointsRuleModel.find({
+      event,
+      isActive: true,
+      $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gt: at } }] }
+      ]
+    });
+
+    return rules.map(rule => this._mapToDomainEntity(rule));
+  }
+}
+
+export default MongoPointsRuleRepository; 
\ No newline at end of file
@@ -100,6 +100,11 @@ class MongoProductRepository extends ProductRepository {
       queryFilter.isActive = filter.isActive;
     }
     
+    // Products open to these tiers; products created before tiers existed are open to everyone
+    if (filter.tiers) {
+      queryFilter.minTier = { $in: [...filter.tiers, null] };
+    }
+    
     if (filter.search) {
       const searchRegex = new RegExp(filter.search, 'i');
       queryFilter.$or = [
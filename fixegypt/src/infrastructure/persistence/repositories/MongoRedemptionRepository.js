@@ -1,6 +1,21 @@
 import RedemptionRepository from '../../../domain/repositories/RedemptionRepository.js';
 import RedemptionModel from '../models/RedemptionModel.js';
+import ProductModel from '../models/ProductModel.js';
+import UserModel from '../models/UserModel.js';
+import PointsTransactionModel from '../models/PointsTransactionModel.js';
 import Redemption from '../../../domain/entities/Redemption.js';
+import mongoose from 'mongoose';
+
+/**
+ * Thrown inside a redemption transaction to abort it without writing anything
+ * @private
+ */
+class RedemptionRefused extends Error {
+  constructor(outcome) {
+    super(outcome);
+    this.outcome = outcome;
+  }
+}
 
 /**
  * MongoDB implementation of RedemptionRepository
@@ -16,6 +31,204 @@ class MongoRedemptionRepository extends RedemptionRepository {
     return redemption;
   }
 
+  /**
+   * Redeem a product in one transaction: reserve a unit of stock, deduct the points, record the
+   * redemption and its points transaction. The stock and balance are changed with conditional updates,
+   * so concurrent redemptions cannot oversell a product or overdraw a balance
+   * @param {string} userId - User ID
+   * @param {string} productId - Product ID
+   * @param {Object} options - Optional settings
+   * @param {string} options.idempotencyKey - Key identifying the request; a repeated key redeems nothing
+   * @param {Array<string>} options.accessibleTiers - Product tiers the user may redeem; omitted means all
+   * @returns {Promise<Object>} { outcome, redemption, product, user } where outcome is redeemed, duplicate,
+   *   product_not_found, unavailable, tier_required or insufficient_points
+   */
+  async redeem(userId, productId, options = {}) {
+    const { idempotencyKey = null, accessibleTiers = null } = options;
+    const session = await mongoose.startSession();
+    let result;
+    
+    try {
+      // withTransaction retries when a concurrent redemption of the same product causes a write conflict
+      await session.withTransaction(async () => {
+        if (idempotencyKey) {
+          const existing = await RedemptionModel.findOne({ userId, idempotencyKey }).session(session);
+          
+          if (existing) {
+            result = { outcome: 'duplicate', redemption: existing, product: null, user: null };
+            return;
+          }
+        }
+        
+        const product = await ProductModel.findById(productId).session(session);
+        
+        if (!product) {
+          throw new RedemptionRefused('product_not_found');
+        }
+        
+        if (!product.isActive) {
+          throw new RedemptionRefused('unavailable');
+        }
+        
+        if (accessibleTiers && !accessibleTiers.includes(product.minTier || 'bronze')) {
+          throw new RedemptionRefused('tier_required');
+        }
+        
+        // Take a unit only while one is left; unlimited products have no stock to reserve
+        let reservedProduct = product;
+        
+        if (product.stock !== null) {
+          reservedProduct = await ProductModel.findOneAndUpdate(
+            { _id: productId, isActive: true, stock: { $gt: 0 } },
+            { $inc: { stock: -1 } },
+            { new: true, session }
+          );
+          
+          if (!reservedProduct) {
+            throw new RedemptionRefused('unavailable');
+          }
+          
+          // Hide the product once the last unit is taken
+          if (reservedProduct.stock === 0) {
+            reservedProduct = await ProductModel.findByIdAndUpdate(
+              productId,
+              { $set: { isActive: false } },
+              { new: true, session }
+            );
+          }
+        }
+        
+        const user = await UserModel.findOneAndUpdate(
+          { _id: userId, points: { $gte: product.pointsCost } },
+          { $inc: { points: -product.pointsCost } },
+          { new: true, session }
+        );
+        
+        if (!user) {
+          throw new RedemptionRefused('insufficient_points');
+        }
+        
+        const [redemption] = await RedemptionModel.create([{
+          userId,
+          productId,
+          pointsCost: product.pointsCost,
+          status: 'pending',
+          idempotencyKey: idempotencyKey || undefined,
+          stockReserved: product.stock !== null,
+          soldOut: reservedProduct.stock === 0
+        }], { session });
+        
+        await PointsTransactionModel.create([{
+          userId,
+          amount: product.pointsCost,
+          type: 'redeem',
+          source: 'product_redemption',
+          referenceId: productId,
+          referenceModel: 'Product',
+          description: `Points redeemed for product: ${product.name}`,
+          balance: user.points,
+          idempotencyKey: `product_redemption:${redemption._id}`
+        }], { session });
+        
+        result = { outcome: 'redeemed', redemption, product: reservedProduct, user };
+      });
+      
+      return result;
+    } catch (error) {
+      if (error instanceof RedemptionRefused) {
+        return { outcome: error.outcome, redemption: null, product: null, user: null };
+      }
+      
+      // A concurrent retry with the same key recorded the redemption first
+      if (error.code === 11000 && idempotencyKey) {
+        return {
+          outcome: 'duplicate',
+          redemption: await RedemptionModel.findOne({ userId, idempotencyKey }),
+          product: null,
+          user: null
+        };
+      }
+      
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Reject a redemption and, in the same transaction, return its points to the user and its unit of
+   * stock to the product. A redemption is refunded at most once
+   * @param {string} redemptionId - Redemption ID
+   * @param {string} adminId - Admin ID
+   * @param {string} notes - Notes about the rejection
+   * @returns {Promise<Object>} { redemption, refunded } where refunded is false if it was already rejected
+   */
+  async reject(redemptionId, adminId, notes) {
+    const session = await mongoose.startSession();
+    let refunded = false;
+    
+    try {
+      await session.withTransaction(async () => {
+        refunded = false;
+        
+        // Only the request that moves the redemption to rejected performs the refund
+        const redemption = await RedemptionModel.findOneAndUpdate(
+          { _id: redemptionId, status: { $ne: 'rejected' }, refundedAt: null },
+          { $set: { status: 'rejected', adminId, notes: notes || '', refundedAt: new Date() } },
+          { new: true, session }
+        );
+        
+        if (!redemption) {
+          return;
+        }
+        
+        const user = await UserModel.findByIdAndUpdate(
+          redemption.userId,
+          { $inc: { points: redemption.pointsCost } },
+          { new: true, session }
+        );
+        
+        if (!user) {
+          throw new Error('User not found');
+        }
+        
+        await PointsTransactionModel.create([{
+          userId: redemption.userId,
+          amount: redemption.pointsCost,
+          type: 'refund',
+          source: 'product_redemption',
+          referenceId: redemption.productId,
+          referenceModel: 'Product',
+          description: `Points refunded for rejected redemption ${redemption._id}`,
+          balance: user.points,
+          idempotencyKey: `product_redemption_refund:${redemption._id}`
+        }], { session });
+        
+        if (redemption.stockReserved) {
+          // Put the product back on sale if this redemption took its last unit and nothing was restocked since
+          const product = await ProductModel.findByIdAndUpdate(
+            redemption.productId,
+            { $inc: { stock: 1 } },
+            { new: true, session }
+          );
+          
+          if (product && redemption.soldOut && product.stock === 1 && !product.isActive) {
+            await ProductModel.updateOne({ _id: product._id }, { $set: { isActive: true } }, { session });
+          }
+        }
+        
+        refunded = true;
+      });
+    } finally {
+      session.endSession();
+    }
+    
+    return {
+      redemption: await this.findById(redemptionId),
+      refunded
+    };
+  }
+
   /**
    * Update redemption status
    * @param {string} redemptionId - Redemption ID
@@ -62,19 +275,13 @@ class MongoRedemptionRepository extends RedemptionRepository {
   /**
    * Find redemption by ID
    * @param {string} redemptionId - Redemption ID
-   * @returns {Promise<Object>} Redemption
+   * @returns {Promise<Object|null>} Redemption, or null if there is none
    */
   async findById(redemptionId) {
-    const redemption = await RedemptionModel.findById(redemptionId)
+    return RedemptionModel.findById(redemptionId)
       .populate('userId', 'firstName lastName email')
       .populate('productId', 'name description pointsCost category image')
       .populate('adminId', 'firstName lastName');
-    
-    if (!redemption) {
-      throw new Error('Redemption not found');
-    }
-    
-    return redemption;
   }
 
   /**
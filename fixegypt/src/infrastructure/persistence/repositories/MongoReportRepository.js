@@ -1,9 +1,18 @@
 import ReportRepository from '../../../domain/repositories/ReportRepository.js';
 import ReportModel from '../models/ReportModel.js';
-import Report from '../../../domain/entities/Report.js';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import EndorsementModel from '../models/EndorsementModel.js';
+import Report, { REPORT_STATUSES, OPEN_STATUSES } from '../../../domain/entities/Report.js';
+import { convertImageToBase64, toPublicUploadUrl } from '../imageEncoding.js';
+import mongoose from 'mongoose';
+
+/**
+ * Get the legacy coordinate pair MongoDB compares stored report locations with
+ * Locations are stored as { lat, lng } documents, and MongoDB reads an embedded document as an [x, y] pair in
+ * field order, so stored points are [lat, lng]. A query point must use the same order to land near them
+ * @param {Object} coordinates - Location coordinates (lat, lng)
+ * @returns {Array<number>} Point as [lat, lng]
+ */
+const toStoredPoint = ({ lat, lng }) => [lat, lng];
 
 /**
  * MongoDB implementation of ReportRepository
@@ -15,44 +24,7 @@ class MongoReportRepository extends ReportRepository {
    * @returns {string|null} Base64 encoded image or null if error
    */
   _convertImageToBase64(imagePath) {
-    try {
-      // Handle both absolute and relative paths
-      let fullPath = imagePath;
-      
-      // Check if path is a URL or base64 already
-      if (imagePath.startsWith('data:image') || imagePath.startsWith('http')) {
-        return imagePath;
-      }
-      
-      // If path starts with /uploads, construct path relative to project root
-      if (imagePath.startsWith('/uploads')) {
-        const __dirname = path.dirname(fileURLToPath(import.meta.url));
-        const projectRoot = path.resolve(__dirname, '../../../../');
-        fullPath = path.join(projectRoot, imagePath);
-      }
-      
-      // Read file and convert to base64
-      if (fs.existsSync(fullPath)) {
-        const imageBuffer = fs.readFileSync(fullPath);
-        const base64Image = imageBuffer.toString('base64');
-        
-        // Get file extension for proper MIME type
-        const ext = path.extname(fullPath).toLowerCase();
-        let mimeType = 'image/jpeg'; // Default
-        
-        if (ext === '.png') mimeType = 'image/png';
-        else if (ext === '.gif') mimeType = 'image/gif';
-        else if (ext === '.webp') mimeType = 'image/webp';
-        
-        return `data:${mimeType};base64,${base64Image}`;
-      }
-      
-      console.error(`Image file not found: ${fullPath}`);
-      return null;
-    } catch (error) {
-      console.error(`Error converting image to base64: ${error.message}`);
-      return null;
-    }
+    return convertImageToBase64(imagePath);
   }
   
   /**
@@ -73,9 +45,13 @@ class MongoReportRepository extends ReportRepository {
       // If image is already an object with url property
       if (image && typeof image === 'object' && image.url) {
         const base64Url = this._convertImageToBase64(image.url);
+        // Where a photo was taken can give away where the citizen lives, so it is only used for the location check
+        const { gps, variants, ...imageData } = image;
         return {
-          ...image,
-          url: base64Url || image.url // Fall back to original URL if conversion fails
+          ...imageData,
+          url: base64Url || image.url, // Fall back to original URL if conversion fails
+          thumbnailUrl: toPublicUploadUrl(variants?.thumbnail?.path),
+          mediumUrl: toPublicUploadUrl(variants?.medium?.path)
         };
       }
       
@@ -191,6 +167,14 @@ class MongoReportRepository extends ReportRepository {
       hasAiAnalysis: !!aiAnalysis && Object.keys(aiAnalysis).length > 0
     });
     
+    // Normalize duplicate-tracking references to strings
+    const toIdString = (value) => (value ? value.toString() : null);
+    const reporters = (processedReport.reporters || []).map(reporter => ({
+      userId: toIdString(reporter.userId && (reporter.userId._id || reporter.userId)),
+      reportId: toIdString(reporter.reportId),
+      reportedAt: reporter.reportedAt
+    }));
+    
     return new Report({
       id: idString,
       title: processedReport.title,
@@ -203,7 +187,46 @@ class MongoReportRepository extends ReportRepository {
       userId: userIdString,
       adminId: adminIdString,
       aiAnalysis: aiAnalysis,
+      categorySuggestion: processedReport.categorySuggestion?.category ? {
+        ...processedReport.categorySuggestion,
+        reviewedBy: toIdString(processedReport.categorySuggestion.reviewedBy)
+      } : null,
+      moderation: processedReport.moderation ? {
+        ...processedReport.moderation,
+        reviewedBy: toIdString(processedReport.moderation.reviewedBy)
+      } : null,
+      locationCheck: processedReport.locationCheck?.status ? processedReport.locationCheck : null,
+      language: processedReport.language,
+      summary: processedReport.summary,
       statusHistory: processedReport.statusHistory || [],
+      mergedInto: toIdString(processedReport.mergedInto),
+      possibleDuplicates: (processedReport.possibleDuplicates || []).map(toIdString),
+      reporters,
+      endorsementCount: processedReport.endorsementCount,
+      assignment: processedReport.assignment ? {
+        assignedTo: toIdString(processedReport.assignment.assignedTo),
+        team: processedReport.assignment.team || null,
+        assignedBy: toIdString(processedReport.assignment.assignedBy),
+        assignedAt: processedReport.assignment.assignedAt,
+        firstAssignedAt: processedReport.assignment.firstAssignedAt
+      } : null,
+      sla: processedReport.sla,
+      resolutions: (processedReport.resolutions || []).map(resolution => ({
+        images: (resolution.images || []).map(image => ({
+          ...image,
+          url: this._convertImageToBase64(image.url) || image.url
+        })),
+        resolvedBy: toIdString(resolution.resolvedBy),
+        resolvedAt: resolution.resolvedAt,
+        note: resolution.note || '',
+        verification: {
+          status: resolution.verification?.status || 'pending',
+          respondedBy: toIdString(resolution.verification?.respondedBy),
+          respondedAt: resolution.verification?.respondedAt || null,
+          comment: resolution.verification?.comment || '',
+          rating: resolution.verification?.rating || null
+        }
+      })),
       createdAt: processedReport.createdAt,
       updatedAt: processedReport.updatedAt
     });
@@ -247,11 +270,14 @@ class MongoReportRepository extends ReportRepository {
         userId: userId,
         adminId: adminId,
         aiAnalysis: report.aiAnalysis || {},
+        moderation: report.moderation || { status: 'clear' },
+        language: report.language || null,
         statusHistory: report.statusHistory || [{
           status: report.status || 'pending',
           timestamp: new Date(),
           note: 'Report created'
-        }]
+        }],
+        possibleDuplicates: report.possibleDuplicates || []
       });
 
       const savedReport = await dbReport.save();
@@ -413,9 +439,13 @@ class MongoReportRepository extends ReportRepository {
    * @param {string} status - New status
    * @param {string} adminId - Admin ID making the update
    * @param {string} note - Optional note about the update
+   * @param {Object} options - Optional settings
+   * @param {Array<string>} options.resolutionImages - Paths of "after" photos when resolving
    * @returns {Promise<Report>} Updated report
    */
-  async updateStatus(id, status, adminId, note = '') {
+  async updateStatus(id, status, adminId, note = '', options = {}) {
+    const { resolutionImages = [] } = options;
+    
     try {
       console.log(`Repository: Updating report with ID ${id} to status ${status} by admin ${adminId}`);
       
@@ -487,9 +517,17 @@ class MongoReportRepository extends ReportRepository {
       
       console.log(`Found report with ID ${report._id}, original status: ${report.status}`);
       
+      // Guard against illegal transitions even if the caller did not check
+      if (!Report.isValidTransition(report.status, status)) {
+        throw new Error(`Cannot change report status from ${report.status} to ${status}`);
+      }
+      
       // Update report fields
       report.status = status;
-      report.adminId = normalizedAdminId;
+      // Reopening is done by the reporter; keep the admin who handled the report
+      if (status !== 'reopened') {
+        report.adminId = normalizedAdminId;
+      }
       report.updatedAt = new Date();
       
       // Add status update to history
@@ -499,11 +537,33 @@ class MongoReportRepository extends ReportRepository {
       
       report.statusHistory.push({
         status,
-        changedBy: normalizedAdminId,
-        changedAt: new Date(),
+        adminId: normalizedAdminId,
+        timestamp: new Date(),
         note: note || undefined
       });
       
+      // Reopening a resolution the reporter has not verified yet disputes it
+      const currentResolution = report.resolutions[report.resolutions.length - 1];
+      if (status === 'reopened' && currentResolution?.verification?.status === 'pending') {
+        currentResolution.verification = {
+          status: 'disputed',
+          respondedBy: normalizedAdminId,
+          respondedAt: new Date(),
+          comment: note || undefined
+        };
+      }
+      
+      // Each resolution waits for the reporter to confirm or dispute it
+      if (status === 'resolved') {
+        report.resolutions.push({
+          images: resolutionImages.map(url => ({ url, uploadedAt: new Date() })),
+          resolvedBy: normalizedAdminId,
+          resolvedAt: new Date(),
+          note: note || undefined,
+          verification: { status: 'pending' }
+        });
+      }
+      
       // Save the report
       const updatedReport = await report.save();
       console.log(`Successfully updated report status. Report ID: ${updatedReport._id}, new status: ${updatedReport.status}`);
@@ -516,17 +576,65 @@ class MongoReportRepository extends ReportRepository {
     }
   }
 
+  /**
+   * Record the reporter's verdict on the current resolution of a report
+   * A disputed resolution reopens the report so it goes back into the admin queue
+   * @param {string} id - Report ID
+   * @param {Object} verification - Verification details
+   * @param {string} verification.decision - 'confirmed' or 'disputed'
+   * @param {string} verification.userId - ID of the reporter
+   * @param {string} verification.comment - Optional comment (the dispute reason)
+   * @param {number} verification.rating - Optional satisfaction rating (1-5)
+   * @returns {Promise<Report>} Updated report
+   */
+  async recordResolutionVerification(id, { decision, userId, comment = '', rating = null }) {
+    const report = await ReportModel.findById(id);
+    
+    if (!report) {
+      throw new Error('Report not found');
+    }
+    
+    const resolution = report.resolutions[report.resolutions.length - 1];
+    
+    if (report.status !== 'resolved' || !resolution || resolution.verification?.status !== 'pending') {
+      throw new Error('Report has no resolution awaiting verification');
+    }
+    
+    const respondedAt = new Date();
+    
+    resolution.verification = {
+      status: decision,
+      respondedBy: userId,
+      respondedAt,
+      comment: comment || undefined,
+      rating: rating || undefined
+    };
+    
+    if (decision === 'disputed') {
+      report.status = 'reopened';
+      report.statusHistory.push({
+        status: 'reopened',
+        adminId: userId,
+        timestamp: respondedAt,
+        note: `Resolution disputed by reporter: ${comment}`
+      });
+    }
+    
+    const updatedReport = await report.save();
+    
+    return this._mapToDomainEntity(updatedReport);
+  }
+
   /**
    * Add images to a report
    * @param {string} id - Report ID
    * @param {Array<string>} imageUrls - Image URLs to add
    * @returns {Promise<Report>} Updated report
    */
-  async addImages(id, imageUrls) {
-    const imagesToAdd = imageUrls.map(url => ({
-      url,
-      uploadedAt: new Date()
-    }));
+  async addImages(id, images) {
+    const imagesToAdd = images.map(image => (typeof image === 'string'
+      ? { url: image, uploadedAt: new Date() }
+      : { ...image, uploadedAt: new Date() }));
 
     const updatedReport = await ReportModel.findByIdAndUpdate(
       id,
@@ -540,15 +648,130 @@ class MongoReportRepository extends ReportRepository {
     return this._mapToDomainEntity(updatedReport);
   }
 
+  /**
+   * Get the stored paths of a report's images
+   * @param {string} id - Report ID
+   * @returns {Promise<Array<string>|null>} Image paths, or null if the report does not exist
+   */
+  async findImagePaths(id) {
+    const report = await ReportModel.findById(id).select('images').lean();
+    
+    return report ? (report.images || []).map(image => image.url) : null;
+  }
+
+  /**
+   * Get the stored metadata of a report's images, including their EXIF GPS position
+   * @param {string} id - Report ID
+   * @returns {Promise<Array<Object>|null>} Images (url, hash, width, height, capturedAt, gps), or null if the report does not exist
+   */
+  async findImageMetadata(id) {
+    const report = await ReportModel.findById(id).select('images').lean();
+
+    return report
+      ? (report.images || []).map(({ url, hash, width, height, capturedAt, gps }) => ({ url, hash, width, height, capturedAt, gps }))
+      : null;
+  }
+
+  /**
+   * List reports whose photos were taken away from the reported location, furthest first
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<{reports: Report[], total: number, page: number, limit: number}>} Paginated reports
+   */
+  async findLocationMismatches(options = { page: 1, limit: 20 }) {
+    const { page, limit } = options;
+    const skip = (page - 1) * limit;
+    const query = { 'locationCheck.status': 'mismatch', status: { $nin: ['merged', 'removed'] } };
+
+    const [reports, total] = await Promise.all([
+      ReportModel.find(query)
+        .sort({ 'locationCheck.distanceKm': -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('userId', 'firstName lastName email'),
+      ReportModel.countDocuments(query)
+    ]);
+
+    return {
+      reports: reports.map(report => this._mapToDomainEntity(report)),
+      total,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * Count the reports a citizen submitted within a period
+   * @param {string} userId - User ID
+   * @param {Date} from - Start of the period
+   * @param {Date} to - End of the period, included
+   * @returns {Promise<number>} Number of reports
+   */
+  async countByUserBetween(userId, from, to) {
+    return ReportModel.countDocuments({ userId, createdAt: { $gte: from, $lte: to } });
+  }
+
+  /**
+   * Find the images of other reports with the same content hash
+   * @param {Array<string>} hashes - Image hashes
+   * @param {string} excludeId - Report whose own images are left out
+   * @returns {Promise<Array<Object>>} Matches (hash, reportId, userId)
+   */
+  async findByImageHashes(hashes, excludeId) {
+    if (hashes.length === 0) {
+      return [];
+    }
+
+    const reports = await ReportModel.find({ _id: { $ne: excludeId }, 'images.hash': { $in: hashes } })
+      .select('userId images.hash')
+      .lean();
+
+    return reports.flatMap(report => report.images
+      .filter(image => hashes.includes(image.hash))
+      .map(image => ({
+        hash: image.hash,
+        reportId: report._id.toString(),
+        userId: report.userId ? report.userId.toString() : null
+      })));
+  }
+
+  /**
+   * Get the title and description of a citizen's recent reports, newest first
+   * @param {string} userId - User ID
+   * @param {Date} since - Start of the period
+   * @param {Object} options - Most reports to return (limit) and a report to leave out (excludeId)
+   * @returns {Promise<Array<Object>>} Reports (id, title, description)
+   */
+  async findRecentTextsByUser(userId, since, options = { limit: 50 }) {
+    const query = { userId, createdAt: { $gte: since } };
+
+    if (options.excludeId) {
+      query._id = { $ne: options.excludeId };
+    }
+
+    const reports = await ReportModel.find(query)
+      .sort({ createdAt: -1 })
+      .limit(options.limit || 50)
+      .select('title description')
+      .lean();
+
+    return reports.map(report => ({
+      id: report._id.toString(),
+      title: report.title,
+      description: report.description
+    }));
+  }
+
   /**
    * Get reports by location
    * @param {Object} coordinates - Location coordinates (lat, lng)
    * @param {number} radius - Search radius in kilometers
-   * @param {Object} options - Pagination options
+   * @param {Object} options - Pagination options and optional filter
+   * @param {Object} options.filter - Optional filter (category, status, createdAfter, excludeId); status is one
+   *   status or a list of them, and reports of every status are returned without it
    * @returns {Promise<{reports: Report[], total: number}>} Found reports
    */
   async findByLocation(coordinates, radius, options = { page: 1, limit: 10 }) {
-    const { page, limit } = options;
+    const { page, limit, filter = {} } = options;
     const skip = (page - 1) * limit;
 
     // Convert kilometers to radians (Earth's radius is approximately 6371 km)
@@ -559,13 +782,18 @@ class MongoReportRepository extends ReportRepository {
       'location.coordinates': {
         $geoWithin: {
           $centerSphere: [
-            [coordinates.lng, coordinates.lat],
+            toStoredPoint(coordinates),
             radiusInRadians
           ]
         }
       }
     };
 
+    if (filter.category) query.category = filter.category;
+    if (filter.createdAfter) query.createdAt = { $gte: new Date(filter.createdAfter) };
+    if (filter.excludeId) query._id = { $ne: filter.excludeId };
+    if (filter.status) query.status = Array.isArray(filter.status) ? { $in: filter.status } : filter.status;
+
     const [reports, total] = await Promise.all([
       ReportModel.find(query)
         .sort({ createdAt: -1 })
@@ -582,6 +810,617 @@ class MongoReportRepository extends ReportRepository {
     };
   }
 
+  /**
+   * Merge duplicate reports into a canonical report
+   * Images, status history, reporters and endorsements of each duplicate are
+   * folded into the canonical report, and the duplicates are marked as merged
+   * @param {string} canonicalId - ID of the report to keep
+   * @param {Array<string>} duplicateIds - IDs of the reports to merge
+   * @param {string} adminId - Admin performing the merge
+   * @param {string} note - Optional note about the merge
+   * @returns {Promise<{report: Report, mergedReports: Report[]}>} Canonical and merged reports
+   */
+  async mergeDuplicates(canonicalId, duplicateIds, adminId, note = '') {
+    const session = await mongoose.startSession();
+    
+    try {
+      session.startTransaction();
+      
+      const canonical = await ReportModel.findById(canonicalId).session(session);
+      
+      if (!canonical) {
+        throw new Error('Report not found');
+      }
+      
+      const duplicates = await ReportModel.find({ _id: { $in: duplicateIds } }).session(session);
+      const mergedAt = new Date();
+      const mergedHistory = [];
+      
+      duplicates.forEach(duplicate => {
+        // Combine evidence from the duplicate
+        duplicate.images.forEach(image => {
+          canonical.images.push({ url: image.url, uploadedAt: image.uploadedAt });
+        });
+        
+        duplicate.statusHistory.forEach(entry => {
+          mergedHistory.push({
+            status: entry.status,
+            timestamp: entry.timestamp,
+            adminId: entry.adminId,
+            note: `[Merged from report ${duplicate._id}] ${entry.note || ''}`.trim()
+          });
+        });
+        
+        // Keep track of everyone who reported the issue
+        canonical.reporters.push({
+          userId: duplicate.userId,
+          reportId: duplicate._id,
+          reportedAt: duplicate.createdAt
+        });
+        duplicate.reporters.forEach(reporter => {
+          canonical.reporters.push({
+            userId: reporter.userId,
+            reportId: reporter.reportId,
+            reportedAt: reporter.reportedAt
+          });
+        });
+        
+        // Retire the duplicate
+        duplicate.status = 'merged';
+        duplicate.mergedInto = canonical._id;
+        duplicate.adminId = adminId;
+        duplicate.possibleDuplicates = [];
+        duplicate.statusHistory.push({
+          status: 'merged',
+          timestamp: mergedAt,
+          adminId,
+          note: note ? `Merged into report ${canonical._id}: ${note}` : `Merged into report ${canonical._id}`
+        });
+      });
+      
+      const mergedIds = duplicates.map(duplicate => duplicate._id.toString());
+      
+      // Interleave the duplicates' history with the canonical history chronologically
+      const combinedHistory = [...canonical.statusHistory.map(entry => entry.toObject()), ...mergedHistory]
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      combinedHistory.push({
+        status: canonical.status,
+        timestamp: mergedAt,
+        adminId,
+        note: `Merged duplicate report(s): ${mergedIds.join(', ')}${note ? ` - ${note}` : ''}`
+      });
+      canonical.statusHistory = combinedHistory;
+      
+      canonical.possibleDuplicates = canonical.possibleDuplicates
+        .filter(id => !mergedIds.includes(id.toString()));
+      
+      // Endorsements of the duplicates move to the canonical report, one per citizen
+      const existingEndorsers = (await EndorsementModel.find({ reportId: canonical._id })
+        .session(session)
+        .select('userId'))
+        .map(endorsement => endorsement.userId.toString());
+      const duplicateEndorsements = await EndorsementModel.find({ reportId: { $in: mergedIds } })
+        .session(session);
+      const movedEndorsers = new Set(existingEndorsers);
+      
+      for (const endorsement of duplicateEndorsements) {
+        const endorserId = endorsement.userId.toString();
+        
+        if (movedEndorsers.has(endorserId) || endorserId === canonical.userId.toString()) {
+          await EndorsementModel.deleteOne({ _id: endorsement._id }, { session });
+        } else {
+          movedEndorsers.add(endorserId);
+          await EndorsementModel.updateOne(
+            { _id: endorsement._id },
+            { reportId: canonical._id },
+            { session }
+          );
+        }
+      }
+      
+      canonical.endorsementCount = movedEndorsers.size;
+      duplicates.forEach(duplicate => {
+        duplicate.endorsementCount = 0;
+      });
+      
+      const savedCanonical = await canonical.save({ session });
+      const savedDuplicates = await Promise.all(duplicates.map(duplicate => duplicate.save({ session })));
+      
+      // Reports previously merged into a duplicate now point at the canonical report
+      await ReportModel.updateMany(
+        { mergedInto: { $in: mergedIds } },
+        { mergedInto: canonical._id },
+        { session }
+      );
+      
+      await session.commitTransaction();
+      
+      return {
+        report: this._mapToDomainEntity(savedCanonical),
+        mergedReports: savedDuplicates.map(duplicate => this._mapToDomainEntity(duplicate))
+      };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Assign a report to a staff member and/or team
+   * The assignment is recorded in the report's status history
+   * @param {string} id - Report ID
+   * @param {Object} assignment - Assignment details
+   * @param {string} assignment.assigneeId - Staff member ID (optional)
+   * @param {string} assignment.team - Team name (optional)
+   * @param {string} assignment.assignedBy - ID of the admin making the assignment
+   * @param {string} assignment.note - History note describing the assignment
+   * @returns {Promise<Report>} Updated report
+   */
+  async assign(id, { assigneeId = null, team = null, assignedBy, note = '' }) {
+    const report = await ReportModel.findById(id);
+    
+    if (!report) {
+      throw new Error('Report not found');
+    }
+    
+    const assignedAt = new Date();
+    
+    report.assignment = {
+      assignedTo: assigneeId,
+      team,
+      assignedBy,
+      assignedAt,
+      firstAssignedAt: report.assignment?.firstAssignedAt || assignedAt
+    };
+    
+    report.statusHistory.push({
+      status: report.status,
+      timestamp: assignedAt,
+      adminId: assignedBy,
+      assignedTo: assigneeId || undefined,
+      team: team || undefined,
+      note
+    });
+    
+    const updatedReport = await report.save();
+    
+    return this._mapToDomainEntity(updatedReport);
+  }
+
+  /**
+   * Find reports assigned to a staff member directly or through their team
+   * @param {Object} assignee - Staff member ID (userId) and team
+   * @param {Object} options - Pagination options and optional status filter
+   * @returns {Promise<{reports: Report[], total: number, page: number, limit: number}>} Assigned reports
+   */
+  async findByAssignee({ userId, team = null }, options = { page: 1, limit: 10 }) {
+    const { page, limit, status } = options;
+    const skip = (page - 1) * limit;
+    
+    const query = {
+      $or: [{ 'assignment.assignedTo': userId }]
+    };
+    
+    if (team) {
+      query.$or.push({ 'assignment.team': team });
+    }
+    
+    // The queue holds open work unless a specific status is requested
+    query.status = status || { $in: OPEN_STATUSES };
+    
+    const [reports, total] = await Promise.all([
+      ReportModel.find(query)
+        .sort({ 'assignment.assignedAt': 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('userId', 'firstName lastName email'),
+      ReportModel.countDocuments(query)
+    ]);
+    
+    return {
+      reports: reports.map(report => this._mapToDomainEntity(report)),
+      total,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * Find open reports that missed their SLA target and are due for escalation
+   * A report is due when it has never been escalated, or when its last escalation
+   * is older than repeatBefore and it has not reached the maximum level
+   * @param {Array<Object>} cutoffs - Creation cutoffs per category and urgency (see SlaPolicy.getBreachCutoffs)
+   * @param {Object} options - Escalation options
+   * @param {Date} options.repeatBefore - Latest escalation time that allows another escalation
+   * @param {number} options.maxLevel - Maximum escalation level
+   * @param {number} options.limit - Maximum number of reports to return
+   * @returns {Promise<Array<Report>>} Overdue reports, oldest first
+   */
+  async findSlaBreaches(cutoffs, { repeatBefore, maxLevel, limit = 100 }) {
+    const breachClauses = cutoffs.map(cutoff => {
+      const clause = {
+        urgency: cutoff.urgency,
+        createdAt: { $lte: cutoff.createdBefore }
+      };
+      
+      if (cutoff.category) {
+        clause.category = cutoff.category;
+      } else if (cutoff.excludeCategories.length > 0) {
+        clause.category = { $nin: cutoff.excludeCategories };
+      }
+      
+      return clause;
+    });
+    
+    if (breachClauses.length === 0) {
+      return [];
+    }
+    
+    const query = {
+      status: { $in: OPEN_STATUSES },
+      $and: [
+        { $or: breachClauses },
+        {
+          $or: [
+            { 'sla.escalationLevel': { $in: [0, null] } },
+            {
+              'sla.lastEscalatedAt': { $lte: repeatBefore },
+              'sla.escalationLevel': { $lt: maxLevel }
+            }
+          ]
+        }
+      ]
+    };
+    
+    const reports = await ReportModel.find(query)
+      .sort({ createdAt: 1 })
+      .limit(limit);
+    
+    return reports.map(report => this._mapToDomainEntity(report));
+  }
+
+  /**
+   * Record an SLA escalation on a report
+   * Only applies if the report is still at the expected escalation level,
+   * so concurrent scheduler runs cannot escalate the same report twice
+   * @param {string} id - Report ID
+   * @param {number} expectedLevel - Escalation level the report is expected to be at
+   * @param {Object} escalation - Escalation details
+   * @param {string} escalation.urgency - New urgency (optional)
+   * @param {string} escalation.note - History note describing the escalation
+   * @param {Date} escalation.escalatedAt - Time of the escalation
+   * @returns {Promise<Report|null>} Updated report, or null if it changed in the meantime
+   */
+  async recordEscalation(id, expectedLevel, { urgency = null, note, escalatedAt = new Date() }) {
+    const report = await ReportModel.findById(id).select('status sla');
+    
+    if (!report) {
+      throw new Error('Report not found');
+    }
+    
+    const update = {
+      $set: {
+        'sla.escalationLevel': expectedLevel + 1,
+        'sla.lastEscalatedAt': escalatedAt,
+        'sla.breachedAt': report.sla?.breachedAt || escalatedAt
+      },
+      $push: {
+        statusHistory: {
+          status: report.status,
+          timestamp: escalatedAt,
+          note
+        }
+      }
+    };
+    
+    if (urgency) {
+      update.$set.urgency = urgency;
+    }
+    
+    const levelCondition = expectedLevel === 0
+      ? { 'sla.escalationLevel': { $in: [0, null] } }
+      : { 'sla.escalationLevel': expectedLevel };
+    
+    const updatedReport = await ReportModel.findOneAndUpdate(
+      { _id: id, status: report.status, ...levelCondition },
+      update,
+      { new: true }
+    );
+    
+    return updatedReport ? this._mapToDomainEntity(updatedReport) : null;
+  }
+  /**
+   * List reports with an AI category suggestion, pending ones by confidence and reviewed ones newest first
+   * @param {string} status - Suggestion status (pending, accepted, rejected)
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<{reports: Report[], total: number, page: number, limit: number}>} Paginated reports
+   */
+  async findCategorySuggestions(status, options = { page: 1, limit: 20 }) {
+    const { page, limit } = options;
+    const skip = (page - 1) * limit;
+    const query = { 'categorySuggestion.status': status };
+    const sort = status === 'pending'
+      ? { 'categorySuggestion.confidence': -1, 'categorySuggestion.suggestedAt': 1 }
+      : { 'categorySuggestion.reviewedAt': -1 };
+    
+    const [reports, total] = await Promise.all([
+      ReportModel.find(query)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate('userId', 'firstName lastName email'),
+      ReportModel.countDocuments(query)
+    ]);
+    
+    return {
+      reports: reports.map(report => this._mapToDomainEntity(report)),
+      total,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * Accept or reject a pending AI category suggestion, changing the category on accept and logging the decision
+   * @param {string} id - Report ID
+   * @param {Object} review - Review details
+   * @param {string} review.decision - accepted or rejected
+   * @param {string} review.reviewedBy - ID of the admin making the decision
+   * @param {string} review.historyNote - Status history note describing the decision
+   * @param {string} review.note - Optional reviewer note
+   * @returns {Promise<Report|null>} Updated report, or null if the suggestion is no longer pending
+   */
+  async reviewCategorySuggestion(id, { decision, reviewedBy, historyNote, note = '' }) {
+    const report = await ReportModel.findById(id).select('status categorySuggestion');
+    
+    if (!report) {
+      throw new Error('Report not found');
+    }
+    
+    const reviewedAt = new Date();
+    const update = {
+      $set: {
+        'categorySuggestion.status': decision,
+        'categorySuggestion.reviewedBy': reviewedBy,
+        'categorySuggestion.reviewedAt': reviewedAt,
+        'categorySuggestion.note': note,
+        updatedAt: reviewedAt
+      },
+      $push: {
+        statusHistory: {
+          status: report.status,
+          timestamp: reviewedAt,
+          adminId: reviewedBy,
+          note: historyNote
+        }
+      }
+    };
+    
+    if (decision === 'accepted') {
+      update.$set.category = report.categorySuggestion.category;
+    }
+    
+    // Only a suggestion that is still pending can be decided, so concurrent reviews cannot both apply
+    const updatedReport = await ReportModel.findOneAndUpdate(
+      { _id: id, 'categorySuggestion.status': 'pending', 'categorySuggestion.category': report.categorySuggestion?.category },
+      update,
+      { new: true }
+    );
+    
+    return updatedReport ? this._mapToDomainEntity(updatedReport) : null;
+  }
+
+  /**
+   * Get the share of AI category suggestions accepted by admins, per period and per suggested category
+   * @param {Object} options - Accuracy options
+   * @param {Date} options.startDate - Earliest review date (optional)
+   * @param {Date} options.endDate - Latest review date (optional)
+   * @param {string} options.timeUnit - Period length: day, week or month
+   * @returns {Promise<Object>} Overall, per-period and per-category accuracy plus the pending count
+   */
+  async getCategorySuggestionAccuracy({ startDate = null, endDate = null, timeUnit = 'week' } = {}) {
+    const periodFormats = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+    const match = { 'categorySuggestion.status': { $in: ['accepted', 'rejected'] } };
+    
+    if (startDate || endDate) {
+      match['categorySuggestion.reviewedAt'] = {};
+      if (startDate) match['categorySuggestion.reviewedAt'].$gte = new Date(startDate);
+      if (endDate) match['categorySuggestion.reviewedAt'].$lte = new Date(endDate);
+    }
+    
+    const countDecisions = {
+      reviewed: { $sum: 1 },
+      accepted: { $sum: { $cond: [{ $eq: ['$categorySuggestion.status', 'accepted'] }, 1, 0] } },
+      averageConfidence: { $avg: '$categorySuggestion.confidence' }
+    };
+    
+    const [[facets], pending] = await Promise.all([
+      ReportModel.aggregate([
+        { $match: match },
+        {
+          $facet: {
+            overall: [{ $group: { _id: null, ...countDecisions } }],
+            periods: [
+              {
+                $group: {
+                  _id: { $dateToString: { format: periodFormats[timeUnit], date: '$categorySuggestion.reviewedAt' } },
+                  ...countDecisions
+                }
+              },
+              { $sort: { _id: 1 } }
+            ],
+            categories: [
+              { $group: { _id: '$categorySuggestion.category', ...countDecisions } },
+              { $sort: { reviewed: -1 } }
+            ]
+          }
+        }
+      ]),
+      ReportModel.countDocuments({ 'categorySuggestion.status': 'pending' })
+    ]);
+    
+    // Accuracy is the share of reviewed suggestions an admin accepted
+    const withAccuracy = ({ _id, reviewed, accepted, averageConfidence }) => ({
+      reviewed,
+      accepted,
+      rejected: reviewed - accepted,
+      accuracy: reviewed > 0 ? Math.round((accepted / reviewed) * 1000) / 1000 : null,
+      averageConfidence: averageConfidence !== null ? Math.round(averageConfidence * 1000) / 1000 : null
+    });
+    
+    return {
+      overall: facets.overall.length > 0
+        ? withAccuracy(facets.overall[0])
+        : { reviewed: 0, accepted: 0, rejected: 0, accuracy: null, averageConfidence: null },
+      periods: facets.periods.map(period => ({ period: period._id, ...withAccuracy(period) })),
+      categories: facets.categories.map(category => ({ category: category._id, ...withAccuracy(category) })),
+      pending
+    };
+  }
+  /**
+   * Hold a pending report for moderation review, adding the flags raised on its content
+   * @param {string} id - Report ID
+   * @param {Array<Object>} flags - Moderation flags
+   * @param {Object} options - Hold options
+   * @param {string} options.historyNote - Status history note summarizing the flags
+   * @param {Array<string>} options.screenedImages - Image paths screened along the way
+   * @returns {Promise<Report|null>} Updated report, or null if it is no longer pending or under review
+   */
+  async holdForModeration(id, flags, { historyNote, screenedImages = [] }) {
+    const now = new Date();
+    
+    const updatedReport = await ReportModel.findOneAndUpdate(
+      { _id: id, status: { $in: ['pending', 'under_review'] } },
+      {
+        $set: {
+          status: 'under_review',
+          'moderation.status': 'pending',
+          'moderation.flaggedAt': now,
+          updatedAt: now
+        },
+        $push: {
+          'moderation.flags': { $each: flags },
+          statusHistory: { status: 'under_review', timestamp: now, note: historyNote }
+        },
+        $addToSet: { 'moderation.screenedImages': { $each: screenedImages } }
+      },
+      { new: true }
+    );
+    
+    return updatedReport ? this._mapToDomainEntity(updatedReport) : null;
+  }
+
+  /**
+   * Remember which images were screened without raising any flags
+   * @param {string} id - Report ID
+   * @param {Array<string>} imagePaths - Screened image paths
+   * @returns {Promise<void>}
+   */
+  async markImagesScreened(id, imagePaths) {
+    await ReportModel.updateOne(
+      { _id: id },
+      { $addToSet: { 'moderation.screenedImages': { $each: imagePaths } } }
+    );
+  }
+
+  /**
+   * List reports by moderation status, pending ones oldest flag first and reviewed ones newest first
+   * @param {string} status - Moderation status (pending, approved, removed)
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<{reports: Report[], total: number, page: number, limit: number}>} Paginated reports
+   */
+  async findModerationQueue(status, options = { page: 1, limit: 20 }) {
+    const { page, limit } = options;
+    const skip = (page - 1) * limit;
+    const query = { 'moderation.status': status };
+    const sort = status === 'pending' ? { 'moderation.flaggedAt': 1 } : { 'moderation.reviewedAt': -1 };
+    
+    const [reports, total] = await Promise.all([
+      ReportModel.find(query)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate('userId', 'firstName lastName email'),
+      ReportModel.countDocuments(query)
+    ]);
+    
+    return {
+      reports: reports.map(report => this._mapToDomainEntity(report)),
+      total,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * Approve or remove a report held for moderation review
+   * @param {string} id - Report ID
+   * @param {Object} decision - Decision details
+   * @param {string} decision.decision - approved (published as pending) or removed
+   * @param {string} decision.reviewedBy - ID of the admin making the decision
+   * @param {string} decision.note - Note explaining the decision
+   * @returns {Promise<Report|null>} Updated report, or null if it is no longer awaiting review
+   */
+  async recordModerationDecision(id, { decision, reviewedBy, note = '' }) {
+    const status = decision === 'approved' ? 'pending' : 'removed';
+    const now = new Date();
+    
+    const updatedReport = await ReportModel.findOneAndUpdate(
+      { _id: id, status: 'under_review', 'moderation.status': 'pending' },
+      {
+        $set: {
+          status,
+          adminId: reviewedBy,
+          'moderation.status': decision,
+          'moderation.reviewedBy': reviewedBy,
+          'moderation.reviewedAt': now,
+          'moderation.note': note,
+          updatedAt: now
+        },
+        $push: {
+          statusHistory: {
+            status,
+            timestamp: now,
+            adminId: reviewedBy,
+            note: note || (decision === 'approved' ? 'Approved by moderator' : 'Removed by moderator')
+          }
+        }
+      },
+      { new: true }
+    );
+    
+    return updatedReport ? this._mapToDomainEntity(updatedReport) : null;
+  }
+
+  /**
+   * Add AI provider attempts to a report's audit log, keeping only the newest entries
+   * @param {string} id - Report ID
+   * @param {Array<Object>} entries - Attempts (operation, provider, image, attempt, outcome, error, rawResponse, latencyMs, at)
+   * @param {number} limit - Most entries to keep
+   * @returns {Promise<void>}
+   */
+  async appendAIAudit(id, entries, limit) {
+    await ReportModel.updateOne(
+      { _id: id },
+      { $push: { aiAudit: { $each: entries, $slice: -limit } } }
+    );
+  }
+
+  /**
+   * Get a report's AI audit log, newest entry first
+   * @param {string} id - Report ID
+   * @returns {Promise<Array<Object>|null>} Audit entries, or null if the report does not exist
+   */
+  async findAIAudit(id) {
+    const report = await ReportModel.findById(id).select('+aiAudit').lean();
+
+    return report ? [...(report.aiAudit || [])].reverse() : null;
+  }
+
+
+
   /**
    * Get reports statistics
    * @param {Object} filter - Filter criteria
@@ -644,8 +1483,7 @@ class MongoReportRepository extends ReportRepository {
     });
 
     // Ensure all statuses are represented
-    const allStatuses = ['pending', 'in-progress', 'resolved', 'rejected'];
-    allStatuses.forEach(status => {
+    REPORT_STATUSES.forEach(status => {
       if (!result[status]) result[status] = 0;
     });
 
@@ -744,8 +1582,8 @@ class MongoReportRepository extends ReportRepository {
     resolvedReports.forEach(report => {
       const creationDate = new Date(report.createdAt);
       
-      // Find when the report was marked as resolved
-      const resolutionEvent = report.statusHistory.find(
+      // Find when the report was last marked as resolved (it may have been reopened)
+      const resolutionEvent = [...report.statusHistory].reverse().find(
         event => event.status === 'resolved'
       );
       
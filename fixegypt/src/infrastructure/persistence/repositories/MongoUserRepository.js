@@ -29,8 +29,10 @@ class MongoUserRepository extends UserRepository {
       city: userObject.city,
       governorate: userObject.governorate,
       role: userObject.role,
+      team: userObject.team || null,
       isVerified: userObject.isVerified,
       points: userObject.points || 0,
+      notificationPreferences: userObject.notificationPreferences,
       createdAt: userObject.createdAt,
       updatedAt: userObject.updatedAt
     });
@@ -154,6 +156,17 @@ class MongoUserRepository extends UserRepository {
     };
   }
 
+  /**
+   * Find all users with one of the given roles
+   * @param {Array<string>} roles - Roles to match
+   * @returns {Promise<Array<User>>} Matching users
+   */
+  async findByRoles(roles) {
+    const users = await UserModel.find({ role: { $in: roles } }).sort({ createdAt: 1 });
+    
+    return users.map(user => this._mapToDomainEntity(user));
+  }
+
   /**
    * Verify a user
    * @param {string} id - User ID
@@ -176,7 +189,7 @@ class MongoUserRepository extends UserRepository {
    * @returns {Promise<User>} Updated user
    */
   async changeRole(id, role) {
-    if (!['citizen', 'admin'].includes(role)) {
+    if (!['citizen', 'admin', 'manager', 'analyst', 'field_worker'].includes(role)) {
       throw new Error('Invalid role');
     }
     
@@ -0,0 +1,201 @@
+import adminConfig from '../config/adminConfig.js';
+import config from '../../config.js';
+import logger from '../web/middlewares/logger.js';
+
+// Roles that receive every event of a topic; other users only receive events about their own records
+const TOPIC_ROLES = {
+  reports: adminConfig.permissions.reports.view,
+  redemptions: adminConfig.permissions.redemptions.view
+};
+
+const TOPICS = Object.keys(TOPIC_ROLES);
+
+/**
+ * Pushes report and redemption events to connected clients over Server-Sent Events
+ */
+class RealtimeHub {
+  /**
+   * @param {Object} options - Hub options
+   * @param {Object} options.topicRoles - Roles that receive all events, per topic
+   * @param {number} options.heartbeatSeconds - Seconds between keep-alive comments
+   * @param {number} options.maxConnectionsPerUser - Open streams allowed per user
+   */
+  constructor({ topicRoles, heartbeatSeconds, maxConnectionsPerUser }) {
+    this.topicRoles = topicRoles;
+    this.heartbeatMs = heartbeatSeconds * 1000;
+    this.maxConnectionsPerUser = maxConnectionsPerUser;
+    this.clients = new Set();
+    this.nextEventId = 1;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Check if a user may open another stream
+   * @param {string} userId - User ID
+   * @returns {boolean} Whether the user is below the connection limit
+   */
+  canConnect(userId) {
+    const open = [...this.clients].filter(client => client.userId === userId).length;
+    return open < this.maxConnectionsPerUser;
+  }
+
+  /**
+   * Start an event stream on a response
+   * @param {Object} res - Express response object
+   * @param {Object} user - Authenticated user from the token
+   * @param {Array<string>} topics - Topics to subscribe to
+   * @returns {Function} Call to close the stream
+   */
+  subscribe(res, user, topics) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps the compression middleware from buffering the stream
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const client = { res, userId: user.id.toString(), role: user.role, topics };
+    this.clients.add(client);
+    this._startHeartbeat();
+
+    res.write('retry: 5000\n\n');
+    this._send(client, 'connected', { topics });
+
+    logger.debug(`Event stream opened for user ${client.userId} (${topics.join(', ')}), ${this.clients.size} open`);
+
+    return () => {
+      if (!this.clients.delete(client)) {
+        return;
+      }
+
+      if (this.clients.size === 0) {
+        this._stopHeartbeat();
+      }
+
+      logger.debug(`Event stream closed for user ${client.userId}, ${this.clients.size} open`);
+    };
+  }
+
+  /**
+   * Publish an event to the subscribers of a topic that may see it
+   * @param {string} topic - Topic name
+   * @param {string} event - Event name, e.g. 'report.created'
+   * @param {Object} data - Event payload
+   * @param {Array<string>} userIds - Users the event is about, who receive it regardless of role
+   * @returns {number} Number of clients the event was sent to
+   */
+  publish(topic, event, data, userIds = []) {
+    const roles = this.topicRoles[topic] || [];
+    const owners = new Set(userIds.filter(Boolean).map(userId => userId.toString()));
+    let delivered = 0;
+
+    for (const client of this.clients) {
+      if (client.topics.includes(topic) && (roles.includes(client.role) || owners.has(client.userId))) {
+        this._send(client, event, data);
+        delivered++;
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Publish a report event to staff and to the report's reporters and assignee
+   * @param {string} event - Event name, e.g. 'report.status_changed'
+   * @param {Report} report - The report
+   * @returns {number} Number of clients the event was sent to
+   */
+  reportEvent(event, report) {
+    return this.publish('reports', event, {
+      ...report.getSummary(),
+      coordinates: report.location.coordinates,
+      aiAnalysis: report.aiAnalysis,
+      assignedTo: report.assignment?.assignedTo?.toString() || null,
+      updatedAt: report.updatedAt
+    }, [...report.getReporterIds(), report.assignment?.assignedTo]);
+  }
+
+  /**
+   * Publish a redemption event to staff and to the user who redeemed
+   * @param {string} event - Event name, e.g. 'redemption.updated'
+   * @param {Object} redemption - The redemption
+   * @returns {number} Number of clients the event was sent to
+   */
+  redemptionEvent(event, redemption) {
+    const userId = (redemption.userId?._id || redemption.userId).toString();
+
+    return this.publish('redemptions', event, {
+      id: (redemption.id || redemption._id).toString(),
+      userId,
+      productId: (redemption.productId?._id || redemption.productId).toString(),
+      pointsCost: redemption.pointsCost,
+      status: redemption.status,
+      updatedAt: redemption.updatedAt
+    }, [userId]);
+  }
+
+  /**
+   * End all open streams, e.g. before the server shuts down
+   */
+  closeAll() {
+    for (const client of this.clients) {
+      client.res.end();
+    }
+
+    this.clients.clear();
+    this._stopHeartbeat();
+  }
+
+  /**
+   * Write an event to a client; a failed write drops the client
+   * @param {Object} client - Connected client
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   * @private
+   */
+  _send(client, event, data) {
+    try {
+      client.res.write(`id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    } catch (error) {
+      logger.warn(`Dropping event stream for user ${client.userId}: ${error.message}`);
+      this.clients.delete(client);
+    }
+  }
+
+  /**
+   * Start sending keep-alive comments to the open streams
+   * @private
+   */
+  _startHeartbeat() {
+    if (this.heartbeat) {
+      return;
+    }
+
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': ping\n\n');
+      }
+    }, this.heartbeatMs);
+    // Do not keep the process alive just for the heartbeat
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Stop the keep-alive comments once no stream is open
+   * @private
+   */
+  _stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+}
+
+export { RealtimeHub, TOPICS };
+export default new RealtimeHub({
+  topicRoles: TOPIC_ROLES,
+  heartbeatSeconds: config.realtime.heartbeatSeconds,
+  maxConnectionsPerUser: config.realtime.maxConnectionsPerUser
+}); 
\ No newline at end of file
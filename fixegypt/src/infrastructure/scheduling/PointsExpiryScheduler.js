@@ -0,0 +1,78 @@
+import MongoPointsRepository from '../persistence/repositories/MongoPointsRepository.js';
+import ExpirePointsUseCase from '../../application/use-cases/points/ExpirePointsUseCase.js';
+import pointsExpiryPolicy from '../../domain/services/PointsExpiryPolicy.js';
+import notificationDispatcher from '../notifications/NotificationDispatcher.js';
+import config from '../../config.js';
+import logger from '../web/middlewares/logger.js';
+
+/**
+ * Background scheduler that periodically expires old points and warns citizens before their points expire
+ */
+class PointsExpiryScheduler {
+  constructor() {
+    this.intervalMs = config.points.expiryCheckIntervalHours * 60 * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+
+    this.expirePointsUseCase = new ExpirePointsUseCase(
+      new MongoPointsRepository(),
+      notificationDispatcher,
+      pointsExpiryPolicy
+    );
+  }
+
+  /**
+   * Start checking for expiring points on a fixed interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    // Do not keep the process alive just for the scheduler
+    this.timer.unref();
+
+    logger.info(`Points expiry scheduler started (every ${config.points.expiryCheckIntervalHours} hours)`);
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Points expiry scheduler stopped');
+    }
+  }
+
+  /**
+   * Run a single expiry check; skipped if the previous run is still in progress
+   * @returns {Promise<Object|null>} Run summary, or null if skipped or failed
+   */
+  async runOnce() {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+
+    try {
+      const summary = await this.expirePointsUseCase.execute();
+
+      if (summary.pointsExpired > 0 || summary.warned > 0) {
+        logger.info(`Points expiry check expired ${summary.pointsExpired} point(s) for ${summary.expiredUsers} user(s) and warned ${summary.warned} user(s)`);
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error(`Points expiry check failed: ${error.message}`);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+export default new PointsExpiryScheduler(); 
\ No newline at end of file
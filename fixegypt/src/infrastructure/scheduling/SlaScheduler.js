@@ -0,0 +1,86 @@
+import MongoReportRepository from '../persistence/repositories/MongoReportRepository.js';
+import MongoUserRepository from '../persistence/repositories/MongoUserRepository.js';
+import EscalateOverdueReportsUseCase from '../../application/use-cases/report/EscalateOverdueReportsUseCase.js';
+import slaPolicy from '../../domain/services/SlaPolicy.js';
+import emailService from '../email/EmailService.js';
+import adminConfig from '../config/adminConfig.js';
+import config from '../../config.js';
+import logger from '../web/middlewares/logger.js';
+
+/**
+ * Background scheduler that periodically escalates reports past their SLA target
+ */
+class SlaScheduler {
+  constructor() {
+    this.intervalMs = config.sla.checkIntervalMinutes * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+
+    this.escalateOverdueReportsUseCase = new EscalateOverdueReportsUseCase(
+      new MongoReportRepository(),
+      new MongoUserRepository(),
+      emailService,
+      slaPolicy,
+      {
+        repeatHours: config.sla.escalationRepeatHours,
+        maxLevel: config.sla.maxEscalationLevel,
+        supervisorRoles: adminConfig.permissions.reports.escalation
+      }
+    );
+  }
+
+  /**
+   * Start checking for SLA breaches on a fixed interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    // Do not keep the process alive just for the scheduler
+    this.timer.unref();
+
+    logger.info(`SLA scheduler started (every ${config.sla.checkIntervalMinutes} minutes)`);
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('SLA scheduler stopped');
+    }
+  }
+
+  /**
+   * Run a single SLA check; skipped if the previous run is still in progress
+   * @returns {Promise<Object|null>} Run summary, or null if skipped or failed
+   */
+  async runOnce() {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+
+    try {
+      const summary = await this.escalateOverdueReportsUseCase.execute();
+
+      if (summary.escalated > 0) {
+        logger.info(`SLA check escalated ${summary.escalated} report(s) (${summary.urgencyRaised} urgency raised, ${summary.notified} notification(s) sent)`);
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error(`SLA check failed: ${error.message}`);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+export default new SlaScheduler(); 
\ No newline at end of file
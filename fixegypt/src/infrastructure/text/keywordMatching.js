@@ -0,0 +1,65 @@
+// Arabic prefixes (conjunctions, prepositions and the definite article) stripped before matching
+const ARABIC_PREFIXES = ['وال', 'بال', 'فال', 'كال', 'لل', 'ال', 'و', 'ب', 'ف', 'ل'];
+
+/**
+ * Normalize text for keyword matching: lower case, no Arabic diacritics or tatweel,
+ * and one spelling for letters Egyptian Arabic writes interchangeably
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+const normalize = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[\u064B-\u0652\u0670\u0640]/g, '')
+  .replace(/[أإآٱ]/g, 'ا')
+  .replace(/ة/g, 'ه')
+  .replace(/ى/g, 'ي')
+  .replace(/ؤ/g, 'و')
+  .replace(/ئ/g, 'ي');
+
+/**
+ * Split a keyword into normalized words; a trailing * makes the last word a prefix match
+ * @param {string} keyword - Keyword or phrase
+ * @returns {Object} { keyword, words, prefix }
+ */
+const compileKeyword = (keyword) => ({
+  keyword: keyword.replace(/\*$/, ''),
+  words: normalize(keyword.replace(/\*$/, '')).split(/\s+/),
+  prefix: keyword.endsWith('*')
+});
+
+/**
+ * Compile keyword lists grouped by key, e.g. by category
+ * @param {Object<string, Array<string>>} lists - Keywords per key
+ * @returns {Object<string, Array<Object>>} Compiled keywords per key
+ */
+const compileKeywords = (lists) => Object.fromEntries(
+  Object.entries(lists).map(([key, keywords]) => [key, keywords.map(compileKeyword)])
+);
+
+/**
+ * Split normalized text into words, each with its forms without Arabic prefixes
+ * @param {string} text - Text to split
+ * @returns {Array<Array<string>>} Forms of each word
+ */
+const tokenize = (text) => (normalize(text).match(/[\p{L}\p{N}]+/gu) || []).map(word => [
+  word,
+  ...ARABIC_PREFIXES
+    .filter(prefix => word.startsWith(prefix) && word.length - prefix.length >= 2)
+    .map(prefix => word.slice(prefix.length))
+]);
+
+/**
+ * Find the keywords that occur in the text
+ * @param {Array<Array<string>>} tokens - Tokenized text
+ * @param {Array<Object>} keywords - Compiled keywords
+ * @returns {Array<string>} Matched keywords
+ */
+const findMatches = (tokens, keywords) => keywords
+  .filter(({ words, prefix }) => tokens.some((_, start) => words.every((word, i) => {
+    const forms = tokens[start + i];
+    const isLast = i === words.length - 1;
+    return forms && forms.some(form => (prefix && isLast ? form.startsWith(word) : form === word));
+  })))
+  .map(({ keyword }) => keyword);
+
+export { normalize, compileKeywords, tokenize, findMatches }; 
\ No newline at end of file
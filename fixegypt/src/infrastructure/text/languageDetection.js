@@ -0,0 +1,37 @@
+// Share of letters in one script above which text counts as written in that script
+const DOMINANT_SCRIPT_SHARE = 0.8;
+
+// Franco-Arabic writes Arabic sounds without a Latin letter as digits, e.g. 3 for ع, 7 for ح and 2 for ء
+const ARABIZI_WORD = /^(?=.*\p{Script=Latin})(?=.*[235789])[\p{Script=Latin}235789]+$/u;
+
+/**
+ * Detect the language of report text
+ * Arabic script is taken as Arabic; Latin script with several words that mix letters and the digits used
+ * for Arabic sounds (e.g. "el share3 feh 7ofra") is Franco-Arabic
+ * @param {string} text - Text to inspect
+ * @returns {string|null} 'ar', 'ar-Latn' (Franco-Arabic), 'en', 'mixed', or null if there are no letters
+ */
+const detectLanguage = (text) => {
+  const arabicLetters = (text || '').match(/\p{Script=Arabic}/gu)?.length || 0;
+  const latinLetters = (text || '').match(/\p{Script=Latin}/gu)?.length || 0;
+  const letters = arabicLetters + latinLetters;
+
+  if (letters === 0) {
+    return null;
+  }
+
+  if (arabicLetters / letters >= DOMINANT_SCRIPT_SHARE) {
+    return 'ar';
+  }
+
+  if (latinLetters / letters < DOMINANT_SCRIPT_SHARE) {
+    return 'mixed';
+  }
+
+  const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+  const arabiziWords = words.filter(word => ARABIZI_WORD.test(word)).length;
+
+  return arabiziWords >= Math.min(2, words.length) ? 'ar-Latn' : 'en';
+};
+
+export { detectLanguage }; 
\ No newline at end of file
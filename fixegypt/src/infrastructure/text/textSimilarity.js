@@ -0,0 +1,29 @@
+import { normalize } from './keywordMatching.js';
+
+/**
+ * Get the distinct words of a text, normalized the same way as keyword matching
+ * Single letters are left out, so short connectives do not make unrelated texts look alike
+ * @param {string} text - Text to split
+ * @returns {Set<string>} Words
+ */
+const toWordSet = (text) => new Set((normalize(text).match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length > 1));
+
+/**
+ * Measure how much two texts overlap, as the share of their distinct words they have in common
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity from 0 (no shared words) to 1 (same words)
+ */
+const textSimilarity = (a, b) => {
+  const wordsA = toWordSet(a);
+  const wordsB = toWordSet(b);
+
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+export { textSimilarity }; 
\ No newline at end of file
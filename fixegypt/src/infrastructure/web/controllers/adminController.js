@@ -6,13 +6,25 @@ import ReportModel from '../../persistence/models/ReportModel.js';
 import config from '../../../config.js';
 import adminConfig from '../../config/adminConfig.js';
 import { ApiError } from '../middlewares/errorHandler.js';
+import { getUploadedFilePaths } from '../middlewares/uploadMiddleware.js';
 import logger from '../middlewares/logger.js';
 import analyticsService from '../../analytics/AnalyticsService.js';
-import emailService from '../../email/EmailService.js';
+import notificationDispatcher from '../../notifications/NotificationDispatcher.js';
+import realtimeHub from '../../realtime/RealtimeHub.js';
+import jobQueue from '../../jobs/JobQueue.js';
 import MongoUserRepository from '../../persistence/repositories/MongoUserRepository.js';
+import MongoReportRepository from '../../persistence/repositories/MongoReportRepository.js';
+import MergeDuplicateReportsUseCase from '../../../application/use-cases/report/MergeDuplicateReportsUseCase.js';
+import UpdateReportStatusUseCase from '../../../application/use-cases/report/UpdateReportStatusUseCase.js';
+import { OPEN_STATUSES } from '../../../domain/entities/Report.js';
 
 // Create instance of user repository
 const userRepository = new MongoUserRepository();
+const reportRepository = new MongoReportRepository();
+const mergeDuplicateReportsUseCase = new MergeDuplicateReportsUseCase(reportRepository);
+const updateReportStatusUseCase = new UpdateReportStatusUseCase(reportRepository, {
+  requireResolutionPhotos: config.reports.requireResolutionPhotos
+});
 
 /**
  * Admin controller for managing admin-specific operations
@@ -28,10 +40,10 @@ class AdminController {
     try {
       const { email, password } = req.body;
 
-      // Check if an admin exists in the database
+      // Check if a staff member with dashboard access exists in the database
       let admin = await UserModel.findOne({ 
         email: email.toLowerCase(),
-        role: 'admin'
+        role: { $in: adminConfig.permissions.reports.dashboard }
       });
 
       // If no admin in database, use default admin credentials
@@ -210,10 +222,10 @@ class AdminController {
   async updateUserRole(req, res, next) {
     try {
       const { userId } = req.params;
-      const { role } = req.body;
+      const { role, team } = req.body;
 
       // Validate role
-      const validRoles = ['citizen', 'admin', 'manager', 'analyst'];
+      const validRoles = ['citizen', 'admin', 'manager', 'analyst', 'field_worker'];
       if (!validRoles.includes(role)) {
         throw new ApiError(400, 'Invalid role. Valid roles are: ' + validRoles.join(', '));
       }
@@ -227,11 +239,14 @@ class AdminController {
         throw new ApiError(404, 'User not found');
       }
 
-      // Update role
+      // Update role, and the field team when provided
       user.role = role;
+      if (team !== undefined) {
+        user.team = team || null;
+      }
       await user.save();
 
-      logger.info(`User role updated: ${userId} to ${role} by admin ${req.user.id}`);
+      logger.info(`User role updated: ${userId} to ${role}${user.team ? ` (team ${user.team})` : ''} by admin ${req.user.id}`);
 
       res.status(200).json({
         status: 'success',
@@ -241,7 +256,8 @@ class AdminController {
           firstName: user.firstName,
           lastName: user.lastName,
           email: user.email,
-          role: user.role
+          role: user.role,
+          team: user.team
         }
       });
     } catch (error) {
@@ -402,15 +418,23 @@ class AdminController {
       const limit = parseInt(req.query.limit, 10) || 10;
       const skip = (page - 1) * limit;
 
+      // Most endorsed reports first when sorting by community impact
+      const sort = req.query.sort === 'impact'
+        ? { endorsementCount: -1, createdAt: -1 }
+        : { createdAt: -1 };
+
+      // Reopened reports (including disputed resolutions) need review again
+      const queueFilter = { status: { $in: ['pending', 'reopened'] } };
+
       // Get pending reports
-      const pendingReports = await ReportModel.find({ status: 'pending' })
+      const pendingReports = await ReportModel.find(queueFilter)
         .populate('userId', 'firstName lastName email')
-        .sort({ createdAt: -1 })
+        .sort(sort)
         .skip(skip)
         .limit(limit);
 
       // Get total count for pagination
-      const total = await ReportModel.countDocuments({ status: 'pending' });
+      const total = await ReportModel.countDocuments(queueFilter);
 
       res.status(200).json({
         status: 'success',
@@ -441,62 +465,158 @@ class AdminController {
       const { reportId } = req.params;
       const { status, note } = req.body;
 
-      // Validate status
-      const validStatuses = ['pending', 'in-progress', 'resolved', 'rejected'];
-      if (!validStatuses.includes(status)) {
-        throw new ApiError(400, 'Invalid status. Valid statuses are: ' + validStatuses.join(', '));
-      }
-
       if (!mongoose.Types.ObjectId.isValid(reportId)) {
         throw new ApiError(400, 'Invalid report ID');
       }
 
-      const report = await ReportModel.findById(reportId);
-      if (!report) {
-        throw new ApiError(404, 'Report not found');
+      // Illegal transitions and missing rejection reasons are rejected by the use case
+      const { report } = await updateReportStatusUseCase.execute(
+        reportId,
+        status,
+        req.user.id,
+        note || '',
+        getUploadedFilePaths(req)
+      );
+
+      logger.info(`Report status updated: ${reportId} to ${status} by admin ${req.user.id}`);
+
+      // Notify the report owner and reporters of merged duplicates
+      for (const reporterId of report.getReporterIds()) {
+        await notificationDispatcher.reportStatusChanged(reporterId, report, status, note);
       }
 
-      // Add status history entry
-      const statusEntry = {
-        status,
-        timestamp: new Date(),
-        adminId: req.user.id,
-        note: note || ''
+      realtimeHub.reportEvent('report.status_changed', report);
+
+      // Award resolution points in the background, as the report status endpoint does
+      if (status === 'resolved') {
+        await jobQueue.enqueue('points.report_resolved', { reportId, adminId: req.user.id });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Report status updated successfully',
+        data: {
+          report
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get reports flagged as likely duplicates of other open reports
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getDuplicateReports(req, res, next) {
+    try {
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = parseInt(req.query.limit, 10) || 10;
+      const skip = (page - 1) * limit;
+
+      const filter = {
+        status: { $in: OPEN_STATUSES },
+        'possibleDuplicates.0': { $exists: true }
       };
 
-      report.status = status;
-      report.adminId = req.user.id;
-      report.statusHistory.push(statusEntry);
+      // Get flagged reports along with the reports they may duplicate
+      const reports = await ReportModel.find(filter)
+        .populate('userId', 'firstName lastName email')
+        .populate('possibleDuplicates', 'title category status urgency location createdAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
 
-      await report.save();
+      // Get total count for pagination
+      const total = await ReportModel.countDocuments(filter);
 
-      logger.info(`Report status updated: ${reportId} to ${status} by admin ${req.user.id}`);
+      res.status(200).json({
+        status: 'success',
+        message: 'Duplicate reports retrieved successfully',
+        data: {
+          reports,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Get report owner and send email notification
-      try {
-        const reportOwner = await userRepository.findById(report.userId);
-        
-        if (reportOwner) {
-          // Send notification email
-          try {
-            await emailService.sendReportStatusUpdateEmail(reportOwner, report, status, note);
-            logger.info(`Status update email sent to user: ${reportOwner.id} for report: ${reportId}`);
-          } catch (emailError) {
-            logger.error(`Error sending status update email to user ${reportOwner.id}:`, emailError);
-            // Continue processing even if email fails
+  /**
+   * Get reports whose photos were taken away from the reported location
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getLocationMismatches(req, res, next) {
+    try {
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = parseInt(req.query.limit, 10) || 10;
+
+      const { reports, total } = await reportRepository.findLocationMismatches({ page, limit });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Location mismatches retrieved successfully',
+        data: {
+          reports,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
           }
-        } else {
-          logger.warn(`Report owner not found for report ${reportId}, cannot send email notification`);
         }
-      } catch (userError) {
-        logger.error(`Error finding report owner for report ${reportId}:`, userError);
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Merge duplicate reports into a canonical report
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async mergeReports(req, res, next) {
+    try {
+      const { reportId } = req.params;
+      const { duplicateIds, note } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(reportId)) {
+        throw new ApiError(400, 'Invalid report ID');
+      }
+
+      const { report, mergedReports } = await mergeDuplicateReportsUseCase.execute(
+        reportId,
+        duplicateIds,
+        req.user.id,
+        note
+      );
+
+      logger.info(`Reports merged into ${reportId}: ${mergedReports.map(merged => merged.id).join(', ')} by admin ${req.user.id}`);
+
+      // Let owners of the merged reports know where updates will come from
+      for (const mergedReport of mergedReports) {
+        await notificationDispatcher.reportStatusChanged(mergedReport.userId, mergedReport, 'merged', note);
+        realtimeHub.reportEvent('report.status_changed', mergedReport);
       }
 
       res.status(200).json({
         status: 'success',
-        message: 'Report status updated successfully',
+        message: 'Reports merged successfully',
         data: {
-          report
+          report,
+          mergedReportIds: mergedReports.map(merged => merged.id)
         }
       });
     } catch (error) {
@@ -533,6 +653,10 @@ class AdminController {
         filters.governorate = req.query.governorate;
       }
       
+      if (req.query.team) {
+        filters.team = req.query.team;
+      }
+      
       let data;
       
       // Get appropriate analytics based on requested type
@@ -555,6 +679,15 @@ class AdminController {
         case 'damage-assessment':
           data = await analyticsService.getDamageAssessmentMetrics(filters);
           break;
+        case 'community-impact':
+          data = await analyticsService.getCommunityImpactRanking(filters);
+          break;
+        case 'sla-compliance':
+          data = await analyticsService.getSlaComplianceMetrics(filters);
+          break;
+        case 'citizen-satisfaction':
+          data = await analyticsService.getCitizenSatisfactionMetrics(filters);
+          break;
         default:
           throw new ApiError(400, `Invalid analytics type: ${type}`);
       }
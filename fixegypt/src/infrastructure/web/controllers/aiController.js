@@ -0,0 +1,57 @@
+import aiService from '../../ai/AIService.js';
+import MongoReportRepository from '../../persistence/repositories/MongoReportRepository.js';
+import { ApiError } from '../middlewares/errorHandler.js';
+
+const reportRepository = new MongoReportRepository();
+
+/**
+ * Controller for AI provider monitoring and report AI audit logs
+ */
+class AIController {
+  /**
+   * Get the provider chain, circuit breaker states and estimated spend per day
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getHealth(req, res, next) {
+    try {
+      const { days = 7 } = req.query;
+
+      const health = await aiService.getHealth(parseInt(days, 10));
+
+      res.status(200).json({
+        status: 'success',
+        message: 'AI health retrieved successfully',
+        data: health
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a report's AI provider attempts with their raw responses
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getReportAudit(req, res, next) {
+    try {
+      const entries = await reportRepository.findAIAudit(req.params.reportId);
+
+      if (!entries) {
+        throw new ApiError(404, 'Report not found');
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: { entries }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new AIController(); 
\ No newline at end of file
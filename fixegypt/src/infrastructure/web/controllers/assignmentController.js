@@ -0,0 +1,99 @@
+import MongoReportRepository from '../../persistence/repositories/MongoReportRepository.js';
+import MongoUserRepository from '../../persistence/repositories/MongoUserRepository.js';
+import AssignReportUseCase from '../../../application/use-cases/report/AssignReportUseCase.js';
+import notificationDispatcher from '../../notifications/NotificationDispatcher.js';
+import adminConfig from '../../config/adminConfig.js';
+import { ApiError } from '../middlewares/errorHandler.js';
+import logger from '../middlewares/logger.js';
+
+// Initialize repositories
+const reportRepository = new MongoReportRepository();
+const userRepository = new MongoUserRepository();
+
+// Initialize use cases
+const assignReportUseCase = new AssignReportUseCase(reportRepository, userRepository, {
+  assignableRoles: adminConfig.permissions.reports.queue
+});
+
+/**
+ * Controller for report assignment operations
+ */
+class AssignmentController {
+  /**
+   * Assign a report to a staff member and/or team
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async assignReport(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { assigneeId, team, note } = req.body;
+      
+      const result = await assignReportUseCase.execute(id, { assigneeId, team, note }, req.user.id);
+      
+      logger.info(`Report ${id} assigned to ${assigneeId || '-'} / team ${team || '-'} by ${req.user.id}`);
+      
+      // Let the assignee know the report is in their queue
+      if (result.assignee) {
+        await notificationDispatcher.reportAssigned(result.assignee, result.report, note);
+      }
+      
+      res.status(200).json({
+        status: 'success',
+        message: result.previousAssignment ? 'Report reassigned successfully' : 'Report assigned successfully',
+        data: {
+          report: result.report
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get reports assigned to the current staff member or their team
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getMyQueue(req, res, next) {
+    try {
+      const { page = 1, limit = 10, status } = req.query;
+      
+      const user = await userRepository.findById(req.user.id);
+      
+      if (!user) {
+        throw new ApiError(404, 'User not found');
+      }
+      
+      const result = await reportRepository.findByAssignee(
+        { userId: user.id, team: user.team },
+        {
+          page: parseInt(page, 10),
+          limit: parseInt(limit, 10),
+          status
+        }
+      );
+      
+      res.status(200).json({
+        status: 'success',
+        message: 'Assigned reports retrieved successfully',
+        data: {
+          team: user.team,
+          reports: result.reports,
+          pagination: {
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            pages: Math.ceil(result.total / result.limit)
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new AssignmentController(); 
\ No newline at end of file
@@ -0,0 +1,101 @@
+import MongoReportRepository from '../../persistence/repositories/MongoReportRepository.js';
+import ReviewCategorySuggestionUseCase from '../../../application/use-cases/report/ReviewCategorySuggestionUseCase.js';
+import logger from '../middlewares/logger.js';
+
+// Initialize repositories
+const reportRepository = new MongoReportRepository();
+
+// Initialize use cases
+const reviewCategorySuggestionUseCase = new ReviewCategorySuggestionUseCase(reportRepository);
+
+/**
+ * Controller for reviewing the categories the AI suggests for reports
+ */
+class CategorySuggestionController {
+  /**
+   * Get the review queue of category suggestions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getSuggestions(req, res, next) {
+    try {
+      const { status = 'pending', page = 1, limit = 20 } = req.query;
+      
+      const result = await reportRepository.findCategorySuggestions(status, {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10)
+      });
+      
+      res.status(200).json({
+        status: 'success',
+        message: 'Category suggestions retrieved successfully',
+        data: {
+          reports: result.reports,
+          pagination: {
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            pages: Math.ceil(result.total / result.limit)
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Accept or reject the category suggested for a report
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async reviewSuggestion(req, res, next) {
+    try {
+      const { reportId } = req.params;
+      const { decision, note = '' } = req.body;
+      
+      const report = await reviewCategorySuggestionUseCase.execute(reportId, decision, req.user.id, note);
+      
+      logger.info(`Category suggestion for report ${reportId} ${report.categorySuggestion.status} by ${req.user.id}`);
+      
+      res.status(200).json({
+        status: 'success',
+        message: decision === 'accept' ? 'Category suggestion accepted' : 'Category suggestion rejected',
+        data: {
+          report
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get how often admins accept the AI's category suggestions over time
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getAccuracy(req, res, next) {
+    try {
+      const { startDate, endDate, timeUnit = 'week' } = req.query;
+      
+      const accuracy = await reportRepository.getCategorySuggestionAccuracy({ startDate, endDate, timeUnit });
+      
+      res.status(200).json({
+        status: 'success',
+        message: 'Category suggestion accuracy retrieved successfully',
+        data: {
+          filters: { startDate: startDate || null, endDate: endDate || null, timeUnit },
+          ...accuracy
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new CategorySuggestionController(); 
\ No newline at end of file
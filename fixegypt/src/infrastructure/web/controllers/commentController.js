@@ -0,0 +1,205 @@
+import MongoCommentRepository from '../../persistence/repositories/MongoCommentRepository.js';
+import MongoReportRepository from '../../persistence/repositories/MongoReportRepository.js';
+import MongoUserRepository from '../../persistence/repositories/MongoUserRepository.js';
+import ReportAccessPolicy from '../../../domain/services/ReportAccessPolicy.js';
+import AddCommentUseCase from '../../../application/use-cases/comment/AddCommentUseCase.js';
+import ListReportCommentsUseCase from '../../../application/use-cases/comment/ListReportCommentsUseCase.js';
+import EditCommentUseCase from '../../../application/use-cases/comment/EditCommentUseCase.js';
+import DeleteCommentUseCase from '../../../application/use-cases/comment/DeleteCommentUseCase.js';
+import notificationDispatcher from '../../notifications/NotificationDispatcher.js';
+import adminConfig from '../../config/adminConfig.js';
+import config from '../../../config.js';
+import { getUploadedFilePaths } from '../middlewares/uploadMiddleware.js';
+import logger from '../middlewares/logger.js';
+
+// Initialize repositories
+const commentRepository = new MongoCommentRepository();
+const reportRepository = new MongoReportRepository();
+const userRepository = new MongoUserRepository();
+
+const reportAccessPolicy = new ReportAccessPolicy(userRepository, {
+  viewAllRoles: adminConfig.permissions.reports.view,
+  assigneeRoles: adminConfig.permissions.reports.queue
+});
+
+// Initialize use cases
+const addCommentUseCase = new AddCommentUseCase(commentRepository, reportRepository, reportAccessPolicy, {
+  internalRoles: adminConfig.permissions.comments.internal
+});
+const listReportCommentsUseCase = new ListReportCommentsUseCase(commentRepository, reportRepository, reportAccessPolicy, {
+  internalRoles: adminConfig.permissions.comments.internal
+});
+const editCommentUseCase = new EditCommentUseCase(commentRepository, {
+  editWindowMinutes: config.comments.editWindowMinutes
+});
+const deleteCommentUseCase = new DeleteCommentUseCase(commentRepository, {
+  deleteWindowMinutes: config.comments.deleteWindowMinutes,
+  moderatorRoles: adminConfig.permissions.comments.moderate
+});
+
+/**
+ * Controller for the conversation on a report
+ */
+class CommentController {
+  constructor() {
+    this.addComment = this.addComment.bind(this);
+    this._notifyCommentRecipients = this._notifyCommentRecipients.bind(this);
+  }
+
+  /**
+   * List the comment threads of a report
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getComments(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+
+      const result = await listReportCommentsUseCase.execute(id, req.user, {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10)
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Comments retrieved successfully',
+        data: {
+          comments: result.comments,
+          pagination: {
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            pages: Math.ceil(result.total / result.limit)
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Post a comment, reply or internal note on a report
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async addComment(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { body, visibility, parentId } = req.body;
+
+      const { comment, report, parent } = await addCommentUseCase.execute(id, req.user, {
+        body,
+        visibility: visibility || 'public',
+        parentId: parentId || null,
+        attachments: getUploadedFilePaths(req)
+      });
+
+      logger.info(`${comment.visibility} comment ${comment.id} added to report ${id} by ${req.user.id}`);
+
+      await this._notifyCommentRecipients(comment, report, parent, req.user);
+
+      res.status(201).json({
+        status: 'success',
+        message: comment.isInternal() ? 'Internal note added successfully' : 'Comment added successfully',
+        data: {
+          comment
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edit a comment within the edit window
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async editComment(req, res, next) {
+    try {
+      const { id, commentId } = req.params;
+
+      const comment = await editCommentUseCase.execute(id, commentId, req.user.id, req.body.body);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Comment updated successfully',
+        data: {
+          comment
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a comment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async deleteComment(req, res, next) {
+    try {
+      const { id, commentId } = req.params;
+
+      const comment = await deleteCommentUseCase.execute(id, commentId, req.user);
+
+      logger.info(`Comment ${commentId} on report ${id} deleted by ${req.user.id}`);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Comment deleted successfully',
+        data: {
+          comment
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Notify the other party of the conversation about a new comment:
+   * staff handling the report hear from reporters, reporters hear from staff,
+   * and internal notes only go to staff
+   * @param {Comment} comment - The new comment
+   * @param {Report} report - The report
+   * @param {Comment|null} parent - Comment being replied to
+   * @param {Object} author - Authenticated user who posted the comment
+   * @private
+   */
+  async _notifyCommentRecipients(comment, report, parent, author) {
+    const reporterIds = report.getReporterIds();
+    const staffIds = [report.assignment?.assignedTo, report.adminId].filter(Boolean);
+
+    let recipientIds;
+    if (comment.isInternal() || reporterIds.includes(author.id.toString())) {
+      recipientIds = staffIds;
+    } else {
+      recipientIds = reporterIds;
+    }
+
+    // The author of the comment being replied to, unless they cannot see the reply
+    if (parent && (!comment.isInternal() || parent.isInternal())) {
+      recipientIds = [...recipientIds, parent.authorId];
+    }
+
+    const uniqueIds = [...new Set(recipientIds.map(userId => userId.toString()))]
+      .filter(userId => userId !== author.id.toString());
+    const authorName = comment.author
+      ? `${comment.author.firstName} ${comment.author.lastName}`
+      : 'Someone';
+
+    for (const userId of uniqueIds) {
+      await notificationDispatcher.reportCommented(userId, report, comment, authorName);
+    }
+  }
+}
+
+export default new CommentController(); 
\ No newline at end of file
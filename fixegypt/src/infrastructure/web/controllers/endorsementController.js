@@ -0,0 +1,110 @@
+import { ApiError } from '../middlewares/errorHandler.js';
+import MongoEndorsementRepository from '../../persistence/repositories/MongoEndorsementRepository.js';
+import MongoReportRepository from '../../persistence/repositories/MongoReportRepository.js';
+import EndorseReportUseCase from '../../../application/use-cases/endorsement/EndorseReportUseCase.js';
+import WithdrawEndorsementUseCase from '../../../application/use-cases/endorsement/WithdrawEndorsementUseCase.js';
+import jobQueue from '../../jobs/JobQueue.js';
+
+// Initialize repositories
+const endorsementRepository = new MongoEndorsementRepository();
+const reportRepository = new MongoReportRepository();
+
+// Initialize use cases
+const endorseReportUseCase = new EndorseReportUseCase(endorsementRepository, reportRepository);
+const withdrawEndorsementUseCase = new WithdrawEndorsementUseCase(endorsementRepository, reportRepository);
+
+/**
+ * Controller for report endorsement operations
+ */
+class EndorsementController {
+  /**
+   * Get endorsement summary of a report
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getEndorsements(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const report = await reportRepository.findById(id);
+      
+      if (!report) {
+        throw new ApiError(404, 'Report not found');
+      }
+      
+      const endorsement = await endorsementRepository.findByReportAndUser(report.id, req.user.id);
+      
+      // Return result
+      res.status(200).json({
+        status: 'success',
+        message: 'Report endorsements retrieved successfully',
+        data: {
+          reportId: report.id,
+          endorsementCount: report.endorsementCount,
+          endorsedByCurrentUser: !!endorsement
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Endorse a report
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async endorseReport(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const result = await endorseReportUseCase.execute(id, req.user.id);
+      
+      // Endorsement points follow the points rules and are awarded in the background
+      await jobQueue.enqueue('points.report_endorsed', { reportId: result.endorsement.reportId, userId: req.user.id });
+      
+      // Return result
+      res.status(201).json({
+        status: 'success',
+        message: 'Report endorsed successfully',
+        data: {
+          endorsement: result.endorsement,
+          endorsementCount: result.endorsementCount,
+          endorsedByCurrentUser: true
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Withdraw an endorsement of a report
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async withdrawEndorsement(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const result = await withdrawEndorsementUseCase.execute(id, req.user.id);
+      
+      // Return result
+      res.status(200).json({
+        status: 'success',
+        message: 'Endorsement withdrawn successfully',
+        data: {
+          endorsementCount: result.endorsementCount,
+          endorsedByCurrentUser: false
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new EndorsementController(); 
\ No newline at end of file
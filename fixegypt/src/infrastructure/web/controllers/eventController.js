@@ -0,0 +1,36 @@
+import { ApiError } from '../middlewares/errorHandler.js';
+import realtimeHub, { TOPICS } from '../../realtime/RealtimeHub.js';
+
+/**
+ * Controller for the real-time event stream
+ */
+class EventController {
+  /**
+   * Open a Server-Sent Events stream of report and redemption updates
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async stream(req, res, next) {
+    try {
+      const topics = req.query.topics
+        ? [...new Set(String(req.query.topics).split(',').map(topic => topic.trim()).filter(Boolean))]
+        : TOPICS;
+
+      if (topics.length === 0 || topics.some(topic => !TOPICS.includes(topic))) {
+        throw new ApiError(400, `Invalid topics. Available topics: ${TOPICS.join(', ')}`);
+      }
+
+      if (!realtimeHub.canConnect(req.user.id.toString())) {
+        throw new ApiError(429, 'Too many open event streams');
+      }
+
+      const unsubscribe = realtimeHub.subscribe(res, req.user, topics);
+      req.on('close', unsubscribe);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new EventController(); 
\ No newline at end of file
@@ -0,0 +1,135 @@
+import { ApiError } from '../middlewares/errorHandler.js';
+import MongoFraudCheckRepository from '../../persistence/repositories/MongoFraudCheckRepository.js';
+import MongoReportRepository from '../../persistence/repositories/MongoReportRepository.js';
+import MongoUserRepository from '../../persistence/repositories/MongoUserRepository.js';
+import ReviewFraudCheckUseCase from '../../../application/use-cases/fraud/ReviewFraudCheckUseCase.js';
+import jobQueue from '../../jobs/JobQueue.js';
+import logger from '../middlewares/logger.js';
+
+// Initialize repositories
+const fraudCheckRepository = new MongoFraudCheckRepository();
+const reportRepository = new MongoReportRepository();
+const userRepository = new MongoUserRepository();
+
+// Initialize use cases
+const reviewFraudCheckUseCase = new ReviewFraudCheckUseCase(fraudCheckRepository);
+
+/**
+ * Controller for the review of accounts flagged for points farming
+ */
+class FraudController {
+  /**
+   * Get the accounts with flagged reports and the signals that fired
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getFlaggedAccounts(req, res, next) {
+    try {
+      const { status, page = 1, limit = 20 } = req.query;
+
+      const result = await fraudCheckRepository.findFlaggedAccounts({
+        status,
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10)
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Flagged accounts retrieved successfully',
+        data: {
+          accounts: result.accounts,
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the fraud checks of an account's reports, newest first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getAccountFraudChecks(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const { status, page = 1, limit = 20 } = req.query;
+
+      const user = await userRepository.findById(userId);
+
+      if (!user) {
+        throw new ApiError(404, 'User not found');
+      }
+
+      const result = await fraudCheckRepository.findByUser(userId, {
+        status,
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10)
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Fraud checks retrieved successfully',
+        data: {
+          user: {
+            id: user.id,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            email: user.email,
+            governorate: user.governorate,
+            points: user.points
+          },
+          checks: result.checks,
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Release or forfeit the withheld points of a flagged report
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async reviewFraudCheck(req, res, next) {
+    try {
+      const { reportId } = req.params;
+      const { decision, note = '' } = req.body;
+
+      const check = await reviewFraudCheckUseCase.execute(reportId, decision, req.user.id, note);
+
+      logger.info(`Points of report ${reportId} ${check.status} by admin ${req.user.id}`);
+
+      if (decision === 'release') {
+        // Award whatever the report earned while its points were withheld. The points were earned on earlier days,
+        // so today's daily caps do not apply to them
+        const report = await reportRepository.findById(reportId);
+
+        await jobQueue.enqueue('points.report_submission', { reportId, releasedAfterReview: true });
+        await jobQueue.enqueue('points.photo_verified', { reportId, releasedAfterReview: true });
+
+        if (report?.status === 'resolved') {
+          await jobQueue.enqueue('points.report_resolved', { reportId, adminId: req.user.id, releasedAfterReview: true });
+        }
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: decision === 'release' ? 'Withheld points released' : 'Points farming confirmed; points forfeited',
+        data: {
+          check
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new FraudController(); 
\ No newline at end of file
@@ -0,0 +1,110 @@
+import { ApiError } from '../middlewares/errorHandler.js';
+import MongoJobRepository from '../../persistence/repositories/MongoJobRepository.js';
+import jobQueue from '../../jobs/JobQueue.js';
+import logger from '../middlewares/logger.js';
+
+// Initialize repositories
+const jobRepository = new MongoJobRepository();
+
+/**
+ * Controller for inspecting and retrying background jobs
+ */
+class JobController {
+  /**
+   * List background jobs with counts per status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getJobs(req, res, next) {
+    try {
+      const { status, type, page = 1, limit = 20 } = req.query;
+
+      const [result, counts] = await Promise.all([
+        jobRepository.find({ status, type }, {
+          page: parseInt(page, 10),
+          limit: parseInt(limit, 10)
+        }),
+        jobRepository.countByStatus()
+      ]);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Jobs retrieved successfully',
+        data: {
+          jobs: result.jobs,
+          counts,
+          pagination: {
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            pages: Math.ceil(result.total / result.limit)
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a background job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getJobById(req, res, next) {
+    try {
+      const job = await jobRepository.findById(req.params.jobId);
+
+      if (!job) {
+        throw new ApiError(404, 'Job not found');
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          job
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Re-run a dead-lettered job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async retryJob(req, res, next) {
+    try {
+      const { jobId } = req.params;
+
+      const existingJob = await jobRepository.findById(jobId);
+      if (!existingJob) {
+        throw new ApiError(404, 'Job not found');
+      }
+
+      const job = await jobQueue.retry(jobId);
+      if (!job) {
+        throw new ApiError(409, `Only dead jobs can be retried; this job is ${existingJob.status}`);
+      }
+
+      logger.info(`Job ${jobId} (${job.type}) retried by ${req.user.id}`);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Job queued for retry',
+        data: {
+          job
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new JobController(); 
\ No newline at end of file
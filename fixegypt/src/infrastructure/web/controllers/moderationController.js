@@ -0,0 +1,89 @@
+import MongoReportRepository from '../../persistence/repositories/MongoReportRepository.js';
+import ModerateReportUseCase from '../../../application/use-cases/report/ModerateReportUseCase.js';
+import notificationDispatcher from '../../notifications/NotificationDispatcher.js';
+import realtimeHub from '../../realtime/RealtimeHub.js';
+import jobQueue from '../../jobs/JobQueue.js';
+import logger from '../middlewares/logger.js';
+
+// Initialize repositories
+const reportRepository = new MongoReportRepository();
+
+// Initialize use cases
+const moderateReportUseCase = new ModerateReportUseCase(reportRepository);
+
+/**
+ * Controller for the content moderation queue
+ */
+class ModerationController {
+  /**
+   * Get reports held for moderation review, or reports already moderated
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getQueue(req, res, next) {
+    try {
+      const { status = 'pending', page = 1, limit = 20 } = req.query;
+      
+      const result = await reportRepository.findModerationQueue(status, {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10)
+      });
+      
+      res.status(200).json({
+        status: 'success',
+        message: 'Moderation queue retrieved successfully',
+        data: {
+          reports: result.reports,
+          pagination: {
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            pages: Math.ceil(result.total / result.limit)
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Approve or remove a report held for moderation review
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async moderateReport(req, res, next) {
+    try {
+      const { reportId } = req.params;
+      const { decision, note = '' } = req.body;
+      
+      const report = await moderateReportUseCase.execute(reportId, decision, req.user.id, note);
+      
+      logger.info(`Report ${reportId} ${report.moderation.status} by moderator ${req.user.id}`);
+      
+      if (decision === 'approve') {
+        // Points for submitting and for verified photos were held back with the report
+        await jobQueue.enqueue('points.report_submission', { reportId });
+        await jobQueue.enqueue('points.photo_verified', { reportId });
+      } else {
+        await notificationDispatcher.reportStatusChanged(report.userId, report, 'removed', note);
+      }
+      
+      realtimeHub.reportEvent('report.status_changed', report);
+      
+      res.status(200).json({
+        status: 'success',
+        message: decision === 'approve' ? 'Report approved and published' : 'Report removed',
+        data: {
+          report
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new ModerationController(); 
\ No newline at end of file
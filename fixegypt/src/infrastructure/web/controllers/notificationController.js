@@ -0,0 +1,120 @@
+import { ApiError } from '../middlewares/errorHandler.js';
+import MongoNotificationRepository from '../../persistence/repositories/MongoNotificationRepository.js';
+
+// Initialize repositories
+const notificationRepository = new MongoNotificationRepository();
+
+/**
+ * Controller for the in-app notification center
+ */
+class NotificationController {
+  /**
+   * List the current user's notifications
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getNotifications(req, res, next) {
+    try {
+      const { page = 1, limit = 20, unread } = req.query;
+
+      const [result, unreadCount] = await Promise.all([
+        notificationRepository.findByUserId(req.user.id, {
+          page: parseInt(page, 10) || 1,
+          limit: Math.min(parseInt(limit, 10) || 20, 50),
+          unreadOnly: unread === 'true'
+        }),
+        notificationRepository.countUnread(req.user.id)
+      ]);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Notifications retrieved successfully',
+        data: {
+          notifications: result.notifications,
+          unreadCount,
+          pagination: {
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            pages: Math.ceil(result.total / result.limit)
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the number of unread notifications of the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getUnreadCount(req, res, next) {
+    try {
+      const unreadCount = await notificationRepository.countUnread(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Unread notification count retrieved successfully',
+        data: {
+          unreadCount
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark a notification as read
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async markRead(req, res, next) {
+    try {
+      const notification = await notificationRepository.markRead(req.params.id, req.user.id);
+
+      if (!notification) {
+        throw new ApiError(404, 'Notification not found');
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Notification marked as read',
+        data: {
+          notification
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark all of the current user's notifications as read
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async markAllRead(req, res, next) {
+    try {
+      const updated = await notificationRepository.markAllRead(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'All notifications marked as read',
+        data: {
+          updated
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new NotificationController(); 
\ No newline at end of file
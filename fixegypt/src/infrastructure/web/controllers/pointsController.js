@@ -2,33 +2,89 @@ import { ApiError } from '../middlewares/errorHandler.js';
 import MongoPointsRepository from '../../persistence/repositories/MongoPointsRepository.js';
 import MongoUserRepository from '../../persistence/repositories/MongoUserRepository.js';
 import MongoReportRepository from '../../persistence/repositories/MongoReportRepository.js';
+import MongoPointsRuleRepository from '../../persistence/repositories/MongoPointsRuleRepository.js';
+import MongoFraudCheckRepository from '../../persistence/repositories/MongoFraudCheckRepository.js';
 import AwardPointsForReportUseCase from '../../../application/use-cases/points/AwardPointsForReportUseCase.js';
 import AwardPointsForReportSubmissionUseCase from '../../../application/use-cases/points/AwardPointsForReportSubmissionUseCase.js';
+import AdjustPointsUseCase from '../../../application/use-cases/points/AdjustPointsUseCase.js';
+import ExportPointsLedgerUseCase from '../../../application/use-cases/points/ExportPointsLedgerUseCase.js';
+import GetPointsSummaryUseCase from '../../../application/use-cases/points/GetPointsSummaryUseCase.js';
+import CalculateReportPointsUseCase from '../../../application/use-cases/points/CalculateReportPointsUseCase.js';
+import tierPolicy from '../../../domain/services/TierPolicy.js';
+import pointsRulesEngine from '../../../domain/services/PointsRulesEngine.js';
+import pointsExpiryPolicy from '../../../domain/services/PointsExpiryPolicy.js';
+import notificationDispatcher from '../../notifications/NotificationDispatcher.js';
+import jobQueue from '../../jobs/JobQueue.js';
+import logger from '../middlewares/logger.js';
 
 // Initialize repositories
 const pointsRepository = new MongoPointsRepository();
 const userRepository = new MongoUserRepository();
 const reportRepository = new MongoReportRepository();
+const pointsRuleRepository = new MongoPointsRuleRepository();
+const fraudCheckRepository = new MongoFraudCheckRepository();
 
 // Initialize use cases
+const calculateReportPointsUseCase = new CalculateReportPointsUseCase(
+  pointsRuleRepository,
+  pointsRepository,
+  pointsRulesEngine,
+  tierPolicy,
+  fraudCheckRepository
+);
+
 const awardPointsForReportUseCase = new AwardPointsForReportUseCase(
   pointsRepository,
   userRepository,
-  reportRepository
+  reportRepository,
+  notificationDispatcher,
+  calculateReportPointsUseCase
 );
 
 const awardPointsForReportSubmissionUseCase = new AwardPointsForReportSubmissionUseCase(
   pointsRepository,
   userRepository,
-  reportRepository
+  reportRepository,
+  notificationDispatcher,
+  calculateReportPointsUseCase
 );
 
+const adjustPointsUseCase = new AdjustPointsUseCase(pointsRepository, userRepository, notificationDispatcher);
+const exportPointsLedgerUseCase = new ExportPointsLedgerUseCase(pointsRepository, userRepository);
+const getPointsSummaryUseCase = new GetPointsSummaryUseCase(pointsRepository, tierPolicy, pointsExpiryPolicy);
+
+// Columns of the CSV ledger export, in order
+const LEDGER_CSV_COLUMNS = [
+  'id', 'createdAt', 'type', 'source', 'change', 'runningBalance', 'snapshotBalance',
+  'description', 'referenceId', 'adminId', 'adminName'
+];
+
+/**
+ * Quote a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Keep spreadsheets from evaluating free text such as adjustment reasons as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
 /**
  * Controller for points-related operations
  */
 class PointsController {
   /**
-   * Get user's points balance
+   * Get user's points balance, tier and points about to expire
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next function
@@ -37,16 +93,14 @@ class PointsController {
     try {
       const userId = req.user.id;
       
-      // Get user's points balance
-      const points = await pointsRepository.getBalance(userId);
+      // Get user's points balance and tier
+      const summary = await getPointsSummaryUseCase.execute(userId);
       
       // Return result
       res.status(200).json({
         status: 'success',
         message: 'Points balance retrieved successfully',
-        data: {
-          points
-        }
+        data: summary
       });
     } catch (error) {
       next(error);
@@ -105,10 +159,15 @@ class PointsController {
       // Return result
       res.status(200).json({
         status: 'success',
-        message: 'Points awarded for report submission',
+        message: result.withheld
+          ? 'Points are withheld until the report passes a fraud review'
+          : result.alreadyAwarded
+            ? 'Points were already awarded for this report submission'
+            : 'Points awarded for report submission',
         data: {
           pointsAwarded: result.pointsAwarded,
-          newBalance: result.user.points
+          newBalance: result.user ? result.user.points : null,
+          withheld: !!result.withheld
         }
       });
     } catch (error) {
@@ -133,9 +192,43 @@ class PointsController {
       // Return result
       res.status(200).json({
         status: 'success',
-        message: 'Points awarded for report resolution',
+        message: result.withheld
+          ? 'Points are withheld until the report passes a fraud review'
+          : result.alreadyAwarded
+            ? 'Points were already awarded for this report resolution'
+            : 'Points awarded for report resolution',
         data: {
           pointsAwarded: result.pointsAwarded,
+          newBalance: result.user ? result.user.points : null,
+          withheld: !!result.withheld
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add or remove a user's points with a reason (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async adjustPoints(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const { amount, reason } = req.body;
+      const adminId = req.user.id;
+      
+      const result = await adjustPointsUseCase.execute(userId, Number(amount), adminId, reason);
+      
+      logger.info(`Admin ${adminId} adjusted points of user ${userId} by ${amount}: ${reason}`);
+      
+      res.status(201).json({
+        status: 'success',
+        message: 'Points adjusted successfully',
+        data: {
+          transaction: result.transaction,
           newBalance: result.user.points
         }
       });
@@ -143,6 +236,93 @@ class PointsController {
       next(error);
     }
   }
+
+  /**
+   * List manual points adjustments across all users (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getAdjustments(req, res, next) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      
+      const result = await pointsRepository.findAdjustments({
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10)
+      });
+      
+      res.status(200).json({
+        status: 'success',
+        message: 'Points adjustments retrieved successfully',
+        data: {
+          adjustments: result.transactions,
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export a user's full points ledger as JSON or CSV (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async exportLedger(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const { format = 'json' } = req.query;
+      
+      const ledger = await exportPointsLedgerUseCase.execute(userId);
+      
+      if (format === 'csv') {
+        const rows = ledger.entries.map(entry => LEDGER_CSV_COLUMNS.map(column => toCsvCell(entry[column])).join(','));
+        
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="points-ledger-${userId}.csv"`);
+        return res.status(200).send([LEDGER_CSV_COLUMNS.join(','), ...rows].join('\r\n'));
+      }
+      
+      res.status(200).json({
+        status: 'success',
+        message: 'Points ledger retrieved successfully',
+        data: ledger
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Queue a job that checks balances against the ledger and optionally repairs drift (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async reconcileLedger(req, res, next) {
+    try {
+      const { repair = false, userId = null } = req.body || {};
+      
+      const job = await jobQueue.enqueue('points.reconcile', {
+        repair: repair === true || repair === 'true',
+        userId,
+        requestedBy: req.user.id
+      }, { maxAttempts: 1 });
+      
+      res.status(202).json({
+        status: 'success',
+        message: 'Points reconciliation queued',
+        data: {
+          job
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 export default new PointsController(); 
\ No newline at end of file
@@ -0,0 +1,195 @@
+import { ApiError } from '../middlewares/errorHandler.js';
+import MongoPointsRuleRepository from '../../persistence/repositories/MongoPointsRuleRepository.js';
+import MongoPointsRepository from '../../persistence/repositories/MongoPointsRepository.js';
+import MongoReportRepository from '../../persistence/repositories/MongoReportRepository.js';
+import CalculateReportPointsUseCase from '../../../application/use-cases/points/CalculateReportPointsUseCase.js';
+import SavePointsRuleUseCase from '../../../application/use-cases/points/SavePointsRuleUseCase.js';
+import DryRunPointsRulesUseCase from '../../../application/use-cases/points/DryRunPointsRulesUseCase.js';
+import pointsRulesEngine from '../../../domain/services/PointsRulesEngine.js';
+import tierPolicy from '../../../domain/services/TierPolicy.js';
+import logger from '../middlewares/logger.js';
+
+// Initialize repositories
+const pointsRuleRepository = new MongoPointsRuleRepository();
+const pointsRepository = new MongoPointsRepository();
+const reportRepository = new MongoReportRepository();
+
+// Initialize use cases
+const calculateReportPointsUseCase = new CalculateReportPointsUseCase(
+  pointsRuleRepository,
+  pointsRepository,
+  pointsRulesEngine,
+  tierPolicy
+);
+const savePointsRuleUseCase = new SavePointsRuleUseCase(pointsRuleRepository);
+const dryRunPointsRulesUseCase = new DryRunPointsRulesUseCase(
+  reportRepository,
+  pointsRepository,
+  calculateReportPointsUseCase
+);
+
+/**
+ * Controller for the admin-managed points rules
+ */
+class PointsRuleController {
+  /**
+   * List points rules (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getRules(req, res, next) {
+    try {
+      const { event, kind, isActive, page = 1, limit = 20 } = req.query;
+
+      const filter = {};
+      if (event) filter.event = event;
+      if (kind) filter.kind = kind;
+      if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+      const result = await pointsRuleRepository.findAll(filter, {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10)
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Points rules retrieved successfully',
+        data: {
+          rules: result.rules,
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a points rule (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async getRule(req, res, next) {
+    try {
+      const rule = await pointsRuleRepository.findById(req.params.ruleId);
+
+      if (!rule) {
+        throw new ApiError(404, 'Points rule not found');
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Points rule retrieved successfully',
+        data: {
+          rule
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a points rule (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async createRule(req, res, next) {
+    try {
+      const rule = await savePointsRuleUseCase.execute(null, req.body, req.user.id);
+
+      logger.info(`Admin ${req.user.id} created points rule ${rule.id} (${rule.event}, ${rule.kind})`);
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Points rule created successfully',
+        data: {
+          rule
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a points rule (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async updateRule(req, res, next) {
+    try {
+      const rule = await savePointsRuleUseCase.execute(req.params.ruleId, req.body, req.user.id);
+
+      logger.info(`Admin ${req.user.id} updated points rule ${rule.id}`);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Points rule updated successfully',
+        data: {
+          rule
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a points rule (admin only)
+   * Points already awarded under the rule are kept
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async deleteRule(req, res, next) {
+    try {
+      const { ruleId } = req.params;
+
+      if (!await pointsRuleRepository.delete(ruleId)) {
+        throw new ApiError(404, 'Points rule not found');
+      }
+
+      logger.info(`Admin ${req.user.id} deleted points rule ${ruleId}`);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Points rule deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Show what a report would earn under the current rules, without awarding anything
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async dryRun(req, res, next) {
+    try {
+      const { reportId, events, userId, at } = req.body;
+
+      const result = await dryRunPointsRulesUseCase.execute(reportId, {
+        events,
+        userId,
+        at: at ? new Date(at) : undefined
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Points rules evaluated successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new PointsRuleController(); 
\ No newline at end of file
@@ -5,8 +5,13 @@ import MongoPointsRepository from '../../persistence/repositories/MongoPointsRep
 import MongoUserRepository from '../../persistence/repositories/MongoUserRepository.js';
 import CreateProductUseCase from '../../../application/use-cases/product/CreateProductUseCase.js';
 import RedeemProductUseCase from '../../../application/use-cases/product/RedeemProductUseCase.js';
+import tierPolicy, { CITIZEN_TIERS } from '../../../domain/services/TierPolicy.js';
+import realtimeHub from '../../realtime/RealtimeHub.js';
 import { getUploadedFilePaths } from '../middlewares/uploadMiddleware.js';
 
+// Longest Idempotency-Key header accepted on redeem requests
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
 // Initialize repositories
 const productRepository = new MongoProductRepository();
 const redemptionRepository = new MongoRedemptionRepository();
@@ -19,7 +24,8 @@ const redeemProductUseCase = new RedeemProductUseCase(
   pointsRepository,
   productRepository,
   redemptionRepository,
-  userRepository
+  userRepository,
+  tierPolicy
 );
 
 /**
@@ -34,7 +40,7 @@ class ProductController {
    */
   async createProduct(req, res, next) {
     try {
-      const { name, description, pointsCost, category, stock } = req.body;
+      const { name, description, pointsCost, category, stock, minTier } = req.body;
       
       // Get image path if uploaded
       const imagePaths = getUploadedFilePaths(req);
@@ -47,7 +53,8 @@ class ProductController {
         pointsCost: parseInt(pointsCost, 10),
         category,
         image: imagePath,
-        stock: stock !== undefined ? parseInt(stock, 10) : null
+        stock: stock !== undefined ? parseInt(stock, 10) : null,
+        minTier: minTier || 'bronze'
       });
       
       // Return result
@@ -72,7 +79,7 @@ class ProductController {
   async updateProduct(req, res, next) {
     try {
       const { productId } = req.params;
-      const { name, description, pointsCost, category, isActive, stock } = req.body;
+      const { name, description, pointsCost, category, isActive, stock, minTier } = req.body;
       
       // Get image path if uploaded
       const imagePaths = getUploadedFilePaths(req);
@@ -85,6 +92,7 @@ class ProductController {
       if (description !== undefined) updateData.description = description;
       if (pointsCost !== undefined) updateData.pointsCost = parseInt(pointsCost, 10);
       if (category !== undefined) updateData.category = category;
+      if (minTier !== undefined) updateData.minTier = minTier;
       if (isActive !== undefined) updateData.isActive = isActive === 'true';
       if (stock !== undefined) {
         updateData.stock = stock === 'null' ? null : parseInt(stock, 10);
@@ -145,7 +153,8 @@ class ProductController {
         minCost, 
         maxCost, 
         isActive = 'true',
-        search
+        search,
+        tier
       } = req.query;
       
       // Build filter
@@ -156,6 +165,12 @@ class ProductController {
       if (maxCost) filter.maxCost = parseInt(maxCost, 10);
       if (isActive !== undefined) filter.isActive = isActive === 'true';
       if (search) filter.search = search;
+      if (tier) {
+        if (!CITIZEN_TIERS.includes(tier)) {
+          throw new ApiError(400, `Tier must be one of: ${CITIZEN_TIERS.join(', ')}`);
+        }
+        filter.tiers = tierPolicy.getAccessibleTiers(tier);
+      }
       
       // Get products
       const result = await productRepository.findAll(
@@ -216,18 +231,29 @@ class ProductController {
     try {
       const { productId } = req.params;
       const userId = req.user.id;
+      const idempotencyKey = req.get('Idempotency-Key')?.trim() || null;
+      
+      if (idempotencyKey && idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+        throw new ApiError(400, `Idempotency-Key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+      }
       
       // Redeem product
-      const result = await redeemProductUseCase.execute(userId, productId);
+      const result = await redeemProductUseCase.execute(userId, productId, { idempotencyKey });
+      
+      // A replayed request changed nothing, so there is nothing new to announce
+      if (!result.replayed) {
+        realtimeHub.redemptionEvent('redemption.created', result.redemption);
+      }
       
       // Return result
       res.status(200).json({
         status: 'success',
-        message: 'Product redeemed successfully',
+        message: result.replayed ? 'Product already redeemed with this idempotency key' : 'Product redeemed successfully',
         data: {
           redemption: result.redemption,
           pointsDeducted: result.pointsDeducted,
-          remainingPoints: result.remainingPoints
+          remainingPoints: result.remainingPoints,
+          replayed: result.replayed
         }
       });
     } catch (error) {
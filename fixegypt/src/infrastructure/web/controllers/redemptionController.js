@@ -1,6 +1,9 @@
 import { ApiError } from '../middlewares/errorHandler.js';
+import { hasPermission } from '../middlewares/authMiddleware.js';
 import MongoRedemptionRepository from '../../persistence/repositories/MongoRedemptionRepository.js';
 import UpdateRedemptionStatusUseCase from '../../../application/use-cases/redemption/UpdateRedemptionStatusUseCase.js';
+import notificationDispatcher from '../../notifications/NotificationDispatcher.js';
+import realtimeHub from '../../realtime/RealtimeHub.js';
 
 // Initialize repositories
 const redemptionRepository = new MongoRedemptionRepository();
@@ -116,8 +119,12 @@ class RedemptionController {
       // Get redemption
       const redemption = await redemptionRepository.findById(redemptionId);
       
+      if (!redemption) {
+        throw new ApiError(404, 'Redemption not found');
+      }
+      
       // Check if user is authorized to view this redemption
-      if (req.user.role !== 'admin' && redemption.userId.toString() !== req.user.id) {
+      if (!hasPermission(req.user.role, 'redemptions.view') && redemption.userId.toString() !== req.user.id) {
         throw new ApiError(403, 'You are not authorized to view this redemption');
       }
       
@@ -154,6 +161,9 @@ class RedemptionController {
         notes
       );
       
+      await notificationDispatcher.redemptionStatusChanged(redemption.userId.toString(), redemption, status, notes);
+      realtimeHub.redemptionEvent('redemption.updated', redemption);
+      
       // Return result
       res.status(200).json({
         status: 'success',
@@ -1,14 +1,62 @@
 import CreateReportUseCase from '../../../application/use-cases/report/CreateReportUseCase.js';
+import DetectDuplicateReportsUseCase from '../../../application/use-cases/report/DetectDuplicateReportsUseCase.js';
+import UpdateReportStatusUseCase from '../../../application/use-cases/report/UpdateReportStatusUseCase.js';
+import ReopenReportUseCase from '../../../application/use-cases/report/ReopenReportUseCase.js';
+import VerifyResolutionUseCase from '../../../application/use-cases/report/VerifyResolutionUseCase.js';
+import CheckImageLocationUseCase from '../../../application/use-cases/report/CheckImageLocationUseCase.js';
+import ScoreReportFraudUseCase from '../../../application/use-cases/fraud/ScoreReportFraudUseCase.js';
+import { REPORT_STATUSES, HIDDEN_STATUSES } from '../../../domain/entities/Report.js';
+import imageLocationPolicy from '../../../domain/services/ImageLocationPolicy.js';
+import fraudScoringPolicy from '../../../domain/services/FraudScoringPolicy.js';
 import MongoReportRepository from '../../persistence/repositories/MongoReportRepository.js';
 import MongoUserRepository from '../../persistence/repositories/MongoUserRepository.js';
-import aiService from '../../ai/AIService.js';
-import emailService from '../../email/EmailService.js';
-import { getUploadedFilePaths } from '../middlewares/uploadMiddleware.js';
+import MongoEndorsementRepository from '../../persistence/repositories/MongoEndorsementRepository.js';
+import MongoFraudCheckRepository from '../../persistence/repositories/MongoFraudCheckRepository.js';
+import notificationDispatcher from '../../notifications/NotificationDispatcher.js';
+import realtimeHub from '../../realtime/RealtimeHub.js';
+import jobQueue from '../../jobs/JobQueue.js';
+import contentModerator from '../../moderation/ContentModerator.js';
+import { detectLanguage } from '../../text/languageDetection.js';
+import { getUploadedFilePaths, getUploadedImages } from '../middlewares/uploadMiddleware.js';
 import { ApiError } from '../middlewares/errorHandler.js';
+import logger from '../middlewares/logger.js';
+import config from '../../../config.js';
+import { hasPermission } from '../middlewares/authMiddleware.js';
 
 // Create instances of required dependencies
 const reportRepository = new MongoReportRepository();
 const userRepository = new MongoUserRepository();
+const endorsementRepository = new MongoEndorsementRepository();
+const fraudCheckRepository = new MongoFraudCheckRepository();
+const detectDuplicateReportsUseCase = new DetectDuplicateReportsUseCase(reportRepository, {
+  radiusKm: config.reports.duplicateRadiusKm,
+  timeWindowDays: config.reports.duplicateTimeWindowDays,
+  maxCandidates: config.reports.duplicateMaxCandidates
+});
+const updateReportStatusUseCase = new UpdateReportStatusUseCase(reportRepository, {
+  requireResolutionPhotos: config.reports.requireResolutionPhotos
+});
+const reopenReportUseCase = new ReopenReportUseCase(reportRepository, {
+  windowDays: config.reports.reopenWindowDays
+});
+const verifyResolutionUseCase = new VerifyResolutionUseCase(reportRepository, {
+  windowDays: config.reports.reopenWindowDays
+});
+const checkImageLocationUseCase = new CheckImageLocationUseCase(reportRepository, imageLocationPolicy);
+const scoreReportFraudUseCase = new ScoreReportFraudUseCase(
+  reportRepository,
+  userRepository,
+  fraudCheckRepository,
+  fraudScoringPolicy,
+  imageLocationPolicy
+);
+
+/**
+ * Turn an image pipeline result into a report image entry
+ * @param {Object} image - Processed upload (path, hash, width, height, size, format, capturedAt, gps, variants)
+ * @returns {Object} Report image
+ */
+const toReportImage = ({ path, ...metadata }) => ({ url: path, ...metadata });
 
 /**
  * ReportController provides handlers for report-related routes
@@ -21,13 +69,20 @@ class ReportController {
     this.getReportById = this.getReportById.bind(this);
     this.updateReport = this.updateReport.bind(this);
     this.updateReportStatus = this.updateReportStatus.bind(this);
+    this.reopenReport = this.reopenReport.bind(this);
+    this.verifyResolution = this.verifyResolution.bind(this);
     this.deleteReport = this.deleteReport.bind(this);
     this.addImagesToReport = this.addImagesToReport.bind(this);
     this.getUserReports = this.getUserReports.bind(this);
     this.getReportStatistics = this.getReportStatistics.bind(this);
     this.getNearbyReports = this.getNearbyReports.bind(this);
-    this._processReportWithAI = this._processReportWithAI.bind(this);
-    this._shouldUpdateUrgency = this._shouldUpdateUrgency.bind(this);
+    this._queueAnalysis = this._queueAnalysis.bind(this);
+    this._checkImageLocation = this._checkImageLocation.bind(this);
+    this._scoreFraud = this._scoreFraud.bind(this);
+    this._queuePhotoAward = this._queuePhotoAward.bind(this);
+    this._queueJob = this._queueJob.bind(this);
+    this._isAssignedToUser = this._isAssignedToUser.bind(this);
+    this._notifyStaffOfReopen = this._notifyStaffOfReopen.bind(this);
   }
 
   /**
@@ -52,7 +107,8 @@ class ReportController {
       }
       
       const { title, description, category, location, locationJson } = req.body;
-      const imagePaths = getUploadedFilePaths(req);
+      const images = getUploadedImages(req);
+      const imagePaths = images.map(image => image.path);
       
       // Handle location data - could be string or object
       let locationData;
@@ -119,74 +175,78 @@ class ReportController {
         throw new ApiError(400, 'Invalid coordinates format');
       }
       
+      // Look for open reports of the same issue nearby so admins can merge them later
+      let possibleDuplicates = [];
+      try {
+        possibleDuplicates = await detectDuplicateReportsUseCase.execute({
+          category,
+          coordinates: locationData.coordinates
+        });
+      } catch (duplicateError) {
+        console.error('Error checking for duplicate reports:', duplicateError);
+        // Continue with report creation even if duplicate detection fails
+      }
+      
+      // Hold reports whose text breaks the guidelines before other citizens can see them
+      const textFlags = config.moderation.enabled ? contentModerator.screenText({ title, description }) : [];
+      const moderation = textFlags.length > 0 ? {
+        status: 'under_review',
+        moderation: { status: 'pending', flags: textFlags, flaggedAt: new Date() },
+        statusHistory: [{ status: 'under_review', timestamp: new Date(), note: contentModerator.describe(textFlags) }]
+      } : {};
+      
       // Create report - IMPORTANT: Always use req.user.id, not any userId from the request body
-      const report = await reportRepository.create({
+      let report = await reportRepository.create({
         title,
         description,
         category,
         location: locationData,
-        images: imagePaths.map(path => ({
-          url: path,
+        images: images.map(image => ({
+          ...toReportImage(image),
           uploadedAt: new Date()
         })),
-        userId: userId // Always use the authenticated user's ID from req.user
+        userId: userId, // Always use the authenticated user's ID from req.user
+        possibleDuplicates: possibleDuplicates.map(duplicate => duplicate.id),
+        aiAnalysis: imagePaths.length > 0 ? { status: 'queued' } : {},
+        language: detectLanguage(`${title} ${description}`),
+        ...moderation
       });
       
-      // Process with AI if images provided
       if (imagePaths.length > 0) {
-        try {
-          // Process asynchronously to not block the response
-          setTimeout(async () => {
-            try {
-              // Pass the first image path
-              const firstImageObj = {
-                url: imagePaths[0],
-                uploadedAt: new Date()
-              };
-              await this._processReportWithAI(report, firstImageObj);
-              console.log('AI processing completed for report:', report.id);
-            } catch (innerError) {
-              console.error('Error in async AI processing:', innerError);
-            }
-          }, 100);
-        } catch (aiError) {
-          console.error('Error setting up AI processing:', aiError);
-          // Continue with report creation even if AI processing fails
-        }
+        report = await this._checkImageLocation(report.id) || report;
       }
       
-      // Award points for report submission
-      try {
-        // Import use case locally to avoid circular dependencies
-        const AwardPointsForReportSubmissionUseCase = (await import('../../../application/use-cases/points/AwardPointsForReportSubmissionUseCase.js')).default;
-        const MongoPointsRepository = (await import('../../persistence/repositories/MongoPointsRepository.js')).default;
-        
-        const pointsRepository = new MongoPointsRepository();
-        const awardPointsUseCase = new AwardPointsForReportSubmissionUseCase(
-          pointsRepository,
-          userRepository,
-          reportRepository
-        );
+      // Score the report for points farming before any of its points are queued
+      const fraudCheck = await this._scoreFraud(report);
+      
+      realtimeHub.reportEvent('report.created', report);
+      
+      // Summarize the report, analyze and screen the images and award submission points in the background;
+      // held reports earn their points when a moderator approves them
+      await this._queueJob('report.summarize', { reportId: report.id });
+      if (imagePaths.length > 0) {
+        await this._queueJob('report.analyze', { reportId: report.id });
         
-        // Award points (don't wait for this to complete)
-        setTimeout(async () => {
-          try {
-            const result = await awardPointsUseCase.execute(report.id);
-            console.log('Points awarded for report submission:', report.id, 'Amount:', result.pointsAwarded);
-          } catch (error) {
-            console.error('Error awarding points for submission:', error);
-          }
-        }, 200);
-      } catch (error) {
-        console.error('Error importing award points for submission use case:', error);
+        if (config.moderation.enabled) {
+          await this._queueJob('report.moderate_images', { reportId: report.id });
+        }
+      }
+      if (fraudCheck && !report.isHidden()) {
+        await this._queueJob('points.report_submission', { reportId: report.id });
+      }
+      if (fraudCheck) {
+        await this._queuePhotoAward(report);
       }
       
       // Return result
       res.status(201).json({
         status: 'success',
-        message: 'Report created successfully',
+        message: report.isHidden()
+          ? 'Report submitted and held for moderation review'
+          : 'Report created successfully',
         data: {
-          report
+          report,
+          possibleDuplicates: possibleDuplicates.map(duplicate => duplicate.getSummary())
         }
       });
     } catch (error) {
@@ -237,8 +297,8 @@ class ReportController {
       }
       filter.sort = sortOption;
       
-      // If user is not admin, only show their reports
-      if (req.user && req.user.role !== 'admin') {
+      // Users without permission to view all reports only see their own
+      if (req.user && !hasPermission(req.user.role, 'reports.view')) {
         filter.userId = req.user.id;
       }
       
@@ -249,8 +309,16 @@ class ReportController {
         filter
       });
       
+      // Find which of these reports the current user has endorsed
+      const endorsedReportIds = await endorsementRepository.findEndorsedReportIds(
+        req.user?.id,
+        result.reports.map(report => report.id)
+      );
+      
       // Process reports to include user details
       const processedReports = await Promise.all(result.reports.map(async (report) => {
+        const endorsedByCurrentUser = endorsedReportIds.includes(report.id);
+        
         try {
           // If userId exists, fetch user details
           if (report.userId) {
@@ -258,6 +326,7 @@ class ReportController {
             if (user) {
               return {
                 ...report,
+                endorsedByCurrentUser,
                 userDetails: {
                   id: user.id,
                   firstName: user.firstName,
@@ -269,10 +338,10 @@ class ReportController {
               };
             }
           }
-          return report;
+          return { ...report, endorsedByCurrentUser };
         } catch (error) {
           console.error(`Error fetching user details for report ${report.id}:`, error);
-          return report;
+          return { ...report, endorsedByCurrentUser };
         }
       }));
       
@@ -313,12 +382,17 @@ class ReportController {
       }
       
       // Check if user is authorized to view this report
-      if (req.user.role !== 'admin' && report.userId.toString() !== req.user.id) {
+      if (!hasPermission(req.user.role, 'reports.view') &&
+          report.userId.toString() !== req.user.id &&
+          !(await this._isAssignedToUser(report, req.user))) {
         throw new ApiError(403, 'You are not authorized to view this report');
       }
       
       // Add user details if userId exists
       let reportWithUserDetails = { ...report };
+      
+      const endorsement = await endorsementRepository.findByReportAndUser(report.id, req.user.id);
+      reportWithUserDetails.endorsedByCurrentUser = !!endorsement;
       if (report.userId) {
         try {
           const user = await userRepository.findById(report.userId);
@@ -359,7 +433,7 @@ class ReportController {
   async updateReport(req, res, next) {
     try {
       const { id } = req.params;
-      const updateData = req.body;
+      let updateData = req.body;
       
       // Get existing report
       const report = await reportRepository.findById(id);
@@ -369,39 +443,75 @@ class ReportController {
       }
       
       // Check if user is authorized to update this report
-      if (req.user.role !== 'admin' && report.userId.toString() !== req.user.id) {
+      const canUpdateAnyReport = hasPermission(req.user.role, 'reports.update');
+      if (!canUpdateAnyReport && report.userId.toString() !== req.user.id) {
         throw new ApiError(403, 'You are not authorized to update this report');
       }
       
-      // Citizen can only update certain fields if report is pending
-      if (req.user.role !== 'admin') {
-        if (report.status !== 'pending') {
-          throw new ApiError(403, 'You can only edit reports with pending status');
-        }
-        
-        // Filter allowed fields for citizens
-        const allowedFields = ['title', 'description', 'category', 'location'];
-        const filteredUpdateData = {};
-        
-        Object.keys(updateData).forEach(key => {
-          if (allowedFields.includes(key)) {
-            filteredUpdateData[key] = updateData[key];
-          }
-        });
-        
-        updateData = filteredUpdateData;
+      // Citizen can only update reports with pending status
+      if (!canUpdateAnyReport && report.status !== 'pending') {
+        throw new ApiError(403, 'You can only edit reports with pending status');
       }
       
+      // Only the content of a report is edited here; status, history and merges go through their own endpoints
+      // so they follow the status transition rules
+      const allowedFields = canUpdateAnyReport
+        ? ['title', 'description', 'category', 'location', 'urgency']
+        : ['title', 'description', 'category', 'location'];
+      const filteredUpdateData = {};
+      
+      Object.keys(updateData).forEach(key => {
+        if (allowedFields.includes(key)) {
+          filteredUpdateData[key] = updateData[key];
+        }
+      });
+      
+      updateData = filteredUpdateData;
+      
       // Update report
-      const updatedReport = await reportRepository.update(id, {
+      let updatedReport = await reportRepository.update(id, {
         ...updateData,
         updatedAt: new Date()
       });
       
+      // Edits by citizens are screened like new reports
+      const textFlags = !canUpdateAnyReport && config.moderation.enabled
+        ? contentModerator.screenText({ title: updateData.title, description: updateData.description })
+        : [];
+      
+      if (textFlags.length > 0) {
+        updatedReport = await reportRepository.holdForModeration(id, textFlags, {
+          historyNote: contentModerator.describe(textFlags)
+        }) || updatedReport;
+        realtimeHub.reportEvent('report.status_changed', updatedReport);
+      }
+      
+      // The summary and detected language follow the text
+      if (updateData.title !== undefined || updateData.description !== undefined) {
+        await this._queueJob('report.summarize', { reportId: id });
+      }
+      
+      // Photos are checked against the new location
+      if (updateData.location?.coordinates && report.images.length > 0) {
+        updatedReport = await this._checkImageLocation(id) || updatedReport;
+      }
+      
+      // Text and location are fraud signals, so the report is scored again
+      let fraudCheck = null;
+      if (updateData.title !== undefined || updateData.description !== undefined || updateData.location) {
+        fraudCheck = await this._scoreFraud(report);
+      }
+      
+      if (fraudCheck && updateData.location?.coordinates && report.images.length > 0) {
+        await this._queuePhotoAward(updatedReport);
+      }
+      
       // Return result
       res.status(200).json({
         status: 'success',
-        message: 'Report updated successfully',
+        message: updatedReport.isHidden()
+          ? 'Report updated and held for moderation review'
+          : 'Report updated successfully',
         data: {
           report: updatedReport
         }
@@ -440,55 +550,35 @@ class ReportController {
       // Log the report ID for debugging
       console.log('Report found with ID:', report.id);
       
-      // Check if status is changing to 'resolved'
-      const isBeingResolved = report.status !== 'resolved' && status === 'resolved';
+      // Field staff can only work on reports assigned to them or their team
+      if (!hasPermission(req.user.role, 'reports.update') &&
+          !(await this._isAssignedToUser(report, req.user))) {
+        throw new ApiError(403, 'You can only update reports assigned to you or your team');
+      }
       
-      // Update report status
-      const updatedReport = await reportRepository.updateStatus(id, status, adminId, note);
+      // Update report status; illegal transitions are rejected by the use case
+      const { report: updatedReport } = await updateReportStatusUseCase.execute(
+        id,
+        status,
+        adminId,
+        note,
+        getUploadedFilePaths(req)
+      );
+      const isBeingResolved = status === 'resolved';
       
       // Log the updated report ID for debugging
       console.log('Report successfully updated with ID:', updatedReport.id);
       
-      // Get report owner
-      const reportOwner = await userRepository.findById(report.userId);
-      
-      if (reportOwner) {
-        // Send notification email
-        try {
-          await emailService.sendReportStatusUpdateEmail(reportOwner, updatedReport, status, note);
-          console.log('Status update email sent to user:', reportOwner.id);
-        } catch (emailError) {
-          console.error('Error sending status update email:', emailError);
-          // Continue processing even if email fails
-        }
+      // Notify the report owner and reporters of merged duplicates
+      for (const reporterId of updatedReport.getReporterIds()) {
+        await notificationDispatcher.reportStatusChanged(reporterId, updatedReport, status, note);
       }
       
-      // Award points if report is being resolved
+      realtimeHub.reportEvent('report.status_changed', updatedReport);
+      
+      // Award points in the background if report is being resolved
       if (isBeingResolved) {
-        try {
-          // Import use case locally to avoid circular dependencies
-          const AwardPointsForReportUseCase = (await import('../../../application/use-cases/points/AwardPointsForReportUseCase.js')).default;
-          const MongoPointsRepository = (await import('../../persistence/repositories/MongoPointsRepository.js')).default;
-          
-          const pointsRepository = new MongoPointsRepository();
-          const awardPointsUseCase = new AwardPointsForReportUseCase(
-            pointsRepository,
-            userRepository,
-            reportRepository
-          );
-          
-          // Award points in a separate thread to avoid blocking the response
-          setTimeout(async () => {
-            try {
-              const result = await awardPointsUseCase.execute(id, adminId);
-              console.log('Points awarded for resolved report:', id, 'Amount:', result.pointsAwarded, 'User:', result.user.id);
-            } catch (error) {
-              console.error('Error awarding points for resolved report:', error);
-            }
-          }, 200);
-        } catch (error) {
-          console.error('Error importing award points use case:', error);
-        }
+        await this._queueJob('points.report_resolved', { reportId: id, adminId });
       }
       
       // Return result
@@ -504,6 +594,75 @@ class ReportController {
     }
   }
 
+  /**
+   * Reopen a resolved report whose issue was not actually fixed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async reopenReport(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+      
+      const report = await reopenReportUseCase.execute(id, req.user.id, reason);
+      
+      logger.info(`Report ${id} reopened by user ${req.user.id}`);
+      
+      await this._notifyStaffOfReopen(report, reason);
+      realtimeHub.reportEvent('report.status_changed', report);
+      
+      res.status(200).json({
+        status: 'success',
+        message: 'Report reopened successfully',
+        data: {
+          report
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Confirm or dispute the resolution of a report
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async verifyResolution(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { decision, comment, rating } = req.body;
+      
+      const report = await verifyResolutionUseCase.execute(id, req.user.id, {
+        decision,
+        comment,
+        rating: rating ? parseInt(rating, 10) : null
+      });
+      
+      logger.info(`Resolution of report ${id} ${decision === 'confirm' ? 'confirmed' : 'disputed'} by user ${req.user.id}`);
+      
+      // A disputed resolution is back in the admin queue
+      if (decision === 'dispute') {
+        await this._notifyStaffOfReopen(report, comment);
+        realtimeHub.reportEvent('report.status_changed', report);
+      }
+      
+      res.status(200).json({
+        status: 'success',
+        message: decision === 'confirm'
+          ? 'Thank you for confirming the resolution'
+          : 'Resolution disputed; the report has been reopened',
+        data: {
+          report
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Delete a report
    * @param {Object} req - Express request object
@@ -522,12 +681,13 @@ class ReportController {
       }
       
       // Check if user is authorized to delete this report
-      if (req.user.role !== 'admin' && report.userId.toString() !== req.user.id) {
+      const canDeleteAnyReport = hasPermission(req.user.role, 'reports.delete');
+      if (!canDeleteAnyReport && report.userId.toString() !== req.user.id) {
         throw new ApiError(403, 'You are not authorized to delete this report');
       }
       
       // Citizen can only delete reports with pending status
-      if (req.user.role !== 'admin' && report.status !== 'pending') {
+      if (!canDeleteAnyReport && report.status !== 'pending') {
         throw new ApiError(403, 'You can only delete reports with pending status');
       }
       
@@ -553,9 +713,9 @@ class ReportController {
   async addImagesToReport(req, res, next) {
     try {
       const { id } = req.params;
-      const imagePaths = getUploadedFilePaths(req);
+      const images = getUploadedImages(req);
       
-      if (imagePaths.length === 0) {
+      if (images.length === 0) {
         throw new ApiError(400, 'No images provided');
       }
       
@@ -567,31 +727,28 @@ class ReportController {
       }
       
       // Check if user is authorized to update this report
-      if (req.user.role !== 'admin' && report.userId.toString() !== req.user.id) {
+      const canUpdateAnyReport = hasPermission(req.user.role, 'reports.update');
+      if (!canUpdateAnyReport && report.userId.toString() !== req.user.id) {
         throw new ApiError(403, 'You are not authorized to update this report');
       }
       
       // Citizen can only add images if report is pending
-      if (req.user.role !== 'admin' && report.status !== 'pending') {
+      if (!canUpdateAnyReport && report.status !== 'pending') {
         throw new ApiError(403, 'You can only add images to reports with pending status');
       }
       
       // Add images to report
-      const updatedReport = await reportRepository.addImages(id, imagePaths);
+      let updatedReport = await reportRepository.addImages(id, images.map(toReportImage));
+      updatedReport = await this._checkImageLocation(id) || updatedReport;
+      if (await this._scoreFraud(report)) {
+        await this._queuePhotoAward(updatedReport);
+      }
       
-      // Process with AI if this is the first image
-      if (report.images.length === 0 && imagePaths.length > 0) {
-        try {
-          // Create image object format
-          const firstImageObj = {
-            url: imagePaths[0],
-            uploadedAt: new Date()
-          };
-          this._processReportWithAI(updatedReport, firstImageObj);
-        } catch (aiError) {
-          console.error('Error processing report with AI when adding images:', aiError);
-          // Continue with the process even if AI processing fails
-        }
+      // Re-run the analysis in the background so the new images count towards the consensus
+      await this._queueAnalysis(id);
+      
+      if (config.moderation.enabled) {
+        await this._queueJob('report.moderate_images', { reportId: id });
       }
       
       // Return result
@@ -695,16 +852,29 @@ class ReportController {
         parseFloat(radius),
         {
           page: parseInt(page, 10),
-          limit: parseInt(limit, 10)
+          limit: parseInt(limit, 10),
+          // Merged reports live on through their canonical report, and reports held by moderation are not shown
+          filter: {
+            status: REPORT_STATUSES.filter(status => status !== 'merged' && !HIDDEN_STATUSES.includes(status))
+          }
         }
       );
       
+      // Let the map show which nearby reports the user already endorsed
+      const endorsedReportIds = await endorsementRepository.findEndorsedReportIds(
+        req.user.id,
+        result.reports.map(report => report.id)
+      );
+      
       // Return result
       res.status(200).json({
         status: 'success',
         message: 'Nearby reports retrieved successfully',
         data: {
-          reports: result.reports,
+          reports: result.reports.map(report => ({
+            ...report,
+            endorsedByCurrentUser: endorsedReportIds.includes(report.id)
+          })),
           pagination: {
             total: result.total,
             page: result.page,
@@ -719,100 +889,119 @@ class ReportController {
   }
 
   /**
-   * Process report with AI (private method)
-   * @param {Report} report - Report to process
-   * @param {Object|string} imagePathObj - Path to image or image object with URL
+   * Queue a background job for a report that is already saved. A job that cannot be queued must not fail the
+   * request: the client would retry it and save the report a second time
+   * @param {string} type - Job type
+   * @param {Object} payload - Job payload
+   * @returns {Promise<Job|null>} Queued job, or null if it could not be queued
    * @private
    */
-  async _processReportWithAI(report, imagePathObj) {
+  async _queueJob(type, payload) {
     try {
-      // If imagePath is a string, use it directly
-      // If it's an object (after formatting), use the url property
-      const imagePathToUse = typeof imagePathObj === 'string' 
-        ? imagePathObj 
-        : (imagePathObj && imagePathObj.url ? imagePathObj.url : null);
-      
-      if (!imagePathToUse) {
-        console.error('Invalid image path for AI processing');
-        return;
-      }
+      return await jobQueue.enqueue(type, payload);
+    } catch (error) {
+      logger.error(`Error queuing ${type} job for report ${payload.reportId}: ${error.message}`);
+      return null;
+    }
+  }
 
-      // Verify image file exists before processing
-      try {
-        // Use the fs module from path
-        const fs = await import('fs');
-        if (!fs.existsSync(imagePathToUse)) {
-          console.error(`Image file does not exist at path: ${imagePathToUse}`);
-          return;
-        }
-      } catch (fsError) {
-        console.error('Error checking if image exists:', fsError);
-        return;
-      }
-      
-      console.log(`Processing image with AI: ${imagePathToUse}`);
-      
-      // Analyze image
-      const imageAnalysis = await aiService.analyzeImage(imagePathToUse);
-      console.log('Image analysis result:', imageAnalysis);
-      
-      // Detect urgency
-      const urgencyAnalysis = await aiService.detectUrgency(report.description, imagePathToUse);
-      console.log('Urgency analysis result:', urgencyAnalysis);
-      
-      // Update report with AI analysis
-      const aiAnalysis = {
-        classification: imageAnalysis.classification,
-        urgency: urgencyAnalysis.urgency,
-        confidence: imageAnalysis.confidence,
-        analysisTimestamp: new Date()
-      };
-      
-      console.log('Updating report with AI analysis:', aiAnalysis);
+  /**
+   * Queue AI analysis of a report's images
+   * @param {string} reportId - Report ID
+   * @private
+   */
+  async _queueAnalysis(reportId) {
+    await reportRepository.update(reportId, { 'aiAnalysis.status': 'queued', 'aiAnalysis.error': null });
+    await this._queueJob('report.analyze', { reportId });
+  }
+
+  /**
+   * Compare the GPS positions of a report's photos with its location. A failed check must not fail the request
+   * that triggered it
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Report|null>} Report with its location check, or null if the check failed
+   * @private
+   */
+  async _checkImageLocation(reportId) {
+    try {
+      return await checkImageLocationUseCase.execute(reportId);
+    } catch (error) {
+      logger.error(`Error checking image locations of report ${reportId}: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Score a report for points farming; its points are withheld when the score crosses the threshold. A report
+   * that cannot be scored is held for review instead, and a failed check must not fail the request that triggered it
+   * @param {Report} report - Report to score
+   * @returns {Promise<FraudCheck|null>} Saved check, or null if not even the hold could be saved; the report's
+   *   points must not be queued then
+   * @private
+   */
+  async _scoreFraud(report) {
+    try {
+      const check = await scoreReportFraudUseCase.execute(report.id);
       
-      await reportRepository.update(report.id, {
-        aiAnalysis,
-        // Update urgency only if AI is more confident in a higher urgency level
-        ...(this._shouldUpdateUrgency(report.urgency, urgencyAnalysis.urgency, urgencyAnalysis.confidence) ? 
-          { urgency: urgencyAnalysis.urgency } : {})
-      });
+      if (check.status === 'held') {
+        logger.warn(`Points of report ${report.id} held for fraud review (score ${check.score}: ${check.signals.map(signal => signal.type).join(', ')})`);
+      }
       
-      console.log('AI analysis completed successfully for report:', report.id);
+      return check;
     } catch (error) {
-      console.error('Error processing report with AI:', error);
-      // Log additional details about the error
-      if (error.response) {
-        console.error('AI service response error:', {
-          status: error.response.status,
-          data: error.response.data
-        });
+      logger.error(`Error scoring report ${report.id} for fraud: ${error.message}`);
+      
+      try {
+        return await scoreReportFraudUseCase.holdUnscored(report.id, report.userId, error);
+      } catch (holdError) {
+        logger.error(`Error holding the points of unscored report ${report.id}: ${holdError.message}`);
+        return null;
       }
     }
   }
-
+  
   /**
-   * Determine if report urgency should be updated based on AI analysis
-   * @param {string} currentUrgency - Current urgency level
-   * @param {string} aiUrgency - AI detected urgency level
-   * @param {number} confidence - AI confidence level (0-1)
-   * @returns {boolean} Whether urgency should be updated
+   * Queue the verified photo award when a report's photos were taken where the issue was reported
+   * @param {Report} report - Report with its location check
    * @private
    */
-  _shouldUpdateUrgency(currentUrgency, aiUrgency, confidence) {
-    // Map urgency levels to numerical values
-    const urgencyMap = {
-      'low': 1,
-      'medium': 2,
-      'high': 3,
-      'critical': 4
-    };
+  async _queuePhotoAward(report) {
+    if (report.locationCheck?.status === 'consistent' && !report.isHidden()) {
+      await this._queueJob('points.photo_verified', { reportId: report.id });
+    }
+  }
 
-    // Only upgrade urgency, never downgrade
-    const currentValue = urgencyMap[currentUrgency] || 2; // Default to medium
-    const aiValue = urgencyMap[aiUrgency] || 2; // Default to medium
+  /**
+   * Let the admin who handled a report and its assignee know it has been reopened
+   * @param {Report} report - The reopened report
+   * @param {string} reason - Why the reporter reopened the report
+   * @private
+   */
+  async _notifyStaffOfReopen(report, reason) {
+    const staffIds = [...new Set([report.adminId, report.assignment?.assignedTo]
+      .filter(Boolean)
+      .map(staffId => staffId.toString()))];
+    
+    for (const staffId of staffIds) {
+      await notificationDispatcher.reportStatusChanged(staffId, report, 'reopened', reason);
+    }
+  }
 
-    // Update if AI detects higher urgency with good confidence
-    return aiValue > currentValue && confidence > 0.7;
+  /**
+   * Check if a report is assigned to a staff member directly or through their team
+   * @param {Report} report - Report to check
+   * @param {Object} user - Authenticated user from the token
+   * @returns {Promise<boolean>} Whether the report is in the user's queue
+   * @private
+   */
+  async _isAssignedToUser(report, user) {
+    if (!report.isAssigned() || !hasPermission(user.role, 'reports.queue')) {
+      return false;
+    }
+    
+    // The team is not part of the token, so look it up
+    const staffMember = await userRepository.findById(user.id);
+    return report.isAssignedTo(user.id, staffMember ? staffMember.team : null);
   }
 }
 
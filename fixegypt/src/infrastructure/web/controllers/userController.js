@@ -88,6 +88,15 @@ class UserController {
         }
       });
       
+      // Update channels individually so omitted ones keep their current setting
+      if (updateData.notificationPreferences) {
+        ['inApp', 'email'].forEach(channel => {
+          if (typeof updateData.notificationPreferences[channel] === 'boolean') {
+            filteredUpdateData[`notificationPreferences.${channel}`] = updateData.notificationPreferences[channel];
+          }
+        });
+      }
+      
       if (Object.keys(filteredUpdateData).length === 0) {
         throw new ApiError(400, 'No valid fields to update');
       }
@@ -171,9 +180,9 @@ class UserController {
         throw new ApiError(404, 'User not found');
       }
       
-      // Prevent admin from deleting their account through this endpoint
-      if (user.role === 'admin') {
-        throw new ApiError(403, 'Admin accounts cannot be deleted through this endpoint');
+      // Prevent staff from deleting their account through this endpoint
+      if (!user.isCitizen()) {
+        throw new ApiError(403, 'Staff accounts cannot be deleted through this endpoint');
       }
       
       // Verify password
@@ -1,6 +1,7 @@
 import authService from '../../../domain/services/AuthService.js';
 import { ApiError } from './errorHandler.js';
 import config from '../../../config.js';
+import adminConfig from '../../config/adminConfig.js';
 
 /**
  * Middleware to verify JWT token and attach user to request
@@ -31,6 +32,23 @@ const protect = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to verify the JWT of an event stream
+ * Browsers cannot set headers on EventSource requests, so the token may also be sent as ?token=
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const protectStream = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+    // Keep the token out of the request log
+    req.originalUrl = req.originalUrl.replace(/([?&]token=)[^&]*/, '$1[redacted]');
+  }
+  
+  protect(req, res, next);
+};
+
 /**
  * Middleware to restrict access based on user role
  * @param {...string} roles - Allowed roles
@@ -50,6 +68,55 @@ const restrictTo = (...roles) => {
   };
 };
 
+/**
+ * Get the roles granted a permission in the adminConfig permission matrix
+ * @param {string} permission - Permission path, e.g. 'reports.assign'
+ * @returns {Array<string>} Roles granted the permission
+ */
+const getPermissionRoles = (permission) => {
+  const roles = permission
+    .split('.')
+    .reduce((node, key) => (node ? node[key] : undefined), adminConfig.permissions);
+  
+  if (!Array.isArray(roles)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  
+  return roles;
+};
+
+/**
+ * Check if a role is granted a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission path, e.g. 'reports.assign'
+ * @returns {boolean} Whether the role has the permission
+ */
+const hasPermission = (role, permission) => {
+  return getPermissionRoles(permission).includes(role);
+};
+
+/**
+ * Middleware to restrict access based on the adminConfig permission matrix
+ * @param {string} permission - Permission path, e.g. 'reports.assign'
+ * @returns {Function} Express middleware function
+ */
+const requirePermission = (permission) => {
+  // Fail at startup rather than on the first request if the permission is misspelled
+  getPermissionRoles(permission);
+  
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new ApiError(401, 'Not authenticated'));
+    }
+    
+    if (!hasPermission(req.user.role, permission)) {
+      return next(new ApiError(403, 'Access denied. You do not have permission to access this resource'));
+    }
+    
+    next();
+  };
+};
+
 /**
  * Middleware to verify user is verified
  * @param {Object} req - Express request object
@@ -113,7 +180,10 @@ const authorizeResourceAccess = (paramName, getOwnerId) => {
 // Create an object for default export
 const authMiddleware = { 
   protect, 
+  protectStream,
   restrictTo, 
+  requirePermission,
+  hasPermission,
   requireVerified, 
   authorizeResourceAccess,
   // Add alias for verificationRequired to maintain naming consistency with route usage
@@ -121,4 +191,4 @@ const authMiddleware = {
 };
 
 export default authMiddleware;
-export { protect, restrictTo, requireVerified, authorizeResourceAccess }; 
\ No newline at end of file
+export { protect, protectStream, restrictTo, requirePermission, hasPermission, requireVerified, authorizeResourceAccess }; 
\ No newline at end of file
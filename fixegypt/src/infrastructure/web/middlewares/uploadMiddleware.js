@@ -3,6 +3,7 @@ import path from 'path';
 import fs from 'fs';
 import * as uuid from 'uuid';
 import { ApiError } from './errorHandler.js';
+import imagePipeline from '../../images/ImagePipeline.js';
 import config from '../../../config.js';
 
 // Ensure upload directory exists
@@ -47,6 +48,25 @@ const upload = multer({
   fileFilter
 });
 
+/**
+ * Strip the metadata of the uploaded images and make their resized copies
+ * The result is kept on each file as file.image; if any image cannot be read, all of the request's uploads are removed
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+const processUploadedImages = async (req) => {
+  const files = req.file ? [req.file] : (Array.isArray(req.files) ? req.files : []);
+
+  try {
+    for (const file of files) {
+      file.image = await imagePipeline.process(file.path);
+    }
+  } catch (error) {
+    await Promise.all(files.map(file => imagePipeline.remove(file.path)));
+    throw new ApiError(400, `Could not read uploaded image: ${error.message}`);
+  }
+};
+
 /**
  * Middleware for handling single image upload
  * @param {string} fieldName - Form field name
@@ -68,7 +88,7 @@ const uploadSingleImage = (fieldName) => {
       }
       
       // File uploaded successfully
-      next();
+      processUploadedImages(req).then(() => next(), next);
     });
   };
 };
@@ -97,7 +117,7 @@ const uploadMultipleImages = (fieldName, maxCount = 5) => {
       }
       
       // Files uploaded successfully
-      next();
+      processUploadedImages(req).then(() => next(), next);
     });
   };
 };
@@ -125,4 +145,14 @@ const getUploadedFilePaths = (req) => {
   return [];
 };
 
-export { uploadSingleImage, uploadMultipleImages, getUploadedFilePaths }; 
\ No newline at end of file
+/**
+ * Get the processed uploads with their metadata
+ * @param {Object} req - Express request object
+ * @returns {Array<Object>} Image pipeline results (path, hash, width, height, size, format, capturedAt, gps, variants)
+ */
+const getUploadedImages = (req) => {
+  const files = req.file ? [req.file] : (Array.isArray(req.files) ? req.files : []);
+  return files.map(file => file.image || { path: file.path });
+};
+
+export { uploadSingleImage, uploadMultipleImages, getUploadedFilePaths, getUploadedImages }; 
\ No newline at end of file
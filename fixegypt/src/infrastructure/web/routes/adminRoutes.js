@@ -1,7 +1,13 @@
 import express from 'express';
 import adminController from '../controllers/adminController.js';
+import jobController from '../controllers/jobController.js';
+import aiController from '../controllers/aiController.js';
+import categorySuggestionController from '../controllers/categorySuggestionController.js';
+import moderationController from '../controllers/moderationController.js';
+import fraudController from '../controllers/fraudController.js';
 import authMiddleware from '../middlewares/authMiddleware.js';
-import { validateAdminLogin, validateStatusUpdate } from '../validators/adminValidator.js';
+import { uploadMultipleImages } from '../middlewares/uploadMiddleware.js';
+import { validateAdminLogin, validateStatusUpdate, validateMergeReports, validateUserRoleUpdate, validateJobsQuery, validateAIHealthQuery, validateCategorySuggestionsQuery, validateCategorySuggestionReview, validateCategorySuggestionAccuracyQuery, validateModerationQueueQuery, validateModerationDecision, validateFraudAccountsQuery, validateFraudChecksQuery, validateFraudReview } from '../validators/adminValidator.js';
 
 const router = express.Router();
 
@@ -18,7 +24,7 @@ const router = express.Router();
  *   post:
  *     summary: Admin login
  *     tags: [Admin]
- *     description: Login with admin credentials
+ *     description: Login with admin or staff (manager, analyst) credentials
  *     requestBody:
  *       required: true
  *       content:
@@ -80,9 +86,8 @@ const router = express.Router();
  */
 router.post('/login', validateAdminLogin, adminController.login);
 
-// Protected admin routes - require admin authentication
+// Protected admin routes - require authentication, then a permission from adminConfig per route
 router.use(authMiddleware.protect);
-router.use(authMiddleware.restrictTo('admin'));
 
 /**
  * @swagger
@@ -164,9 +169,9 @@ router.use(authMiddleware.restrictTo('admin'));
  *       401:
  *         description: Unauthorized - no token or invalid token
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - missing required permission
  */
-router.get('/dashboard',  adminController.getDashboardStats);
+router.get('/dashboard', authMiddleware.requirePermission('reports.dashboard'), adminController.getDashboardStats);
 
 /**
  * @swagger
@@ -241,9 +246,9 @@ router.get('/dashboard',  adminController.getDashboardStats);
  *       401:
  *         description: Unauthorized - no token or invalid token
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - missing required permission
  */
-router.get('/users', adminController.getUsers);
+router.get('/users', authMiddleware.requirePermission('users.view'), adminController.getUsers);
 
 /**
  * @swagger
@@ -296,11 +301,11 @@ router.get('/users', adminController.getUsers);
  *       401:
  *         description: Unauthorized - no token or invalid token
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - missing required permission
  *       404:
  *         description: User not found
  */
-router.patch('/users/:userId/verify', adminController.verifyUser);
+router.patch('/users/:userId/verify', authMiddleware.requirePermission('users.verify'), adminController.verifyUser);
 
 /**
  * @swagger
@@ -329,8 +334,12 @@ router.patch('/users/:userId/verify', adminController.verifyUser);
  *             properties:
  *               role:
  *                 type: string
- *                 enum: [citizen, admin, manager, analyst]
+ *                 enum: [citizen, admin, manager, analyst, field_worker]
  *                 description: New role for the user
+ *               team:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Field team of a staff member, used for team assignments (null to clear)
  *     responses:
  *       200:
  *         description: User role updated successfully
@@ -358,16 +367,23 @@ router.patch('/users/:userId/verify', adminController.verifyUser);
  *                       type: string
  *                     role:
  *                       type: string
+ *                     team:
+ *                       type: string
  *       400:
  *         description: Bad request - invalid user ID or role
  *       401:
  *         description: Unauthorized - no token or invalid token
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - missing required permission
  *       404:
  *         description: User not found
  */
-router.patch('/users/:userId/role', adminController.updateUserRole);
+router.patch(
+  '/users/:userId/role',
+  authMiddleware.requirePermission('users.update'),
+  validateUserRoleUpdate,
+  adminController.updateUserRole
+);
 
 /**
  * @swagger
@@ -375,7 +391,7 @@ router.patch('/users/:userId/role', adminController.updateUserRole);
  *   get:
  *     summary: Get pending reports
  *     tags: [Admin]
- *     description: Get paginated list of pending reports
+ *     description: Get paginated list of reports waiting for review - pending and reopened reports, including disputed resolutions
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -391,6 +407,13 @@ router.patch('/users/:userId/role', adminController.updateUserRole);
  *           type: integer
  *           default: 10
  *         description: Results per page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, impact]
+ *           default: newest
+ *         description: Sort by creation date or by community impact (endorsement count)
  *     responses:
  *       200:
  *         description: Pending reports retrieved successfully
@@ -426,9 +449,207 @@ router.patch('/users/:userId/role', adminController.updateUserRole);
  *       401:
  *         description: Unauthorized - no token or invalid token
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - missing required permission
+ */
+router.get('/reports/pending', authMiddleware.requirePermission('reports.view'), adminController.getPendingReports);
+
+/**
+ * @swagger
+ * /admin/reports/duplicates:
+ *   get:
+ *     summary: Get reports flagged as likely duplicates
+ *     tags: [Admin]
+ *     description: Get open reports that were flagged at submission as likely duplicates of nearby open reports of the same category
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Duplicate reports retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Duplicate reports retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reports:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Report'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: number
+ *                         limit:
+ *                           type: number
+ *                         total:
+ *                           type: number
+ *                         pages:
+ *                           type: number
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ */
+router.get('/reports/duplicates', authMiddleware.requirePermission('reports.view'), adminController.getDuplicateReports);
+
+/**
+ * @swagger
+ * /admin/reports/location-mismatches:
+ *   get:
+ *     summary: Get reports whose photos were taken away from the reported location
+ *     tags: [Admin]
+ *     description: |
+ *       Get reports where the GPS position in a photo's EXIF data is further from the reported location than
+ *       IMAGE_GPS_MISMATCH_KM, furthest first. Merged and removed reports are left out.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Location mismatches retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Location mismatches retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reports:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Report'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: number
+ *                         limit:
+ *                           type: number
+ *                         total:
+ *                           type: number
+ *                         pages:
+ *                           type: number
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ */
+router.get('/reports/location-mismatches', authMiddleware.requirePermission('reports.view'), adminController.getLocationMismatches);
+
+/**
+ * @swagger
+ * /admin/reports/{reportId}/merge:
+ *   post:
+ *     summary: Merge duplicate reports
+ *     tags: [Admin]
+ *     description: Fold duplicate reports into a canonical report. Images, status history and reporters are combined, and the duplicates are marked as merged. All reports must be open and in the same category.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the canonical report to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - duplicateIds
+ *             properties:
+ *               duplicateIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of the duplicate reports to merge
+ *               note:
+ *                 type: string
+ *                 description: Optional note explaining the merge
+ *     responses:
+ *       200:
+ *         description: Reports merged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Reports merged successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     report:
+ *                       $ref: '#/components/schemas/Report'
+ *                     mergedReportIds:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Bad request - invalid report IDs or reports of different categories
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Conflict - a report has already been merged or is no longer open
  */
-router.get('/reports/pending', adminController.getPendingReports);
+router.post(
+  '/reports/:reportId/merge',
+  authMiddleware.requirePermission('reports.update'),
+  validateMergeReports,
+  adminController.mergeReports
+);
 
 /**
  * @swagger
@@ -457,11 +678,28 @@ router.get('/reports/pending', adminController.getPendingReports);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, in-progress, resolved, rejected]
- *                 description: New status for the report
+ *                 enum: [in-progress, resolved, rejected]
+ *                 description: New status for the report (pending → in-progress → resolved; pending, in-progress or reopened → rejected)
+ *               note:
+ *                 type: string
+ *                 description: Note explaining the status change (required when rejecting)
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [in-progress, resolved, rejected]
  *               note:
  *                 type: string
- *                 description: Optional note explaining the status change
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Up to 5 "after" photos of the fix (only when resolving; required if REQUIRE_RESOLUTION_PHOTOS is true)
  *     responses:
  *       200:
  *         description: Report status updated successfully
@@ -482,15 +720,23 @@ router.get('/reports/pending', adminController.getPendingReports);
  *                     report:
  *                       $ref: '#/components/schemas/Report'
  *       400:
- *         description: Bad request - invalid report ID or status
+ *         description: Bad request - invalid report ID or status, or missing rejection reason
  *       401:
  *         description: Unauthorized - no token or invalid token
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - missing required permission
  *       404:
  *         description: Report not found
+ *       409:
+ *         description: Conflict - status transition not allowed or report merged into another report
  */
-router.patch('/reports/:reportId/status', validateStatusUpdate, adminController.updateReportStatus);
+router.patch(
+  '/reports/:reportId/status',
+  authMiddleware.requirePermission('reports.update'),
+  uploadMultipleImages('images', 5),
+  validateStatusUpdate,
+  adminController.updateReportStatus
+);
 
 /**
  * @swagger
@@ -507,7 +753,7 @@ router.patch('/reports/:reportId/status', validateStatusUpdate, adminController.
  *         required: true
  *         schema:
  *           type: string
- *           enum: [resolution-time-category, resolution-time-area, trends, seasonal, agency-performance, damage-assessment]
+ *           enum: [resolution-time-category, resolution-time-area, trends, seasonal, agency-performance, damage-assessment, community-impact, sla-compliance, citizen-satisfaction]
  *         description: Type of analytics to retrieve
  *       - in: query
  *         name: timeUnit
@@ -538,6 +784,11 @@ router.patch('/reports/:reportId/status', validateStatusUpdate, adminController.
  *         schema:
  *           type: string
  *         description: Filter by governorate
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: string
+ *         description: Filter agency performance by assigned team
  *     responses:
  *       200:
  *         description: Analytics data retrieved successfully
@@ -569,8 +820,1114 @@ router.patch('/reports/:reportId/status', validateStatusUpdate, adminController.
  *       401:
  *         description: Unauthorized - no token or invalid token
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - missing required permission
+ */
+router.get('/analytics', authMiddleware.requirePermission('analytics.view'), adminController.getAnalytics);
+
+/**
+ * @swagger
+ * /admin/jobs:
+ *   get:
+ *     summary: List background jobs
+ *     tags: [Admin]
+ *     description: |
+ *       List the persisted background jobs for AI analysis and points awarding, newest first, with counts
+ *       per status. Failed attempts are retried with exponential backoff; jobs that use up their attempts
+ *       are dead-lettered with status `dead`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, dead]
+ *         description: Filter by status
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [report.analyze, report.moderate_images, report.summarize, points.report_submission, points.report_resolved, points.report_endorsed, points.photo_verified, points.reconcile]
+ *         description: Filter by job type
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Jobs retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Job'
+ *                     counts:
+ *                       type: object
+ *                       description: Number of jobs per status
+ *                       example: { queued: 2, running: 1, completed: 120, dead: 3 }
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: number
+ *                         page:
+ *                           type: number
+ *                         limit:
+ *                           type: number
+ *                         pages:
+ *                           type: number
+ *       400:
+ *         description: Bad request - invalid filters
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ */
+router.get('/jobs', authMiddleware.requirePermission('system.jobs'), validateJobsQuery, jobController.getJobs);
+
+/**
+ * @swagger
+ * /admin/jobs/{jobId}:
+ *   get:
+ *     summary: Get a background job
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     job:
+ *                       $ref: '#/components/schemas/Job'
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ *       404:
+ *         description: Job not found
+ */
+router.get('/jobs/:jobId', authMiddleware.requirePermission('system.jobs'), jobController.getJobById);
+
+/**
+ * @swagger
+ * /admin/jobs/{jobId}/retry:
+ *   post:
+ *     summary: Retry a dead job
+ *     tags: [Admin]
+ *     description: Put a dead-lettered job back in the queue with a fresh set of attempts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job queued for retry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Job queued for retry
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     job:
+ *                       $ref: '#/components/schemas/Job'
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Conflict - only dead jobs can be retried
+ */
+router.post('/jobs/:jobId/retry', authMiddleware.requirePermission('system.jobs'), jobController.retryJob);
+
+/**
+ * @swagger
+ * /admin/ai/health:
+ *   get:
+ *     summary: Get AI provider health and spend
+ *     tags: [Admin]
+ *     description: |
+ *       Show the provider chain in the order providers are tried, the circuit breaker state and last call
+ *       of each provider, and calls, failures, latency, tokens and estimated spend (USD) per day.
+ *       A provider's circuit opens after repeated failures and it is skipped until the cooldown passes.
+ *       When AI result caching is on, cache shows hits and misses per operation since the server started.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *           minimum: 1
+ *           maximum: 90
+ *         description: Days of usage to include, today included
+ *     responses:
+ *       200:
+ *         description: AI health retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: AI health retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     chain:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [gemini, openrouter, local]
+ *                     cache:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Result cache, null when AI_CACHE_RESULTS is off
+ *                       properties:
+ *                         ttlSeconds:
+ *                           type: number
+ *                         persistent:
+ *                           type: boolean
+ *                           description: Whether results are also kept in MongoDB
+ *                         memoryEntries:
+ *                           type: number
+ *                         persistentEntries:
+ *                           type: number
+ *                           nullable: true
+ *                         operations:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               operation:
+ *                                 type: string
+ *                                 enum: [classification, urgency]
+ *                               memoryHits:
+ *                                 type: number
+ *                               persistentHits:
+ *                                 type: number
+ *                               misses:
+ *                                 type: number
+ *                               hitRate:
+ *                                 type: number
+ *                                 description: Share of lookups served from the cache (0-1)
+ *                     providers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           configured:
+ *                             type: boolean
+ *                           inChain:
+ *                             type: boolean
+ *                           circuit:
+ *                             type: object
+ *                             properties:
+ *                               state:
+ *                                 type: string
+ *                                 enum: [closed, open, half_open]
+ *                               failures:
+ *                                 type: number
+ *                                 description: Consecutive failures
+ *                               openedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               retryAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                           lastCall:
+ *                             type: object
+ *                             description: Last outcome since the server started
+ *                             properties:
+ *                               lastSuccessAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               lastFailureAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               lastError:
+ *                                 type: string
+ *                               lastFailureType:
+ *                                 type: string
+ *                                 enum: [parse, transport]
+ *                                 description: parse when the answer did not match the expected schema
+ *                               lastLatencyMs:
+ *                                 type: number
+ *                     days:
+ *                       type: array
+ *                       description: Usage per day, newest first
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           date:
+ *                             type: string
+ *                             example: '2024-05-01'
+ *                           calls:
+ *                             type: number
+ *                           failures:
+ *                             type: number
+ *                           parseFailures:
+ *                             type: number
+ *                             description: Answers that did not match the expected schema
+ *                           cost:
+ *                             type: number
+ *                             description: Estimated spend in USD
+ *                           usage:
+ *                             type: array
+ *                             description: Totals per provider and operation
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 provider:
+ *                                   type: string
+ *                                 operation:
+ *                                   type: string
+ *                                   enum: [classification, urgency, moderation, summary]
+ *                                 calls:
+ *                                   type: number
+ *                                 failures:
+ *                                   type: number
+ *                                 parseFailures:
+ *                                   type: number
+ *                                   description: Answers that did not match the expected schema
+ *                                 transportFailures:
+ *                                   type: number
+ *                                   description: Requests that failed or timed out
+ *                                 avgLatencyMs:
+ *                                   type: number
+ *                                 inputTokens:
+ *                                   type: number
+ *                                 outputTokens:
+ *                                   type: number
+ *                                 cost:
+ *                                   type: number
+ *       400:
+ *         description: Bad request - invalid days
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ */
+router.get('/ai/health', authMiddleware.requirePermission('system.ai'), validateAIHealthQuery, aiController.getHealth);
+
+/**
+ * @swagger
+ * /admin/reports/{reportId}/ai-audit:
+ *   get:
+ *     summary: Get the AI audit log of a report
+ *     tags: [Admin]
+ *     description: |
+ *       List every AI provider attempt on the report, newest first, with the start of the raw model output
+ *       or error body. Attempts whose answer did not match the expected schema have the outcome parse_error;
+ *       failed requests have transport_error; results reused from the AI cache have cache_hit and no attempt (0).
+ *       Only the newest entries are kept (AI_AUDIT_LOG_LIMIT).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     responses:
+ *       200:
+ *         description: AI audit log retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           operation:
+ *                             type: string
+ *                             enum: [classification, urgency, moderation, summary]
+ *                           provider:
+ *                             type: string
+ *                           image:
+ *                             type: string
+ *                             nullable: true
+ *                             description: Image the call was about
+ *                           attempt:
+ *                             type: number
+ *                             description: Attempt number with this provider
+ *                           outcome:
+ *                             type: string
+ *                             enum: [success, parse_error, transport_error, cache_hit]
+ *                           error:
+ *                             type: string
+ *                             nullable: true
+ *                           rawResponse:
+ *                             type: string
+ *                             nullable: true
+ *                           latencyMs:
+ *                             type: number
+ *                           at:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ *       404:
+ *         description: Report not found
+ */
+router.get('/reports/:reportId/ai-audit', authMiddleware.requirePermission('system.ai'), aiController.getReportAudit);
+
+/**
+ * @swagger
+ * /admin/category-suggestions:
+ *   get:
+ *     summary: Get the category suggestion review queue
+ *     tags: [Admin]
+ *     description: |
+ *       List reports where the AI confidently classified the images into a different category than the reporter chose.
+ *       Pending suggestions are sorted by confidence, highest first; reviewed ones by review date, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, rejected]
+ *           default: pending
+ *         description: Suggestion status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of reports per page (max 100)
+ *     responses:
+ *       200:
+ *         description: Category suggestions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Category suggestions retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reports:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Report'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: number
+ *                         page:
+ *                           type: number
+ *                         limit:
+ *                           type: number
+ *                         pages:
+ *                           type: number
+ *       400:
+ *         description: Bad request - invalid query parameters
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ */
+router.get(
+  '/category-suggestions',
+  authMiddleware.requirePermission('reports.categorize'),
+  validateCategorySuggestionsQuery,
+  categorySuggestionController.getSuggestions
+);
+
+/**
+ * @swagger
+ * /admin/category-suggestions/accuracy:
+ *   get:
+ *     summary: Get AI category suggestion accuracy
+ *     tags: [Admin]
+ *     description: Share of AI category suggestions accepted by admins, overall, per period and per suggested category
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only count suggestions reviewed on or after this date (YYYY-MM-DD)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only count suggestions reviewed on or before this date (YYYY-MM-DD)
+ *       - in: query
+ *         name: timeUnit
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *         description: Period length for the accuracy trend
+ *     responses:
+ *       200:
+ *         description: Category suggestion accuracy retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Category suggestion accuracy retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     filters:
+ *                       type: object
+ *                       description: Filters applied
+ *                     overall:
+ *                       type: object
+ *                       properties:
+ *                         reviewed:
+ *                           type: number
+ *                         accepted:
+ *                           type: number
+ *                         rejected:
+ *                           type: number
+ *                         accuracy:
+ *                           type: number
+ *                           nullable: true
+ *                           description: Share of reviewed suggestions accepted (0-1), null when none were reviewed
+ *                         averageConfidence:
+ *                           type: number
+ *                           nullable: true
+ *                     periods:
+ *                       type: array
+ *                       description: Accuracy per period, oldest first (periods are YYYY-MM-DD, YYYY-Www or YYYY-MM)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           period:
+ *                             type: string
+ *                             example: '2024-W18'
+ *                           accuracy:
+ *                             type: number
+ *                             nullable: true
+ *                     categories:
+ *                       type: array
+ *                       description: Accuracy per suggested category
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           category:
+ *                             type: string
+ *                           accuracy:
+ *                             type: number
+ *                             nullable: true
+ *                     pending:
+ *                       type: number
+ *                       description: Suggestions still waiting for review
+ *       400:
+ *         description: Bad request - invalid dates or time unit
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ */
+router.get(
+  '/category-suggestions/accuracy',
+  authMiddleware.requirePermission('analytics.view'),
+  validateCategorySuggestionAccuracyQuery,
+  categorySuggestionController.getAccuracy
+);
+
+/**
+ * @swagger
+ * /admin/reports/{reportId}/category-suggestion:
+ *   post:
+ *     summary: Review a category suggestion
+ *     tags: [Admin]
+ *     description: |
+ *       Accept or reject the category the AI suggested for a report. Accepting changes the report category.
+ *       Both decisions are logged in the report's status history and count towards the AI accuracy
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [accept, reject]
+ *               note:
+ *                 type: string
+ *                 description: Why the suggestion was accepted or rejected
+ *     responses:
+ *       200:
+ *         description: Category suggestion reviewed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Category suggestion accepted
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     report:
+ *                       $ref: '#/components/schemas/Report'
+ *       400:
+ *         description: Bad request - invalid decision
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Conflict - no pending suggestion, suggestion changed meanwhile or report merged into another report
+ */
+router.post(
+  '/reports/:reportId/category-suggestion',
+  authMiddleware.requirePermission('reports.categorize'),
+  validateCategorySuggestionReview,
+  categorySuggestionController.reviewSuggestion
+);
+
+/**
+ * @swagger
+ * /admin/moderation:
+ *   get:
+ *     summary: Get the moderation queue
+ *     tags: [Admin]
+ *     description: |
+ *       List reports held for review because their text has profanity, abusive language or personal data,
+ *       or an image was flagged as inappropriate or irrelevant. Held reports have the status under_review and
+ *       are hidden from other citizens. Pending reports are sorted oldest flag first; moderated ones newest decision first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, removed]
+ *           default: pending
+ *         description: Moderation status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of reports per page (max 100)
+ *     responses:
+ *       200:
+ *         description: Moderation queue retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Moderation queue retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reports:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Report'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: number
+ *                         page:
+ *                           type: number
+ *                         limit:
+ *                           type: number
+ *                         pages:
+ *                           type: number
+ *       400:
+ *         description: Bad request - invalid query parameters
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ */
+router.get(
+  '/moderation',
+  authMiddleware.requirePermission('reports.moderate'),
+  validateModerationQueueQuery,
+  moderationController.getQueue
+);
+
+/**
+ * @swagger
+ * /admin/reports/{reportId}/moderation:
+ *   post:
+ *     summary: Approve or remove a held report
+ *     tags: [Admin]
+ *     description: |
+ *       Decide on a report held for moderation review. Approving publishes it as pending and awards the reporter's
+ *       submission points; removing hides it for good and tells the reporter why
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, remove]
+ *               note:
+ *                 type: string
+ *                 description: Why the report was approved or removed (required when removing; sent to the reporter)
+ *     responses:
+ *       200:
+ *         description: Report moderated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Report approved and published
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     report:
+ *                       $ref: '#/components/schemas/Report'
+ *       400:
+ *         description: Bad request - invalid decision or missing removal reason
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Conflict - report is not awaiting moderation review or was moderated in the meantime
+ */
+router.post(
+  '/reports/:reportId/moderation',
+  authMiddleware.requirePermission('reports.moderate'),
+  validateModerationDecision,
+  moderationController.moderateReport
+);
+
+/**
+ * @swagger
+ * /admin/fraud/accounts:
+ *   get:
+ *     summary: Get accounts flagged for points farming
+ *     tags: [Admin]
+ *     description: |
+ *       List citizens with reports whose fraud score crossed the threshold, those with points awaiting review first.
+ *       Each account shows how many of its reports were held, released and confirmed, its highest score and how
+ *       often each signal fired
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [held, released, confirmed]
+ *         description: Only count reports with this review status (all flagged reports by default)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Flagged accounts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Flagged accounts retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accounts:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           userId:
+ *                             type: string
+ *                           user:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                               firstName:
+ *                                 type: string
+ *                               lastName:
+ *                                 type: string
+ *                               email:
+ *                                 type: string
+ *                               governorate:
+ *                                 type: string
+ *                               points:
+ *                                 type: number
+ *                           flaggedReports:
+ *                             type: number
+ *                           held:
+ *                             type: number
+ *                           released:
+ *                             type: number
+ *                           confirmed:
+ *                             type: number
+ *                           maxScore:
+ *                             type: number
+ *                           lastFlaggedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           signals:
+ *                             type: object
+ *                             additionalProperties:
+ *                               type: number
+ *                             description: Number of flagged reports each signal fired on
+ *                             example:
+ *                               submission_burst: 4
+ *                               image_reuse: 2
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: number
+ *                         page:
+ *                           type: number
+ *                         limit:
+ *                           type: number
+ *                         pages:
+ *                           type: number
+ *       400:
+ *         description: Bad request - invalid query parameters
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ */
+router.get(
+  '/fraud/accounts',
+  authMiddleware.requirePermission('points.fraud'),
+  validateFraudAccountsQuery,
+  fraudController.getFlaggedAccounts
+);
+
+/**
+ * @swagger
+ * /admin/fraud/accounts/{userId}:
+ *   get:
+ *     summary: Get the fraud checks of an account
+ *     tags: [Admin]
+ *     description: List the fraud scores of a citizen's reports with the signals that fired, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [clear, held, released, confirmed]
+ *         description: Only return checks with this status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Fraud checks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Fraud checks retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         firstName:
+ *                           type: string
+ *                         lastName:
+ *                           type: string
+ *                         email:
+ *                           type: string
+ *                         governorate:
+ *                           type: string
+ *                         points:
+ *                           type: number
+ *                     checks:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FraudCheck'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: number
+ *                         page:
+ *                           type: number
+ *                         limit:
+ *                           type: number
+ *                         pages:
+ *                           type: number
+ *       400:
+ *         description: Bad request - invalid query parameters
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ *       404:
+ *         description: User not found
+ */
+router.get(
+  '/fraud/accounts/:userId',
+  authMiddleware.requirePermission('points.fraud'),
+  validateFraudChecksQuery,
+  fraudController.getAccountFraudChecks
+);
+
+/**
+ * @swagger
+ * /admin/fraud/reports/{reportId}/review:
+ *   post:
+ *     summary: Release or forfeit the withheld points of a flagged report
+ *     tags: [Admin]
+ *     description: |
+ *       Decide on a report whose points were withheld for points farming. Releasing awards the points the report
+ *       earned while held (submission, verified photo and, once resolved, resolution) without applying the daily
+ *       caps of the release day; confirming forfeits them
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [release, confirm]
+ *               note:
+ *                 type: string
+ *                 description: Why the points were released or forfeited (required when confirming)
+ *     responses:
+ *       200:
+ *         description: Fraud check reviewed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Withheld points released
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     check:
+ *                       $ref: '#/components/schemas/FraudCheck'
+ *       400:
+ *         description: Bad request - invalid decision or missing reason
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ *       404:
+ *         description: Fraud check not found
+ *       409:
+ *         description: Conflict - the report's points are not held for review or were reviewed in the meantime
  */
-router.get('/analytics',  adminController.getAnalytics);
+router.post(
+  '/fraud/reports/:reportId/review',
+  authMiddleware.requirePermission('points.fraud'),
+  validateFraudReview,
+  fraudController.reviewFraudCheck
+);
 
 export default router; 
\ No newline at end of file
@@ -80,13 +80,31 @@ const swaggerOptions = {
             },
             role: {
               type: 'string',
-              enum: ['citizen', 'admin'],
+              enum: ['citizen', 'admin', 'manager', 'analyst', 'field_worker'],
               description: 'User role'
             },
+            team: {
+              type: 'string',
+              description: 'Field team of a staff member'
+            },
             isVerified: {
               type: 'boolean',
               description: 'Email verification status'
             },
+            notificationPreferences: {
+              type: 'object',
+              description: 'Channels the user receives notifications on',
+              properties: {
+                inApp: {
+                  type: 'boolean',
+                  description: 'Show notifications in the in-app notification center'
+                },
+                email: {
+                  type: 'boolean',
+                  description: 'Send notifications by email'
+                }
+              }
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -170,6 +188,37 @@ const swaggerOptions = {
                     type: 'string',
                     description: 'Image URL'
                   },
+                  thumbnailUrl: {
+                    type: 'string',
+                    description: 'URL of the thumbnail copy (WebP)'
+                  },
+                  mediumUrl: {
+                    type: 'string',
+                    description: 'URL of the medium copy (WebP)'
+                  },
+                  hash: {
+                    type: 'string',
+                    description: 'SHA-256 of the stored image'
+                  },
+                  width: {
+                    type: 'number'
+                  },
+                  height: {
+                    type: 'number'
+                  },
+                  size: {
+                    type: 'number',
+                    description: 'Stored size in bytes'
+                  },
+                  format: {
+                    type: 'string',
+                    example: 'jpeg'
+                  },
+                  capturedAt: {
+                    type: 'string',
+                    format: 'date-time',
+                    description: 'When the photo was taken, from its EXIF data'
+                  },
                   uploadedAt: {
                     type: 'string',
                     format: 'date-time',
@@ -178,9 +227,36 @@ const swaggerOptions = {
                 }
               }
             },
+            locationCheck: {
+              type: 'object',
+              nullable: true,
+              description: 'EXIF GPS positions of the photos compared with the reported location',
+              properties: {
+                status: {
+                  type: 'string',
+                  enum: ['consistent', 'mismatch', 'unverified'],
+                  description: 'unverified when no photo has a GPS position'
+                },
+                distanceKm: {
+                  type: 'number',
+                  nullable: true,
+                  description: 'Distance of the furthest photo from the reported location'
+                },
+                imagesWithGps: {
+                  type: 'number'
+                },
+                thresholdKm: {
+                  type: 'number'
+                },
+                checkedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            },
             status: {
               type: 'string',
-              enum: ['pending', 'in-progress', 'resolved', 'rejected'],
+              enum: ['under_review', 'pending', 'in-progress', 'resolved', 'rejected', 'reopened', 'merged', 'removed'],
               description: 'Report status'
             },
             urgency: {
@@ -199,6 +275,15 @@ const swaggerOptions = {
             aiAnalysis: {
               type: 'object',
               properties: {
+                status: {
+                  type: 'string',
+                  enum: ['queued', 'running', 'done', 'failed'],
+                  description: 'Progress of the background analysis job'
+                },
+                error: {
+                  type: 'string',
+                  description: 'Last analysis error, if the job failed'
+                },
                 classification: {
                   type: 'string',
                   description: 'AI classification'
@@ -209,7 +294,45 @@ const swaggerOptions = {
                 },
                 confidence: {
                   type: 'number',
-                  description: 'AI confidence level'
+                  description: 'AI confidence level, lowered when images disagree'
+                },
+                agreement: {
+                  type: 'number',
+                  description: 'Share of the confidence-weighted image votes that went to the classification (0-1)'
+                },
+                provider: {
+                  type: 'string',
+                  description: 'AI provider that produced the classification, e.g. gemini or local'
+                },
+                images: {
+                  type: 'array',
+                  description: 'Classification of each report image',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      url: {
+                        type: 'string',
+                        description: 'Image path'
+                      },
+                      classification: {
+                        type: 'string'
+                      },
+                      confidence: {
+                        type: 'number'
+                      },
+                      provider: {
+                        type: 'string'
+                      },
+                      error: {
+                        type: 'string',
+                        description: 'Set if the image could not be analyzed'
+                      },
+                      analyzedAt: {
+                        type: 'string',
+                        format: 'date-time'
+                      }
+                    }
+                  }
                 },
                 analysisTimestamp: {
                   type: 'string',
@@ -218,6 +341,144 @@ const swaggerOptions = {
                 }
               }
             },
+            categorySuggestion: {
+              type: 'object',
+              nullable: true,
+              description: 'Different category suggested by a confident AI analysis, for admin review',
+              properties: {
+                category: {
+                  type: 'string',
+                  description: 'Suggested category'
+                },
+                confidence: {
+                  type: 'number',
+                  description: 'AI confidence in the suggested category (0-1)'
+                },
+                originalCategory: {
+                  type: 'string',
+                  description: 'Category when the suggestion was made'
+                },
+                status: {
+                  type: 'string',
+                  enum: ['pending', 'accepted', 'rejected']
+                },
+                suggestedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                reviewedBy: {
+                  type: 'string',
+                  description: 'ID of the admin who reviewed the suggestion'
+                },
+                reviewedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                note: {
+                  type: 'string',
+                  description: 'Reviewer note'
+                }
+              }
+            },
+            moderation: {
+              type: 'object',
+              description: 'Content moderation of the report text and images',
+              properties: {
+                status: {
+                  type: 'string',
+                  enum: ['clear', 'pending', 'approved', 'removed'],
+                  description: 'clear when nothing was flagged; pending while the report is held for review'
+                },
+                flags: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      source: {
+                        type: 'string',
+                        enum: ['text', 'image']
+                      },
+                      type: {
+                        type: 'string',
+                        enum: ['profanity', 'abuse', 'pii', 'inappropriate', 'irrelevant']
+                      },
+                      field: {
+                        type: 'string',
+                        description: 'Text field the flag was raised on'
+                      },
+                      term: {
+                        type: 'string',
+                        description: 'Matched word list term, or the masked personal data'
+                      },
+                      image: {
+                        type: 'string',
+                        description: 'Flagged image'
+                      },
+                      reason: {
+                        type: 'string'
+                      },
+                      confidence: {
+                        type: 'number'
+                      },
+                      provider: {
+                        type: 'string'
+                      },
+                      flaggedAt: {
+                        type: 'string',
+                        format: 'date-time'
+                      }
+                    }
+                  }
+                },
+                flaggedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                reviewedBy: {
+                  type: 'string',
+                  description: 'ID of the moderator who decided on the report'
+                },
+                reviewedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                note: {
+                  type: 'string',
+                  description: 'Moderator note'
+                }
+              }
+            },
+            language: {
+              type: 'string',
+              nullable: true,
+              enum: ['ar', 'ar-Latn', 'en', 'mixed'],
+              description: 'Detected language of the title and description (ar-Latn is Franco-Arabic)'
+            },
+            summary: {
+              type: 'object',
+              nullable: true,
+              description: 'Short AI summary for triage',
+              properties: {
+                ar: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Arabic summary'
+                },
+                en: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'English summary'
+                },
+                provider: {
+                  type: 'string',
+                  description: 'AI provider that wrote the summary'
+                },
+                generatedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            },
             statusHistory: {
               type: 'array',
               items: {
@@ -243,6 +504,158 @@ const swaggerOptions = {
                 }
               }
             },
+            mergedInto: {
+              type: 'string',
+              description: 'ID of the canonical report this report was merged into'
+            },
+            possibleDuplicates: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'IDs of open reports flagged as likely duplicates at submission'
+            },
+            reporters: {
+              type: 'array',
+              description: 'Citizens whose duplicate reports were merged into this report',
+              items: {
+                type: 'object',
+                properties: {
+                  userId: {
+                    type: 'string',
+                    description: 'ID of the reporting user'
+                  },
+                  reportId: {
+                    type: 'string',
+                    description: 'ID of the merged report'
+                  },
+                  reportedAt: {
+                    type: 'string',
+                    format: 'date-time',
+                    description: 'Date the issue was reported'
+                  }
+                }
+              }
+            },
+            endorsementCount: {
+              type: 'number',
+              description: 'Number of citizens who endorsed this report'
+            },
+            assignment: {
+              type: 'object',
+              nullable: true,
+              description: 'Staff member and/or team currently responsible for the report',
+              properties: {
+                assignedTo: {
+                  type: 'string',
+                  description: 'ID of the assigned staff member'
+                },
+                team: {
+                  type: 'string',
+                  description: 'Assigned team'
+                },
+                assignedBy: {
+                  type: 'string',
+                  description: 'ID of the admin who made the assignment'
+                },
+                assignedAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  description: 'Date of the current assignment'
+                },
+                firstAssignedAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  description: 'Date the report was first assigned'
+                }
+              }
+            },
+            resolutions: {
+              type: 'array',
+              description: 'Each time the report was resolved, most recent last',
+              items: {
+                type: 'object',
+                properties: {
+                  images: {
+                    type: 'array',
+                    description: '"After" photos of the fix',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        url: {
+                          type: 'string'
+                        },
+                        uploadedAt: {
+                          type: 'string',
+                          format: 'date-time'
+                        }
+                      }
+                    }
+                  },
+                  resolvedBy: {
+                    type: 'string',
+                    description: 'ID of the staff member who resolved the report'
+                  },
+                  resolvedAt: {
+                    type: 'string',
+                    format: 'date-time'
+                  },
+                  note: {
+                    type: 'string'
+                  },
+                  verification: {
+                    type: 'object',
+                    description: "The reporter's verdict on the resolution",
+                    properties: {
+                      status: {
+                        type: 'string',
+                        enum: ['pending', 'confirmed', 'disputed']
+                      },
+                      respondedBy: {
+                        type: 'string',
+                        nullable: true
+                      },
+                      respondedAt: {
+                        type: 'string',
+                        format: 'date-time',
+                        nullable: true
+                      },
+                      comment: {
+                        type: 'string'
+                      },
+                      rating: {
+                        type: 'integer',
+                        minimum: 1,
+                        maximum: 5,
+                        nullable: true
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            sla: {
+              type: 'object',
+              description: 'SLA escalation state',
+              properties: {
+                escalationLevel: {
+                  type: 'integer',
+                  description: 'Number of times the report has been escalated for missing its SLA target'
+                },
+                breachedAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  nullable: true,
+                  description: 'Date the SLA breach was first detected'
+                },
+                lastEscalatedAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  nullable: true,
+                  description: 'Date of the most recent escalation'
+                }
+              }
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -255,6 +668,352 @@ const swaggerOptions = {
             }
           }
         },
+        Comment: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Comment ID'
+            },
+            reportId: {
+              type: 'string',
+              description: 'ID of the report'
+            },
+            authorId: {
+              type: 'string',
+              description: 'ID of the author'
+            },
+            author: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                firstName: {
+                  type: 'string'
+                },
+                lastName: {
+                  type: 'string'
+                },
+                role: {
+                  type: 'string'
+                }
+              }
+            },
+            parentId: {
+              type: 'string',
+              nullable: true,
+              description: 'ID of the top-level comment of the thread, null for top-level comments'
+            },
+            body: {
+              type: 'string',
+              description: 'Comment text, empty once deleted'
+            },
+            visibility: {
+              type: 'string',
+              enum: ['public', 'internal'],
+              description: 'Internal notes are only visible to staff'
+            },
+            attachments: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  url: {
+                    type: 'string'
+                  },
+                  uploadedAt: {
+                    type: 'string',
+                    format: 'date-time'
+                  }
+                }
+              }
+            },
+            editedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            replies: {
+              type: 'array',
+              description: 'Replies of a top-level comment, oldest first',
+              items: {
+                type: 'object'
+              }
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Notification: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Notification ID'
+            },
+            userId: {
+              type: 'string',
+              description: 'ID of the recipient'
+            },
+            type: {
+              type: 'string',
+              enum: ['report_status', 'report_assigned', 'report_comment', 'points_awarded', 'points_adjusted', 'points_expiring', 'points_expired', 'redemption_status'],
+              description: 'Notification type'
+            },
+            title: {
+              type: 'string',
+              description: 'Short title'
+            },
+            message: {
+              type: 'string',
+              description: 'Notification message'
+            },
+            data: {
+              type: 'object',
+              description: 'Related resources, e.g. reportId or redemptionId'
+            },
+            readAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Date the notification was read, null while unread'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Job: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Job ID'
+            },
+            type: {
+              type: 'string',
+              enum: ['report.analyze', 'report.moderate_images', 'report.summarize', 'points.report_submission', 'points.report_resolved', 'points.report_endorsed', 'points.photo_verified', 'points.reconcile'],
+              description: 'Job type'
+            },
+            payload: {
+              type: 'object',
+              description: 'Job input, e.g. reportId'
+            },
+            status: {
+              type: 'string',
+              enum: ['queued', 'running', 'completed', 'dead'],
+              description: 'Job status; dead jobs have used up their attempts and wait for a manual retry'
+            },
+            attempts: {
+              type: 'integer',
+              description: 'Attempts made so far'
+            },
+            maxAttempts: {
+              type: 'integer',
+              description: 'Attempts allowed before the job is dead-lettered'
+            },
+            runAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Earliest time of the next attempt'
+            },
+            lastError: {
+              type: 'string',
+              nullable: true,
+              description: 'Error of the last failed attempt'
+            },
+            result: {
+              type: 'object',
+              nullable: true,
+              description: 'Result summary of a completed job'
+            },
+            completedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        PointsRule: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Rule ID'
+            },
+            name: {
+              type: 'string',
+              example: 'Double points for sewage in Alexandria'
+            },
+            description: {
+              type: 'string'
+            },
+            event: {
+              type: 'string',
+              enum: ['report_submission', 'report_resolved', 'report_endorsed', 'photo_verified'],
+              description: 'Event the rule rewards'
+            },
+            kind: {
+              type: 'string',
+              enum: ['award', 'bonus', 'multiplier'],
+              description: 'award sets the base points (the most specific match wins), bonus adds points, multiplier scales the total (the highest match applies)'
+            },
+            points: {
+              type: 'integer',
+              description: 'Base points of an award rule, extra points of a bonus rule',
+              example: 0
+            },
+            multiplier: {
+              type: 'number',
+              description: 'Factor of a multiplier rule',
+              example: 2
+            },
+            conditions: {
+              type: 'object',
+              description: 'Reports the rule applies to; an empty list matches every report',
+              properties: {
+                categories: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  example: ['sewage_problem']
+                },
+                urgencies: {
+                  type: 'array',
+                  items: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] }
+                },
+                governorates: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  example: ['Alexandria']
+                }
+              }
+            },
+            startsAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Start of a campaign'
+            },
+            endsAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'End of a campaign'
+            },
+            dailyCap: {
+              type: 'integer',
+              nullable: true,
+              description: 'Most points a citizen can earn from the event per day while the rule applies'
+            },
+            priority: {
+              type: 'integer',
+              description: 'Breaks ties between award rules that match equally well'
+            },
+            isActive: {
+              type: 'boolean'
+            },
+            createdBy: {
+              type: 'string',
+              nullable: true
+            },
+            updatedBy: {
+              type: 'string',
+              nullable: true
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        FraudCheck: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Check ID'
+            },
+            reportId: {
+              type: 'string',
+              description: 'Report scored'
+            },
+            userId: {
+              type: 'string',
+              description: 'Reporter'
+            },
+            score: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 100,
+              description: 'Sum of the weights of the signals that fired',
+              example: 70
+            },
+            signals: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  type: {
+                    type: 'string',
+                    enum: ['submission_burst', 'daily_volume', 'image_reuse', 'text_similarity', 'far_from_home', 'photo_location_mismatch', 'scoring_failed']
+                  },
+                  weight: {
+                    type: 'integer',
+                    example: 40
+                  },
+                  detail: {
+                    type: 'object',
+                    description: 'What made the signal fire, e.g. the reports a photo was already attached to'
+                  }
+                }
+              }
+            },
+            status: {
+              type: 'string',
+              enum: ['clear', 'held', 'released', 'confirmed'],
+              description: 'held withholds the points of the report until an admin releases them or confirms farming'
+            },
+            checkedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            reviewedBy: {
+              type: 'string',
+              nullable: true
+            },
+            reviewedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            reviewNote: {
+              type: 'string'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
         ApiResponse: {
           type: 'object',
           properties: {
@@ -0,0 +1,62 @@
+import express from 'express';
+import eventController from '../controllers/eventController.js';
+import authMiddleware from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Events
+ *   description: Real-time updates over Server-Sent Events
+ */
+
+/**
+ * @swagger
+ * /events:
+ *   get:
+ *     summary: Subscribe to real-time updates
+ *     tags: [Events]
+ *     description: |
+ *       Opens a Server-Sent Events stream. Staff with the matching view permission receive every event of a
+ *       topic; other users only receive events about their own reports and redemptions.
+ *
+ *       Events on the `reports` topic: `report.created`, `report.analyzed` (AI analysis completed) and
+ *       `report.status_changed`, with a report summary as data. Events on the `redemptions` topic:
+ *       `redemption.created` and `redemption.updated`. A `connected` event is sent when the stream opens,
+ *       and a comment line every REALTIME_HEARTBEAT_SECONDS seconds keeps idle streams open.
+ *
+ *       Browsers cannot set headers on EventSource requests, so the JWT may be passed as the `token` query
+ *       parameter instead of the Authorization header.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: topics
+ *         schema:
+ *           type: string
+ *           example: reports,redemptions
+ *         description: Comma-separated topics to subscribe to (defaults to all)
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: JWT access token, for clients that cannot send the Authorization header
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "id: 12\nevent: report.status_changed\ndata: {\"id\":\"60d21b4667d0d8992e610c85\",\"status\":\"in_progress\"}\n\n"
+ *       400:
+ *         description: Invalid topics
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       429:
+ *         description: Too many open event streams for this user
+ */
+router.get('/', authMiddleware.protectStream, eventController.stream);
+
+export default router; 
\ No newline at end of file
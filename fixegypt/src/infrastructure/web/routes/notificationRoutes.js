@@ -0,0 +1,185 @@
+import express from 'express';
+import notificationController from '../controllers/notificationController.js';
+import authMiddleware from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: In-app notification center endpoints
+ */
+
+// All notification routes require authentication
+router.use(authMiddleware.protect);
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: Get notifications
+ *     tags: [Notifications]
+ *     description: |
+ *       Get the authenticated user's notifications, newest first. Notifications are created for report
+ *       status changes, assignments, comments, points awards and redemption updates when the user has
+ *       in-app notifications enabled, and are kept for NOTIFICATION_RETENTION_DAYS days (default 90).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *         description: Results per page
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Notifications retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notifications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Notification'
+ *                     unreadCount:
+ *                       type: integer
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: number
+ *                         page:
+ *                           type: number
+ *                         limit:
+ *                           type: number
+ *                         pages:
+ *                           type: number
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ */
+router.get('/', notificationController.getNotifications);
+
+/**
+ * @swagger
+ * /notifications/unread-count:
+ *   get:
+ *     summary: Get unread notification count
+ *     tags: [Notifications]
+ *     description: Get the number of unread notifications, e.g. for a badge on the notification bell
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread notification count retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unreadCount:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ */
+router.get('/unread-count', notificationController.getUnreadCount);
+
+/**
+ * @swagger
+ * /notifications/read-all:
+ *   patch:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All notifications marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated:
+ *                       type: integer
+ *                       description: Number of notifications marked as read
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ */
+router.patch('/read-all', notificationController.markAllRead);
+
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notification:
+ *                       $ref: '#/components/schemas/Notification'
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       404:
+ *         description: Notification not found
+ */
+router.patch('/:id/read', notificationController.markRead);
+
+export default router; 
\ No newline at end of file
@@ -1,6 +1,17 @@
 import express from 'express';
 import pointsController from '../controllers/pointsController.js';
+import pointsRuleController from '../controllers/pointsRuleController.js';
 import authMiddleware from '../middlewares/authMiddleware.js';
+import {
+  validatePointsAdjustment,
+  validatePointsReconcile,
+  validatePointsLedgerQuery,
+  validatePointsAdjustmentsQuery,
+  validatePointsRuleCreate,
+  validatePointsRuleUpdate,
+  validatePointsRulesQuery,
+  validatePointsRulesDryRun
+} from '../validators/index.js';
 
 const router = express.Router();
 
@@ -20,7 +31,9 @@ router.use(authMiddleware.protect);
  *   get:
  *     summary: Get points balance
  *     tags: [Points]
- *     description: Get the authenticated user's points balance
+ *     description: |
+ *       Get the authenticated user's points balance, their citizen tier from lifetime earned points, and
+ *       points that expire within the warning window
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -43,6 +56,35 @@ router.use(authMiddleware.protect);
  *                     points:
  *                       type: number
  *                       example: 150
+ *                     lifetimePoints:
+ *                       type: number
+ *                       example: 1200
+ *                     tier:
+ *                       type: string
+ *                       enum: [bronze, silver, gold]
+ *                       example: silver
+ *                     multiplier:
+ *                       type: number
+ *                       description: Multiplier applied to resolved-report rewards
+ *                       example: 1.25
+ *                     nextTier:
+ *                       type: string
+ *                       nullable: true
+ *                       example: gold
+ *                     pointsToNextTier:
+ *                       type: number
+ *                       nullable: true
+ *                       example: 3800
+ *                     expiring:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           expiresAt:
+ *                             type: string
+ *                             format: date-time
+ *                           amount:
+ *                             type: number
  *       401:
  *         description: Unauthorized - no token or invalid token
  */
@@ -74,13 +116,13 @@ router.get('/balance',  pointsController.getBalance);
  *         name: type
  *         schema:
  *           type: string
- *           enum: [earn, redeem]
+ *           enum: [earn, redeem, refund, adjustment, expire]
  *         description: Filter by transaction type
  *       - in: query
  *         name: source
  *         schema:
  *           type: string
- *           enum: [report_submission, report_resolved, product_redemption, admin_adjustment, other]
+ *           enum: [report_submission, report_resolved, report_endorsed, photo_verified, product_redemption, admin_adjustment, points_expiry, other]
  *         description: Filter by transaction source
  *     responses:
  *       200:
@@ -157,17 +199,21 @@ router.get('/transactions',  pointsController.getTransactionHistory);
  *                       example: 25
  *                     newBalance:
  *                       type: number
+ *                       nullable: true
  *                       example: 175
+ *                     withheld:
+ *                       type: boolean
+ *                       description: The report was flagged for points farming; its points wait for an admin's review
  *       401:
  *         description: Unauthorized - no token or invalid token
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - missing required permission
  *       404:
  *         description: Report not found
  */
 router.post(
   '/reports/:reportId/award-submission',
-  authMiddleware.restrictTo('admin'),
+  authMiddleware.requirePermission('points.award'),
   pointsController.awardPointsForSubmission
 );
 
@@ -209,18 +255,774 @@ router.post(
  *                       example: 100
  *                     newBalance:
  *                       type: number
+ *                       nullable: true
  *                       example: 275
+ *                     withheld:
+ *                       type: boolean
+ *                       description: The report was flagged for points farming; its points wait for an admin's review
  *       401:
  *         description: Unauthorized - no token or invalid token
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - missing required permission
  *       404:
  *         description: Report not found
  */
 router.post(
   '/reports/:reportId/award-resolution',
-  authMiddleware.restrictTo('admin'),
+  authMiddleware.requirePermission('points.award'),
   pointsController.awardPointsForResolution
 );
 
+/**
+ * @swagger
+ * /points/users/{userId}/adjustments:
+ *   post:
+ *     summary: Adjust a user's points
+ *     tags: [Points]
+ *     description: |
+ *       Add or remove points by hand (admin only). The adjustment is written to the user's ledger with the
+ *       admin and the reason, and the user is notified. Deductions cannot take the balance below zero.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 description: Points to add (positive) or remove (negative)
+ *                 example: -50
+ *               reason:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 500
+ *                 example: Reversing points for a report later found to be fake
+ *     responses:
+ *       201:
+ *         description: Points adjusted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Points adjusted successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transaction:
+ *                       $ref: '#/components/schemas/PointsTransaction'
+ *                     newBalance:
+ *                       type: number
+ *                       example: 100
+ *       400:
+ *         description: Bad request - amount or reason missing or invalid
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The deduction would make the balance negative
+ */
+router.post(
+  '/users/:userId/adjustments',
+  authMiddleware.requirePermission('points.adjust'),
+  validatePointsAdjustment,
+  pointsController.adjustPoints
+);
+
+/**
+ * @swagger
+ * /points/adjustments:
+ *   get:
+ *     summary: List points adjustments
+ *     tags: [Points]
+ *     description: List manual points adjustments across all users, newest first, with the admin who made each one
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Number of adjustments per page
+ *     responses:
+ *       200:
+ *         description: Points adjustments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Points adjustments retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     adjustments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PointsTransaction'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: number
+ *                         page:
+ *                           type: number
+ *                         limit:
+ *                           type: number
+ *                         pages:
+ *                           type: number
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ */
+router.get(
+  '/adjustments',
+  authMiddleware.requirePermission('points.audit'),
+  validatePointsAdjustmentsQuery,
+  pointsController.getAdjustments
+);
+
+/**
+ * @swagger
+ * /points/users/{userId}/ledger:
+ *   get:
+ *     summary: Export a user's points ledger
+ *     tags: [Points]
+ *     description: |
+ *       Export every points transaction of a user, oldest first. Each entry shows the signed change, the running
+ *       balance recomputed from the ledger and the balance snapshot stored with the transaction. The JSON
+ *       response also reports the drift between the stored balance and the ledger.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: Response format
+ *     responses:
+ *       200:
+ *         description: Points ledger retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Points ledger retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         name:
+ *                           type: string
+ *                         email:
+ *                           type: string
+ *                         points:
+ *                           type: number
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           type:
+ *                             type: string
+ *                             enum: [earn, redeem, refund, adjustment, expire]
+ *                           source:
+ *                             type: string
+ *                           change:
+ *                             type: number
+ *                             example: -100
+ *                           runningBalance:
+ *                             type: number
+ *                           snapshotBalance:
+ *                             type: number
+ *                           description:
+ *                             type: string
+ *                           referenceId:
+ *                             type: string
+ *                             nullable: true
+ *                           adminId:
+ *                             type: string
+ *                             nullable: true
+ *                           adminName:
+ *                             type: string
+ *                             nullable: true
+ *                     ledgerBalance:
+ *                       type: number
+ *                       description: Sum of the ledger
+ *                     drift:
+ *                       type: number
+ *                       description: Stored balance minus the ledger balance
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Bad request - invalid format
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ *       404:
+ *         description: User not found
+ */
+router.get(
+  '/users/:userId/ledger',
+  authMiddleware.requirePermission('points.audit'),
+  validatePointsLedgerQuery,
+  pointsController.exportLedger
+);
+
+/**
+ * @swagger
+ * /points/reconcile:
+ *   post:
+ *     summary: Reconcile balances with the ledger
+ *     tags: [Points]
+ *     description: |
+ *       Queue a points.reconcile job that compares each user's stored balance with the sum of their ledger
+ *       (admin only). Drifted balances are listed in the job result and, with repair set, reset to the ledger
+ *       sum. Follow the job with GET /admin/jobs/{jobId}.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               repair:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Reset drifted balances to the ledger sum
+ *               userId:
+ *                 type: string
+ *                 description: Only reconcile this user
+ *     responses:
+ *       202:
+ *         description: Points reconciliation queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Points reconciliation queued
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     job:
+ *                       $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Bad request - invalid options
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ */
+router.post(
+  '/reconcile',
+  authMiddleware.requirePermission('points.reconcile'),
+  validatePointsReconcile,
+  pointsController.reconcileLedger
+);
+
+/**
+ * @swagger
+ * /points/rules:
+ *   get:
+ *     summary: List points rules
+ *     tags: [Points]
+ *     description: |
+ *       List the rules that decide how many points each event earns (admin only), grouped by event with the
+ *       highest priority first. Events no award rule matches earn the built-in defaults: 25 points for a
+ *       submission, 50 to 200 points by urgency for a resolution, nothing for endorsements and verified photos.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           enum: [report_submission, report_resolved, report_endorsed, photo_verified]
+ *         description: Filter by event
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [award, bonus, multiplier]
+ *         description: Filter by kind
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active state
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Number of rules per page
+ *     responses:
+ *       200:
+ *         description: Points rules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Points rules retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rules:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PointsRule'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: number
+ *                         page:
+ *                           type: number
+ *                         limit:
+ *                           type: number
+ *                         pages:
+ *                           type: number
+ *       400:
+ *         description: Bad request - invalid filters
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ *   post:
+ *     summary: Create a points rule
+ *     tags: [Points]
+ *     description: |
+ *       Create a rule or a time-limited campaign (admin only). The most specific matching award rule sets an
+ *       event's base points, every matching bonus rule adds to them and the highest matching multiplier scales
+ *       the total; resolved reports are then multiplied by the citizen's tier. The smallest daily cap among the
+ *       matching rules limits what a citizen can earn from the event per day.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - event
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Double points for sewage in Alexandria
+ *               description:
+ *                 type: string
+ *               event:
+ *                 type: string
+ *                 enum: [report_submission, report_resolved, report_endorsed, photo_verified]
+ *               kind:
+ *                 type: string
+ *                 enum: [award, bonus, multiplier]
+ *                 default: award
+ *               points:
+ *                 type: integer
+ *                 minimum: 0
+ *               multiplier:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 example: 2
+ *               conditions:
+ *                 type: object
+ *                 properties:
+ *                   categories:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     example: [sewage_problem]
+ *                   urgencies:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [low, medium, high, critical]
+ *                   governorates:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     example: [Alexandria]
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               dailyCap:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *               priority:
+ *                 type: integer
+ *                 default: 0
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Points rule created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Points rule created successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rule:
+ *                       $ref: '#/components/schemas/PointsRule'
+ *       400:
+ *         description: Bad request - invalid rule, e.g. a campaign that ends before it starts
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ */
+router.get(
+  '/rules',
+  authMiddleware.requirePermission('points.rules'),
+  validatePointsRulesQuery,
+  pointsRuleController.getRules
+);
+
+router.post(
+  '/rules',
+  authMiddleware.requirePermission('points.rules'),
+  validatePointsRuleCreate,
+  pointsRuleController.createRule
+);
+
+/**
+ * @swagger
+ * /points/rules/dry-run:
+ *   post:
+ *     summary: Preview what a report would earn
+ *     tags: [Points]
+ *     description: |
+ *       Evaluate the points rules for a report without awarding anything (admin and manager). Each event shows
+ *       the matching rules, the points before and after the citizen's daily cap, and whether it was already
+ *       awarded.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reportId
+ *             properties:
+ *               reportId:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [report_submission, report_resolved, report_endorsed, photo_verified]
+ *                 description: Events to evaluate; every event by default
+ *               userId:
+ *                 type: string
+ *                 description: Citizen whose tier and daily caps are used; the reporter by default
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Time to evaluate the rules at, e.g. to try a campaign before it starts
+ *     responses:
+ *       200:
+ *         description: Points rules evaluated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Points rules evaluated successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     report:
+ *                       type: object
+ *                     userId:
+ *                       type: string
+ *                     at:
+ *                       type: string
+ *                       format: date-time
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           event:
+ *                             type: string
+ *                           basePoints:
+ *                             type: number
+ *                           baseRule:
+ *                             type: object
+ *                             nullable: true
+ *                             description: Award rule that set the base points; null means the built-in default
+ *                           bonuses:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                           multiplier:
+ *                             type: number
+ *                           multiplierRule:
+ *                             type: object
+ *                             nullable: true
+ *                           tier:
+ *                             type: string
+ *                             nullable: true
+ *                           tierMultiplier:
+ *                             type: number
+ *                           points:
+ *                             type: number
+ *                             description: Points before the daily cap
+ *                           dailyCap:
+ *                             type: number
+ *                             nullable: true
+ *                           earnedToday:
+ *                             type: number
+ *                             nullable: true
+ *                           awardable:
+ *                             type: number
+ *                             description: Points the event would award now
+ *                           alreadyAwarded:
+ *                             type: boolean
+ *                     total:
+ *                       type: number
+ *                       description: Points the events not yet awarded would earn
+ *       400:
+ *         description: Bad request - invalid report ID, events or date
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ *       404:
+ *         description: Report not found
+ */
+router.post(
+  '/rules/dry-run',
+  authMiddleware.requirePermission('points.audit'),
+  validatePointsRulesDryRun,
+  pointsRuleController.dryRun
+);
+
+/**
+ * @swagger
+ * /points/rules/{ruleId}:
+ *   get:
+ *     summary: Get a points rule
+ *     tags: [Points]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule ID
+ *     responses:
+ *       200:
+ *         description: Points rule retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rule:
+ *                       $ref: '#/components/schemas/PointsRule'
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ *       404:
+ *         description: Points rule not found
+ *   patch:
+ *     summary: Update a points rule
+ *     tags: [Points]
+ *     description: Change any field of a rule (admin only), e.g. end a campaign early or deactivate a rule
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PointsRule'
+ *     responses:
+ *       200:
+ *         description: Points rule updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rule:
+ *                       $ref: '#/components/schemas/PointsRule'
+ *       400:
+ *         description: Bad request - invalid rule
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ *       404:
+ *         description: Points rule not found
+ *   delete:
+ *     summary: Delete a points rule
+ *     tags: [Points]
+ *     description: Delete a rule (admin only). Points already awarded under it are kept.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule ID
+ *     responses:
+ *       200:
+ *         description: Points rule deleted successfully
+ *       401:
+ *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Forbidden - missing required permission
+ *       404:
+ *         description: Points rule not found
+ */
+router.get(
+  '/rules/:ruleId',
+  authMiddleware.requirePermission('points.rules'),
+  pointsRuleController.getRule
+);
+
+router.patch(
+  '/rules/:ruleId',
+  authMiddleware.requirePermission('points.rules'),
+  validatePointsRuleUpdate,
+  pointsRuleController.updateRule
+);
+
+router.delete(
+  '/rules/:ruleId',
+  authMiddleware.requirePermission('points.rules'),
+  pointsRuleController.deleteRule
+);
+
 export default router; 
\ No newline at end of file
@@ -64,6 +64,12 @@ router.use(authMiddleware.protect);
  *         schema:
  *           type: string
  *         description: Search in name and description
+ *       - in: query
+ *         name: tier
+ *         schema:
+ *           type: string
+ *           enum: [bronze, silver, gold]
+ *         description: Only products a citizen of this tier can redeem
  *     responses:
  *       200:
  *         description: Products retrieved successfully
@@ -149,7 +155,10 @@ router.get('/:productId',  productController.getProductById);
  *   post:
  *     summary: Redeem a product
  *     tags: [Products]
- *     description: Redeem a product using points
+ *     description: |
+ *       Redeem a product using points. Stock, points and the redemption are written in one transaction,
+ *       so concurrent requests cannot oversell a product or overdraw a balance. Send an Idempotency-Key
+ *       header to make retries safe; a repeated key returns the original redemption with replayed set to true.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -159,6 +168,13 @@ router.get('/:productId',  productController.getProductById);
  *         schema:
  *           type: string
  *         description: Product ID
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Client-generated key identifying this redeem request, unique per user
  *     responses:
  *       200:
  *         description: Product redeemed successfully
@@ -184,17 +200,25 @@ router.get('/:productId',  productController.getProductById);
  *                     remainingPoints:
  *                       type: number
  *                       example: 50
+ *                     replayed:
+ *                       type: boolean
+ *                       description: True when the Idempotency-Key was already used and nothing was redeemed
  *       400:
- *         description: Bad request - insufficient points or product not available
+ *         description: Bad request - insufficient points or invalid Idempotency-Key
  *       401:
  *         description: Unauthorized - no token or invalid token
+ *       403:
+ *         description: Product is only available to a higher citizen tier
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: Product is inactive or out of stock
+ *       422:
+ *         description: Idempotency-Key was already used for a different product
  */
 router.post('/:productId/redeem', productController.redeemProduct);
 
 // Admin routes
-router.use(authMiddleware.restrictTo('admin'));
 
 /**
  * @swagger
@@ -237,6 +261,10 @@ router.use(authMiddleware.restrictTo('admin'));
  *               stock:
  *                 type: integer
  *                 description: Product stock (null for unlimited)
+ *               minTier:
+ *                 type: string
+ *                 enum: [bronze, silver, gold]
+ *                 description: Lowest citizen tier that may redeem the product (bronze for everyone)
  *     responses:
  *       201:
  *         description: Product created successfully
@@ -261,10 +289,11 @@ router.use(authMiddleware.restrictTo('admin'));
  *       401:
  *         description: Unauthorized - no token or invalid token
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - missing required permission
  */
 router.post(
   '/',
+  authMiddleware.requirePermission('products.create'),
   uploadSingleImage('image'),
   productController.createProduct
 );
@@ -311,6 +340,10 @@ router.post(
  *               stock:
  *                 type: integer
  *                 description: Product stock (null for unlimited)
+ *               minTier:
+ *                 type: string
+ *                 enum: [bronze, silver, gold]
+ *                 description: Lowest citizen tier that may redeem the product (bronze for everyone)
  *               image:
  *                 type: string
  *                 format: binary
@@ -339,12 +372,13 @@ router.post(
  *       401:
  *         description: Unauthorized - no token or invalid token
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - missing required permission
  *       404:
  *         description: Product not found
  */
 router.patch(
   '/:productId',
+  authMiddleware.requirePermission('products.update'),
   uploadSingleImage('image'),
   productController.updateProduct
 );
@@ -382,12 +416,13 @@ router.patch(
  *       401:
  *         description: Unauthorized - no token or invalid token
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - missing required permission
  *       404:
  *         description: Product not found
  */
 router.delete(
   '/:productId',
+  authMiddleware.requirePermission('products.delete'),
   productController.deleteProduct
 );
 
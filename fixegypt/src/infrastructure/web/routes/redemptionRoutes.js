@@ -124,7 +124,6 @@ router.get('/user', redemptionController.getUserRedemptions);
 router.get('/:redemptionId',  redemptionController.getRedemptionById);
 
 // Admin routes
-router.use(authMiddleware.restrictTo('admin'));
 
 /**
  * @swagger
@@ -211,9 +210,9 @@ router.use(authMiddleware.restrictTo('admin'));
  *       401:
  *         description: Unauthorized - no token or invalid token
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - missing required permission
  */
-router.get('/',  redemptionController.getAllRedemptions);
+router.get('/', authMiddleware.requirePermission('redemptions.view'), redemptionController.getAllRedemptions);
 
 /**
  * @swagger
@@ -291,9 +290,9 @@ router.get('/',  redemptionController.getAllRedemptions);
  *       401:
  *         description: Unauthorized - no token or invalid token
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - missing required permission
  */
-router.get('/statistics',redemptionController.getRedemptionStatistics);
+router.get('/statistics', authMiddleware.requirePermission('redemptions.view'), redemptionController.getRedemptionStatistics);
 
 /**
  * @swagger
@@ -301,7 +300,9 @@ router.get('/statistics',redemptionController.getRedemptionStatistics);
  *   patch:
  *     summary: Update redemption status (admin only)
  *     tags: [Redemptions]
- *     description: Update the status of a redemption request
+ *     description: |
+ *       Update the status of a redemption request. Rejecting a redemption refunds its points to the user
+ *       and returns its unit of stock to the product; a rejected redemption cannot change status again.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -351,12 +352,15 @@ router.get('/statistics',redemptionController.getRedemptionStatistics);
  *       401:
  *         description: Unauthorized - no token or invalid token
  *       403:
- *         description: Forbidden - not an admin
+ *         description: Forbidden - missing required permission
  *       404:
  *         description: Redemption not found
+ *       409:
+ *         description: Redemption has already been rejected
  */
 router.patch(
   '/:redemptionId/status',
+  authMiddleware.requirePermission('redemptions.update'),
   redemptionController.updateRedemptionStatus
 );
 
@@ -1,8 +1,11 @@
 import express from 'express';
 import reportController from '../controllers/reportController.js';
+import endorsementController from '../controllers/endorsementController.js';
+import assignmentController from '../controllers/assignmentController.js';
+import commentController from '../controllers/commentController.js';
 import authMiddleware from '../middlewares/authMiddleware.js';
 import { uploadMultipleImages } from '../middlewares/uploadMiddleware.js';
-import { validateCreateReport, validateUpdateReport } from '../validators/reportValidator.js';
+import { validateCreateReport, validateUpdateReport, validateUpdateReportStatus, validateAssignReport, validateReopenReport, validateVerifyResolution, validateAddComment, validateEditComment, validateCommentsQuery } from '../validators/reportValidator.js';
 
 const router = express.Router();
 
@@ -22,7 +25,11 @@ router.use(authMiddleware.protect);
  *   post:
  *     summary: Create a new report
  *     tags: [Reports]
- *     description: Submit a new infrastructure issue report with images
+ *     description: |
+ *       Submit a new infrastructure issue report with images. Reports whose title or description has profanity,
+ *       abusive language or personal data (phone numbers, emails, national IDs) are created with the status
+ *       under_review and hidden from other citizens until a moderator approves them; images are screened in the
+ *       background and a flagged image holds the report the same way
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -88,11 +95,17 @@ router.use(authMiddleware.protect);
  *                 message:
  *                   type: string
  *                   example: Report created successfully
+ *                   description: Says "Report submitted and held for moderation review" when the report was held
  *                 data:
  *                   type: object
  *                   properties:
  *                     report:
  *                       $ref: '#/components/schemas/Report'
+ *                     possibleDuplicates:
+ *                       type: array
+ *                       description: Summaries of nearby open reports of the same category that may describe the same issue
+ *                       items:
+ *                         type: object
  *       400:
  *         description: Bad request - invalid input data
  *       401:
@@ -134,7 +147,7 @@ router.post(
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, in-progress, resolved, rejected]
+ *           enum: [pending, in-progress, resolved, rejected, reopened]
  *         description: Filter by status
  *       - in: query
  *         name: category
@@ -179,7 +192,7 @@ router.post(
  *         schema:
  *           type: string
  *           default: -createdAt
- *         description: Field to sort by, prefix with - for descending order
+ *         description: Field to sort by, prefix with - for descending order (use -endorsementCount to sort by community impact)
  *     responses:
  *       200:
  *         description: Reports retrieved successfully
@@ -267,7 +280,9 @@ router.get('/:id', reportController.getReportById);
  *   patch:
  *     summary: Update a report
  *     tags: [Reports]
- *     description: Update report details (citizens can only update pending reports and limited fields)
+ *     description: |
+ *       Update report details (citizens can only update pending reports and cannot set the urgency). Status
+ *       changes go through PATCH /reports/{id}/status; other fields are ignored
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -307,6 +322,10 @@ router.get('/:id', reportController.getReportById);
  *                         type: number
  *                       lng:
  *                         type: number
+ *               urgency:
+ *                 type: string
+ *                 enum: [low, medium, high, critical]
+ *                 description: Staff only
  *     responses:
  *       200:
  *         description: Report updated successfully
@@ -382,7 +401,7 @@ router.delete('/:id', reportController.deleteReport);
  *   post:
  *     summary: Add images to a report
  *     tags: [Reports]
- *     description: Add more images to an existing report
+ *     description: Add more images to an existing report. The AI analysis is re-run in the background to classify the new images and update the report-level consensus.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -441,6 +460,650 @@ router.post(
   reportController.addImagesToReport
 );
 
+/**
+ * @swagger
+ * /reports/{id}/endorsements:
+ *   get:
+ *     summary: Get report endorsements
+ *     tags: [Reports]
+ *     description: Get the number of citizens who endorsed a report and whether the current user is one of them
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     responses:
+ *       200:
+ *         description: Report endorsements retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Report endorsements retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reportId:
+ *                       type: string
+ *                     endorsementCount:
+ *                       type: number
+ *                     endorsedByCurrentUser:
+ *                       type: boolean
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       404:
+ *         description: Report not found
+ *   post:
+ *     summary: Endorse a report
+ *     tags: [Reports]
+ *     description: Signal that the current user is affected by the issue too ("me too"). Each verified user can endorse a report once.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     responses:
+ *       201:
+ *         description: Report endorsed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Report endorsed successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     endorsement:
+ *                       type: object
+ *                     endorsementCount:
+ *                       type: number
+ *                     endorsedByCurrentUser:
+ *                       type: boolean
+ *       400:
+ *         description: Bad request - report is closed or was submitted by the current user
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       403:
+ *         description: Forbidden - user account not verified
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Conflict - report already endorsed or merged into another report
+ *   delete:
+ *     summary: Withdraw an endorsement
+ *     tags: [Reports]
+ *     description: Remove the current user's endorsement of a report
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     responses:
+ *       200:
+ *         description: Endorsement withdrawn successfully
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       404:
+ *         description: Report not found or not endorsed by the current user
+ */
+router.get('/:id/endorsements', endorsementController.getEndorsements);
+router.post(
+  '/:id/endorsements',
+  authMiddleware.verificationRequired,
+  endorsementController.endorseReport
+);
+router.delete('/:id/endorsements', endorsementController.withdrawEndorsement);
+
+/**
+ * @swagger
+ * /reports/{id}/comments:
+ *   get:
+ *     summary: Get report comments
+ *     tags: [Reports]
+ *     description: |
+ *       Get the conversation about a report, oldest thread first. Threads are paginated and each
+ *       top-level comment includes its replies. Internal notes are only returned to staff.
+ *       Reporters, staff who can view all reports and the assignee can read the comments.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *         description: Threads per page
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Comments retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     comments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Comment'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         page:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                         pages:
+ *                           type: integer
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       403:
+ *         description: Forbidden - user is not part of the report's conversation
+ *       404:
+ *         description: Report not found
+ *   post:
+ *     summary: Comment on a report
+ *     tags: [Reports]
+ *     description: |
+ *       Post a public comment, a reply or, for staff, an internal note. Replies to a reply join the
+ *       same thread, and replies to internal notes must be internal. The other party is notified by email:
+ *       staff handling the report for comments from reporters, reporters for public comments from staff.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, internal]
+ *                 default: public
+ *               parentId:
+ *                 type: string
+ *                 description: ID of the comment being replied to
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Up to 3 photos
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, internal]
+ *                 default: public
+ *               parentId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Comment added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Comment added successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     comment:
+ *                       $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Bad request - missing body or public reply to an internal note
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       403:
+ *         description: Forbidden - user is not part of the conversation or cannot post internal notes
+ *       404:
+ *         description: Report or parent comment not found
+ *       409:
+ *         description: Conflict - report merged into another report or parent comment deleted
+ */
+router.get('/:id/comments', validateCommentsQuery, commentController.getComments);
+router.post(
+  '/:id/comments',
+  uploadMultipleImages('attachments', 3),
+  validateAddComment,
+  commentController.addComment
+);
+
+/**
+ * @swagger
+ * /reports/{id}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit a comment
+ *     tags: [Reports]
+ *     description: Authors can edit their comments within COMMENT_EDIT_WINDOW_MINUTES minutes (default 15) of posting them.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       400:
+ *         description: Bad request - missing body
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       403:
+ *         description: Forbidden - user is not the author
+ *       404:
+ *         description: Comment not found
+ *       409:
+ *         description: Conflict - comment deleted or edit window has passed
+ *   delete:
+ *     summary: Delete a comment
+ *     tags: [Reports]
+ *     description: |
+ *       Authors can delete their comments within COMMENT_DELETE_WINDOW_MINUTES minutes (default 60) of posting them;
+ *       moderators can delete any comment. Deleted comments keep their place in the thread without their content.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       403:
+ *         description: Forbidden - user is not the author
+ *       404:
+ *         description: Comment not found
+ *       409:
+ *         description: Conflict - comment already deleted or delete window has passed
+ */
+router.patch('/:id/comments/:commentId', validateEditComment, commentController.editComment);
+router.delete('/:id/comments/:commentId', commentController.deleteComment);
+
+/**
+ * @swagger
+ * /reports/{id}/assign:
+ *   post:
+ *     summary: Assign a report
+ *     tags: [Reports]
+ *     description: Assign an open report to a staff member and/or a team. Reassignments are recorded in the report's status history.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               assigneeId:
+ *                 type: string
+ *                 description: ID of the staff member (admin, manager or field worker)
+ *               team:
+ *                 type: string
+ *                 description: Team responsible for the report
+ *               note:
+ *                 type: string
+ *                 description: Optional note for the assignee
+ *     responses:
+ *       200:
+ *         description: Report assigned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Report assigned successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     report:
+ *                       $ref: '#/components/schemas/Report'
+ *       400:
+ *         description: Bad request - missing assignee, closed report or assignee is not staff
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       403:
+ *         description: Forbidden - user not allowed to assign reports
+ *       404:
+ *         description: Report or assignee not found
+ *       409:
+ *         description: Conflict - report already assigned to this assignee or merged
+ */
+router.post(
+  '/:id/assign',
+  authMiddleware.requirePermission('reports.assign'),
+  validateAssignReport,
+  assignmentController.assignReport
+);
+
+/**
+ * @swagger
+ * /reports/{id}/status:
+ *   patch:
+ *     summary: Update report status
+ *     tags: [Reports]
+ *     description: |
+ *       Update the status of a report. Field workers can only update reports assigned to them or their team.
+ *       Allowed transitions are pending → in-progress → resolved, reopened → in-progress, and
+ *       pending, in-progress or reopened → rejected (a reason note is required when rejecting).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [in-progress, resolved, rejected]
+ *               note:
+ *                 type: string
+ *                 description: Note about the change (required when rejecting)
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [in-progress, resolved, rejected]
+ *               note:
+ *                 type: string
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Up to 5 "after" photos of the fix (only when resolving)
+ *     responses:
+ *       200:
+ *         description: Report status updated successfully
+ *       400:
+ *         description: Bad request - invalid status or missing rejection reason
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       403:
+ *         description: Forbidden - report is not assigned to the user
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Conflict - status transition not allowed or report merged into another report
+ */
+router.patch(
+  '/:id/status',
+  authMiddleware.requirePermission('reports.queue'),
+  uploadMultipleImages('images', 5),
+  validateUpdateReportStatus,
+  reportController.updateReportStatus
+);
+
+/**
+ * @swagger
+ * /reports/{id}/reopen:
+ *   post:
+ *     summary: Reopen a resolved report
+ *     tags: [Reports]
+ *     description: |
+ *       Reopen a resolved report whose issue was not actually fixed. Only the reporter can reopen a report,
+ *       and only within REPORT_REOPEN_WINDOW_DAYS days (default 14) of it being resolved.
+ *       Points for the resolution are not awarded again when the report is resolved a second time.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 minLength: 10
+ *                 maxLength: 500
+ *                 description: Why the issue is not resolved
+ *     responses:
+ *       200:
+ *         description: Report reopened successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Report reopened successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     report:
+ *                       $ref: '#/components/schemas/Report'
+ *       400:
+ *         description: Bad request - missing reason
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       403:
+ *         description: Forbidden - user is not the reporter
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Conflict - report is not resolved, was merged, or the reopen window has passed
+ */
+router.post('/:id/reopen', validateReopenReport, reportController.reopenReport);
+
+/**
+ * @swagger
+ * /reports/{id}/resolution/verify:
+ *   post:
+ *     summary: Confirm or dispute a report's resolution
+ *     tags: [Reports]
+ *     description: |
+ *       Lets the reporter confirm that a resolved issue is actually fixed, or dispute the resolution.
+ *       A disputed resolution reopens the report and sends it back to the admin queue; it must be
+ *       disputed within REPORT_REOPEN_WINDOW_DAYS days (default 14). Each resolution can be verified once.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [confirm, dispute]
+ *               comment:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Why the issue is not resolved (required when disputing, at least 10 characters)
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 description: Optional satisfaction rating
+ *     responses:
+ *       200:
+ *         description: Resolution confirmed or disputed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Thank you for confirming the resolution
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     report:
+ *                       $ref: '#/components/schemas/Report'
+ *       400:
+ *         description: Bad request - invalid decision or missing dispute comment
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       403:
+ *         description: Forbidden - user is not the reporter
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Conflict - no resolution awaiting verification, or the dispute window has passed
+ */
+router.post('/:id/resolution/verify', validateVerifyResolution, reportController.verifyResolution);
+
 /**
  * @swagger
  * /reports/user/me:
@@ -467,7 +1130,7 @@ router.post(
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, in-progress, resolved, rejected]
+ *           enum: [pending, in-progress, resolved, rejected, reopened]
  *         description: Filter by status
  *       - in: query
  *         name: category
@@ -517,6 +1180,70 @@ router.post(
  */
 router.get('/user/me', reportController.getUserReports);
 
+/**
+ * @swagger
+ * /reports/assigned/me:
+ *   get:
+ *     summary: Get my assignment queue
+ *     tags: [Reports]
+ *     description: Get open reports assigned to the current staff member directly or through their team, oldest assignment first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in-progress, resolved, rejected, reopened]
+ *         description: Filter by status (defaults to open reports)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Results per page
+ *     responses:
+ *       200:
+ *         description: Assigned reports retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Assigned reports retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     team:
+ *                       type: string
+ *                     reports:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Report'
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       403:
+ *         description: Forbidden - user has no assignment queue
+ */
+router.get(
+  '/assigned/me',
+  authMiddleware.requirePermission('reports.queue'),
+  assignmentController.getMyQueue
+);
+
 /**
  * @swagger
  * /reports/statistics:
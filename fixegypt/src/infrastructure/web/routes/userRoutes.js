@@ -79,6 +79,14 @@ router.get('/profile',  userController.getProfile);
  *                 type: string
  *               governorate:
  *                 type: string
+ *               notificationPreferences:
+ *                 type: object
+ *                 description: Channels to receive notifications on; omitted channels are unchanged
+ *                 properties:
+ *                   inApp:
+ *                     type: boolean
+ *                   email:
+ *                     type: boolean
  *     responses:
  *       200:
  *         description: User profile updated successfully
@@ -137,7 +145,7 @@ router.patch('/profile',
  *         name: type
  *         schema:
  *           type: string
- *           enum: [earn, redeem]
+ *           enum: [earn, redeem, refund, adjustment, expire]
  *         description: Filter by transaction type
  *     responses:
  *       200:
@@ -1,5 +1,9 @@
 import Joi from 'joi';
 import { ApiError } from '../middlewares/errorHandler.js';
+import { JOB_STATUSES, JOB_TYPES } from '../../../domain/entities/Job.js';
+import { POINTS_EVENTS, POINTS_RULE_KINDS } from '../../../domain/entities/PointsRule.js';
+import { REPORT_CATEGORIES } from '../../../domain/entities/Report.js';
+import { FRAUD_CHECK_STATUSES } from '../../../domain/entities/FraudCheck.js';
 
 /**
  * Middleware for validating request data
@@ -41,13 +45,38 @@ const adminLoginSchema = Joi.object({
 
 // Update report status validation schema
 const statusUpdateSchema = Joi.object({
-  status: Joi.string().required().valid('pending', 'in-progress', 'resolved', 'rejected')
+  status: Joi.string().required().valid('in-progress', 'resolved', 'rejected')
     .messages({
       'string.base': 'Status should be a string',
       'string.empty': 'Status is required',
-      'any.only': 'Status must be one of: pending, in-progress, resolved, rejected',
+      'any.only': 'Status must be one of: in-progress, resolved, rejected',
       'any.required': 'Status is required'
     }),
+  note: Joi.string().trim().max(500)
+    .when('status', { is: 'rejected', then: Joi.required(), otherwise: Joi.allow('') })
+    .messages({
+      'string.base': 'Note should be a string',
+      'string.empty': 'A reason is required to reject a report',
+      'string.max': 'Note should have at most {#limit} characters',
+      'any.required': 'A reason is required to reject a report'
+    })
+});
+
+// Merge duplicate reports validation schema
+const mergeReportsSchema = Joi.object({
+  duplicateIds: Joi.array().required().min(1).max(20).items(
+    Joi.string().hex().length(24)
+      .messages({
+        'string.base': 'Duplicate report ID should be a string',
+        'string.hex': 'Duplicate report ID must be a valid ID',
+        'string.length': 'Duplicate report ID must be a valid ID'
+      })
+  ).messages({
+    'array.base': 'Duplicate IDs should be an array',
+    'array.min': 'At least {#limit} duplicate report is required',
+    'array.max': 'At most {#limit} reports can be merged at once',
+    'any.required': 'Duplicate IDs are required'
+  }),
   note: Joi.string().allow('').max(500)
     .messages({
       'string.base': 'Note should be a string',
@@ -57,12 +86,17 @@ const statusUpdateSchema = Joi.object({
 
 // User role update validation schema
 const userRoleUpdateSchema = Joi.object({
-  role: Joi.string().required().valid('citizen', 'admin', 'manager', 'analyst')
+  role: Joi.string().required().valid('citizen', 'admin', 'manager', 'analyst', 'field_worker')
     .messages({
       'string.base': 'Role should be a string',
       'string.empty': 'Role is required',
-      'any.only': 'Role must be one of: citizen, admin, manager, analyst',
+      'any.only': 'Role must be one of: citizen, admin, manager, analyst, field_worker',
       'any.required': 'Role is required'
+    }),
+  team: Joi.string().allow(null, '').trim().max(100)
+    .messages({
+      'string.base': 'Team should be a string',
+      'string.max': 'Team should have at most {#limit} characters'
     })
 });
 
@@ -74,7 +108,10 @@ const analyticsFiltersSchema = Joi.object({
     'trends', 
     'seasonal', 
     'agency-performance',
-    'damage-assessment'
+    'damage-assessment',
+    'community-impact',
+    'sla-compliance',
+    'citizen-satisfaction'
   )
     .messages({
       'string.base': 'Analytics type should be a string',
@@ -108,8 +145,447 @@ const analyticsFiltersSchema = Joi.object({
     })
 });
 
+// Background jobs query validation schema
+const jobsQuerySchema = Joi.object({
+  status: Joi.string().valid(...JOB_STATUSES)
+    .messages({
+      'any.only': `Status must be one of: ${JOB_STATUSES.join(', ')}`
+    }),
+  type: Joi.string().valid(...JOB_TYPES)
+    .messages({
+      'any.only': `Type must be one of: ${JOB_TYPES.join(', ')}`
+    }),
+  page: Joi.number().integer().min(1).default(1)
+    .messages({
+      'number.base': 'Page should be a number',
+      'number.integer': 'Page should be an integer',
+      'number.min': 'Page should be at least {#limit}'
+    }),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+    .messages({
+      'number.base': 'Limit should be a number',
+      'number.integer': 'Limit should be an integer',
+      'number.min': 'Limit should be at least {#limit}',
+      'number.max': 'Limit should be at most {#limit}'
+    })
+});
+
+// AI health query validation schema
+const aiHealthQuerySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(90).default(7)
+    .messages({
+      'number.base': 'Days should be a number',
+      'number.integer': 'Days should be an integer',
+      'number.min': 'Days should be at least {#limit}',
+      'number.max': 'Days should not exceed {#limit}'
+    })
+});
+
+// Category suggestion queue query validation schema
+const categorySuggestionsQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'accepted', 'rejected').default('pending')
+    .messages({
+      'any.only': 'Status must be one of: pending, accepted, rejected'
+    }),
+  page: Joi.number().integer().min(1).default(1)
+    .messages({
+      'number.base': 'Page should be a number',
+      'number.integer': 'Page should be an integer',
+      'number.min': 'Page should be at least {#limit}'
+    }),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+    .messages({
+      'number.base': 'Limit should be a number',
+      'number.integer': 'Limit should be an integer',
+      'number.min': 'Limit should be at least {#limit}',
+      'number.max': 'Limit should be at most {#limit}'
+    })
+});
+
+// Category suggestion review validation schema
+const categorySuggestionReviewSchema = Joi.object({
+  decision: Joi.string().required().valid('accept', 'reject')
+    .messages({
+      'string.base': 'Decision should be a string',
+      'string.empty': 'Decision is required',
+      'any.only': 'Decision must be one of: accept, reject',
+      'any.required': 'Decision is required'
+    }),
+  note: Joi.string().allow('').max(500)
+    .messages({
+      'string.base': 'Note should be a string',
+      'string.max': 'Note should have at most {#limit} characters'
+    })
+});
+
+// Category suggestion accuracy query validation schema
+const categorySuggestionAccuracyQuerySchema = Joi.object({
+  startDate: Joi.date().iso()
+    .messages({
+      'date.base': 'Start date should be a valid date',
+      'date.format': 'Start date should be in ISO format (YYYY-MM-DD)'
+    }),
+  endDate: Joi.date().iso().min(Joi.ref('startDate'))
+    .messages({
+      'date.base': 'End date should be a valid date',
+      'date.format': 'End date should be in ISO format (YYYY-MM-DD)',
+      'date.min': 'End date should be equal to or after start date'
+    }),
+  timeUnit: Joi.string().valid('day', 'week', 'month').default('week')
+    .messages({
+      'string.base': 'Time unit should be a string',
+      'any.only': 'Time unit must be one of: day, week, month'
+    })
+});
+
+// Moderation queue query validation schema
+const moderationQueueQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'approved', 'removed').default('pending')
+    .messages({
+      'any.only': 'Status must be one of: pending, approved, removed'
+    }),
+  page: Joi.number().integer().min(1).default(1)
+    .messages({
+      'number.base': 'Page should be a number',
+      'number.integer': 'Page should be an integer',
+      'number.min': 'Page should be at least {#limit}'
+    }),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+    .messages({
+      'number.base': 'Limit should be a number',
+      'number.integer': 'Limit should be an integer',
+      'number.min': 'Limit should be at least {#limit}',
+      'number.max': 'Limit should be at most {#limit}'
+    })
+});
+
+// Moderation decision validation schema
+const moderationDecisionSchema = Joi.object({
+  decision: Joi.string().required().valid('approve', 'remove')
+    .messages({
+      'string.base': 'Decision should be a string',
+      'string.empty': 'Decision is required',
+      'any.only': 'Decision must be one of: approve, remove',
+      'any.required': 'Decision is required'
+    }),
+  note: Joi.string().trim().max(500)
+    .when('decision', { is: 'remove', then: Joi.required(), otherwise: Joi.allow('') })
+    .messages({
+      'string.base': 'Note should be a string',
+      'string.empty': 'A reason is required to remove a report',
+      'string.max': 'Note should have at most {#limit} characters',
+      'any.required': 'A reason is required to remove a report'
+    })
+});
+
+// Points adjustment validation schema
+const pointsAdjustmentSchema = Joi.object({
+  amount: Joi.number().required().integer().invalid(0).min(-1000000).max(1000000)
+    .messages({
+      'number.base': 'Amount should be a number',
+      'number.integer': 'Amount should be a whole number of points',
+      'any.invalid': 'Amount must not be zero',
+      'number.min': 'Amount should be at least {#limit}',
+      'number.max': 'Amount should be at most {#limit}',
+      'any.required': 'Amount is required'
+    }),
+  reason: Joi.string().required().trim().min(3).max(500)
+    .messages({
+      'string.base': 'Reason should be a string',
+      'string.empty': 'A reason is required to adjust points',
+      'string.min': 'Reason should have at least {#limit} characters',
+      'string.max': 'Reason should have at most {#limit} characters',
+      'any.required': 'A reason is required to adjust points'
+    })
+});
+
+// Points reconciliation validation schema
+const pointsReconcileSchema = Joi.object({
+  repair: Joi.boolean().default(false)
+    .messages({
+      'boolean.base': 'Repair should be true or false'
+    }),
+  userId: Joi.string().hex().length(24)
+    .messages({
+      'string.base': 'User ID should be a string',
+      'string.hex': 'User ID must be a valid ID',
+      'string.length': 'User ID must be a valid ID'
+    })
+});
+
+// Points ledger export query validation schema
+const pointsLedgerQuerySchema = Joi.object({
+  format: Joi.string().valid('json', 'csv').default('json')
+    .messages({
+      'any.only': 'Format must be one of: json, csv'
+    })
+});
+
+// Points adjustments query validation schema
+const pointsAdjustmentsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1)
+    .messages({
+      'number.base': 'Page should be a number',
+      'number.integer': 'Page should be an integer',
+      'number.min': 'Page should be at least {#limit}'
+    }),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+    .messages({
+      'number.base': 'Limit should be a number',
+      'number.integer': 'Limit should be an integer',
+      'number.min': 'Limit should be at least {#limit}',
+      'number.max': 'Limit should be at most {#limit}'
+    })
+});
+
+// Fields of a points rule; required ones are marked by the create schema
+const pointsRuleFields = {
+  name: Joi.string().trim().min(3).max(100)
+    .messages({
+      'string.base': 'Name should be a string',
+      'string.empty': 'Name is required',
+      'string.min': 'Name should have at least {#limit} characters',
+      'string.max': 'Name should have at most {#limit} characters',
+      'any.required': 'Name is required'
+    }),
+  description: Joi.string().trim().max(500).allow('')
+    .messages({
+      'string.base': 'Description should be a string',
+      'string.max': 'Description should have at most {#limit} characters'
+    }),
+  event: Joi.string().valid(...POINTS_EVENTS)
+    .messages({
+      'any.only': `Event must be one of: ${POINTS_EVENTS.join(', ')}`,
+      'any.required': 'Event is required'
+    }),
+  kind: Joi.string().valid(...POINTS_RULE_KINDS)
+    .messages({
+      'any.only': `Kind must be one of: ${POINTS_RULE_KINDS.join(', ')}`
+    }),
+  points: Joi.number().integer().min(0).max(100000)
+    .messages({
+      'number.base': 'Points should be a number',
+      'number.integer': 'Points should be a whole number',
+      'number.min': 'Points should be at least {#limit}',
+      'number.max': 'Points should be at most {#limit}'
+    }),
+  multiplier: Joi.number().min(0).max(10)
+    .messages({
+      'number.base': 'Multiplier should be a number',
+      'number.min': 'Multiplier should be at least {#limit}',
+      'number.max': 'Multiplier should be at most {#limit}'
+    }),
+  conditions: Joi.object({
+    categories: Joi.array().items(Joi.string().valid(...REPORT_CATEGORIES)).unique()
+      .messages({
+        'any.only': `Categories must be among: ${REPORT_CATEGORIES.join(', ')}`
+      }),
+    urgencies: Joi.array().items(Joi.string().valid('low', 'medium', 'high', 'critical')).unique()
+      .messages({
+        'any.only': 'Urgencies must be among: low, medium, high, critical'
+      }),
+    governorates: Joi.array().items(Joi.string().trim().min(2).max(50))
+      .messages({
+        'string.min': 'Governorates should have at least {#limit} characters',
+        'string.max': 'Governorates should have at most {#limit} characters'
+      })
+  }),
+  startsAt: Joi.date().iso().allow(null)
+    .messages({
+      'date.base': 'Start date must be a valid date',
+      'date.format': 'Start date must be in ISO format'
+    }),
+  endsAt: Joi.date().iso().allow(null)
+    .messages({
+      'date.base': 'End date must be a valid date',
+      'date.format': 'End date must be in ISO format'
+    }),
+  dailyCap: Joi.number().integer().min(0).max(1000000).allow(null)
+    .messages({
+      'number.base': 'Daily cap should be a number',
+      'number.integer': 'Daily cap should be a whole number of points',
+      'number.min': 'Daily cap should be at least {#limit}',
+      'number.max': 'Daily cap should be at most {#limit}'
+    }),
+  priority: Joi.number().integer().min(-1000).max(1000)
+    .messages({
+      'number.base': 'Priority should be a number',
+      'number.integer': 'Priority should be an integer'
+    }),
+  isActive: Joi.boolean()
+    .messages({
+      'boolean.base': 'isActive should be true or false'
+    })
+};
+
+// Points rule creation validation schema
+const pointsRuleCreateSchema = Joi.object({
+  ...pointsRuleFields,
+  name: pointsRuleFields.name.required(),
+  event: pointsRuleFields.event.required()
+});
+
+// Points rule update validation schema
+const pointsRuleUpdateSchema = Joi.object(pointsRuleFields).min(1)
+  .messages({
+    'object.min': 'Provide at least one field to update'
+  });
+
+// Points rules query validation schema
+const pointsRulesQuerySchema = Joi.object({
+  event: Joi.string().valid(...POINTS_EVENTS)
+    .messages({
+      'any.only': `Event must be one of: ${POINTS_EVENTS.join(', ')}`
+    }),
+  kind: Joi.string().valid(...POINTS_RULE_KINDS)
+    .messages({
+      'any.only': `Kind must be one of: ${POINTS_RULE_KINDS.join(', ')}`
+    }),
+  isActive: Joi.boolean()
+    .messages({
+      'boolean.base': 'isActive should be true or false'
+    }),
+  page: Joi.number().integer().min(1).default(1)
+    .messages({
+      'number.base': 'Page should be a number',
+      'number.integer': 'Page should be an integer',
+      'number.min': 'Page should be at least {#limit}'
+    }),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+    .messages({
+      'number.base': 'Limit should be a number',
+      'number.integer': 'Limit should be an integer',
+      'number.min': 'Limit should be at least {#limit}',
+      'number.max': 'Limit should be at most {#limit}'
+    })
+});
+
+// Points rules dry run validation schema
+const pointsRulesDryRunSchema = Joi.object({
+  reportId: Joi.string().required().hex().length(24)
+    .messages({
+      'string.base': 'Report ID should be a string',
+      'string.empty': 'Report ID is required',
+      'string.hex': 'Report ID must be a valid ID',
+      'string.length': 'Report ID must be a valid ID',
+      'any.required': 'Report ID is required'
+    }),
+  events: Joi.array().items(Joi.string().valid(...POINTS_EVENTS)).min(1).unique()
+    .messages({
+      'any.only': `Events must be among: ${POINTS_EVENTS.join(', ')}`,
+      'array.min': 'Provide at least one event'
+    }),
+  userId: Joi.string().hex().length(24)
+    .messages({
+      'string.base': 'User ID should be a string',
+      'string.hex': 'User ID must be a valid ID',
+      'string.length': 'User ID must be a valid ID'
+    }),
+  at: Joi.date().iso()
+    .messages({
+      'date.base': 'Date must be a valid date',
+      'date.format': 'Date must be in ISO format'
+    })
+});
+
+// Flagged accounts query validation schema
+const fraudAccountsQuerySchema = Joi.object({
+  status: Joi.string().valid('held', 'released', 'confirmed')
+    .messages({
+      'any.only': 'Status must be one of: held, released, confirmed'
+    }),
+  page: Joi.number().integer().min(1).default(1)
+    .messages({
+      'number.base': 'Page should be a number',
+      'number.integer': 'Page should be an integer',
+      'number.min': 'Page should be at least {#limit}'
+    }),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+    .messages({
+      'number.base': 'Limit should be a number',
+      'number.integer': 'Limit should be an integer',
+      'number.min': 'Limit should be at least {#limit}',
+      'number.max': 'Limit should be at most {#limit}'
+    })
+});
+
+// Fraud checks of an account query validation schema
+const fraudChecksQuerySchema = Joi.object({
+  status: Joi.string().valid(...FRAUD_CHECK_STATUSES)
+    .messages({
+      'any.only': `Status must be one of: ${FRAUD_CHECK_STATUSES.join(', ')}`
+    }),
+  page: Joi.number().integer().min(1).default(1)
+    .messages({
+      'number.base': 'Page should be a number',
+      'number.integer': 'Page should be an integer',
+      'number.min': 'Page should be at least {#limit}'
+    }),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+    .messages({
+      'number.base': 'Limit should be a number',
+      'number.integer': 'Limit should be an integer',
+      'number.min': 'Limit should be at least {#limit}',
+      'number.max': 'Limit should be at most {#limit}'
+    })
+});
+
+// Fraud review validation schema
+const fraudReviewSchema = Joi.object({
+  decision: Joi.string().required().valid('release', 'confirm')
+    .messages({
+      'string.base': 'Decision should be a string',
+      'string.empty': 'Decision is required',
+      'any.only': 'Decision must be one of: release, confirm',
+      'any.required': 'Decision is required'
+    }),
+  note: Joi.string().trim().max(500)
+    .when('decision', { is: 'confirm', then: Joi.required(), otherwise: Joi.allow('') })
+    .messages({
+      'string.base': 'Note should be a string',
+      'string.empty': 'A reason is required to confirm points farming',
+      'string.max': 'Note should have at most {#limit} characters',
+      'any.required': 'A reason is required to confirm points farming'
+    })
+});
+
+// Validate query parameters middleware
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error } = schema.validate(req.query, {
+      abortEarly: false
+    });
+
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      return next(new ApiError(400, errorMessage));
+    }
+
+    next();
+  };
+};
+
 // Export validation middlewares
 export const validateAdminLogin = validate(adminLoginSchema);
 export const validateStatusUpdate = validate(statusUpdateSchema);
+export const validateMergeReports = validate(mergeReportsSchema);
 export const validateUserRoleUpdate = validate(userRoleUpdateSchema);
-export const validateAnalyticsFilters = validate(analyticsFiltersSchema); 
\ No newline at end of file
+export const validateAnalyticsFilters = validate(analyticsFiltersSchema);
+export const validateJobsQuery = validateQuery(jobsQuerySchema);
+export const validateAIHealthQuery = validateQuery(aiHealthQuerySchema);
+export const validateCategorySuggestionsQuery = validateQuery(categorySuggestionsQuerySchema);
+export const validateCategorySuggestionReview = validate(categorySuggestionReviewSchema);
+export const validateCategorySuggestionAccuracyQuery = validateQuery(categorySuggestionAccuracyQuerySchema);
+export const validateModerationQueueQuery = validateQuery(moderationQueueQuerySchema);
+export const validateModerationDecision = validate(moderationDecisionSchema);
+export const validatePointsAdjustment = validate(pointsAdjustmentSchema);
+export const validatePointsReconcile = validate(pointsReconcileSchema);
+export const validatePointsLedgerQuery = validateQuery(pointsLedgerQuerySchema);
+export const validatePointsAdjustmentsQuery = validateQuery(pointsAdjustmentsQuerySchema);
+export const validatePointsRuleCreate = validate(pointsRuleCreateSchema);
+export const validatePointsRuleUpdate = validate(pointsRuleUpdateSchema);
+export const validatePointsRulesQuery = validateQuery(pointsRulesQuerySchema);
+export const validatePointsRulesDryRun = validate(pointsRulesDryRunSchema);
+export const validateFraudAccountsQuery = validateQuery(fraudAccountsQuerySchema);
+export const validateFraudChecksQuery = validateQuery(fraudChecksQuerySchema);
+export const validateFraudReview = validate(fraudReviewSchema); 
\ No newline at end of file
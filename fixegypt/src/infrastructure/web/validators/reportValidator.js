@@ -188,20 +188,118 @@ const updateReportSchema = Joi.object({
 
 // Update report status validation schema
 const updateReportStatusSchema = Joi.object({
-  status: Joi.string().required().valid('pending', 'in-progress', 'resolved', 'rejected')
+  status: Joi.string().required().valid('in-progress', 'resolved', 'rejected')
     .messages({
       'string.base': 'Status should be a string',
       'string.empty': 'Status is required',
-      'any.only': 'Status must be one of: pending, in-progress, resolved, rejected',
+      'any.only': 'Status must be one of: in-progress, resolved, rejected',
       'any.required': 'Status is required'
     }),
-  note: Joi.string().max(500)
+  note: Joi.string().trim().max(500)
+    .when('status', { is: 'rejected', then: Joi.required() })
     .messages({
       'string.base': 'Note should be a string',
-      'string.max': 'Note should have at most {#limit} characters'
+      'string.empty': 'A reason is required to reject a report',
+      'string.max': 'Note should have at most {#limit} characters',
+      'any.required': 'A reason is required to reject a report'
+    })
+});
+
+// Reopen report validation schema
+const reopenReportSchema = Joi.object({
+  reason: Joi.string().trim().required().min(10).max(500)
+    .messages({
+      'string.base': 'Reason should be a string',
+      'string.empty': 'Reason is required',
+      'string.min': 'Reason should have at least {#limit} characters',
+      'string.max': 'Reason should have at most {#limit} characters',
+      'any.required': 'Reason is required'
+    })
+});
+
+// Resolution verification validation schema
+const verifyResolutionSchema = Joi.object({
+  decision: Joi.string().required().valid('confirm', 'dispute')
+    .messages({
+      'string.base': 'Decision should be a string',
+      'string.empty': 'Decision is required',
+      'any.only': 'Decision must be one of: confirm, dispute',
+      'any.required': 'Decision is required'
+    }),
+  comment: Joi.string().trim().max(500)
+    .when('decision', { is: 'dispute', then: Joi.string().min(10).required(), otherwise: Joi.allow('') })
+    .messages({
+      'string.base': 'Comment should be a string',
+      'string.empty': 'Please explain why the issue is not resolved',
+      'string.min': 'Comment should have at least {#limit} characters',
+      'string.max': 'Comment should have at most {#limit} characters',
+      'any.required': 'Please explain why the issue is not resolved'
+    }),
+  rating: Joi.number().integer().min(1).max(5)
+    .messages({
+      'number.base': 'Rating should be a number',
+      'number.integer': 'Rating should be a whole number',
+      'number.min': 'Rating should be at least {#limit}',
+      'number.max': 'Rating should be at most {#limit}'
+    })
+});
+
+// Report comment validation schema
+const addCommentSchema = Joi.object({
+  body: Joi.string().trim().required().min(1).max(2000)
+    .messages({
+      'string.base': 'Comment should be a string',
+      'string.empty': 'Comment is required',
+      'string.max': 'Comment should have at most {#limit} characters',
+      'any.required': 'Comment is required'
+    }),
+  visibility: Joi.string().valid('public', 'internal')
+    .messages({
+      'string.base': 'Visibility should be a string',
+      'any.only': 'Visibility must be one of: public, internal'
+    }),
+  parentId: Joi.string().hex().length(24).allow(null, '')
+    .messages({
+      'string.base': 'Parent comment ID should be a string',
+      'string.hex': 'Parent comment ID must be a valid ID',
+      'string.length': 'Parent comment ID must be a valid ID'
+    })
+});
+
+// Edit comment validation schema
+const editCommentSchema = Joi.object({
+  body: Joi.string().trim().required().min(1).max(2000)
+    .messages({
+      'string.base': 'Comment should be a string',
+      'string.empty': 'Comment is required',
+      'string.max': 'Comment should have at most {#limit} characters',
+      'any.required': 'Comment is required'
     })
 });
 
+// Assign report validation schema
+const assignReportSchema = Joi.object({
+  assigneeId: Joi.string().hex().length(24).allow(null)
+    .messages({
+      'string.base': 'Assignee ID should be a string',
+      'string.hex': 'Assignee ID must be a valid ID',
+      'string.length': 'Assignee ID must be a valid ID'
+    }),
+  team: Joi.string().trim().max(100).allow(null)
+    .messages({
+      'string.base': 'Team should be a string',
+      'string.max': 'Team should have at most {#limit} characters'
+    }),
+  note: Joi.string().allow('').max(500)
+    .messages({
+      'string.base': 'Note should be a string',
+      'string.max': 'Note should have at most {#limit} characters'
+    })
+}).or('assigneeId', 'team')
+  .messages({
+    'object.missing': 'An assignee or a team is required'
+  });
+
 // Reports query validation schema
 const reportsQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1)
@@ -217,10 +315,10 @@ const reportsQuerySchema = Joi.object({
       'number.min': 'Limit should be at least {#limit}',
       'number.max': 'Limit should be at most {#limit}'
     }),
-  status: Joi.string().valid('pending', 'in-progress', 'resolved', 'rejected')
+  status: Joi.string().valid('under_review', 'pending', 'in-progress', 'resolved', 'rejected', 'reopened', 'removed')
     .messages({
       'string.base': 'Status should be a string',
-      'any.only': 'Status must be one of: pending, in-progress, resolved, rejected'
+      'any.only': 'Status must be one of: under_review, pending, in-progress, resolved, rejected, reopened, removed'
     }),
   category: Joi.string().valid(
     'road_damage', 
@@ -273,6 +371,23 @@ const reportsQuerySchema = Joi.object({
     })
 }).unknown(true);
 
+// Report comments query validation schema
+const commentsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1)
+    .messages({
+      'number.base': 'Page should be a number',
+      'number.integer': 'Page should be an integer',
+      'number.min': 'Page should be at least {#limit}'
+    }),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+    .messages({
+      'number.base': 'Limit should be a number',
+      'number.integer': 'Limit should be an integer',
+      'number.min': 'Limit should be at least {#limit}',
+      'number.max': 'Limit should be at most {#limit}'
+    })
+}).unknown(true);
+
 // Nearby reports query validation schema
 const nearbyReportsQuerySchema = Joi.object({
   lat: Joi.number().required().min(-90).max(90)
@@ -330,5 +445,11 @@ const validateQuery = (schema) => {
 export const validateCreateReport = validate(createReportSchema);
 export const validateUpdateReport = validate(updateReportSchema);
 export const validateUpdateReportStatus = validate(updateReportStatusSchema);
+export const validateAssignReport = validate(assignReportSchema);
+export const validateReopenReport = validate(reopenReportSchema);
+export const validateVerifyResolution = validate(verifyResolutionSchema);
+export const validateAddComment = validate(addCommentSchema);
+export const validateEditComment = validate(editCommentSchema);
+export const validateCommentsQuery = validateQuery(commentsQuerySchema);
 export const validateReportsQuery = validateQuery(reportsQuerySchema);
 export const validateNearbyReportsQuery = validateQuery(nearbyReportsQuerySchema); 
\ No newline at end of file
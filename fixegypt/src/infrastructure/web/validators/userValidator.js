@@ -196,6 +196,20 @@ const updateProfileSchema = Joi.object({
       'string.base': 'Governorate should be a string',
       'string.min': 'Governorate should have at least {#limit} characters',
       'string.max': 'Governorate should have at most {#limit} characters'
+    }),
+  notificationPreferences: Joi.object({
+    inApp: Joi.boolean()
+      .messages({
+        'boolean.base': 'In-app notification preference should be a boolean'
+      }),
+    email: Joi.boolean()
+      .messages({
+        'boolean.base': 'Email notification preference should be a boolean'
+      })
+  }).min(1)
+    .messages({
+      'object.base': 'Notification preferences should be an object',
+      'object.min': 'Notification preferences should include inApp or email'
     })
 });
 
@@ -232,10 +246,10 @@ const adminUpdateUserSchema = Joi.object({
     .messages({
       'boolean.base': 'Verification status should be a boolean'
     }),
-  role: Joi.string().valid('citizen', 'admin')
+  role: Joi.string().valid('citizen', 'admin', 'manager', 'analyst', 'field_worker')
     .messages({
       'string.base': 'Role should be a string',
-      'any.only': 'Role must be either citizen or admin'
+      'any.only': 'Role must be one of: citizen, admin, manager, analyst, field_worker'
     })
 });
 
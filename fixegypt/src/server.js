@@ -12,6 +12,11 @@ import connectDB from './infrastructure/persistence/database.js';
 import logger from './infrastructure/web/middlewares/logger.js';
 import errorHandler, { notFound } from './infrastructure/web/middlewares/errorHandler.js';
 import swaggerDocs from './infrastructure/web/routes/apiDocs.js';
+import slaScheduler from './infrastructure/scheduling/SlaScheduler.js';
+import pointsExpiryScheduler from './infrastructure/scheduling/PointsExpiryScheduler.js';
+import realtimeHub from './infrastructure/realtime/RealtimeHub.js';
+import jobQueue from './infrastructure/jobs/JobQueue.js';
+import { registerJobHandlers } from './infrastructure/jobs/jobHandlers.js';
 
 // Routes will be imported here
 import authRoutes from './infrastructure/web/routes/authRoutes.js';
@@ -21,6 +26,8 @@ import adminRoutes from './infrastructure/web/routes/adminRoutes.js';
 import pointsRoutes from './infrastructure/web/routes/pointsRoutes.js';
 import productRoutes from './infrastructure/web/routes/productRoutes.js';
 import redemptionRoutes from './infrastructure/web/routes/redemptionRoutes.js';
+import notificationRoutes from './infrastructure/web/routes/notificationRoutes.js';
+import eventRoutes from './infrastructure/web/routes/eventRoutes.js';
 
 // Add imports for compression and caching middleware
 import compressionMiddleware from './infrastructure/web/middlewares/compressionMiddleware.js';
@@ -82,6 +89,8 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/points', pointsRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/redemptions', redemptionRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
 
 
 // Health check endpoint
@@ -105,13 +114,30 @@ const PORT = config.server.port;
 const server = app.listen(PORT, () => {
   logger.info(`Server running in ${config.server.nodeEnv} mode on port ${PORT}`);
   logger.info(`API Documentation available at http://localhost:${PORT}/api-docs`);
+
+  // Start background SLA escalation checks
+  if (config.sla.schedulerEnabled && config.server.nodeEnv !== 'test') {
+    slaScheduler.start();
+  }
+
+  // Start background points expiry and expiry warnings
+  if (config.points.expirySchedulerEnabled && config.points.expiryMonths > 0 && config.server.nodeEnv !== 'test') {
+    pointsExpiryScheduler.start();
+  }
+
+  // Start the background job worker; jobs left over from before a restart are picked up
+  registerJobHandlers(jobQueue);
+  if (config.jobs.workerEnabled && config.server.nodeEnv !== 'test') {
+    jobQueue.start();
+  }
 });
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error(`Unhandled Rejection: ${err.message}`);
   console.error(err.stack);
-  // Close server & exit process
+  // Close open event streams so the server can close, then exit process
+  realtimeHub.closeAll();
   server.close(() => process.exit(1));
 });
 
@@ -119,7 +145,8 @@ process.on('unhandledRejection', (err) => {
 process.on('uncaughtException', (err) => {
   logger.error(`Uncaught Exception: ${err.message}`);
   console.error(err.stack);
-  // Close server & exit process
+  // Close open event streams so the server can close, then exit process
+  realtimeHub.closeAll();
   server.close(() => process.exit(1));
 });
 
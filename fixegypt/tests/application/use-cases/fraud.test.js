@@ -0,0 +1,219 @@
+import Report from '../../../src/domain/entities/Report.js';
+import FraudCheck from '../../../src/domain/entities/FraudCheck.js';
+import { FraudScoringPolicy } from '../../../src/domain/services/FraudScoringPolicy.js';
+import { ImageLocationPolicy } from '../../../src/domain/services/ImageLocationPolicy.js';
+import ScoreReportFraudUseCase from '../../../src/application/use-cases/fraud/ScoreReportFraudUseCase.js';
+import ReviewFraudCheckUseCase from '../../../src/application/use-cases/fraud/ReviewFraudCheckUseCase.js';
+
+const scoringPolicy = new FraudScoringPolicy({
+  enabled: true,
+  holdThreshold: 50,
+  burstWindowMinutes: 60,
+  burstMaxReports: 3,
+  dailyMaxReports: 10,
+  textSimilarityThreshold: 0.8,
+  textLookbackDays: 30,
+  homeDistanceKm: 100,
+  weights: {
+    submission_burst: 30,
+    daily_volume: 20,
+    image_reuse: 40,
+    text_similarity: 25,
+    far_from_home: 15,
+    photo_location_mismatch: 15
+  }
+});
+
+const CAIRO = { lat: 30.0444, lng: 31.2357 };
+const ASWAN = { lat: 24.0889, lng: 32.8998 };
+const submittedAt = new Date('2026-03-10T10:00:00Z');
+
+/**
+ * Fraud check repository holding the report's earlier check, if any, and recording what is saved
+ */
+const createFraudCheckRepository = (previous = null) => {
+  const repository = {
+    saved: [],
+    findByReportId: async () => previous && new FraudCheck(previous),
+    save: async (reportId, fields) => {
+      repository.saved.push({ reportId, ...fields });
+      return new FraudCheck({ ...fields, reportId });
+    }
+  };
+
+  return repository;
+};
+
+/**
+ * Reports of one citizen, with the lookups the scoring needs
+ */
+const createReportRepository = (reports, { imageMatches = [] } = {}) => ({
+  findById: async (id) => reports.find(report => report.id === id) || null,
+  countByUserBetween: async (userId, from, to) => reports
+    .filter(report => report.userId === userId && report.createdAt >= from && report.createdAt <= to).length,
+  findImageMetadata: async (id) => reports.find(report => report.id === id).images,
+  findByImageHashes: async (hashes) => imageMatches.filter(match => hashes.includes(match.hash)),
+  findRecentTextsByUser: async (userId, since, { excludeId }) => reports
+    .filter(report => report.userId === userId && report.id !== excludeId && report.createdAt >= since)
+});
+
+const report = (id, fields = {}) => new Report({
+  id,
+  title: `Streetlight ${id} broken`,
+  description: `Lamp number ${id} on the corner is dark`,
+  category: 'electricity',
+  userId: 'user-1',
+  location: { governorate: 'Cairo', coordinates: CAIRO },
+  createdAt: submittedAt,
+  ...fields
+});
+
+const createScoring = (reports, { previous = null, imageMatches = [], governorate = 'Cairo' } = {}) => {
+  const fraudCheckRepository = createFraudCheckRepository(previous);
+  const useCase = new ScoreReportFraudUseCase(
+    createReportRepository(reports, { imageMatches }),
+    { findById: async (id) => ({ id, governorate }) },
+    fraudCheckRepository,
+    scoringPolicy,
+    new ImageLocationPolicy({ gpsMismatchKm: 1 })
+  );
+
+  return { fraudCheckRepository, useCase };
+};
+
+const minutesBefore = (minutes) => new Date(submittedAt.getTime() - minutes * 60 * 1000);
+
+describe('ScoreReportFraudUseCase', () => {
+  it('clears an ordinary report', async () => {
+    const { useCase } = createScoring([report('r1'), report('r0', { title: 'Garbage', description: 'Bins overflowing', createdAt: minutesBefore(600) })]);
+
+    await expect(useCase.execute('r1')).resolves.toMatchObject({ reportId: 'r1', userId: 'user-1', score: 0, status: 'clear' });
+  });
+
+  it('holds a burst of near-identical reports', async () => {
+    const reports = [
+      report('r1', { title: 'Streetlight broken', description: 'The lamp on the corner is dark', createdAt: minutesBefore(40) }),
+      report('r2', { title: 'Water leak', description: 'Pipe burst near the school', createdAt: minutesBefore(30) }),
+      report('r3', { title: 'Pothole', description: 'Deep hole in the road', createdAt: minutesBefore(20) }),
+      report('r4', { title: 'Streetlight broken', description: 'The lamp on the corner is dark again' })
+    ];
+    const { useCase } = createScoring(reports);
+
+    const check = await useCase.execute('r4');
+
+    expect(check).toMatchObject({ score: 55, status: 'held' });
+    expect(check.signals.map(signal => signal.type)).toEqual(['submission_burst', 'text_similarity']);
+    expect(check.signals[1].detail.reportId).toBe('r1');
+  });
+
+  it('flags photos taken from other reports and reports far from the citizen\'s governorate', async () => {
+    const reports = [report('r1', { location: { governorate: 'Aswan', coordinates: ASWAN }, images: [{ hash: 'h1' }] })];
+    const { useCase } = createScoring(reports, { imageMatches: [{ hash: 'h1', reportId: 'other', userId: 'user-2' }] });
+
+    const check = await useCase.execute('r1');
+
+    expect(check).toMatchObject({ score: 55, status: 'held' });
+    expect(check.signals[0].detail).toEqual({ reportIds: ['other'], fromOtherUsers: true });
+    expect(check.signals[1].detail).toMatchObject({ governorate: 'Cairo' });
+  });
+
+  it('keeps the decision of an admin when a reviewed report is scored again', async () => {
+    const reports = [
+      ...[1, 2, 3].map(n => report(`r${n}`, { createdAt: minutesBefore(n * 10) })),
+      report('r4')
+    ];
+    const { fraudCheckRepository, useCase } = createScoring(reports, {
+      previous: { reportId: 'r4', userId: 'user-1', score: 55, status: 'released' }
+    });
+
+    const check = await useCase.execute('r4');
+
+    expect(check.status).toBe('released');
+    expect(check.score).toBeGreaterThanOrEqual(50);
+    expect(fraudCheckRepository.saved[0].status).toBe('released');
+  });
+
+  it('returns 404 for an unknown report', async () => {
+    const { useCase } = createScoring([]);
+
+    await expect(useCase.execute('missing')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('holds the points of a report that could not be scored', async () => {
+    const { fraudCheckRepository, useCase } = createScoring([]);
+
+    const check = await useCase.holdUnscored('r1', 'user-1', new Error('Connection reset'));
+
+    expect(check.isWithholdingPoints()).toBe(true);
+    expect(fraudCheckRepository.saved).toEqual([expect.objectContaining({
+      reportId: 'r1',
+      userId: 'user-1',
+      status: 'held',
+      signals: [{ type: 'scoring_failed', weight: 0, detail: { error: 'Connection reset' } }]
+    })]);
+  });
+
+  it('keeps the decision of an admin when a reviewed report cannot be scored again', async () => {
+    const { fraudCheckRepository, useCase } = createScoring([], {
+      previous: { reportId: 'r1', userId: 'user-1', score: 55, status: 'released' }
+    });
+
+    const check = await useCase.holdUnscored('r1', 'user-1', new Error('Connection reset'));
+
+    expect(check.status).toBe('released');
+    expect(fraudCheckRepository.saved).toEqual([]);
+  });
+});
+
+describe('ReviewFraudCheckUseCase', () => {
+  const held = { reportId: 'r1', userId: 'user-1', score: 60, status: 'held' };
+
+  /**
+   * Review use case over the given check; review answers with the reviewed check, or null when it lost a race
+   */
+  const createReview = (check, { lostRace = false } = {}) => {
+    const reviews = [];
+    const useCase = new ReviewFraudCheckUseCase({
+      findByReportId: async () => check && new FraudCheck(check),
+      review: async (reportId, status, adminId, note) => {
+        reviews.push([reportId, status, adminId, note]);
+        return lostRace ? null : new FraudCheck({ ...check, status, reviewedBy: adminId, reviewNote: note });
+      }
+    });
+
+    return { reviews, useCase };
+  };
+
+  it('releases or confirms a held report', async () => {
+    const { reviews, useCase } = createReview(held);
+
+    const released = await useCase.execute('r1', 'release', 'admin-1', 'Different streetlights');
+    const confirmed = await useCase.execute('r1', 'confirm', 'admin-1', 'Same photo');
+
+    expect(reviews).toEqual([
+      ['r1', 'released', 'admin-1', 'Different streetlights'],
+      ['r1', 'confirmed', 'admin-1', 'Same photo']
+    ]);
+    expect(released.isWithholdingPoints()).toBe(false);
+    expect(confirmed.isWithholdingPoints()).toBe(true);
+  });
+
+  it('does not review a report twice', async () => {
+    const { reviews, useCase } = createReview({ ...held, status: 'released' });
+
+    await expect(useCase.execute('r1', 'confirm', 'admin-2')).rejects.toMatchObject({ statusCode: 409 });
+    expect(reviews).toEqual([]);
+  });
+
+  it('reports a review that lost a race with another admin as a conflict', async () => {
+    const { useCase } = createReview(held, { lostRace: true });
+
+    await expect(useCase.execute('r1', 'release', 'admin-1')).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('returns 404 when the report was never scored', async () => {
+    const { useCase } = createReview(null);
+
+    await expect(useCase.execute('r1', 'release', 'admin-1')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,152 @@
+import Report from '../../../src/domain/entities/Report.js';
+import PointsRule from '../../../src/domain/entities/PointsRule.js';
+import FraudCheck from '../../../src/domain/entities/FraudCheck.js';
+import { PointsRulesEngine } from '../../../src/domain/services/PointsRulesEngine.js';
+import { TierPolicy } from '../../../src/domain/services/TierPolicy.js';
+import CalculateReportPointsUseCase from '../../../src/application/use-cases/points/CalculateReportPointsUseCase.js';
+import AwardPointsForReportSubmissionUseCase from '../../../src/application/use-cases/points/AwardPointsForReportSubmissionUseCase.js';
+
+const tierPolicy = new TierPolicy({
+  tiers: [
+    { name: 'bronze', minLifetimePoints: 0, multiplier: 1 },
+    { name: 'silver', minLifetimePoints: 1000, multiplier: 1.25 },
+    { name: 'gold', minLifetimePoints: 5000, multiplier: 1.5 }
+  ]
+});
+
+/**
+ * Points repository that reports the given points earned and answers every award with the given result
+ */
+const createPointsRepository = ({ earnedToday = 0, lifetimeEarned = 0, award } = {}) => {
+  const repository = {
+    awards: [],
+    addPoints: async (userId, amount, source, referenceId, description, options) => {
+      repository.awards.push({ userId, amount, source, referenceId, description, options });
+      return award || {
+        user: { id: userId },
+        transaction: { amount, description },
+        duplicate: false,
+        capped: false
+      };
+    },
+    getEarnedSince: async () => earnedToday,
+    getLifetimeEarned: async () => lifetimeEarned
+  };
+
+  return repository;
+};
+
+const createAwards = ({ rules = [], fraudCheck = null, points = {} } = {}) => {
+  const pointsRepository = createPointsRepository(points);
+  const notifications = [];
+
+  const calculateReportPoints = new CalculateReportPointsUseCase(
+    { findInEffect: async (event) => rules.filter(rule => rule.event === event) },
+    pointsRepository,
+    new PointsRulesEngine({ timeZone: 'Africa/Cairo' }),
+    tierPolicy,
+    { findByReportId: async () => fraudCheck }
+  );
+
+  const awardSubmission = new AwardPointsForReportSubmissionUseCase(
+    pointsRepository,
+    { findById: async (id) => ({ id }) },
+    { findById: async (id) => new Report({ id, title: `Report ${id}`, category: 'roads', userId: 'user-1' }) },
+    { pointsAwarded: async (userId, points) => notifications.push({ userId, points }) },
+    calculateReportPoints
+  );
+
+  return { pointsRepository, notifications, calculateReportPoints, awardSubmission };
+};
+
+const cappedRule = new PointsRule({ id: 'cap', name: 'Submissions', event: 'report_submission', points: 40, dailyCap: 100 });
+
+describe('CalculateReportPointsUseCase', () => {
+  it('works out what is still awardable under the daily cap', async () => {
+    const { calculateReportPoints } = createAwards({ rules: [cappedRule], points: { earnedToday: 80 } });
+    const report = new Report({ title: 'Pothole', category: 'roads' });
+
+    const calculation = await calculateReportPoints.execute(report, 'report_submission', 'user-1');
+
+    expect(calculation).toMatchObject({ points: 40, dailyCap: 100, earnedToday: 80, awardable: 20 });
+  });
+
+  it('multiplies only resolved reports by the citizen tier', async () => {
+    const { calculateReportPoints } = createAwards({ points: { lifetimeEarned: 1200 } });
+    const report = new Report({ title: 'Pothole', category: 'roads', urgency: 'medium' });
+
+    const resolved = await calculateReportPoints.execute(report, 'report_resolved', 'user-1');
+    const submitted = await calculateReportPoints.execute(report, 'report_submission', 'user-1');
+
+    expect(resolved).toMatchObject({ tier: 'silver', tierMultiplier: 1.25, points: 125, awardable: 125 });
+    expect(calculateReportPoints.describe('Resolved', resolved)).toBe('Resolved (silver tier x1.25)');
+    expect(submitted).toMatchObject({ tier: null, points: 25 });
+  });
+});
+
+describe('AwardPointsForReportSubmissionUseCase', () => {
+  it('awards the rule points once per report, within the daily cap of the day', async () => {
+    const { pointsRepository, notifications, awardSubmission } = createAwards({ rules: [cappedRule] });
+
+    const result = await awardSubmission.execute('r1');
+
+    expect(result).toMatchObject({ pointsAwarded: 40, capped: false, alreadyAwarded: false });
+    expect(pointsRepository.awards).toEqual([{
+      userId: 'user-1',
+      amount: 40,
+      source: 'report_submission',
+      referenceId: 'r1',
+      description: 'Points awarded for submitting report: Report r1',
+      options: {
+        idempotencyKey: 'report_submission:r1',
+        dailyCap: { limit: 100, since: expect.any(Date) }
+      }
+    }]);
+    expect(notifications).toEqual([{ userId: 'user-1', points: 40 }]);
+  });
+
+  it('notifies nothing when the daily cap left nothing to award', async () => {
+    const { notifications, awardSubmission } = createAwards({
+      rules: [cappedRule],
+      points: { award: { user: { id: 'user-1' }, transaction: null, duplicate: false, capped: true } }
+    });
+
+    const result = await awardSubmission.execute('r1');
+
+    expect(result).toMatchObject({ pointsAwarded: 0, capped: true, transaction: null });
+    expect(notifications).toEqual([]);
+  });
+
+  it('awards nothing for a report that was already awarded', async () => {
+    const { notifications, awardSubmission } = createAwards({
+      rules: [cappedRule],
+      points: { award: { user: { id: 'user-1' }, transaction: { amount: 40 }, duplicate: true, capped: false } }
+    });
+
+    const result = await awardSubmission.execute('r1');
+
+    expect(result).toMatchObject({ pointsAwarded: 0, alreadyAwarded: true });
+    expect(notifications).toEqual([]);
+  });
+
+  it('withholds the points of a report held for a fraud review', async () => {
+    const fraudCheck = new FraudCheck({ reportId: 'r1', userId: 'user-1', score: 60, status: 'held' });
+    const { pointsRepository, notifications, awardSubmission } = createAwards({ rules: [cappedRule], fraudCheck });
+
+    const result = await awardSubmission.execute('r1');
+
+    expect(result).toMatchObject({ pointsAwarded: 0, withheld: true });
+    expect(pointsRepository.awards).toEqual([]);
+    expect(notifications).toEqual([]);
+  });
+
+  it('does not hold points released after a fraud review to the daily cap of the release day', async () => {
+    const fraudCheck = new FraudCheck({ reportId: 'r1', userId: 'user-1', score: 60, status: 'released' });
+    const { pointsRepository, awardSubmission } = createAwards({ rules: [cappedRule], fraudCheck });
+
+    const result = await awardSubmission.execute('r1', { releasedAfterReview: true });
+
+    expect(result.pointsAwarded).toBe(40);
+    expect(pointsRepository.awards[0].options.dailyCap).toBeNull();
+  });
+});
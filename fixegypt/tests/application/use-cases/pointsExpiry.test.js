@@ -0,0 +1,87 @@
+import { PointsExpiryPolicy } from '../../../src/domain/services/PointsExpiryPolicy.js';
+import ExpirePointsUseCase from '../../../src/application/use-cases/points/ExpirePointsUseCase.js';
+
+const policy = new PointsExpiryPolicy({ expiryMonths: 12, expiryWarningDays: 30 });
+
+/**
+ * Points repository for the given expiry candidates; expirePoints answers every expiry with the given result
+ */
+const createPointsRepository = (users, expiry = (userId, amount) => ({ expired: amount, user: { id: userId, points: 50 } })) => {
+  const repository = {
+    expiries: [],
+    warnings: [],
+    findExpiryCandidates: async () => users,
+    getLedger: async (userId) => users.find(user => user.id === userId).ledger,
+    expirePoints: async (userId, amount, key) => {
+      repository.expiries.push([userId, amount, key]);
+      return expiry(userId, amount);
+    },
+    markExpiryWarned: async (userId, until) => repository.warnings.push([userId, until])
+  };
+
+  return repository;
+};
+
+const createDispatcher = () => {
+  const sent = [];
+  return {
+    sent,
+    pointsExpired: async (userId, amount, balance) => sent.push({ kind: 'expired', userId, amount, balance }),
+    pointsExpiring: async (userId, amount, expiresAt) => sent.push({ kind: 'expiring', userId, amount, expiresAt })
+  };
+};
+
+const ledger = () => [
+  { id: 'tx-1', type: 'earn', amount: 100, createdAt: new Date('2025-01-10T12:00:00Z') },
+  { id: 'tx-2', type: 'earn', amount: 50, createdAt: new Date('2025-02-05T12:00:00Z') },
+  { id: 'tx-3', type: 'redeem', amount: 30, createdAt: new Date('2025-03-01T12:00:00Z') }
+];
+
+describe('ExpirePointsUseCase', () => {
+  it('expires the oldest unspent points once a day and warns about the next batch', async () => {
+    const pointsRepository = createPointsRepository([{ id: 'user-1', points: 120, ledger: ledger() }]);
+    const dispatcher = createDispatcher();
+    const useCase = new ExpirePointsUseCase(pointsRepository, dispatcher, policy);
+
+    const summary = await useCase.execute(new Date('2026-02-01T12:00:00Z'));
+
+    expect(summary).toEqual({ checked: 1, expiredUsers: 1, pointsExpired: 70, warned: 1 });
+    expect(pointsRepository.expiries).toEqual([['user-1', 70, 'points_expiry:user-1:2026-02-01']]);
+    expect(pointsRepository.warnings).toEqual([['user-1', new Date('2026-02-05T12:00:00Z')]]);
+    expect(dispatcher.sent).toEqual([
+      { kind: 'expired', userId: 'user-1', amount: 70, balance: 50 },
+      { kind: 'expiring', userId: 'user-1', amount: 50, expiresAt: new Date('2026-02-05T12:00:00Z') }
+    ]);
+  });
+
+  it('neither counts an expiry the repository did not apply nor warns about a batch twice', async () => {
+    const pointsRepository = createPointsRepository(
+      [{ id: 'user-1', points: 120, ledger: ledger(), pointsExpiryWarnedUntil: new Date('2026-02-05T12:00:00Z') }],
+      () => null
+    );
+    const dispatcher = createDispatcher();
+    const useCase = new ExpirePointsUseCase(pointsRepository, dispatcher, policy);
+
+    const summary = await useCase.execute(new Date('2026-02-01T18:00:00Z'));
+
+    expect(summary).toEqual({ checked: 1, expiredUsers: 0, pointsExpired: 0, warned: 0 });
+    expect(pointsRepository.expiries).toHaveLength(1);
+    expect(dispatcher.sent).toEqual([]);
+  });
+
+  it('leaves points alone when expiry is disabled', async () => {
+    const pointsRepository = createPointsRepository([{ id: 'user-1', points: 120, ledger: ledger() }]);
+    const dispatcher = createDispatcher();
+    const useCase = new ExpirePointsUseCase(
+      pointsRepository,
+      dispatcher,
+      new PointsExpiryPolicy({ expiryMonths: 0, expiryWarningDays: 30 })
+    );
+
+    const summary = await useCase.execute(new Date('2030-01-01T12:00:00Z'));
+
+    expect(summary).toEqual({ checked: 0, expiredUsers: 0, pointsExpired: 0, warned: 0 });
+    expect(pointsRepository.expiries).toEqual([]);
+    expect(dispatcher.sent).toEqual([]);
+  });
+});
@@ -0,0 +1,138 @@
+import { TierPolicy } from '../../../src/domain/services/TierPolicy.js';
+import RedeemProductUseCase from '../../../src/application/use-cases/product/RedeemProductUseCase.js';
+import UpdateRedemptionStatusUseCase from '../../../src/application/use-cases/redemption/UpdateRedemptionStatusUseCase.js';
+
+const tierPolicy = new TierPolicy({
+  tiers: [
+    { name: 'bronze', minLifetimePoints: 0, multiplier: 1 },
+    { name: 'silver', minLifetimePoints: 1000, multiplier: 1.25 },
+    { name: 'gold', minLifetimePoints: 5000, multiplier: 1.5 }
+  ]
+});
+
+const voucher = { id: 'voucher', pointsCost: 200, minTier: 'silver' };
+const redemption = { id: 'redemption-1', productId: 'voucher', pointsCost: 200, status: 'pending' };
+
+/**
+ * Redeem use case whose repository answers every redemption with the given result
+ */
+const createRedeemProduct = (result, { lifetimeEarned = 0, balance = 0 } = {}) => {
+  const requests = [];
+  const useCase = new RedeemProductUseCase(
+    { getLifetimeEarned: async () => lifetimeEarned, getBalance: async () => balance },
+    { findById: async () => voucher },
+    {
+      redeem: async (userId, productId, options) => {
+        requests.push({ userId, productId, ...options });
+        return result;
+      }
+    },
+    {},
+    tierPolicy
+  );
+
+  return { requests, useCase };
+};
+
+describe('RedeemProductUseCase', () => {
+  it('redeems with the tiers the user has reached and reports the remaining balance', async () => {
+    const { requests, useCase } = createRedeemProduct(
+      { outcome: 'redeemed', redemption, user: { points: 300 } },
+      { lifetimeEarned: 1200 }
+    );
+
+    const result = await useCase.execute('user-1', 'voucher', { idempotencyKey: 'key-1' });
+
+    expect(requests).toEqual([{ userId: 'user-1', productId: 'voucher', idempotencyKey: 'key-1', accessibleTiers: ['bronze', 'silver'] }]);
+    expect(result).toEqual({ redemption, pointsDeducted: 200, remainingPoints: 300, replayed: false });
+  });
+
+  it('replays the original redemption for a retried idempotency key', async () => {
+    const { useCase } = createRedeemProduct({ outcome: 'duplicate', redemption }, { balance: 300 });
+
+    await expect(useCase.execute('user-1', 'voucher', { idempotencyKey: 'key-1' })).resolves.toEqual({
+      redemption,
+      pointsDeducted: 200,
+      remainingPoints: 300,
+      replayed: true
+    });
+  });
+
+  it('rejects an idempotency key reused for a different product', async () => {
+    const { useCase } = createRedeemProduct({ outcome: 'duplicate', redemption });
+
+    await expect(useCase.execute('user-1', 'ticket', { idempotencyKey: 'key-1' })).rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  it.each([
+    ['product_not_found', 404, 'Product not found'],
+    ['unavailable', 409, 'Product is not available for redemption'],
+    ['tier_required', 403, 'This product is only available to silver tier citizens and above. Your tier: bronze'],
+    ['insufficient_points', 400, 'Insufficient points. Required: 200, Available: 150']
+  ])('turns the %s outcome into a %i', async (outcome, statusCode, message) => {
+    const { useCase } = createRedeemProduct({ outcome, redemption: null }, { lifetimeEarned: 900, balance: 150 });
+
+    await expect(useCase.execute('user-1', 'voucher')).rejects.toMatchObject({ statusCode, message });
+  });
+});
+
+describe('UpdateRedemptionStatusUseCase', () => {
+  /**
+   * Status use case over one stored redemption; reject answers with the given refund outcome
+   */
+  const createUpdateStatus = (stored, { refunded = true } = {}) => {
+    const calls = [];
+    const useCase = new UpdateRedemptionStatusUseCase({
+      findById: async (id) => (id === stored.id ? stored : null),
+      reject: async (...args) => {
+        calls.push(['reject', ...args]);
+        return { redemption: { ...stored, status: 'rejected' }, refunded };
+      },
+      updateStatus: async (id, status, adminId) => {
+        calls.push(['updateStatus', id, status, adminId]);
+        return { ...stored, status, adminId };
+      }
+    });
+
+    return { calls, useCase };
+  };
+
+  it('rejects a redemption through the refunding reject', async () => {
+    const { calls, useCase } = createUpdateStatus(redemption);
+
+    const rejected = await useCase.execute('redemption-1', 'rejected', 'admin-1', 'Out of date');
+
+    expect(rejected.status).toBe('rejected');
+    expect(calls).toEqual([['reject', 'redemption-1', 'admin-1', 'Out of date']]);
+  });
+
+  it('does not let a rejected redemption be reopened or rejected again', async () => {
+    const { calls, useCase } = createUpdateStatus({ ...redemption, status: 'rejected' });
+
+    await expect(useCase.execute('redemption-1', 'completed', 'admin-1')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(useCase.execute('redemption-1', 'rejected', 'admin-1')).rejects.toMatchObject({ statusCode: 409 });
+    expect(calls).toEqual([]);
+  });
+
+  it('reports a rejection that lost a race with another rejection as a conflict', async () => {
+    const { useCase } = createUpdateStatus(redemption, { refunded: false });
+
+    await expect(useCase.execute('redemption-1', 'rejected', 'admin-1'))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Redemption has already been rejected' });
+  });
+
+  it('updates the status without a refund for other statuses', async () => {
+    const { calls, useCase } = createUpdateStatus(redemption);
+
+    const completed = await useCase.execute('redemption-1', 'completed', 'admin-1');
+
+    expect(completed).toMatchObject({ status: 'completed', adminId: 'admin-1' });
+    expect(calls).toEqual([['updateStatus', 'redemption-1', 'completed', 'admin-1']]);
+  });
+
+  it('returns 404 for an unknown redemption', async () => {
+    const { useCase } = createUpdateStatus(redemption);
+
+    await expect(useCase.execute('missing', 'completed', 'admin-1')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,84 @@
+import { FraudScoringPolicy } from '../../../src/domain/services/FraudScoringPolicy.js';
+
+const fraudConfig = {
+  enabled: true,
+  holdThreshold: 50,
+  burstWindowMinutes: 60,
+  burstMaxReports: 3,
+  dailyMaxReports: 10,
+  textSimilarityThreshold: 0.8,
+  textLookbackDays: 30,
+  homeDistanceKm: 100,
+  weights: {
+    submission_burst: 30,
+    daily_volume: 20,
+    image_reuse: 40,
+    text_similarity: 25,
+    far_from_home: 15,
+    photo_location_mismatch: 15
+  }
+};
+
+const policy = new FraudScoringPolicy(fraudConfig);
+
+describe('FraudScoringPolicy', () => {
+  it('clears a report when no signal fires', () => {
+    expect(policy.evaluate({
+      reportsInBurstWindow: 3,
+      reportsToday: 10,
+      closestText: { reportId: 'other', similarity: 0.79 },
+      home: { governorate: 'Cairo', distanceKm: 130, radiusKm: 30 },
+      locationCheck: { status: 'consistent', distanceKm: 0.2 }
+    })).toEqual({ score: 0, signals: [], held: false });
+  });
+
+  it('holds a report once the weights of the signals that fired reach the threshold', () => {
+    const result = policy.evaluate({
+      reportsInBurstWindow: 4,
+      closestText: { reportId: 'other', similarity: 0.857 }
+    });
+
+    expect(result).toMatchObject({ score: 55, held: true });
+    expect(result.signals).toEqual([
+      { type: 'submission_burst', weight: 30, detail: { reports: 4, windowMinutes: 60, limit: 3 } },
+      { type: 'text_similarity', weight: 25, detail: { reportId: 'other', similarity: 0.86 } }
+    ]);
+  });
+
+  it('stays below the threshold for a single weaker signal', () => {
+    expect(policy.evaluate({ reusedImages: [{ hash: 'a', reportId: 'r1', sameUser: true }] }))
+      .toMatchObject({ score: 40, held: false });
+  });
+
+  it('reports whether reused photos came from other citizens', () => {
+    const { signals } = policy.evaluate({
+      reusedImages: [
+        { hash: 'a', reportId: 'r1', sameUser: true },
+        { hash: 'b', reportId: 'r1', sameUser: false },
+        { hash: 'c', reportId: 'r2', sameUser: true }
+      ]
+    });
+
+    expect(signals[0].detail).toEqual({ reportIds: ['r1', 'r2'], fromOtherUsers: true });
+  });
+
+  it('caps the score at 100', () => {
+    const result = policy.evaluate({
+      reportsInBurstWindow: 20,
+      reportsToday: 20,
+      reusedImages: [{ hash: 'a', reportId: 'r1', sameUser: false }],
+      closestText: { reportId: 'r1', similarity: 1 },
+      home: { governorate: 'Aswan', distanceKm: 900, radiusKm: 150 },
+      locationCheck: { status: 'mismatch', distanceKm: 12 }
+    });
+
+    expect(result.signals).toHaveLength(6);
+    expect(result.score).toBe(100);
+  });
+
+  it('scores but never holds when fraud checks are disabled', () => {
+    const disabled = new FraudScoringPolicy({ ...fraudConfig, enabled: false });
+
+    expect(disabled.evaluate({ reportsInBurstWindow: 4, reportsToday: 11 })).toMatchObject({ score: 50, held: false });
+  });
+});
@@ -0,0 +1,101 @@
+import { PointsExpiryPolicy } from '../../../src/domain/services/PointsExpiryPolicy.js';
+
+const policy = new PointsExpiryPolicy({ expiryMonths: 12, expiryWarningDays: 30 });
+
+let nextId = 1;
+const entry = (type, amount, createdAt) => ({ id: `tx-${nextId++}`, type, amount, createdAt: new Date(createdAt) });
+
+describe('PointsExpiryPolicy', () => {
+  describe('getOpenLots', () => {
+    it('spends the oldest credits first', () => {
+      const lots = policy.getOpenLots([
+        entry('earn', 100, '2025-01-10T12:00:00Z'),
+        entry('earn', 50, '2025-02-10T12:00:00Z'),
+        entry('redeem', 120, '2025-03-01T12:00:00Z'),
+        entry('earn', 30, '2025-04-10T12:00:00Z')
+      ]);
+
+      expect(lots.map(lot => [lot.earnedAt.toISOString().slice(0, 10), lot.remaining])).toEqual([
+        ['2025-02-10', 30],
+        ['2025-04-10', 30]
+      ]);
+    });
+
+    it('treats positive adjustments as credits and expiries and negative adjustments as debits', () => {
+      const lots = policy.getOpenLots([
+        entry('earn', 100, '2025-01-10T12:00:00Z'),
+        entry('adjustment', 40, '2025-02-01T12:00:00Z'),
+        entry('adjustment', -60, '2025-02-05T12:00:00Z'),
+        entry('expire', 40, '2025-02-10T12:00:00Z')
+      ]);
+
+      expect(lots).toHaveLength(1);
+      expect(lots[0]).toMatchObject({ remaining: 40 });
+      expect(lots[0].earnedAt).toEqual(new Date('2025-02-01T12:00:00Z'));
+    });
+
+    it('gives a refund back to the lots its redemption drew from, with their expiry dates', () => {
+      const lots = policy.getOpenLots([
+        entry('earn', 100, '2025-01-10T12:00:00Z'),
+        entry('earn', 50, '2025-02-10T12:00:00Z'),
+        { ...entry('redeem', 120, '2025-03-01T12:00:00Z'), idempotencyKey: 'product_redemption:red-1' },
+        entry('redeem', 20, '2025-03-05T12:00:00Z'),
+        { ...entry('refund', 120, '2025-03-10T12:00:00Z'), idempotencyKey: 'product_redemption_refund:red-1' }
+      ]);
+
+      expect(lots.map(lot => [lot.expiresAt.toISOString().slice(0, 10), lot.remaining])).toEqual([
+        ['2026-01-10', 100],
+        ['2026-02-10', 30]
+      ]);
+    });
+
+    it('makes a new lot of refunded points that the redemption took from before the ledger', () => {
+      const lots = policy.getOpenLots([
+        { ...entry('redeem', 100, '2025-01-01T12:00:00Z'), idempotencyKey: 'product_redemption:red-1' },
+        { ...entry('refund', 100, '2025-01-10T12:00:00Z'), idempotencyKey: 'product_redemption_refund:red-1' }
+      ]);
+
+      expect(lots).toHaveLength(1);
+      expect(lots[0]).toMatchObject({ remaining: 100, expiresAt: new Date('2026-01-10T12:00:00Z') });
+    });
+
+    it('ignores debits of points that predate the ledger', () => {
+      const lots = policy.getOpenLots([
+        entry('redeem', 500, '2025-01-01T12:00:00Z'),
+        entry('earn', 80, '2025-01-10T12:00:00Z')
+      ]);
+
+      expect(lots.map(lot => lot.remaining)).toEqual([80]);
+    });
+  });
+
+  describe('evaluate', () => {
+    const ledger = [
+      entry('earn', 100, '2025-01-10T12:00:00Z'),
+      entry('earn', 50, '2025-02-05T12:00:00Z'),
+      entry('earn', 25, '2025-02-20T12:00:00Z'),
+      entry('earn', 70, '2025-06-01T12:00:00Z'),
+      entry('redeem', 60, '2025-07-01T12:00:00Z')
+    ];
+
+    it('expires what is left of lots older than the expiry period and groups points expiring soon by date', () => {
+      const result = policy.evaluate(ledger, new Date('2026-02-01T12:00:00Z'));
+
+      expect(result.expired).toBe(40);
+      expect(result.expiring).toEqual([
+        { expiresAt: new Date('2026-02-05T12:00:00Z'), amount: 50 },
+        { expiresAt: new Date('2026-02-20T12:00:00Z'), amount: 25 }
+      ]);
+    });
+
+    it('does nothing when expiry is disabled', () => {
+      const disabled = new PointsExpiryPolicy({ expiryMonths: 0, expiryWarningDays: 30 });
+
+      expect(disabled.evaluate(ledger, new Date('2030-01-01T12:00:00Z'))).toEqual({ expired: 0, expiring: [] });
+    });
+  });
+
+  it('selects candidates whose oldest credit expires or needs a warning by the reference time', () => {
+    expect(policy.getCandidateCutoff(new Date('2026-02-01T12:00:00Z'))).toEqual(new Date('2025-03-03T12:00:00Z'));
+  });
+});
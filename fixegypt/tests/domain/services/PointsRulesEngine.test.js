@@ -0,0 +1,75 @@
+import PointsRule from '../../../src/domain/entities/PointsRule.js';
+import { PointsRulesEngine } from '../../../src/domain/services/PointsRulesEngine.js';
+
+const engine = new PointsRulesEngine({ timeZone: 'Africa/Cairo' });
+const at = new Date('2026-03-10T10:00:00Z');
+const pothole = { category: 'roads', urgency: 'high', governorate: 'Cairo' };
+
+let nextId = 1;
+const rule = (fields) => new PointsRule({ id: `rule-${nextId++}`, name: 'Rule', event: 'report_submission', ...fields });
+
+describe('PointsRulesEngine', () => {
+  it('falls back to the default points when no award rule matches', () => {
+    expect(engine.evaluate([], 'report_submission', pothole, { at }).points).toBe(25);
+    expect(engine.evaluate([], 'report_resolved', pothole, { at }).points).toBe(150);
+    expect(engine.evaluate([], 'report_resolved', {}, { at }).points).toBe(100);
+  });
+
+  it('takes the base points from the most specific matching award rule', () => {
+    const general = rule({ points: 10, priority: 5 });
+    const roads = rule({ points: 30, conditions: { categories: ['roads'] } });
+    const cairoRoads = rule({ points: 50, conditions: { categories: ['roads'], governorates: [' cairo '] } });
+    const water = rule({ points: 90, conditions: { categories: ['water'] } });
+
+    const result = engine.evaluate([general, roads, cairoRoads, water], 'report_submission', pothole, { at });
+
+    expect(result.basePoints).toBe(50);
+    expect(result.baseRule.id).toBe(cairoRoads.id);
+    expect(result.appliedRules).toEqual([general.id, roads.id, cairoRoads.id]);
+  });
+
+  it('breaks ties between equally specific award rules by priority', () => {
+    const low = rule({ points: 10, priority: 1 });
+    const high = rule({ points: 20, priority: 2 });
+
+    expect(engine.evaluate([low, high], 'report_submission', pothole, { at }).basePoints).toBe(20);
+  });
+
+  it('adds every bonus and applies only the highest campaign multiplier, then the tier multiplier', () => {
+    const result = engine.evaluate([
+      rule({ points: 20 }),
+      rule({ kind: 'bonus', points: 5 }),
+      rule({ kind: 'bonus', points: 5, conditions: { urgencies: ['high'] } }),
+      rule({ kind: 'multiplier', multiplier: 2, name: 'Double points week', startsAt: new Date('2026-03-08'), endsAt: new Date('2026-03-15') }),
+      rule({ kind: 'multiplier', multiplier: 1.5, startsAt: new Date('2026-03-01'), endsAt: new Date('2026-03-31') })
+    ], 'report_submission', pothole, { at, tierMultiplier: 1.25 });
+
+    expect(result.multiplier).toBe(2);
+    expect(result.multiplierRule).toMatchObject({ name: 'Double points week', isCampaign: true });
+    expect(result.points).toBe(75);
+  });
+
+  it('ignores campaigns outside their window and inactive rules', () => {
+    const result = engine.evaluate([
+      rule({ kind: 'multiplier', multiplier: 3, startsAt: new Date('2026-03-11') }),
+      rule({ kind: 'multiplier', multiplier: 3, endsAt: at }),
+      rule({ kind: 'bonus', points: 100, isActive: false })
+    ], 'report_submission', pothole, { at });
+
+    expect(result).toMatchObject({ points: 25, multiplier: 1, appliedRules: [] });
+  });
+
+  it('applies the lowest daily cap of the matching rules', () => {
+    const result = engine.evaluate([
+      rule({ points: 20, dailyCap: 100 }),
+      rule({ kind: 'bonus', points: 5, dailyCap: 60 }),
+      rule({ kind: 'bonus', points: 5, dailyCap: 10, conditions: { categories: ['water'] } })
+    ], 'report_submission', pothole, { at });
+
+    expect(result.dailyCap).toBe(60);
+  });
+
+  it('starts the day at midnight in the configured time zone', () => {
+    expect(engine.getDayStart(at)).toEqual(new Date('2026-03-09T22:00:00Z'));
+  });
+});
@@ -0,0 +1,31 @@
+import { TierPolicy } from '../../../src/domain/services/TierPolicy.js';
+
+const policy = new TierPolicy({
+  tiers: [
+    { name: 'bronze', minLifetimePoints: 0, multiplier: 1 },
+    { name: 'silver', minLifetimePoints: 1000, multiplier: 1.25 },
+    { name: 'gold', minLifetimePoints: 5000, multiplier: 1.5 }
+  ]
+});
+
+describe('TierPolicy', () => {
+  it('places citizens by lifetime points, with each threshold belonging to the higher tier', () => {
+    expect(policy.getTier(0)).toBe('bronze');
+    expect(policy.getTier(999)).toBe('bronze');
+    expect(policy.getTier(1000)).toBe('silver');
+    expect(policy.getTier(5000)).toBe('gold');
+  });
+
+  it('lets a tier access products of its own tier and the tiers below it', () => {
+    expect(policy.getAccessibleTiers('bronze')).toEqual(['bronze']);
+    expect(policy.getAccessibleTiers('silver')).toEqual(['bronze', 'silver']);
+    expect(policy.meetsTier('silver', 'gold')).toBe(false);
+    expect(policy.meetsTier('gold', 'silver')).toBe(true);
+    expect(policy.meetsTier('bronze', null)).toBe(true);
+  });
+
+  it('reports the multiplier and the distance to the next tier', () => {
+    expect(policy.getStatus(1200)).toEqual({ tier: 'silver', multiplier: 1.25, nextTier: 'gold', pointsToNextTier: 3800 });
+    expect(policy.getStatus(7000)).toEqual({ tier: 'gold', multiplier: 1.5, nextTier: null, pointsToNextTier: null });
+  });
+});
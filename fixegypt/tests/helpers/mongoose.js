@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+/**
+ * Stand-ins for the mongoose calls the repositories make; there is no database in the tests
+ */
+
+/**
+ * A query that resolves to a value and accepts the calls the repositories chain onto queries
+ * @param {*} value - Value the query resolves to, or a promise of it
+ * @returns {Promise} Query
+ */
+const query = (value) => {
+  const result = Promise.resolve(value);
+  ['session', 'select', 'populate', 'sort', 'skip', 'limit'].forEach(method => {
+    result[method] = () => result;
+  });
+  return result;
+};
+
+/**
+ * Replace static model methods and record their calls
+ * Each stub returns a query resolving to what its implementation returns; stubs are restored by restore()
+ * @returns {Object} { calls, stub(Model, method, implementation), callsTo(Model, method), restore() }
+ */
+export const createModelStubs = () => {
+  const calls = [];
+  const originals = [];
+
+  return {
+    calls,
+    stub(Model, method, implementation = () => null) {
+      originals.push([Model, method, Model[method]]);
+      Model[method] = (...args) => {
+        calls.push({ model: Model.modelName, method, args });
+        return query(implementation(...args));
+      };
+    },
+    callsTo(Model, method) {
+      return calls.filter(call => call.model === Model.modelName && call.method === method).map(call => call.args);
+    },
+    restore() {
+      originals.reverse().forEach(([Model, method, original]) => {
+        Model[method] = original;
+      });
+      originals.length = 0;
+      calls.length = 0;
+    }
+  };
+};
+
+/**
+ * Hand out a session that records whether its transaction was committed or aborted
+ * withTransaction runs its callback once and aborts when it throws
+ * @returns {Object} { session, restore() }
+ */
+export const stubSession = () => {
+  const { startSession } = mongoose;
+  const session = {
+    active: false,
+    committed: false,
+    aborted: false,
+    ended: false,
+    startTransaction() {
+      session.active = true;
+    },
+    async commitTransaction() {
+      session.active = false;
+      session.committed = true;
+    },
+    async abortTransaction() {
+      session.active = false;
+      session.aborted = true;
+    },
+    inTransaction() {
+      return session.active;
+    },
+    async withTransaction(fn) {
+      session.startTransaction();
+      try {
+        await fn(session);
+      } catch (error) {
+        await session.abortTransaction();
+        throw error;
+      }
+      await session.commitTransaction();
+    },
+    endSession() {
+      session.ended = true;
+    }
+  };
+
+  mongoose.startSession = async () => session;
+
+  return {
+    session,
+    restore() {
+      mongoose.startSession = startSession;
+    }
+  };
+};
@@ -0,0 +1,166 @@
+import Job from '../../../src/domain/entities/Job.js';
+import ApiError from '../../../src/application/errors/ApiError.js';
+import { JobQueue, PermanentJobError } from '../../../src/infrastructure/jobs/JobQueue.js';
+
+/**
+ * In-memory job store that claims due jobs the way the Mongo repository does
+ */
+const createJobRepository = () => {
+  const repository = {
+    jobs: [],
+    enqueue: async (data) => {
+      const job = new Job({ id: `job-${repository.jobs.length + 1}`, ...data });
+      repository.jobs.push(job);
+      return job;
+    },
+    claimNext: async (types) => {
+      const job = repository.jobs
+        .filter(candidate => types.includes(candidate.type) && candidate.status === 'queued' && candidate.runAt <= new Date())
+        .sort((a, b) => a.runAt - b.runAt)[0];
+
+      if (!job) {
+        return null;
+      }
+
+      job.status = 'running';
+      job.attempts += 1;
+      return new Job({ ...job });
+    },
+    complete: async (id, result) => {
+      Object.assign(repository.jobs.find(job => job.id === id), { status: 'completed', result: result || null });
+    },
+    fail: async (id, error, retryAt) => {
+      Object.assign(repository.jobs.find(job => job.id === id), {
+        status: retryAt ? 'queued' : 'dead',
+        runAt: retryAt || new Date(),
+        lastError: error
+      });
+    },
+    requeue: async (id) => {
+      const job = repository.jobs.find(candidate => candidate.id === id && candidate.status === 'dead');
+      if (!job) {
+        return null;
+      }
+
+      Object.assign(job, { status: 'queued', attempts: 0, runAt: new Date() });
+      return job;
+    }
+  };
+
+  return repository;
+};
+
+const createQueue = () => {
+  const jobRepository = createJobRepository();
+  const queue = new JobQueue(jobRepository, {
+    pollIntervalSeconds: 5,
+    maxAttempts: 4,
+    backoffBaseSeconds: 30,
+    maxBackoffMinutes: 1,
+    lockTimeoutMinutes: 10
+  });
+
+  return { jobRepository, queue };
+};
+
+describe('JobQueue', () => {
+  it('runs a queued job and stores its result', async () => {
+    const { jobRepository, queue } = createQueue();
+    queue.register('points.report_submitted', { run: async (payload) => ({ awarded: payload.reportId }) });
+
+    await queue.enqueue('points.report_submitted', { reportId: 'r1' });
+
+    await expect(queue.runOnce()).resolves.toBe(1);
+    expect(jobRepository.jobs[0]).toMatchObject({ status: 'completed', attempts: 1, result: { awarded: 'r1' } });
+  });
+
+  it('retries a failing job with a doubling delay and dead-letters it after the last attempt', async () => {
+    const { jobRepository, queue } = createQueue();
+    const failures = [];
+    queue.register('ai.analyze_report', {
+      run: async () => {
+        throw new Error('Provider timed out');
+      },
+      onFailure: async (payload, error, willRetry) => failures.push(willRetry)
+    });
+    await queue.enqueue('ai.analyze_report', { reportId: 'r1' });
+
+    const delays = [];
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      const before = Date.now();
+      await queue.runOnce();
+      const job = jobRepository.jobs[0];
+
+      if (job.status === 'queued') {
+        delays.push(Math.round((job.runAt.getTime() - before) / 1000));
+        // Let the retry come due
+        job.runAt = new Date(before);
+      }
+    }
+
+    expect(delays).toEqual([30, 60, 60]);
+    expect(failures).toEqual([true, true, true, false]);
+    expect(jobRepository.jobs[0]).toMatchObject({ status: 'dead', attempts: 4, lastError: 'Provider timed out' });
+  });
+
+  it('dead-letters at once on client errors and permanent failures but retries server errors', async () => {
+    const { jobRepository, queue } = createQueue();
+    const errors = {
+      missing: new ApiError(404, 'Report not found'),
+      broken: new PermanentJobError('Image file is missing'),
+      outage: new ApiError(503, 'Service unavailable')
+    };
+    queue.register('points.report_resolved', {
+      run: async ({ reportId }) => {
+        throw errors[reportId];
+      }
+    });
+
+    for (const reportId of Object.keys(errors)) {
+      await queue.enqueue('points.report_resolved', { reportId });
+    }
+    await queue.runOnce();
+
+    expect(jobRepository.jobs.map(job => [job.payload.reportId, job.status, job.attempts])).toEqual([
+      ['missing', 'dead', 1],
+      ['broken', 'dead', 1],
+      ['outage', 'queued', 1]
+    ]);
+  });
+
+  it('dead-letters a reclaimed job that already used up its attempts without running it again', async () => {
+    const { jobRepository, queue } = createQueue();
+    let runs = 0;
+    queue.register('points.photo_verified', { run: async () => runs++ });
+
+    const job = await queue.enqueue('points.photo_verified', { reportId: 'r1' });
+    // A worker died mid-run on the last attempt, so the lock timed out and the job is claimed once more
+    job.attempts = 4;
+    await queue.runOnce();
+
+    expect(runs).toBe(0);
+    expect(jobRepository.jobs[0]).toMatchObject({ status: 'dead', lastError: 'Abandoned after 4 attempts' });
+  });
+
+  it('gives a requeued dead job a fresh set of attempts', async () => {
+    const { jobRepository, queue } = createQueue();
+    let calls = 0;
+    queue.register('points.report_submitted', {
+      run: async () => {
+        calls++;
+        if (calls === 1) {
+          throw new PermanentJobError('User not found');
+        }
+        return { ok: true };
+      }
+    });
+
+    const job = await queue.enqueue('points.report_submitted', { reportId: 'r1' });
+    await queue.runOnce();
+    await queue.retry(job.id);
+    await queue.runOnce();
+
+    expect(jobRepository.jobs[0]).toMatchObject({ status: 'completed', attempts: 1 });
+    await expect(queue.retry(job.id)).resolves.toBeNull();
+  });
+});
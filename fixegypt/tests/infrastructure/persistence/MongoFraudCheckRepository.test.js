@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import FraudCheckModel from '../../../src/infrastructure/persistence/models/FraudCheckModel.js';
+import MongoFraudCheckRepository from '../../../src/infrastructure/persistence/repositories/MongoFraudCheckRepository.js';
+import { createModelStubs } from '../../helpers/mongoose.js';
+
+const REPORT_ID = '64b0000000000000000000aa';
+const USER_ID = '64b000000000000000000001';
+
+const stored = (fields) => ({ _id: '64b0000000000000000000ff', reportId: REPORT_ID, userId: USER_ID, signals: [], ...fields });
+
+describe('MongoFraudCheckRepository', () => {
+  const repository = new MongoFraudCheckRepository();
+  const models = createModelStubs();
+
+  afterEach(() => {
+    models.restore();
+  });
+
+  it('keeps one check per report, replacing it when the report is scored again', async () => {
+    models.stub(FraudCheckModel, 'findOneAndUpdate', (filter, update) => stored(update));
+
+    const check = await repository.save(REPORT_ID, { userId: USER_ID, score: 55, signals: [], status: 'held' });
+
+    const [filter, update, options] = models.callsTo(FraudCheckModel, 'findOneAndUpdate')[0];
+    expect(filter).toEqual({ reportId: REPORT_ID });
+    expect(update).toMatchObject({ reportId: REPORT_ID, score: 55, status: 'held' });
+    expect(options).toMatchObject({ new: true, upsert: true });
+    expect(check).toMatchObject({ reportId: REPORT_ID, userId: USER_ID, status: 'held' });
+  });
+
+  it('reviews a check only while it is held', async () => {
+    models.stub(FraudCheckModel, 'findOneAndUpdate', (filter, update) => stored({ score: 60, ...update }));
+
+    const check = await repository.review(REPORT_ID, 'released', 'admin-1', 'Different streetlights');
+
+    const [filter, update] = models.callsTo(FraudCheckModel, 'findOneAndUpdate')[0];
+    expect(filter).toEqual({ reportId: new mongoose.Types.ObjectId(REPORT_ID), status: 'held' });
+    expect(update).toMatchObject({ status: 'released', reviewedBy: 'admin-1', reviewNote: 'Different streetlights' });
+    expect(check).toMatchObject({ status: 'released', reviewedBy: 'admin-1' });
+  });
+
+  it('returns null for a check that is not held', async () => {
+    models.stub(FraudCheckModel, 'findOneAndUpdate', () => null);
+
+    await expect(repository.review(REPORT_ID, 'confirmed', 'admin-2')).resolves.toBeNull();
+  });
+});
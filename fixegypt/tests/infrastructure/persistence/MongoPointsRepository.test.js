@@ -0,0 +1,150 @@
+import UserModel from '../../../src/infrastructure/persistence/models/UserModel.js';
+import PointsTransactionModel from '../../../src/infrastructure/persistence/models/PointsTransactionModel.js';
+import MongoPointsRepository from '../../../src/infrastructure/persistence/repositories/MongoPointsRepository.js';
+import { createModelStubs, stubSession } from '../../helpers/mongoose.js';
+
+const USER_ID = '64b000000000000000000001';
+const REPORT_ID = '64b0000000000000000000aa';
+
+describe('MongoPointsRepository', () => {
+  const repository = new MongoPointsRepository();
+  const models = createModelStubs();
+  let transaction;
+
+  beforeEach(() => {
+    transaction = stubSession();
+  });
+
+  afterEach(() => {
+    models.restore();
+    transaction.restore();
+  });
+
+  describe('addPoints', () => {
+    const since = new Date('2026-03-10T00:00:00+02:00');
+
+    // Stub an award for a user who already earned some points from the source today
+    const stubAward = ({ earnedToday = 0, existing = null, balance = 100 } = {}) => {
+      models.stub(PointsTransactionModel, 'findOne', () => existing);
+      models.stub(PointsTransactionModel, 'aggregate', () => (earnedToday > 0 ? [{ total: earnedToday }] : []));
+      models.stub(UserModel, 'findById', () => ({ _id: USER_ID, points: balance }));
+      models.stub(UserModel, 'findByIdAndUpdate', (id, update) => ({ _id: USER_ID, points: balance + update.$inc.points }));
+      models.stub(PointsTransactionModel, 'create', (docs) => docs);
+    };
+
+    const award = (amount, dailyCap = { limit: 100, since }) => repository.addPoints(
+      USER_ID,
+      amount,
+      'report_submission',
+      REPORT_ID,
+      'Points awarded for submitting a report',
+      { idempotencyKey: `report_submission:${REPORT_ID}`, dailyCap }
+    );
+
+    it('credits the balance and records the award in one transaction', async () => {
+      stubAward();
+
+      const result = await award(40, null);
+
+      expect(result).toMatchObject({ user: { points: 140 }, duplicate: false, capped: false });
+      expect(result.transaction).toMatchObject({
+        amount: 40,
+        type: 'earn',
+        referenceModel: 'Report',
+        balance: 140,
+        idempotencyKey: `report_submission:${REPORT_ID}`
+      });
+      expect(models.callsTo(PointsTransactionModel, 'aggregate')).toEqual([]);
+      expect(transaction.session).toMatchObject({ committed: true, ended: true });
+    });
+
+    it('trims an award to what is left of the daily cap of its source', async () => {
+      stubAward({ earnedToday: 80 });
+
+      const result = await award(40);
+
+      expect(models.callsTo(PointsTransactionModel, 'aggregate')[0][0][0].$match).toMatchObject({
+        type: 'earn',
+        source: 'report_submission',
+        createdAt: { $gte: since }
+      });
+      expect(result).toMatchObject({ capped: true, user: { points: 120 } });
+      expect(result.transaction).toMatchObject({
+        amount: 20,
+        description: 'Points awarded for submitting a report (limited by the daily cap of 100 points)'
+      });
+    });
+
+    it('records nothing once the daily cap is used up', async () => {
+      stubAward({ earnedToday: 100 });
+
+      const result = await award(40);
+
+      expect(result).toEqual({ user: { _id: USER_ID, points: 100 }, transaction: null, duplicate: false, capped: true });
+      expect(models.callsTo(UserModel, 'findByIdAndUpdate')).toEqual([]);
+      expect(models.callsTo(PointsTransactionModel, 'create')).toEqual([]);
+      expect(transaction.session.aborted).toBe(true);
+    });
+
+    it('awards nothing again for a key that was already used', async () => {
+      const existing = { amount: 40, idempotencyKey: `report_submission:${REPORT_ID}` };
+      stubAward({ existing });
+
+      const result = await award(40);
+
+      expect(result).toMatchObject({ transaction: existing, duplicate: true, capped: false });
+      expect(models.callsTo(UserModel, 'findByIdAndUpdate')).toEqual([]);
+      expect(transaction.session.aborted).toBe(true);
+    });
+
+    it('returns the award of a concurrent request that recorded the same key first', async () => {
+      const winner = { amount: 40, idempotencyKey: `report_submission:${REPORT_ID}` };
+      stubAward();
+      let lookups = 0;
+      models.stub(PointsTransactionModel, 'findOne', () => (lookups++ === 0 ? null : winner));
+      models.stub(PointsTransactionModel, 'create', () => Promise.reject(Object.assign(new Error('E11000'), { code: 11000 })));
+
+      const result = await award(40, null);
+
+      expect(result).toMatchObject({ transaction: winner, duplicate: true });
+      expect(transaction.session).toMatchObject({ committed: false, aborted: true });
+    });
+  });
+
+  describe('expirePoints', () => {
+    const key = `points_expiry:${USER_ID}:2026-03-10`;
+
+    // Stub an expiry run against a balance; updated says whether the balance was still the one read
+    const stubExpiry = ({ balance, alreadyExpired = false, updated = true }) => {
+      models.stub(UserModel, 'findById', () => ({ _id: USER_ID, points: balance }));
+      models.stub(PointsTransactionModel, 'exists', () => (alreadyExpired ? { _id: 'tx-1' } : null));
+      models.stub(UserModel, 'findOneAndUpdate', (filter, update) => (updated ? { _id: USER_ID, points: balance + update.$inc.points } : null));
+      models.stub(PointsTransactionModel, 'create', (docs) => docs);
+    };
+
+    it('expires no more than the balance, only if the balance did not change since it was read', async () => {
+      stubExpiry({ balance: 30 });
+
+      const result = await repository.expirePoints(USER_ID, 50, key);
+
+      expect(result).toMatchObject({ expired: 30, user: { points: 0 }, transaction: { amount: 30, type: 'expire', idempotencyKey: key } });
+      expect(models.callsTo(UserModel, 'findOneAndUpdate')[0].slice(0, 2)).toEqual([
+        { _id: USER_ID, points: 30 },
+        { $inc: { points: -30 } }
+      ]);
+      expect(transaction.session.committed).toBe(true);
+    });
+
+    it.each([
+      ['the run already expired the points', { balance: 30, alreadyExpired: true }],
+      ['the balance is empty', { balance: 0 }],
+      ['the balance changed in the meantime', { balance: 30, updated: false }]
+    ])('expires nothing when %s', async (reason, state) => {
+      stubExpiry(state);
+
+      await expect(repository.expirePoints(USER_ID, 50, key)).resolves.toBeNull();
+      expect(models.callsTo(PointsTransactionModel, 'create')).toEqual([]);
+      expect(transaction.session.aborted).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import RedemptionModel from '../../../src/infrastructure/persistence/models/RedemptionModel.js';
+import ProductModel from '../../../src/infrastructure/persistence/models/ProductModel.js';
+import UserModel from '../../../src/infrastructure/persistence/models/UserModel.js';
+import PointsTransactionModel from '../../../src/infrastructure/persistence/models/PointsTransactionModel.js';
+import MongoRedemptionRepository from '../../../src/infrastructure/persistence/repositories/MongoRedemptionRepository.js';
+import { createModelStubs, stubSession } from '../../helpers/mongoose.js';
+
+const voucher = { _id: 'voucher', name: 'Metro card', pointsCost: 200, stock: 3, isActive: true, minTier: null };
+
+describe('MongoRedemptionRepository', () => {
+  const repository = new MongoRedemptionRepository();
+  const models = createModelStubs();
+  let transaction;
+
+  beforeEach(() => {
+    transaction = stubSession();
+  });
+
+  afterEach(() => {
+    models.restore();
+    transaction.restore();
+  });
+
+  describe('redeem', () => {
+    // Stub a redemption that gets past every check unless a step is overridden
+    const stubRedemption = (overrides = {}) => {
+      const steps = {
+        existing: null,
+        product: voucher,
+        reserved: { ...voucher, stock: voucher.stock - 1 },
+        user: { _id: 'user-1', points: 300 },
+        ...overrides
+      };
+
+      models.stub(RedemptionModel, 'findOne', () => steps.existing);
+      models.stub(ProductModel, 'findById', () => steps.product);
+      models.stub(ProductModel, 'findOneAndUpdate', () => steps.reserved);
+      models.stub(ProductModel, 'findByIdAndUpdate', (id, update) => ({ ...steps.reserved, ...update.$set }));
+      models.stub(UserModel, 'findOneAndUpdate', () => steps.user);
+      models.stub(RedemptionModel, 'create', ([data]) => [{ _id: 'redemption-1', ...data }]);
+      models.stub(PointsTransactionModel, 'create', (docs) => docs);
+    };
+
+    it('reserves a unit, deducts the points and records the redemption with its ledger entry in one transaction', async () => {
+      stubRedemption();
+
+      const result = await repository.redeem('user-1', 'voucher', { idempotencyKey: 'key-1' });
+
+      expect(result).toMatchObject({ outcome: 'redeemed', product: { stock: 2 }, user: { points: 300 } });
+      expect(result.redemption).toMatchObject({ pointsCost: 200, status: 'pending', stockReserved: true, soldOut: false });
+      expect(models.callsTo(ProductModel, 'findOneAndUpdate')[0].slice(0, 2)).toEqual([
+        { _id: 'voucher', isActive: true, stock: { $gt: 0 } },
+        { $inc: { stock: -1 } }
+      ]);
+      expect(models.callsTo(UserModel, 'findOneAndUpdate')[0].slice(0, 2)).toEqual([
+        { _id: 'user-1', points: { $gte: 200 } },
+        { $inc: { points: -200 } }
+      ]);
+      expect(models.callsTo(PointsTransactionModel, 'create')[0][0][0]).toMatchObject({
+        amount: 200,
+        type: 'redeem',
+        balance: 300,
+        idempotencyKey: 'product_redemption:redemption-1'
+      });
+      expect(transaction.session).toMatchObject({ committed: true, ended: true });
+    });
+
+    it('takes a product off sale with its last unit', async () => {
+      stubRedemption({ reserved: { ...voucher, stock: 0 } });
+
+      const result = await repository.redeem('user-1', 'voucher');
+
+      expect(models.callsTo(ProductModel, 'findByIdAndUpdate')[0][1]).toEqual({ $set: { isActive: false } });
+      expect(result.product).toMatchObject({ stock: 0, isActive: false });
+      expect(result.redemption.soldOut).toBe(true);
+    });
+
+    it('reserves no stock for a product without a stock limit', async () => {
+      stubRedemption({ product: { ...voucher, stock: null } });
+
+      const result = await repository.redeem('user-1', 'voucher');
+
+      expect(result.outcome).toBe('redeemed');
+      expect(models.callsTo(ProductModel, 'findOneAndUpdate')).toEqual([]);
+      expect(result.redemption.stockReserved).toBe(false);
+    });
+
+    it('returns the earlier redemption for a repeated idempotency key without writing anything', async () => {
+      const earlier = { _id: 'redemption-0', idempotencyKey: 'key-1' };
+      stubRedemption({ existing: earlier });
+
+      const result = await repository.redeem('user-1', 'voucher', { idempotencyKey: 'key-1' });
+
+      expect(result).toEqual({ outcome: 'duplicate', redemption: earlier, product: null, user: null });
+      expect(models.calls.map(call => `${call.model}.${call.method}`)).toEqual(['Redemption.findOne']);
+    });
+
+    it.each([
+      ['product_not_found', 'the product does not exist', { product: null }, {}],
+      ['unavailable', 'the product is off sale', { product: { ...voucher, isActive: false } }, {}],
+      ['tier_required', 'the product is for a higher tier', { product: { ...voucher, minTier: 'silver' } }, { accessibleTiers: ['bronze'] }],
+      ['unavailable', 'another redemption took the last unit', { reserved: null }, {}]
+    ])('refuses with %s when %s, before touching the balance', async (outcome, reason, overrides, options) => {
+      stubRedemption(overrides);
+
+      const result = await repository.redeem('user-1', 'voucher', options);
+
+      expect(result).toEqual({ outcome, redemption: null, product: null, user: null });
+      expect(models.callsTo(UserModel, 'findOneAndUpdate')).toEqual([]);
+      expect(transaction.session).toMatchObject({ committed: false, aborted: true });
+    });
+
+    it('rolls back the reserved unit when the balance does not cover the product', async () => {
+      stubRedemption({ user: null });
+
+      const result = await repository.redeem('user-1', 'voucher');
+
+      expect(result.outcome).toBe('insufficient_points');
+      expect(models.callsTo(ProductModel, 'findOneAndUpdate')).toHaveLength(1);
+      expect(models.callsTo(RedemptionModel, 'create')).toEqual([]);
+      expect(transaction.session).toMatchObject({ committed: false, aborted: true });
+    });
+
+    it('returns the redemption of a concurrent retry that recorded the same key first', async () => {
+      const winner = { _id: 'redemption-0', idempotencyKey: 'key-1' };
+      stubRedemption();
+      let lookups = 0;
+      models.stub(RedemptionModel, 'findOne', () => (lookups++ === 0 ? null : winner));
+      models.stub(RedemptionModel, 'create', () => Promise.reject(Object.assign(new Error('E11000'), { code: 11000 })));
+
+      const result = await repository.redeem('user-1', 'voucher', { idempotencyKey: 'key-1' });
+
+      expect(result).toEqual({ outcome: 'duplicate', redemption: winner, product: null, user: null });
+      expect(transaction.session.aborted).toBe(true);
+    });
+  });
+
+  describe('reject', () => {
+    const pending = {
+      _id: 'redemption-1',
+      userId: 'user-1',
+      productId: 'voucher',
+      pointsCost: 200,
+      stockReserved: true,
+      soldOut: false
+    };
+
+    // Stub a rejection of the given redemption; the product is what the stock refund leaves behind
+    const stubRejection = (redemption, product = { _id: 'voucher', stock: 3, isActive: true }) => {
+      models.stub(RedemptionModel, 'findOneAndUpdate', () => redemption);
+      models.stub(RedemptionModel, 'findById', () => ({ ...redemption, status: 'rejected' }));
+      models.stub(UserModel, 'findByIdAndUpdate', () => ({ _id: 'user-1', points: 500 }));
+      models.stub(PointsTransactionModel, 'create', (docs) => docs);
+      models.stub(ProductModel, 'findByIdAndUpdate', () => product);
+      models.stub(ProductModel, 'updateOne', () => ({ modifiedCount: 1 }));
+    };
+
+    it('refunds the points and the unit of stock of a redemption only while it is not rejected yet', async () => {
+      stubRejection(pending);
+
+      const result = await repository.reject('redemption-1', 'admin-1', 'Out of date');
+
+      expect(result).toMatchObject({ refunded: true, redemption: { status: 'rejected' } });
+      expect(models.callsTo(RedemptionModel, 'findOneAndUpdate')[0][0]).toEqual({
+        _id: 'redemption-1',
+        status: { $ne: 'rejected' },
+        refundedAt: null
+      });
+      expect(models.callsTo(UserModel, 'findByIdAndUpdate')[0].slice(0, 2)).toEqual(['user-1', { $inc: { points: 200 } }]);
+      expect(models.callsTo(PointsTransactionModel, 'create')[0][0][0]).toMatchObject({
+        amount: 200,
+        type: 'refund',
+        balance: 500,
+        idempotencyKey: 'product_redemption_refund:redemption-1'
+      });
+      expect(models.callsTo(ProductModel, 'findByIdAndUpdate')[0].slice(0, 2)).toEqual(['voucher', { $inc: { stock: 1 } }]);
+      expect(models.callsTo(ProductModel, 'updateOne')).toEqual([]);
+      expect(transaction.session.committed).toBe(true);
+    });
+
+    it('puts a product back on sale when the redemption took its last unit and nothing was restocked since', async () => {
+      stubRejection({ ...pending, soldOut: true }, { _id: 'voucher', stock: 1, isActive: false });
+
+      await repository.reject('redemption-1', 'admin-1');
+
+      expect(models.callsTo(ProductModel, 'updateOne')[0].slice(0, 2)).toEqual([{ _id: 'voucher' }, { $set: { isActive: true } }]);
+    });
+
+    it('refunds nothing when the redemption was already rejected', async () => {
+      stubRejection(null);
+
+      const result = await repository.reject('redemption-1', 'admin-2');
+
+      expect(result.refunded).toBe(false);
+      expect(models.callsTo(UserModel, 'findByIdAndUpdate')).toEqual([]);
+      expect(models.callsTo(PointsTransactionModel, 'create')).toEqual([]);
+      expect(models.callsTo(ProductModel, 'findByIdAndUpdate')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import ReportModel from '../../../src/infrastructure/persistence/models/ReportModel.js';
+import MongoReportRepository from '../../../src/infrastructure/persistence/repositories/MongoReportRepository.js';
+
+describe('MongoReportRepository.findByLocation', () => {
+  const repository = new MongoReportRepository();
+  const { find, countDocuments } = ReportModel;
+  let queries;
+
+  beforeEach(() => {
+    queries = [];
+    // Capture the query instead of running it; there is no database in the tests
+    ReportModel.find = (query) => {
+      queries.push(query);
+      const cursor = { sort: () => cursor, skip: () => cursor, limit: async () => [] };
+      return cursor;
+    };
+    ReportModel.countDocuments = async () => 0;
+  });
+
+  afterEach(() => {
+    ReportModel.find = find;
+    ReportModel.countDocuments = countDocuments;
+  });
+
+  it('stores report locations with latitude first, whatever order they are given in', () => {
+    const report = new ReportModel({
+      title: 'Pothole',
+      description: 'Deep hole in the road',
+      category: 'roads',
+      location: { address: 'Tahrir Square', city: 'Cairo', governorate: 'Cairo', coordinates: { lng: 31.2357, lat: 30.0444 } }
+    });
+
+    expect(Object.keys(report.toBSON().location.coordinates).slice(0, 2)).toEqual(['lat', 'lng']);
+  });
+
+  it('centers the search on [lat, lng], the order MongoDB reads stored locations in', async () => {
+    await repository.findByLocation({ lat: 30.0444, lng: 31.2357 }, 6.371, { page: 1, limit: 10 });
+
+    expect(queries[0]['location.coordinates']).toEqual({
+      $geoWithin: { $centerSphere: [[30.0444, 31.2357], 0.001] }
+    });
+  });
+
+  it('returns reports of every status unless a status is given', async () => {
+    const coordinates = { lat: 30.0444, lng: 31.2357 };
+
+    await repository.findByLocation(coordinates, 1, { page: 1, limit: 10 });
+    await repository.findByLocation(coordinates, 1, { page: 1, limit: 10, filter: { status: 'pending' } });
+    await repository.findByLocation(coordinates, 1, { page: 1, limit: 10, filter: { status: ['pending', 'reopened'] } });
+
+    expect(queries.map(query => query.status)).toEqual([undefined, 'pending', { $in: ['pending', 'reopened'] }]);
+  });
+});